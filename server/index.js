@@ -0,0 +1,333 @@
+// --- Relay Server ---
+// A small WebSocket server for online versus: a lobby of rooms, a shared
+// seed per round, and relaying of board snapshots and garbage between the
+// players of a room. The games themselves run in the browsers; the server
+// only decides who gets each attack and who won the round.
+//
+// Start it with `npm run server` (PORT overrides the default port).
+
+import { randomBytes, randomInt } from "node:crypto";
+import { WebSocketServer } from "ws";
+import {
+  CLIENT_MESSAGES,
+  DEFAULT_PORT,
+  MAX_ROOM_PLAYERS,
+  REJOIN_GRACE_MS,
+  ROOM_STATUS,
+  SERVER_MESSAGES,
+  getRoundOptions,
+} from "../src/net/protocol.js";
+
+const port = Number(process.env.PORT) || DEFAULT_PORT;
+
+const players = new Map(); // Player id to player
+const rooms = new Map(); // Room id to room
+let nextId = 1;
+
+// --- Sending ---
+
+/**
+ * Sends a message to a player if they are connected.
+ * @param {object} player - The player.
+ * @param {object} message - The message.
+ */
+const send = (player, message) => {
+  if (player.socket && player.socket.readyState === player.socket.OPEN) {
+    player.socket.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Describes a room for its members.
+ * @param {object} room - The room.
+ * @returns {object} The public room data.
+ */
+const describeRoom = (room) => ({
+  id: room.id,
+  name: room.name,
+  hostId: room.hostId,
+  status: room.status,
+  round: room.round,
+  players: room.playerIds.map((id) => {
+    const player = players.get(id);
+    return {
+      id,
+      name: player.name,
+      connected: player.socket !== null,
+      alive: room.alive.has(id),
+      wins: room.wins.get(id) ?? 0,
+    };
+  }),
+});
+
+/**
+ * Sends the room list to every player outside a room.
+ */
+const broadcastLobby = () => {
+  const list = [...rooms.values()].map((room) => ({
+    id: room.id,
+    name: room.name,
+    players: room.playerIds.length,
+    status: room.status,
+  }));
+  players.forEach((player) => {
+    if (player.roomId === null) {
+      send(player, { type: SERVER_MESSAGES.LOBBY, rooms: list });
+    }
+  });
+};
+
+/**
+ * Sends a message to every member of a room.
+ * @param {object} room - The room.
+ * @param {object} message - The message.
+ * @param {string} [exceptId] - A player to skip, e.g. the sender.
+ */
+const broadcastRoom = (room, message, exceptId = null) => {
+  room.playerIds.forEach((id) => {
+    if (id !== exceptId) send(players.get(id), message);
+  });
+};
+
+const broadcastRoomState = (room) =>
+  broadcastRoom(room, { type: SERVER_MESSAGES.ROOM, room: describeRoom(room) });
+
+// --- Rounds ---
+
+/**
+ * Ends the round once at most one player is left standing.
+ * @param {object} room - The room.
+ */
+const checkRoundOver = (room) => {
+  if (room.status !== ROOM_STATUS.PLAYING || room.alive.size > 1) return;
+  const [winner = null] = room.alive;
+  if (winner !== null) room.wins.set(winner, (room.wins.get(winner) ?? 0) + 1);
+  room.status = ROOM_STATUS.WAITING;
+  room.alive.clear();
+  broadcastRoom(room, { type: SERVER_MESSAGES.ROUND_OVER, winner });
+  broadcastRoomState(room);
+  broadcastLobby();
+};
+
+/**
+ * Removes a player from their room, e.g. on leaving or after a dropped
+ * connection was not resumed in time.
+ * @param {object} player - The player.
+ */
+const leaveRoom = (player) => {
+  const room = rooms.get(player.roomId);
+  player.roomId = null;
+  if (!room) return;
+  room.playerIds = room.playerIds.filter((id) => id !== player.id);
+  room.alive.delete(player.id);
+  room.wins.delete(player.id);
+  if (room.playerIds.length === 0) {
+    rooms.delete(room.id);
+  } else {
+    if (room.hostId === player.id) [room.hostId] = room.playerIds;
+    broadcastRoomState(room);
+    checkRoundOver(room);
+  }
+  send(player, { type: SERVER_MESSAGES.ROOM, room: null });
+  broadcastLobby();
+};
+
+/**
+ * Adds a player to a room.
+ * @param {object} player - The player.
+ * @param {object} room - The room.
+ */
+const joinRoom = (player, room) => {
+  if (player.roomId !== null) leaveRoom(player);
+  room.playerIds.push(player.id);
+  player.roomId = room.id;
+  broadcastRoomState(room);
+  broadcastLobby();
+};
+
+// --- Messages ---
+
+const handlers = {
+  [CLIENT_MESSAGES.CREATE_ROOM]: (player, { name }) => {
+    const room = {
+      id: String(nextId++),
+      name: String(name || `${player.name}'s room`).slice(0, 32),
+      hostId: player.id,
+      status: ROOM_STATUS.WAITING,
+      round: 0,
+      seed: null,
+      options: null,
+      playerIds: [],
+      alive: new Set(),
+      wins: new Map(),
+    };
+    rooms.set(room.id, room);
+    joinRoom(player, room);
+  },
+
+  [CLIENT_MESSAGES.JOIN_ROOM]: (player, { roomId }) => {
+    const room = rooms.get(roomId);
+    if (!room) throw new Error("That room no longer exists.");
+    if (room.playerIds.includes(player.id)) return;
+    if (room.status !== ROOM_STATUS.WAITING) {
+      throw new Error("That room is playing, try again after the round.");
+    }
+    if (room.playerIds.length >= MAX_ROOM_PLAYERS) {
+      throw new Error("That room is full.");
+    }
+    joinRoom(player, room);
+  },
+
+  [CLIENT_MESSAGES.LEAVE_ROOM]: (player) => leaveRoom(player),
+
+  [CLIENT_MESSAGES.START]: (player, { options }) => {
+    const room = rooms.get(player.roomId);
+    if (!room || room.hostId !== player.id) {
+      throw new Error("Only the host can start the round.");
+    }
+    if (room.status !== ROOM_STATUS.WAITING) return;
+    if (room.playerIds.length < 2) {
+      throw new Error("Wait for at least one opponent.");
+    }
+    room.status = ROOM_STATUS.PLAYING;
+    room.round += 1;
+    room.seed = randomInt(2 ** 32 - 1);
+    room.options = getRoundOptions(options);
+    room.alive = new Set(room.playerIds);
+    broadcastRoom(room, {
+      type: SERVER_MESSAGES.START,
+      seed: room.seed,
+      options: room.options,
+      round: room.round,
+    });
+    broadcastRoomState(room);
+    broadcastLobby();
+  },
+
+  [CLIENT_MESSAGES.STATE]: (player, { snapshot }) => {
+    const room = rooms.get(player.roomId);
+    if (!room) return;
+    broadcastRoom(
+      room,
+      { type: SERVER_MESSAGES.OPPONENT_STATE, playerId: player.id, snapshot },
+      player.id
+    );
+  },
+
+  [CLIENT_MESSAGES.ATTACK]: (player, { lines }) => {
+    const room = rooms.get(player.roomId);
+    if (!room || room.status !== ROOM_STATUS.PLAYING) return;
+    const targets = [...room.alive].filter((id) => id !== player.id);
+    if (targets.length === 0 || !(lines > 0)) return;
+    // Each attack goes to one random opponent still standing
+    const target = players.get(targets[randomInt(targets.length)]);
+    send(target, {
+      type: SERVER_MESSAGES.GARBAGE,
+      lines: Math.floor(lines),
+      from: player.id,
+    });
+  },
+
+  [CLIENT_MESSAGES.TOP_OUT]: (player) => {
+    const room = rooms.get(player.roomId);
+    if (!room || !room.alive.delete(player.id)) return;
+    broadcastRoomState(room);
+    checkRoundOver(room);
+  },
+};
+
+/**
+ * Greets a new connection: either resumes the seat of a known player whose
+ * token matches, or registers a new player.
+ * @param {WebSocket} socket - The connection.
+ * @param {object} message - The hello message.
+ * @returns {object} The player.
+ */
+const greet = (socket, { name, playerId, token }) => {
+  const known = players.get(playerId);
+  const player =
+    known && known.token === token
+      ? known
+      : {
+          id: String(nextId++),
+          token: randomBytes(16).toString("hex"),
+          roomId: null,
+          socket: null,
+          dropTimer: null,
+        };
+  const rejoined = player === known;
+  player.socket?.close(); // A newer tab of the same player wins
+  player.socket = socket;
+  player.name = String(name || "Player").slice(0, 16);
+  clearTimeout(player.dropTimer);
+  players.set(player.id, player);
+
+  send(player, {
+    type: SERVER_MESSAGES.WELCOME,
+    playerId: player.id,
+    token: player.token,
+    rejoined,
+  });
+  const room = rooms.get(player.roomId);
+  if (room) {
+    if (room.status === ROOM_STATUS.PLAYING) {
+      send(player, {
+        type: SERVER_MESSAGES.START,
+        seed: room.seed,
+        options: room.options,
+        round: room.round,
+      });
+    }
+    broadcastRoomState(room);
+  } else {
+    broadcastLobby();
+  }
+  return player;
+};
+
+/**
+ * Keeps a dropped player's seat for REJOIN_GRACE_MS, then removes them.
+ * @param {object} player - The player whose connection closed.
+ */
+const drop = (player) => {
+  player.socket = null;
+  const room = rooms.get(player.roomId);
+  if (room) broadcastRoomState(room);
+  player.dropTimer = setTimeout(() => {
+    leaveRoom(player);
+    players.delete(player.id);
+  }, REJOIN_GRACE_MS);
+};
+
+const server = new WebSocketServer({ port });
+
+server.on("connection", (socket) => {
+  let player = null;
+
+  socket.on("message", (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return; // Not ours
+    }
+    try {
+      if (message.type === CLIENT_MESSAGES.HELLO) {
+        player = greet(socket, message);
+      } else if (player && handlers[message.type]) {
+        handlers[message.type](player, message);
+      }
+    } catch (err) {
+      socket.send(
+        JSON.stringify({ type: SERVER_MESSAGES.ERROR, message: err.message })
+      );
+    }
+  });
+
+  socket.on("close", () => {
+    // Ignore sockets replaced by a newer connection of the same player
+    if (player && player.socket === socket) drop(player);
+  });
+});
+
+console.log(`Relay server listening on ws://localhost:${port}`);
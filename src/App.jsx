@@ -1,623 +1,862 @@
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+  useSyncExternalStore,
+} from "react";
 import "./App.css";
-// --- Constants for Game Logic and Board ---
-const BOARD_WIDTH = 10;
-const BOARD_HEIGHT = 20; // Visible height
-const HIDDEN_TOP_ROWS = 2; // For pieces to spawn above the visible board
-const TOTAL_BOARD_HEIGHT = BOARD_HEIGHT + HIDDEN_TOP_ROWS;
-
-// Define Tetris piece shapes and their colors
-const TETROMINOS = {
-  0: { shape: [[0]], color: "bg-gray-800" }, // Empty cell - Changed to a darker gray for better contrast
-  I: {
-    shape: [
-      [0, 1, 0, 0],
-      [0, 1, 0, 0],
-      [0, 1, 0, 0],
-      [0, 1, 0, 0],
-    ],
-    color: "bg-cyan-500", // Cyan
-  },
-  J: {
-    shape: [
-      [0, 1, 0],
-      [0, 1, 0],
-      [1, 1, 0],
-    ],
-    color: "bg-blue-500", // Blue
-  },
-  L: {
-    shape: [
-      [0, 1, 0],
-      [0, 1, 0],
-      [0, 1, 1],
-    ],
-    color: "bg-orange-500", // Orange
-  },
-  O: {
-    shape: [
-      [1, 1],
-      [1, 1],
-    ],
-    color: "bg-yellow-500", // Yellow
-  },
-  S: {
-    shape: [
-      [0, 1, 1],
-      [1, 1, 0],
-      [0, 0, 0],
-    ],
-    color: "bg-green-500", // Green
-  },
-  T: {
-    shape: [
-      [0, 0, 0],
-      [1, 1, 1],
-      [0, 1, 0],
-    ],
-    color: "bg-purple-500", // Purple
-  },
-  Z: {
-    shape: [
-      [1, 1, 0],
-      [0, 1, 1],
-      [0, 0, 0],
-    ],
-    color: "bg-red-500", // Red
-  },
-};
-
-// --- Helper Functions ---
+import { getBotWorker } from "./ai/bot.js";
+import { getAudioEngine } from "./audio/audio.js";
+import { getHeightCue, getSoundEvents } from "./audio/events.js";
+import Announcer from "./components/Announcer.jsx";
+import ControlsPanel from "./components/ControlsPanel.jsx";
+import DemoBoard from "./components/DemoBoard.jsx";
+import LeaderboardPanel from "./components/LeaderboardPanel.jsx";
+import ModeSelector from "./components/ModeSelector.jsx";
+import OnlineScreen from "./components/OnlineScreen.jsx";
+import { HoldPanel, NextQueue } from "./components/PiecePreview.jsx";
+import PluginPanels from "./components/PluginPanels.jsx";
+import ProfilePanel from "./components/ProfilePanel.jsx";
+import PuzzlesPanel from "./components/PuzzlesPanel.jsx";
+import ReplayViewer from "./components/ReplayViewer.jsx";
+import ReplaysPanel from "./components/ReplaysPanel.jsx";
+import ResultsScreen from "./components/ResultsScreen.jsx";
+import SettingsPanel from "./components/SettingsPanel.jsx";
+import StatsPanel from "./components/StatsPanel.jsx";
+import TouchPad from "./components/TouchPad.jsx";
+import VersusScreen from "./components/VersusScreen.jsx";
+import { getRenderer } from "./components/renderers.js";
+import {
+  ACTIONS,
+  CALLOUT_FRAMES,
+  FRAME_MS,
+  MODES,
+  describeGoal,
+  getCurrentGravity,
+  getModeProgress,
+  getModeRules,
+  getPiecesPerSecond,
+  randomSeed,
+} from "./engine/index.js";
+import { formatFrames, formatPresses } from "./format.js";
+import { connectSession } from "./game/events.js";
+import { createGameLoop } from "./game/loop.js";
+import { getPracticeTarget } from "./game/practice.js";
+import {
+  AUTOSAVE_INTERVAL_MS,
+  clearSavedGame,
+  getResumeProblem,
+  loadSavedGame,
+  resumeSession,
+  saveGame,
+} from "./game/save.js";
+import { createSession } from "./game/session.js";
+import {
+  UI_ACTIONS,
+  createBindingLookup,
+  formatKey,
+  normalizeKey,
+} from "./input/bindings.js";
+import { createInputController } from "./input/controller.js";
+import { createGamepadPoller } from "./input/gamepad.js";
+import { createTouchGestures } from "./input/touch.js";
+import {
+  getPluginEvents,
+  getPlugins,
+  subscribePlugins,
+} from "./plugins/plugins.js";
+import { getPuzzleOptions, loadLinkedPuzzle } from "./puzzles/puzzles.js";
+import {
+  addEntry,
+  createEntry,
+  getProfileKey,
+  isRankable,
+} from "./records/leaderboard.js";
+import { addGameRecord, createGameRecord } from "./records/profile.js";
+import { createReplay, downloadReplay, saveReplay } from "./replay/replay.js";
+import {
+  getAssistOptions,
+  getGameOptions,
+  getHandling,
+  getTheme,
+  loadSettings,
+  saveSettings,
+} from "./settings.js";
 
-/**
- * Generates a random Tetromino piece.
- * @returns {object} An object containing the shape, color, and initial position of the new piece.
- */
-const generateRandomPiece = () => {
-  const tetrominoNames = "IJLOSTZ";
-  const randTetromino =
-    tetrominoNames[Math.floor(Math.random() * tetrominoNames.length)];
-  const piece = TETROMINOS[randTetromino];
-
-  // Initial position for the piece at the top center of the board
-  return {
-    shape: piece.shape,
-    color: piece.color,
-    pos: {
-      x: Math.floor(BOARD_WIDTH / 2) - Math.floor(piece.shape[0].length / 2),
-      y: 0,
-    },
-    collided: false,
-  };
-};
+// Below Tailwind's lg breakpoint the panels stack, so hold and next move
+// beside the board to keep the whole game on a portrait screen
+const COMPACT_QUERY = "(max-width: 1023px)";
+// Room the compact layout needs around the board, in px: the hold and next
+// columns beside it and the score bar above it, plus the on-screen buttons
+// below it when they are shown
+const COMPACT_RESERVED = { width: 200, height: 150 };
+const COMPACT_RESERVED_WITH_PAD = { width: 200, height: 290 };
 
 /**
- * Creates an empty game board filled with '0' (empty cells).
- * @returns {Array<Array<string>>} A 2D array representing the game board.
+ * Checks whether the window is narrow enough for the compact layout.
+ * @returns {boolean} True below the lg breakpoint.
  */
-const createEmptyBoard = () =>
-  Array.from(
-    { length: TOTAL_BOARD_HEIGHT },
-    () => Array.from({ length: BOARD_WIDTH }, () => ["0", "bg-gray-800"]) // Changed to a darker gray for better contrast
+const isCompactWindow = () => window.matchMedia(COMPACT_QUERY).matches;
+
+function App() {
+  const [settings, setSettings] = useState(loadSettings);
+  const [session, setSession] = useState(() =>
+    createSession({ ...getGameOptions(settings), seed: randomSeed() })
   );
+  const game = useSyncExternalStore(session.subscribe, session.getState);
+  const plugins = useSyncExternalStore(subscribePlugins, getPlugins);
+  const [isPaused, setIsPaused] = useState(false);
+  const [hasStarted, setHasStarted] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showControls, setShowControls] = useState(false);
+  const [showReplays, setShowReplays] = useState(false);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [showProfile, setShowProfile] = useState(false);
+  const [showVersus, setShowVersus] = useState(false);
+  const [showOnline, setShowOnline] = useState(false);
+  const [showPuzzles, setShowPuzzles] = useState(false);
+  // Puzzle played by Start and Reset instead of the selected mode; a puzzle
+  // shared by link is ready to play when the page opens
+  const [activePuzzle, setActivePuzzle] = useState(loadLinkedPuzzle);
+  const [lastReplay, setLastReplay] = useState(null); // Of the finished game
+  const [lastRecord, setLastRecord] = useState(null); // Its leaderboard rank
+  const [watchedReplay, setWatchedReplay] = useState(null);
+  const [savedGame, setSavedGame] = useState(loadSavedGame); // To continue
+  // Rendered again when plugins change, so the save waits for its plugin
+  const resumeProblem = savedGame ? getResumeProblem(savedGame) : null;
+  const [hint, setHint] = useState(null); // { key, cells } of the best move
+  const [isCompact, setIsCompact] = useState(isCompactWindow);
 
-/**
- * Checks for collision between a piece and the board.
- * @param {object} piece - The current piece object (shape, pos).
- * @param {Array<Array<string>>} board - The game board.
- * @param {object} offset - The x, y offset to check collision for.
- * @returns {boolean} True if a collision occurs, false otherwise.
- */
-const checkCollision = (piece, board, { x, y }) => {
-  for (let row = 0; row < piece.shape.length; row++) {
-    for (let col = 0; col < piece.shape[row].length; col++) {
-      // Check that we are on a Tetromino cell
-      if (piece.shape[row][col] !== 0) {
-        const newX = piece.pos.x + col + x;
-        const newY = piece.pos.y + row + y;
-
-        // Check if the move is within the board boundaries and doesn't collide with existing blocks
-        if (
-          !board[newY] || // Check board height boundary
-          !board[newY][newX] || // Check board width boundary
-          board[newY][newX][0] !== "0" // Check for collision with non-empty cell
-        ) {
-          return true;
-        }
-      }
-    }
-  }
-  return false;
-};
+  const gameRef = useRef(game);
+  const sessionRef = useRef(session);
+  const settingsRef = useRef(settings);
+  const controllerRef = useRef(null);
+  const gamepadRef = useRef(null);
+  const inputRef = useRef(null); // Latest press/release handlers for gamepads
+  const touchRef = useRef(null);
+  const runningRef = useRef(false); // Read by the game loop every frame
 
-/**
- * Rotates a Tetromino matrix clockwise.
- * @param {Array<Array<number>>} matrix - The shape matrix of the Tetromino.
- * @returns {Array<Array<number>>} The rotated matrix.
- */
-const rotate = (matrix) => {
-  // Transpose the matrix (rows become columns)
-  const rotatedMatrix = matrix.map((_, index) =>
-    matrix.map((col) => col[index])
+  const { score, level, gameOver } = game;
+  const stats = session.getStats(); // Changes along with the game state
+  const { Board, PiecePreview } = getRenderer(settings.renderer);
+  const theme = getTheme(settings);
+  const isGameStarted = hasStarted && !gameOver;
+  // Touch controls only take over the screen while a game runs, so the
+  // page scrolls normally on the title and results screens
+  const hasGestures = settings.touchGestures && isGameStarted;
+  const showTouchPad = settings.touchPad && isGameStarted;
+  // The first key bound to hold, shown on the hold button
+  const [holdKey] = settings.keyBindings[ACTIONS.HOLD] ?? [];
+  const compactReserved = showTouchPad
+    ? COMPACT_RESERVED_WITH_PAD
+    : COMPACT_RESERVED;
+  const isRunning = isGameStarted && !isPaused;
+  const progress = getModeProgress(game);
+  const isPractice = getModeRules(game.mode).finesse;
+  // Finesse practice outlines where the piece has to go
+  const target = isPractice && isGameStarted ? getPracticeTarget(game) : null;
+  const isMenuOpen =
+    showSettings ||
+    showControls ||
+    showReplays ||
+    showLeaderboard ||
+    showProfile ||
+    showVersus ||
+    showOnline ||
+    showPuzzles ||
+    watchedReplay !== null;
+  // The best move changes with each new piece and after holding
+  const hintKey =
+    isGameStarted && settings.showHint
+      ? `${game.seed}:${game.pieces}:${game.current.type}:${game.canHold}`
+      : null;
+  const showCallout =
+    game.lastClear !== null &&
+    !isPaused &&
+    game.frame - game.lastClear.frame < CALLOUT_FRAMES;
+  const showFault =
+    stats.lastFault !== null &&
+    !isPaused &&
+    game.frame - stats.lastFault.frame < CALLOUT_FRAMES;
+
+  /**
+   * Feeds an action to the engine while a game is running.
+   * @param {object} action - An engine action ({ type, ... }).
+   */
+  const dispatch = useCallback(
+    (action) => {
+      if (!isRunning) return;
+      session.dispatch(action);
+    },
+    [isRunning, session]
   );
-  // Reverse each row to get a clockwise rotation
-  return rotatedMatrix.map((row) => row.reverse());
-};
 
-function App() {
-  const [board, setBoard] = useState(createEmptyBoard());
-  const [currentPiece, setCurrentPiece] = useState(generateRandomPiece());
-  const [nextPiece, setNextPiece] = useState(generateRandomPiece());
-  const [heldPiece, setHeldPiece] = useState(null); // New state for held piece
-  const [canHold, setCanHold] = useState(true); // New state to control hold action per turn
-  const [score, setScore] = useState(0);
-  const [level, setLevel] = useState(1);
-  const [dropTime, setDropTime] = useState(1000); // Milliseconds
-  const [gameOver, setGameOver] = useState(false);
-  const [isPaused, setIsPaused] = useState(false);
-  const [isGameStarted, setIsGameStarted] = useState(false);
+  const handleHold = useCallback(
+    () => dispatch({ type: ACTIONS.HOLD }),
+    [dispatch]
+  );
 
-  const gameLoopRef = useRef(null);
+  // The controller is created once and reads the latest values through refs
+  if (controllerRef.current === null) {
+    controllerRef.current = createInputController({
+      dispatch: (action) => sessionRef.current.dispatch(action),
+      getSettings: () => settingsRef.current,
+      getDropInterval: () => FRAME_MS / getCurrentGravity(gameRef.current),
+    });
+  }
+  if (touchRef.current === null) {
+    touchRef.current = createTouchGestures({
+      onPress: (action) => inputRef.current.pressAction(action),
+      onRelease: (action) => inputRef.current.releaseAction(action),
+      getSensitivity: () => settingsRef.current.touchSensitivity,
+    });
+  }
+  const touch = touchRef.current;
 
   /**
-   * Updates the game board by merging the current piece into it.
-   * This is used when a piece lands and becomes part of the static blocks.
-   * @param {Array<Array<string>>} prevBoard - The board state before merging.
-   * @param {object} piece - The piece to merge (shape, pos, color).
-   * @returns {Array<Array<string>>} The new board state with the piece merged.
+   * Starts a new game.
+   * @param {object} options - Options for `createGame`.
    */
-  const updateBoard = useCallback((prevBoard, piece) => {
-    const newBoard = prevBoard.map((row) =>
-      row.map((cell) => (cell[0] === "clear" ? ["0", "bg-gray-800"] : cell))
-    ); // Updated empty cell color
-
-    // Draw the piece on the new board
-    piece.shape.forEach((row, y) => {
-      row.forEach((value, x) => {
-        if (value !== 0) {
-          const boardY = piece.pos.y + y;
-          const boardX = piece.pos.x + x;
-          if (newBoard[boardY] && newBoard[boardY][boardX]) {
-            newBoard[boardY][boardX] = [value, piece.color];
-          }
-        }
-      });
-    });
-    return newBoard;
+  const beginGame = useCallback((options) => {
+    controllerRef.current.releaseAll();
+    setSession(createSession(options));
+    clearSavedGame();
+    setSavedGame(null);
+    setLastReplay(null);
+    setLastRecord(null);
+    setIsPaused(false);
+    setHasStarted(true);
   }, []);
 
   /**
-   * Clears full rows from the board and updates the score.
-   * New empty rows are added to the top.
-   * @param {Array<Array<string>>} currentBoard - The current state of the game board.
+   * Initializes or resets the game state: the active puzzle if there is
+   * one, otherwise a game of the selected mode.
    */
-  const clearRows = useCallback(
-    (currentBoard) => {
-      let clearedRowsCount = 0;
-      const newBoard = currentBoard.reduce((acc, row) => {
-        if (row.every((cell) => cell[0] !== "0")) {
-          clearedRowsCount++;
-          // Add a new empty row at the top
-          acc.unshift(
-            Array.from({ length: BOARD_WIDTH }, () => ["0", "bg-gray-800"])
-          ); // Updated empty cell color
-        } else {
-          acc.push(row);
-        }
-        return acc;
-      }, []);
-
-      if (clearedRowsCount > 0) {
-        // Basic scoring logic: 100 points per row, bonus for multiple rows
-        setScore(
-          (prevScore) => prevScore + clearedRowsCount * 100 * clearedRowsCount
-        );
-        // Increase level every 10 rows cleared (example)
-        if (score + clearedRowsCount * 100 * clearedRowsCount >= level * 1000) {
-          setLevel((prevLevel) => prevLevel + 1);
-          setDropTime((prevDropTime) => Math.max(100, prevDropTime - 50)); // Increase speed
-        }
-        setBoard(newBoard);
-      }
-    },
-    [score, level]
-  );
+  const startGame = useCallback(() => {
+    beginGame(
+      activePuzzle
+        ? getPuzzleOptions(activePuzzle)
+        : {
+            ...getGameOptions(settings),
+            ...getAssistOptions(settings),
+            seed: randomSeed(),
+          }
+    );
+  }, [beginGame, activePuzzle, settings]);
 
   /**
-   * Moves the current piece horizontally (left or right).
-   * @param {number} dir - The direction to move (-1 for left, 1 for right).
+   * Resumes the saved game, paused so the player can get ready.
    */
-  const movePiece = useCallback(
-    (dir) => {
-      if (gameOver || isPaused || !isGameStarted) return;
-      if (!checkCollision(currentPiece, board, { x: dir, y: 0 })) {
-        setCurrentPiece((prev) => ({
-          ...prev,
-          pos: { x: prev.pos.x + dir, y: prev.pos.y },
-        }));
-      }
+  const continueGame = useCallback(() => {
+    controllerRef.current.releaseAll();
+    setSession(resumeSession(savedGame));
+    setActivePuzzle(savedGame.puzzle);
+    setSavedGame(null);
+    setLastReplay(null);
+    setLastRecord(null);
+    setIsPaused(true);
+    setHasStarted(true);
+  }, [savedGame]);
+
+  /**
+   * Starts a puzzle from the puzzles panel.
+   * @param {object} puzzle - The puzzle to play.
+   */
+  const playPuzzle = useCallback(
+    (puzzle) => {
+      setActivePuzzle(puzzle);
+      setShowPuzzles(false);
+      beginGame(getPuzzleOptions(puzzle));
     },
-    [currentPiece, board, gameOver, isPaused, isGameStarted]
+    [beginGame]
   );
 
   /**
-   * Drops the current piece one step down.
-   * If a collision occurs, the piece is merged with the board, and a new piece is generated.
+   * Goes back to the selected mode, dropping a shared puzzle from the URL.
    */
-  const dropPiece = useCallback(() => {
-    if (gameOver || isPaused || !isGameStarted) return;
-
-    if (!checkCollision(currentPiece, board, { x: 0, y: 1 })) {
-      // No collision, move down
-      setCurrentPiece((prev) => ({
-        ...prev,
-        pos: { x: prev.pos.x, y: prev.pos.y + 1 },
-      }));
-    } else {
-      // Collision, merge piece with board
-      const newBoard = updateBoard(board, currentPiece);
-      setBoard(newBoard);
-      clearRows(newBoard);
-      setCanHold(true); // Reset canHold after a piece lands
-
-      // Generate next piece
-      const newPiece = nextPiece;
-      if (checkCollision(newPiece, newBoard, { x: 0, y: 0 })) {
-        // Game Over: new piece collides immediately
-        setGameOver(true);
-        setIsGameStarted(false); // Stop the game loop
-        clearInterval(gameLoopRef.current);
-      } else {
-        setCurrentPiece(newPiece);
-        setNextPiece(generateRandomPiece());
-      }
+  const leavePuzzle = useCallback(() => {
+    setActivePuzzle(null);
+    if (location.hash) {
+      history.replaceState(null, "", location.pathname + location.search);
     }
-  }, [
-    board,
-    currentPiece,
-    gameOver,
-    isPaused,
-    isGameStarted,
-    nextPiece,
-    updateBoard,
-    clearRows,
-  ]);
+  }, []);
 
   /**
-   * Rotates the current piece.
+   * Updates a setting and saves the result.
+   * @param {string} key - The setting name.
+   * @param {*} value - The new value.
    */
-  const rotateCurrentPiece = useCallback(() => {
-    if (gameOver || isPaused || !isGameStarted) return;
-
-    const rotated = rotate(currentPiece.shape);
-    const originalPos = currentPiece.pos; // Store original position
-
-    // Test a few offsets for wall kicks
-    const testOffsets = [0, -1, 1, -2, 2];
-
-    for (const offset of testOffsets) {
-      const newPieceAfterRotationAttempt = {
-        ...currentPiece,
-        shape: rotated,
-        pos: { x: originalPos.x + offset, y: originalPos.y },
-      };
-
-      if (
-        !checkCollision(newPieceAfterRotationAttempt, board, { x: 0, y: 0 })
-      ) {
-        setCurrentPiece(newPieceAfterRotationAttempt);
-        return; // Rotation successful
-      }
-    }
+  const updateSetting = useCallback((key, value) => {
+    setSettings((prev) => {
+      const next = { ...prev, [key]: value };
+      saveSettings(next);
+      return next;
+    });
+  }, []);
 
-    // If no test offset worked, rotation is not possible
-  }, [currentPiece, board, gameOver, isPaused, isGameStarted]);
+  /**
+   * Turns all sound off or back on.
+   */
+  const toggleMute = useCallback(
+    () => updateSetting("muted", !settings.muted),
+    [updateSetting, settings.muted]
+  );
 
   /**
-   * Handles holding/swapping the current piece.
+   * Opens the settings panel, pausing a running game.
    */
-  const handleHold = useCallback(() => {
-    if (gameOver || isPaused || !isGameStarted || !canHold) return;
-
-    setCanHold(false); // Prevent holding again until next piece lands
-
-    if (!heldPiece) {
-      // No piece in hold, store current piece and get next
-      setHeldPiece({ shape: currentPiece.shape, color: currentPiece.color });
-      setCurrentPiece({
-        ...nextPiece,
-        pos: {
-          x:
-            Math.floor(BOARD_WIDTH / 2) -
-            Math.floor(nextPiece.shape[0].length / 2),
-          y: 0,
-        },
-      });
-      setNextPiece(generateRandomPiece());
-    } else {
-      // Swap current piece with held piece
-      const tempCurrentPiece = { ...currentPiece };
-      setCurrentPiece({
-        ...heldPiece,
-        pos: {
-          x:
-            Math.floor(BOARD_WIDTH / 2) -
-            Math.floor(heldPiece.shape[0].length / 2),
-          y: 0,
-        },
-      });
-      setHeldPiece({
-        shape: tempCurrentPiece.shape,
-        color: tempCurrentPiece.color,
-      });
-    }
-  }, [
-    gameOver,
-    isPaused,
-    isGameStarted,
-    canHold,
-    heldPiece,
-    currentPiece,
-    nextPiece,
-  ]);
+  const openSettings = useCallback(() => {
+    if (isGameStarted) setIsPaused(true);
+    setShowSettings(true);
+  }, [isGameStarted]);
 
   /**
-   * Handles keyboard input for piece movement and rotation.
-   * @param {KeyboardEvent} event - The keyboard event object.
+   * Opens the controls panel, pausing a running game.
    */
-  const handleKeyPress = useCallback(
-    (event) => {
-      if (gameOver || isPaused || !isGameStarted) return;
-
-      if (event.key === "ArrowLeft") {
-        movePiece(-1);
-      } else if (event.key === "ArrowRight") {
-        movePiece(1);
-      } else if (event.key === "ArrowDown") {
-        dropPiece();
-      } else if (event.key === "ArrowUp") {
-        rotateCurrentPiece();
-      } else if (event.key === "c" || event.key === "C") {
-        // 'C' for hold
-        handleHold();
-      }
-    },
-    [
-      movePiece,
-      dropPiece,
-      rotateCurrentPiece,
-      handleHold,
-      gameOver,
-      isPaused,
-      isGameStarted,
-    ]
-  );
+  const openControls = useCallback(() => {
+    if (isGameStarted) setIsPaused(true);
+    setShowControls(true);
+  }, [isGameStarted]);
 
   /**
-   * Initializes or resets the game state.
+   * Opens the replays panel, pausing a running game.
    */
-  const startGame = useCallback(() => {
-    setBoard(createEmptyBoard());
-    setCurrentPiece(generateRandomPiece());
-    setNextPiece(generateRandomPiece());
-    setHeldPiece(null); // Reset held piece
-    setCanHold(true); // Reset canHold
-    setScore(0);
-    setLevel(1);
-    setDropTime(1000);
-    setGameOver(false);
-    setIsPaused(false);
-    setIsGameStarted(true);
+  const openReplays = useCallback(() => {
+    if (isGameStarted) setIsPaused(true);
+    setShowReplays(true);
+  }, [isGameStarted]);
+
+  /**
+   * Opens local versus, pausing a running game.
+   */
+  const openVersus = useCallback(() => {
+    if (isGameStarted) setIsPaused(true);
+    setShowVersus(true);
+  }, [isGameStarted]);
+
+  /**
+   * Opens online versus, pausing a running game.
+   */
+  const openOnline = useCallback(() => {
+    if (isGameStarted) setIsPaused(true);
+    setShowOnline(true);
+  }, [isGameStarted]);
+
+  /**
+   * Opens the puzzles panel, pausing a running game.
+   */
+  const openPuzzles = useCallback(() => {
+    if (isGameStarted) setIsPaused(true);
+    setShowPuzzles(true);
+  }, [isGameStarted]);
+
+  /**
+   * Opens the leaderboard, pausing a running game.
+   */
+  const openLeaderboard = useCallback(() => {
+    if (isGameStarted) setIsPaused(true);
+    setShowLeaderboard(true);
+  }, [isGameStarted]);
+
+  /**
+   * Opens the lifetime profile, pausing a running game.
+   */
+  const openProfile = useCallback(() => {
+    if (isGameStarted) setIsPaused(true);
+    setShowProfile(true);
+  }, [isGameStarted]);
+
+  /**
+   * Opens a replay in the viewer.
+   * @param {object} replay - The replay to watch.
+   */
+  const watchReplay = useCallback((replay) => {
+    setShowReplays(false);
+    setWatchedReplay(replay);
   }, []);
 
   /**
    * Toggles the pause state of the game.
    */
   const togglePause = useCallback(() => {
-    if (isGameStarted && !gameOver) {
+    if (isGameStarted) {
       setIsPaused((prev) => !prev);
     }
-  }, [isGameStarted, gameOver]);
+  }, [isGameStarted]);
+
+  /**
+   * Starts a bound action from any input device. Game actions go through
+   * the input controller; pause, restart and mute are handled here.
+   * @param {string} action - An engine action or one of UI_ACTIONS.
+   */
+  const pressAction = useCallback(
+    (action) => {
+      // Open menus, versus and online games included, take every key
+      if (isMenuOpen) return;
+      if (action === UI_ACTIONS.MUTE) {
+        toggleMute();
+      } else if (action === UI_ACTIONS.PAUSE) {
+        togglePause();
+      } else if (action === UI_ACTIONS.RESTART) {
+        if (hasStarted) startGame();
+      } else if (isRunning) {
+        controllerRef.current.press(action);
+      }
+    },
+    [isMenuOpen, isRunning, hasStarted, togglePause, startGame, toggleMute]
+  );
+
+  /**
+   * Ends a bound action from any input device.
+   * @param {string} action - An engine action or one of UI_ACTIONS.
+   */
+  const releaseAction = useCallback((action) => {
+    controllerRef.current.release(action);
+  }, []);
+
+  const keyLookup = useMemo(
+    () => createBindingLookup(settings.keyBindings),
+    [settings.keyBindings]
+  );
+
+  /**
+   * Handles keyboard input for bound keys.
+   * @param {KeyboardEvent} event - The keyboard event object.
+   */
+  const handleKeyDown = useCallback(
+    (event) => {
+      // Leave form fields (e.g. the settings sliders) alone
+      if (event.target.closest?.("input, select, textarea")) return;
+      const action = keyLookup.get(normalizeKey(event.key));
+      if (!action) return;
+      // Open menus keep their keys for focus and buttons
+      if (isMenuOpen) return;
+      // Out of a game, Enter and Space press the focused button
+      const isActivation = event.key === "Enter" || event.key === " ";
+      if (!isRunning && isActivation && event.target.closest?.("button")) {
+        return;
+      }
+      event.preventDefault(); // Keep Space and arrows from scrolling the page
+      if (!event.repeat) pressAction(action);
+    },
+    [keyLookup, isMenuOpen, isRunning, pressAction]
+  );
+
+  /**
+   * Releases a bound key.
+   * @param {KeyboardEvent} event - The keyboard event object.
+   */
+  const handleKeyUp = useCallback(
+    (event) => {
+      const action = keyLookup.get(normalizeKey(event.key));
+      if (action) releaseAction(action);
+    },
+    [keyLookup, releaseAction]
+  );
 
   // --- useEffect Hooks ---
 
-  // Game loop: controls automatic piece dropping
+  // Keep refs in sync for callbacks that outlive a render
   useEffect(() => {
-    if (gameLoopRef.current) {
-      clearInterval(gameLoopRef.current);
-    }
-    if (isGameStarted && !gameOver && !isPaused) {
-      gameLoopRef.current = setInterval(dropPiece, dropTime);
-    }
+    gameRef.current = game;
+    sessionRef.current = session;
+    settingsRef.current = settings;
+    inputRef.current = { pressAction, releaseAction };
+  }, [game, session, settings, pressAction, releaseAction]);
+
+  // Save a replay of every finished game, rank it on the leaderboard and
+  // add it to the lifetime profile
+  useEffect(() => {
+    if (!gameOver || !hasStarted) return;
+    clearSavedGame();
+    const replay = createReplay(session, getHandling(settingsRef.current));
+    saveReplay(replay);
+    setLastReplay(replay);
 
+    const finished = session.getState();
+    addGameRecord(createGameRecord(finished, session.getStats()));
+    setLastRecord(
+      isRankable(finished)
+        ? addEntry(
+            createEntry(
+              finished,
+              session.options,
+              settingsRef.current.playerName.trim() || "Player"
+            )
+          )
+        : null
+    );
+  }, [gameOver, hasStarted, session]);
+
+  // Save the running game when it is paused, when the tab is hidden (which
+  // includes closing it) and at regular intervals
+  useEffect(() => {
+    if (!isGameStarted) return;
+    const save = () => saveGame(session, activePuzzle);
+    const handleVisibility = () => {
+      if (document.visibilityState === "hidden") save();
+    };
+    if (isPaused) save();
+    const timer = isPaused ? null : setInterval(save, AUTOSAVE_INTERVAL_MS);
+    document.addEventListener("visibilitychange", handleVisibility);
     return () => {
-      if (gameLoopRef.current) {
-        clearInterval(gameLoopRef.current);
-      }
+      clearInterval(timer);
+      document.removeEventListener("visibilitychange", handleVisibility);
     };
-  }, [dropTime, gameOver, isPaused, isGameStarted, dropPiece]);
+  }, [isGameStarted, isPaused, session, activePuzzle]);
 
-  // Keyboard event listener
+  // Ask the bot for the best move whenever the hint is out of date
   useEffect(() => {
-    window.addEventListener("keydown", handleKeyPress);
+    if (hintKey === null) return;
+    let isCurrent = true;
+    getBotWorker()
+      .rankMoves(session.getState(), { limit: 1 })
+      .then(([best]) => {
+        if (isCurrent) setHint({ key: hintKey, cells: best?.cells ?? null });
+      })
+      .catch(() => {
+        // No hint for this piece rather than one stuck waiting
+        if (isCurrent) setHint({ key: hintKey, cells: null });
+      });
     return () => {
-      window.removeEventListener("keydown", handleKeyPress);
+      isCurrent = false;
     };
-  }, [handleKeyPress]);
-
-  // --- Render Board ---
-  const renderBoard = () => {
-    const boardToRender = JSON.parse(JSON.stringify(board)); // Deep copy
-
-    // Draw the current piece on a temporary board for rendering
-    if (currentPiece && !gameOver && !isPaused) {
-      currentPiece.shape.forEach((row, y) => {
-        row.forEach((value, x) => {
-          if (value !== 0) {
-            const boardY = currentPiece.pos.y + y;
-            const boardX = currentPiece.pos.x + x;
-            if (
-              boardToRender[boardY] &&
-              boardToRender[boardY][boardX] &&
-              boardToRender[boardY][boardX][0] === "0"
-            ) {
-              boardToRender[boardY][boardX] = [value, currentPiece.color];
-            }
-          }
-        });
-      });
+  }, [hintKey, session]);
+
+  // Sound effects for every change of the game, and in assist mode a tone
+  // for the height of the stack under the piece
+  useEffect(() => {
+    const audio = getAudioEngine();
+    return session.subscribe((action, previous) => {
+      const next = session.getState();
+      getSoundEvents(previous, next, action).forEach(audio.play);
+      if (settingsRef.current.assist) {
+        const cue = getHeightCue(previous, next);
+        if (cue !== null) audio.playHeightCue(cue);
+      }
+    });
+  }, [session]);
+
+  // Game events for plugins
+  useEffect(() => connectSession(session, getPluginEvents()), [session]);
+
+  // Music plays while a game runs, its tempo rising with the level
+  useEffect(() => {
+    if (!isGameStarted) return;
+    const audio = getAudioEngine();
+    audio.startMusic(session.getState().level);
+    return () => audio.stopMusic();
+  }, [isGameStarted, session]);
+
+  useEffect(() => {
+    getAudioEngine().setLevel(level);
+  }, [level]);
+
+  // All sound freezes while the game is paused
+  useEffect(() => {
+    const audio = getAudioEngine();
+    if (isGameStarted && isPaused) {
+      audio.pause();
+    } else {
+      audio.resume();
     }
+  }, [isGameStarted, isPaused]);
 
-    // Render all cells directly in the grid container
-    return boardToRender
-      .slice(HIDDEN_TOP_ROWS)
-      .map((row, rowIndex) =>
-        row.map((cell, colIndex) => (
-          <div
-            key={`${rowIndex}-${colIndex}`} // Key must be unique across all cells
-            className={`w-6 h-6 border border-gray-600 ${cell[1]} rounded-sm shadow-inner`}
-            style={{
-              boxShadow:
-                cell[0] !== "0" ? "inset 0 0 4px rgba(0,0,0,0.3)" : "none",
-            }}
-          ></div>
-        ))
-      )
-      .flat(); // Flatten the array of arrays of divs into a single array of divs
-  };
-
-  // --- Render Next Piece ---
-  const renderNextPiece = () => {
-    if (!nextPiece) return null;
-    return (
-      <div className="p-2 border border-gray-600 bg-gray-800 rounded-lg shadow-md">
-        <h3 className="text-xl font-bold mb-2 text-white text-center">Next</h3>
-        <div
-          className="grid gap-px mx-auto"
-          style={{
-            gridTemplateColumns: `repeat(${nextPiece.shape[0].length}, minmax(0, 1fr))`,
-            width: `${nextPiece.shape[0].length * 24}px`, // Cell width is 24px (w-6)
-          }}
-        >
-          {nextPiece.shape.map((row, rowIndex) =>
-            row.map((cell, colIndex) => (
-              <div
-                key={`${rowIndex}-${colIndex}`}
-                className={`w-6 h-6 border border-gray-700 ${
-                  cell !== 0 ? nextPiece.color : "bg-gray-900"
-                } rounded-sm`}
-              ></div>
-            ))
-          )}
-        </div>
-      </div>
-    );
-  };
-
-  // --- Render Held Piece ---
-  const renderHeldPiece = () => {
-    if (!heldPiece) {
-      return (
-        <div className="p-2 border border-gray-600 bg-gray-800 rounded-lg shadow-md">
-          <h3 className="text-xl font-bold mb-2 text-white text-center">
-            Hold
-          </h3>
-          <div className="w-24 h-24 flex items-center justify-center bg-gray-900 rounded-sm border border-gray-700 text-gray-500 text-sm">
-            Empty
-          </div>
-        </div>
-      );
+  useEffect(() => {
+    getAudioEngine().setVolumes({
+      music: settings.musicVolume / 100,
+      effects: settings.effectsVolume / 100,
+      muted: settings.muted,
+    });
+  }, [settings.musicVolume, settings.effectsVolume, settings.muted]);
+
+  // Held inputs are dropped when the game stops, e.g. on pause
+  useEffect(() => {
+    runningRef.current = isRunning;
+    if (!isRunning) controllerRef.current.releaseAll();
+  }, [isRunning]);
+
+  // Game loop: every logic frame runs the input controller, then advances
+  // the engine; gravity and lock delay are counted in frames inside the
+  // engine. Gamepads are polled on every display refresh, also when paused
+  // so the pause button can resume the game.
+  useEffect(() => {
+    if (gamepadRef.current === null) {
+      gamepadRef.current = createGamepadPoller({
+        getLookup: () =>
+          createBindingLookup(settingsRef.current.gamepadBindings),
+        onPress: (action) => inputRef.current.pressAction(action),
+        onRelease: (action) => inputRef.current.releaseAction(action),
+      });
     }
-    return (
-      <div className="p-2 border border-gray-600 bg-gray-800 rounded-lg shadow-md">
-        <h3 className="text-xl font-bold mb-2 text-white text-center">Hold</h3>
-        <div
-          className="grid gap-px mx-auto"
-          style={{
-            gridTemplateColumns: `repeat(${heldPiece.shape[0].length}, minmax(0, 1fr))`,
-            width: `${heldPiece.shape[0].length * 24}px`, // Cell width is 24px (w-6)
-          }}
-        >
-          {heldPiece.shape.map((row, rowIndex) =>
-            row.map((cell, colIndex) => (
-              <div
-                key={`${rowIndex}-${colIndex}`}
-                className={`w-6 h-6 border border-gray-700 ${
-                  cell !== 0 ? heldPiece.color : "bg-gray-900"
-                } rounded-sm`}
-              ></div>
-            ))
-          )}
-        </div>
-      </div>
-    );
-  };
+    const poller = gamepadRef.current;
+    const loop = createGameLoop({
+      isRunning: () => runningRef.current,
+      onAnimationFrame: poller.poll,
+      onFrame: () => {
+        controllerRef.current.update(FRAME_MS);
+        sessionRef.current.dispatch({ type: ACTIONS.TICK });
+      },
+    });
+    loop.start();
+    return () => loop.stop();
+  }, []);
+
+  // Switch layouts when the window crosses the lg breakpoint
+  useEffect(() => {
+    const query = window.matchMedia(COMPACT_QUERY);
+    const handleChange = () => setIsCompact(query.matches);
+    query.addEventListener("change", handleChange);
+    return () => query.removeEventListener("change", handleChange);
+  }, []);
+
+  // Keyboard event listeners
+  useEffect(() => {
+    const handleBlur = () => controllerRef.current.releaseAll();
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("blur", handleBlur);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+      window.removeEventListener("blur", handleBlur);
+    };
+  }, [handleKeyDown, handleKeyUp]);
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-black flex items-center justify-center p-4 font-inter text-white">
-      <div className="flex flex-col lg:flex-row gap-8 items-center lg:items-start p-6 bg-gray-800 rounded-xl shadow-2xl border border-gray-700">
-        {/* Game Info Panel */}
-        <div className="flex flex-col gap-6 text-center lg:text-left w-full lg:w-auto">
-          <h1 className="text-5xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-blue-400 to-purple-600 drop-shadow-lg mb-4">
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-black flex items-center justify-center p-1 sm:p-4 font-inter text-white">
+      <Announcer
+        session={session}
+        status={isGameStarted ? (isPaused ? "Paused." : "Playing.") : null}
+      />
+      <div className="flex flex-col lg:flex-row gap-4 lg:gap-8 items-center lg:items-start p-2 sm:p-6 bg-gray-800 rounded-xl shadow-2xl border border-gray-700">
+        {/* Game Info Panel; a compact score bar on narrow screens */}
+        <div className="flex flex-col gap-2 lg:gap-6 text-center lg:text-left w-full lg:w-auto">
+          <h1 className="text-3xl lg:text-5xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-blue-400 to-purple-600 drop-shadow-lg lg:mb-4">
             Tetris
           </h1>
-          <div className="p-4 bg-gray-700 rounded-lg shadow-inner border border-gray-600">
-            <h2 className="text-2xl font-bold mb-2">Score: {score}</h2>
-            <h2 className="text-2xl font-bold">Level: {level}</h2>
+          <div className="grid grid-cols-3 gap-x-2 lg:block p-2 lg:p-4 bg-gray-700 rounded-lg shadow-inner border border-gray-600">
+            <h2 className="text-sm lg:text-2xl font-bold lg:mb-2">
+              Score: {score}
+            </h2>
+            <h2 className="text-sm lg:text-2xl font-bold lg:mb-2">
+              Level: {level}
+            </h2>
+            <h2 className="text-sm lg:text-2xl font-bold lg:mb-2">
+              Lines: {game.lines}
+              {progress.linesLeft !== null && (
+                <span className="text-xs lg:text-base text-gray-300">
+                  {" "}
+                  ({progress.linesLeft} left)
+                </span>
+              )}
+            </h2>
+            <h2 className="text-sm lg:text-2xl font-bold lg:mb-2">
+              Time: {formatFrames(progress.framesLeft ?? game.frame)}
+            </h2>
+            <h2 className="text-sm lg:text-2xl font-bold">
+              PPS: {getPiecesPerSecond(game).toFixed(2)}
+            </h2>
+            {game.goal && (
+              <p className="col-span-3 text-sm lg:text-lg font-semibold text-yellow-300 lg:mt-2">
+                Goal: {describeGoal(game.goal)}
+              </p>
+            )}
           </div>
-          {renderHeldPiece()} {/* Display held piece */}
-          {renderNextPiece()}
+          {!isCompact && (
+            <>
+              <HoldPanel
+                type={game.hold}
+                pieceSet={game.pieceSet}
+                theme={theme}
+                Preview={PiecePreview}
+              />
+              <NextQueue
+                queue={game.queue}
+                pieceSet={game.pieceSet}
+                theme={theme}
+                Preview={PiecePreview}
+              />
+              {hasStarted && (
+                <StatsPanel game={game} stats={stats} theme={theme} />
+              )}
+              <PluginPanels
+                plugins={plugins}
+                game={game}
+                stats={stats}
+                theme={theme}
+              />
+            </>
+          )}
         </div>
 
-        {/* Game Board */}
-        <div
-          className="relative border-4 border-gray-700 rounded-lg shadow-xl overflow-hidden"
-          style={{
-            width: `${BOARD_WIDTH * 24}px`,
-            height: `${BOARD_HEIGHT * 24}px`,
-          }}
-        >
-          {" "}
-          {/* 24px is w-6/h-6 */}
+        {/* Game Board, with hold and next beside it on narrow screens.
+            Gestures anywhere in the row control the piece. */}
+        <div className="flex flex-col gap-3 items-center">
           <div
-            className="grid bg-slate-900" // Changed background to slate-900 for clearer distinction
-            style={{
-              gridTemplateColumns: `repeat(${BOARD_WIDTH}, minmax(0, 1fr))`,
-              gridTemplateRows: `repeat(${BOARD_HEIGHT}, minmax(0, 1fr))`,
-            }}
+            className={`flex gap-2 items-start ${
+              hasGestures ? "touch-none select-none" : ""
+            }`}
+            onPointerDown={hasGestures ? touch.down : undefined}
+            onPointerMove={touch.move}
+            onPointerUp={touch.up}
+            onPointerCancel={touch.cancel}
           >
-            {renderBoard()}
-          </div>
-          {/* Game Over / Paused Overlay */}
-          {(gameOver || isPaused) && (
-            <div className="absolute inset-0 bg-black bg-opacity-70 flex items-center justify-center rounded-lg">
-              <div className="text-center p-4">
-                {gameOver ? (
-                  <>
-                    <h2 className="text-6xl font-extrabold text-red-500 animate-pulse drop-shadow-xl mb-4">
-                      GAME OVER!
-                    </h2>
-                    <p className="text-3xl font-semibold text-white">
-                      Score: {score}
+            {isCompact && hasStarted && (
+              <HoldPanel
+                type={game.hold}
+                pieceSet={game.pieceSet}
+                theme={theme}
+                compact
+                Preview={PiecePreview}
+              />
+            )}
+            {!hasStarted ? (
+              <DemoBoard
+                renderer={settings.renderer}
+                theme={theme}
+                paused={isMenuOpen}
+              />
+            ) : (
+              <Board
+                game={game}
+                hidePiece={isPaused}
+                theme={theme}
+                reserved={isCompact ? compactReserved : undefined}
+                hint={
+                  target?.cells ?? (hint?.key === hintKey ? hint.cells : null)
+                }
+              >
+                {/* Finesse Fault Flash */}
+                {showFault && (
+                  <div className="absolute inset-0 flex flex-col items-center pt-8 rounded-lg ring-4 ring-inset ring-red-500 motion-safe:animate-pulse pointer-events-none">
+                    <p className="text-xl font-extrabold text-red-400 drop-shadow-lg">
+                      FINESSE FAULT
+                      {stats.lastFault.extra > 0 &&
+                        ` +${stats.lastFault.extra}`}
                     </p>
-                    <p className="text-2xl text-gray-300 mt-2">
-                      Press "Reset Game" to play again
+                    <p className="text-sm font-semibold text-white drop-shadow-lg">
+                      Best: {formatPresses(stats.lastFault.optimal)}
                     </p>
-                  </>
-                ) : (
-                  <h2 className="text-6xl font-extrabold text-yellow-400 drop-shadow-xl">
-                    PAUSED
-                  </h2>
+                  </div>
                 )}
-              </div>
-            </div>
+                {/* Line Clear / T-Spin Callout */}
+                {showCallout && (
+                  <div className="absolute inset-x-0 top-1/3 flex flex-col items-center pointer-events-none">
+                    {game.lastClear.callout.map((text) => (
+                      <p
+                        key={text}
+                        className="text-2xl font-extrabold text-yellow-300 drop-shadow-lg"
+                      >
+                        {text}
+                      </p>
+                    ))}
+                  </div>
+                )}
+                {/* Game Over / Paused Overlay */}
+                {(gameOver || isPaused) && (
+                  <div className="absolute inset-0 bg-black bg-opacity-70 flex items-center justify-center rounded-lg">
+                    <div className="text-center">
+                      {gameOver ? (
+                        <ResultsScreen
+                          game={game}
+                          record={lastRecord}
+                          stats={stats}
+                        >
+                          {lastReplay && (
+                            <div className="flex gap-2 justify-center mt-4">
+                              <button
+                                onClick={() => watchReplay(lastReplay)}
+                                className="px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg font-bold hover:bg-gray-600"
+                              >
+                                Watch Replay
+                              </button>
+                              <button
+                                onClick={() => downloadReplay(lastReplay)}
+                                className="px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg font-bold hover:bg-gray-600"
+                              >
+                                Export Replay
+                              </button>
+                            </div>
+                          )}
+                        </ResultsScreen>
+                      ) : (
+                        <h2 className="text-6xl font-extrabold text-yellow-400 drop-shadow-xl">
+                          PAUSED
+                        </h2>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </Board>
+            )}
+            {isCompact && hasStarted && (
+              <NextQueue
+                queue={game.queue}
+                pieceSet={game.pieceSet}
+                theme={theme}
+                compact
+                Preview={PiecePreview}
+              />
+            )}
+          </div>
+          {showTouchPad && (
+            <TouchPad onPress={pressAction} onRelease={releaseAction} />
           )}
         </div>
         <div className="flex flex-col gap-4">
+          {!isGameStarted && activePuzzle && (
+            <div className="flex flex-col gap-1 p-3 bg-gray-700 rounded-lg shadow-inner border border-yellow-500">
+              <h3 className="text-xl font-bold">Puzzle: {activePuzzle.name}</h3>
+              <p className="text-sm text-gray-300">
+                {describeGoal(activePuzzle.goal)} with{" "}
+                {activePuzzle.pieces.length} pieces
+              </p>
+              <button
+                onClick={leavePuzzle}
+                className="self-start px-3 py-1 bg-gray-800 border border-gray-600 rounded-lg text-sm font-bold hover:bg-gray-600"
+              >
+                Back to Modes
+              </button>
+            </div>
+          )}
+          {!isGameStarted && !activePuzzle && (
+            <ModeSelector
+              mode={settings.mode}
+              onChange={(mode) => updateSetting("mode", mode)}
+            />
+          )}
+
+          {!hasStarted && savedGame && (
+            <button
+              onClick={continueGame}
+              disabled={Boolean(resumeProblem)}
+              className={`w-full px-6 py-3 bg-gradient-to-r ${
+                resumeProblem
+                  ? "from-gray-500 to-gray-600 cursor-not-allowed"
+                  : "from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700"
+              } text-white text-xl font-bold rounded-lg shadow-lg transition duration-300 transform motion-safe:hover:scale-105 motion-safe:active:scale-95 border-b-4 ${
+                resumeProblem ? "border-gray-700" : "border-indigo-800"
+              }`}
+            >
+              Continue Game
+              <span className="block text-sm font-semibold text-blue-100">
+                {resumeProblem ?? (
+                  <>
+                    {getModeRules(savedGame.state.mode).label} ·{" "}
+                    {savedGame.state.score} pts ·{" "}
+                    {formatFrames(savedGame.state.frame)}
+                  </>
+                )}
+              </span>
+            </button>
+          )}
           {!isGameStarted && !gameOver && (
             <button
               onClick={startGame}
-              className="w-full px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-green-600 hover:to-emerald-700 transition duration-300 transform hover:scale-105 active:scale-95 border-b-4 border-emerald-800"
+              className="w-full px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-green-600 hover:to-emerald-700 transition duration-300 transform motion-safe:hover:scale-105 motion-safe:active:scale-95 border-b-4 border-emerald-800"
             >
               Start Game
             </button>
@@ -627,36 +866,159 @@ function App() {
             <>
               <button
                 onClick={togglePause}
-                className="w-full px-6 py-3 bg-gradient-to-r from-yellow-500 to-amber-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-yellow-600 hover:to-amber-700 transition duration-300 transform hover:scale-105 active:scale-95 border-b-4 border-amber-800"
+                className="w-full px-6 py-3 bg-gradient-to-r from-yellow-500 to-amber-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-yellow-600 hover:to-amber-700 transition duration-300 transform motion-safe:hover:scale-105 motion-safe:active:scale-95 border-b-4 border-amber-800"
               >
                 {isPaused ? "Resume" : "Pause"}
               </button>
               <button
                 onClick={handleHold}
-                disabled={!canHold} // Disable if already held this turn
+                disabled={!game.canHold} // Disable if already held this turn
                 className={`w-full px-6 py-3 bg-gradient-to-r ${
-                  canHold
+                  game.canHold
                     ? "from-purple-500 to-indigo-600 hover:from-purple-600 hover:to-indigo-700"
                     : "from-gray-500 to-gray-600 cursor-not-allowed"
-                } text-white text-xl font-bold rounded-lg shadow-lg transition duration-300 transform hover:scale-105 active:scale-95 border-b-4 ${
-                  canHold ? "border-indigo-800" : "border-gray-700"
+                } text-white text-xl font-bold rounded-lg shadow-lg transition duration-300 transform motion-safe:hover:scale-105 motion-safe:active:scale-95 border-b-4 ${
+                  game.canHold ? "border-indigo-800" : "border-gray-700"
                 }`}
               >
-                Hold Piece (C)
+                Hold Piece{holdKey && ` (${formatKey(holdKey)})`}
               </button>
+              {(game.mode === MODES.ZEN || isPractice) && (
+                <button
+                  onClick={() => session.dispatch({ type: ACTIONS.FINISH })}
+                  className="w-full px-6 py-3 bg-gradient-to-r from-sky-500 to-blue-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-sky-600 hover:to-blue-700 transition duration-300 transform motion-safe:hover:scale-105 motion-safe:active:scale-95 border-b-4 border-blue-800"
+                >
+                  Finish Session
+                </button>
+              )}
             </>
           )}
 
           {(isGameStarted || gameOver) && (
             <button
               onClick={startGame} // startGame also acts as reset
-              className="w-full px-6 py-3 bg-gradient-to-r from-red-500 to-rose-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-red-600 hover:to-rose-700 transition duration-300 transform hover:scale-105 active:scale-95 border-b-4 border-rose-800"
+              className="w-full px-6 py-3 bg-gradient-to-r from-red-500 to-rose-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-red-600 hover:to-rose-700 transition duration-300 transform motion-safe:hover:scale-105 motion-safe:active:scale-95 border-b-4 border-rose-800"
             >
               Reset Game
             </button>
           )}
+
+          <button
+            onClick={openVersus}
+            className="w-full px-6 py-3 bg-gradient-to-r from-fuchsia-500 to-pink-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-fuchsia-600 hover:to-pink-700 transition duration-300 transform motion-safe:hover:scale-105 motion-safe:active:scale-95 border-b-4 border-pink-800"
+          >
+            Versus
+          </button>
+          <button
+            onClick={openOnline}
+            className="w-full px-6 py-3 bg-gradient-to-r from-fuchsia-500 to-pink-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-fuchsia-600 hover:to-pink-700 transition duration-300 transform motion-safe:hover:scale-105 motion-safe:active:scale-95 border-b-4 border-pink-800"
+          >
+            Online
+          </button>
+          <button
+            onClick={openPuzzles}
+            className="w-full px-6 py-3 bg-gradient-to-r from-teal-500 to-cyan-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-teal-600 hover:to-cyan-700 transition duration-300 transform motion-safe:hover:scale-105 motion-safe:active:scale-95 border-b-4 border-cyan-800"
+          >
+            Puzzles
+          </button>
+          <button
+            onClick={openLeaderboard}
+            className="w-full px-6 py-3 bg-gradient-to-r from-slate-500 to-slate-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-slate-600 hover:to-slate-700 transition duration-300 transform motion-safe:hover:scale-105 motion-safe:active:scale-95 border-b-4 border-slate-800"
+          >
+            Leaderboard
+          </button>
+          <button
+            onClick={openProfile}
+            className="w-full px-6 py-3 bg-gradient-to-r from-slate-500 to-slate-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-slate-600 hover:to-slate-700 transition duration-300 transform motion-safe:hover:scale-105 motion-safe:active:scale-95 border-b-4 border-slate-800"
+          >
+            Profile
+          </button>
+          <button
+            onClick={openReplays}
+            className="w-full px-6 py-3 bg-gradient-to-r from-slate-500 to-slate-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-slate-600 hover:to-slate-700 transition duration-300 transform motion-safe:hover:scale-105 motion-safe:active:scale-95 border-b-4 border-slate-800"
+          >
+            Replays
+          </button>
+          <button
+            onClick={openControls}
+            className="w-full px-6 py-3 bg-gradient-to-r from-slate-500 to-slate-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-slate-600 hover:to-slate-700 transition duration-300 transform motion-safe:hover:scale-105 motion-safe:active:scale-95 border-b-4 border-slate-800"
+          >
+            Controls
+          </button>
+          <button
+            onClick={openSettings}
+            className="w-full px-6 py-3 bg-gradient-to-r from-slate-500 to-slate-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-slate-600 hover:to-slate-700 transition duration-300 transform motion-safe:hover:scale-105 motion-safe:active:scale-95 border-b-4 border-slate-800"
+          >
+            Settings
+          </button>
+          {isCompact && hasStarted && (
+            <StatsPanel game={game} stats={stats} theme={theme} />
+          )}
+          {isCompact && (
+            <PluginPanels
+              plugins={plugins}
+              game={game}
+              stats={stats}
+              theme={theme}
+            />
+          )}
         </div>
       </div>
+      {showVersus && (
+        <VersusScreen
+          settings={settings}
+          onClose={() => setShowVersus(false)}
+        />
+      )}
+      {showOnline && (
+        <OnlineScreen
+          settings={settings}
+          onClose={() => setShowOnline(false)}
+        />
+      )}
+      {showPuzzles && (
+        <PuzzlesPanel
+          onPlay={playPuzzle}
+          onClose={() => setShowPuzzles(false)}
+        />
+      )}
+      {showLeaderboard && (
+        <LeaderboardPanel
+          mode={settings.mode}
+          profile={getProfileKey(getGameOptions(settings))}
+          onClose={() => setShowLeaderboard(false)}
+        />
+      )}
+      {showProfile && <ProfilePanel onClose={() => setShowProfile(false)} />}
+      {showReplays && (
+        <ReplaysPanel
+          onWatch={watchReplay}
+          onClose={() => setShowReplays(false)}
+        />
+      )}
+      {watchedReplay && (
+        <ReplayViewer
+          replay={watchedReplay}
+          renderer={settings.renderer}
+          theme={theme}
+          onClose={() => setWatchedReplay(null)}
+        />
+      )}
+      {showControls && (
+        <ControlsPanel
+          keyBindings={settings.keyBindings}
+          gamepadBindings={settings.gamepadBindings}
+          onChange={updateSetting}
+          onClose={() => setShowControls(false)}
+        />
+      )}
+      {showSettings && (
+        <SettingsPanel
+          settings={settings}
+          onChange={updateSetting}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
       <link
         rel="stylesheet"
         href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0-beta3/css/all.min.css"
@@ -0,0 +1,169 @@
+// --- Bot ---
+// The placement search behind a Web Worker, plus a player that turns its
+// moves into paced engine actions. Used for the hint overlay, the title
+// screen demo and the CPU opponent in versus.
+
+export const BOT_LEVELS = {
+  EASY: "easy",
+  MEDIUM: "medium",
+  HARD: "hard",
+  EXPERT: "expert",
+};
+
+// Frames to think before the first input and between inputs, and how often
+// the bot settles for one of the next best moves instead of the best one
+export const BOT_LEVEL_SETTINGS = {
+  [BOT_LEVELS.EASY]: {
+    label: "Easy",
+    thinkFrames: 40,
+    actionFrames: 10,
+    mistakeRate: 0.35,
+  },
+  [BOT_LEVELS.MEDIUM]: {
+    label: "Medium",
+    thinkFrames: 20,
+    actionFrames: 5,
+    mistakeRate: 0.12,
+  },
+  [BOT_LEVELS.HARD]: {
+    label: "Hard",
+    thinkFrames: 8,
+    actionFrames: 2,
+    mistakeRate: 0.03,
+  },
+  [BOT_LEVELS.EXPERT]: {
+    label: "Expert",
+    thinkFrames: 0,
+    actionFrames: 0,
+    mistakeRate: 0,
+  },
+};
+
+const MISTAKE_CHOICES = 4; // A mistake picks among this many runner-ups
+
+/**
+ * Starts a worker running the placement search. A failed search rejects
+ * its request; a worker that fails to load or crashes rejects every
+ * pending request and all later ones.
+ * @returns {object} The bot (rankMoves, terminate).
+ */
+export const createBotWorker = () => {
+  const worker = new Worker(new URL("./worker.js", import.meta.url), {
+    type: "module",
+  });
+  const pending = new Map(); // Request id -> { resolve, reject }
+  let nextId = 0;
+  let failure = null; // Set once the worker is unusable
+
+  worker.onmessage = ({ data: { id, moves, error } }) => {
+    const request = pending.get(id);
+    pending.delete(id);
+    if (error === undefined) request?.resolve(moves);
+    else request?.reject(new Error(error));
+  };
+
+  const fail = () => {
+    failure = new Error("The bot worker stopped.");
+    worker.terminate();
+    pending.forEach(({ reject }) => reject(failure));
+    pending.clear();
+  };
+  worker.onerror = fail;
+  worker.onmessageerror = fail;
+
+  return {
+    /**
+     * Ranks the moves for the current piece of a game.
+     * @param {object} state - The game state.
+     * @param {object} [options] - Options for `rankMoves` (weights, limit).
+     * @returns {Promise<Array<object>>} Moves from best to worst.
+     */
+    rankMoves: (state, options) =>
+      new Promise((resolve, reject) => {
+        if (failure) {
+          reject(failure);
+          return;
+        }
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ id, state, options });
+      }),
+    terminate: () => {
+      worker.terminate();
+      pending.clear();
+    },
+  };
+};
+
+let sharedWorker = null;
+
+/**
+ * Returns the worker shared by everything on the page that needs a bot,
+ * starting it on first use.
+ * @returns {object} The bot worker.
+ */
+export const getBotWorker = () => {
+  sharedWorker ??= createBotWorker();
+  return sharedWorker;
+};
+
+/**
+ * Creates a bot that plays a game through its dispatch, one input at a
+ * time at the pace of its level.
+ * @param {object} options
+ * @param {function(): object} options.getState - Returns the game state.
+ * @param {function(object): void} options.dispatch - Receives engine actions.
+ * @param {string} options.level - One of BOT_LEVELS.
+ * @param {object} [options.worker] - The bot worker; the shared one by default.
+ * @returns {object} The player (update), to be updated once per frame.
+ */
+export const createBotPlayer = ({
+  getState,
+  dispatch,
+  level,
+  worker = getBotWorker(),
+}) => {
+  const { thinkFrames, actionFrames, mistakeRate } = BOT_LEVEL_SETTINGS[level];
+  let plan = null; // { piece, actions, index } for the piece being placed
+  let requestedFor = null; // Piece count the last search was started for
+  let wait = 0;
+
+  const pickMove = (moves) => {
+    if (moves.length > 1 && Math.random() < mistakeRate) {
+      const choices = Math.min(MISTAKE_CHOICES, moves.length - 1);
+      return moves[1 + Math.floor(Math.random() * choices)];
+    }
+    return moves[0];
+  };
+
+  /**
+   * Runs one frame: starts a search for a new piece, or plays the next
+   * input of the plan once the wait is over.
+   */
+  const update = () => {
+    const state = getState();
+    if (state.gameOver) return;
+    if (wait > 0) wait--;
+
+    if (plan?.piece !== state.pieces) {
+      if (requestedFor === state.pieces) return; // Still thinking
+      const piece = state.pieces;
+      requestedFor = piece;
+      wait = thinkFrames;
+      worker
+        .rankMoves(state, { limit: MISTAKE_CHOICES + 1 })
+        .then((moves) => {
+          if (getState().pieces !== piece || moves.length === 0) return;
+          plan = { piece, actions: pickMove(moves).actions, index: 0 };
+        })
+        .catch(() => {}); // Without a search the bot sits this piece out
+      return;
+    }
+
+    if (wait > 0 || plan.index >= plan.actions.length) return;
+    dispatch({ type: plan.actions[plan.index++] });
+    wait = actionFrames;
+  };
+
+  return { update };
+};
@@ -0,0 +1,78 @@
+// --- Finesse ---
+// Finesse is placing each piece with as few key presses as possible, where
+// holding a direction until the piece reaches the wall (DAS) counts as a
+// single press. The shortest input sequences come from the placement search
+// run with those inputs and without soft drop, so tucks and spins are left
+// out: they are judged on whether they work, not on key count.
+
+import { ACTIONS, checkCollision, getPieceCells } from "../engine/index.js";
+import { PLACEMENT_MOVES, findPlacements, getCellsKey } from "./search.js";
+
+// Inputs on top of the engine's ACTIONS
+export const FINESSE_INPUTS = {
+  DAS_LEFT: "dasLeft", // Hold left until the piece stops
+  DAS_RIGHT: "dasRight",
+};
+
+/**
+ * Makes a move that shifts a piece as far as it goes.
+ * @param {number} x - Direction, -1 for left or 1 for right.
+ * @returns {function(object, Array<Array<string>>): object|null} The move.
+ */
+const shiftToWall = (x) => (piece, board) => {
+  let distance = 0;
+  while (!checkCollision(piece, board, { x: distance + x, y: 0 })) {
+    distance += x;
+  }
+  return distance === 0
+    ? null
+    : { ...piece, pos: { x: piece.pos.x + distance, y: piece.pos.y } };
+};
+
+const FINESSE_MOVES = [
+  ...PLACEMENT_MOVES.filter(([action]) => action !== ACTIONS.SOFT_DROP),
+  [FINESSE_INPUTS.DAS_LEFT, shiftToWall(-1)],
+  [FINESSE_INPUTS.DAS_RIGHT, shiftToWall(1)],
+];
+
+/**
+ * Finds the fewest presses for every placement a freshly spawned piece can
+ * reach without soft dropping.
+ * @param {object} piece - The piece at its spawn position.
+ * @param {Array<Array<string>>} board - The board it spawned on.
+ * @param {string} kicks - One of KICKS, from the piece set.
+ * @returns {Map<string, { cells: Array<object>, presses: Array<string> }>}
+ *   The cells of each placement and its presses, hard drop not included,
+ *   by cells key (see `getCellsKey`), in search order.
+ */
+export const getFinesseTable = (piece, board, kicks) =>
+  new Map(
+    findPlacements(piece, board, kicks, FINESSE_MOVES).map(
+      ({ piece: landed, actions }) => {
+        const cells = getPieceCells(landed);
+        return [getCellsKey(cells), { cells, presses: actions.slice(0, -1) }];
+      }
+    )
+  );
+
+/**
+ * Judges how a piece was placed.
+ * @param {object} placement
+ * @param {object} placement.piece - The piece at its spawn position.
+ * @param {Array<Array<string>>} placement.board - The board it spawned on.
+ * @param {string} placement.kicks - One of KICKS, from the piece set.
+ * @param {Array<{ x: number, y: number }>} placement.cells - Where it
+ *   locked.
+ * @param {number} placement.presses - Moves and rotations the player used.
+ * @returns {{ optimal: Array<string>, extra: number }|null} The shortest
+ *   presses and how many more the player used, or null if the placement
+ *   needs a soft drop and is not judged.
+ */
+export const checkFinesse = ({ piece, board, kicks, cells, presses }) => {
+  const placement = getFinesseTable(piece, board, kicks).get(
+    getCellsKey(cells)
+  );
+  if (!placement) return null;
+  const optimal = placement.presses;
+  return { optimal, extra: Math.max(0, presses - optimal.length) };
+};
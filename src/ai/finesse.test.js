@@ -0,0 +1,96 @@
+// --- Finesse Tests ---
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  ACTIONS,
+  KICKS,
+  MODES,
+  STANDARD_SET,
+  createEmptyBoard,
+  spawnPiece,
+} from "../engine/index.js";
+import { createSession } from "../game/session.js";
+import { FINESSE_INPUTS, checkFinesse, getFinesseTable } from "./finesse.js";
+
+const GAME = { width: 10, hiddenRows: 2, pieceSet: STANDARD_SET };
+const BOARD = createEmptyBoard(10, 22);
+
+/**
+ * Lists the cells of a flat O in two columns on the floor of BOARD.
+ * @param {number} x - The left column.
+ * @returns {Array<{ x: number, y: number }>} The cells.
+ */
+const oOnFloor = (x) => [
+  { x, y: 20 },
+  { x: x + 1, y: 20 },
+  { x, y: 21 },
+  { x: x + 1, y: 21 },
+];
+
+describe("getFinesseTable", () => {
+  it("counts holding a direction to the wall as one press", () => {
+    const table = getFinesseTable(spawnPiece("O", GAME), BOARD, KICKS.SRS);
+    const [left] = [...table.values()].filter(({ cells }) =>
+      cells.every(({ x }) => x <= 1)
+    );
+    assert.deepEqual(left.presses, [FINESSE_INPUTS.DAS_LEFT]);
+  });
+
+  it("needs no presses to drop where the piece spawned", () => {
+    const table = getFinesseTable(spawnPiece("O", GAME), BOARD, KICKS.SRS);
+    assert.ok([...table.values()].some(({ presses }) => presses.length === 0));
+  });
+});
+
+describe("checkFinesse", () => {
+  const piece = spawnPiece("O", GAME);
+
+  it("counts the presses over the fewest possible", () => {
+    const judge = (presses) =>
+      checkFinesse({
+        piece,
+        board: BOARD,
+        kicks: KICKS.SRS,
+        cells: oOnFloor(0),
+        presses,
+      });
+    assert.deepEqual(judge(1), {
+      optimal: [FINESSE_INPUTS.DAS_LEFT],
+      extra: 0,
+    });
+    assert.equal(judge(4).extra, 3);
+  });
+
+  it("does not judge tucks that need a soft drop", () => {
+    const board = BOARD.map((row, y) =>
+      y === 19 ? row.map((cell, x) => (x < 3 ? "Z" : cell)) : row
+    );
+    const finesse = checkFinesse({
+      piece,
+      board,
+      kicks: KICKS.SRS,
+      cells: oOnFloor(0),
+      presses: 2,
+    });
+    assert.equal(finesse, null);
+  });
+});
+
+describe("finesse faults in a game", () => {
+  it("are counted when a piece takes extra presses", () => {
+    const session = createSession({ mode: MODES.MARATHON, pieces: [..."OOO"] });
+    [1, 2, 3, 4].forEach(() => session.dispatch({ type: ACTIONS.MOVE_LEFT }));
+    session.dispatch({ type: ACTIONS.HARD_DROP });
+    const { finesseFaults, lastFault } = session.getStats();
+    assert.equal(finesseFaults, 1);
+    assert.equal(lastFault.extra, 3);
+  });
+
+  it("are not counted for the fewest presses", () => {
+    const session = createSession({ mode: MODES.MARATHON, pieces: [..."OOO"] });
+    session.dispatch({ type: ACTIONS.MOVE_LEFT, toWall: true });
+    session.dispatch({ type: ACTIONS.HARD_DROP });
+    assert.equal(session.getStats().finesseFaults, 0);
+  });
+});
@@ -0,0 +1,64 @@
+// --- Placement Heuristic ---
+// Scores a board after a piece has locked. The features and default
+// weights are the classic four from Yiyuan Lee's near-perfect Tetris bot;
+// pass other weights to tune the bot's style.
+
+import { EMPTY_CELL } from "../engine/index.js";
+
+export const DEFAULT_WEIGHTS = {
+  aggregateHeight: -0.51,
+  lines: 0.76,
+  holes: -0.36,
+  bumpiness: -0.18,
+};
+
+/**
+ * Measures the height of every column, from the floor to its top cell.
+ * @param {Array<Array<string>>} board - The board.
+ * @returns {Array<number>} One height per column.
+ */
+export const getColumnHeights = (board) =>
+  board[0].map((_, x) => {
+    const top = board.findIndex((row) => row[x] !== EMPTY_CELL);
+    return top === -1 ? 0 : board.length - top;
+  });
+
+/**
+ * Counts empty cells that have a filled cell somewhere above them.
+ * @param {Array<Array<string>>} board - The board.
+ * @returns {number} The number of holes.
+ */
+export const countHoles = (board) => {
+  let holes = 0;
+  for (let x = 0; x < board[0].length; x++) {
+    let covered = false;
+    for (const row of board) {
+      if (row[x] !== EMPTY_CELL) covered = true;
+      else if (covered) holes++;
+    }
+  }
+  return holes;
+};
+
+/**
+ * Scores a board; higher is better.
+ * @param {Array<Array<string>>} board - The board after clearing lines.
+ * @param {number} lines - Lines cleared by the placement.
+ * @param {object} weights - Weights in the shape of DEFAULT_WEIGHTS.
+ * @returns {number} The score.
+ */
+export const evaluateBoard = (board, lines, weights = DEFAULT_WEIGHTS) => {
+  const heights = getColumnHeights(board);
+  let aggregateHeight = 0;
+  let bumpiness = 0;
+  heights.forEach((height, x) => {
+    aggregateHeight += height;
+    if (x > 0) bumpiness += Math.abs(height - heights[x - 1]);
+  });
+  return (
+    weights.aggregateHeight * aggregateHeight +
+    weights.lines * lines +
+    weights.holes * countHoles(board) +
+    weights.bumpiness * bumpiness
+  );
+};
@@ -0,0 +1,155 @@
+// --- Placement Search ---
+// Finds every placement a piece can reach with the engine's own movement
+// rules (checkCollision for shifts, rotatePiece for kicks), so tucks and
+// spins are found along with plain drops. Each placement comes with the
+// shortest list of actions that gets the piece there.
+
+import {
+  ACTIONS,
+  KICKS,
+  checkCollision,
+  clearFullRows,
+  getGhostPiece,
+  getPieceCells,
+  mergePiece,
+  rotatePiece,
+  spawnPiece,
+} from "../engine/index.js";
+import { DEFAULT_WEIGHTS, evaluateBoard } from "./heuristic.js";
+
+/**
+ * Moves a piece if the target is free.
+ * @param {object} piece - The piece.
+ * @param {Array<Array<string>>} board - The board.
+ * @param {number} x - Horizontal offset.
+ * @param {number} y - Vertical offset.
+ * @returns {object|null} The moved piece, or null if blocked.
+ */
+const movePiece = (piece, board, x, y) =>
+  checkCollision(piece, board, { x, y })
+    ? null
+    : { ...piece, pos: { x: piece.pos.x + x, y: piece.pos.y + y } };
+
+/**
+ * Makes a move that rotates a piece with the kicks of its set.
+ * @param {number} turns - Clockwise quarter turns.
+ * @returns {function(object, Array<Array<string>>, string): object|null}
+ *   The move.
+ */
+const turn = (turns) => (piece, board, kicks) =>
+  rotatePiece(piece, board, turns, kicks);
+
+// One input each; soft drop moves a single row
+export const PLACEMENT_MOVES = [
+  [ACTIONS.MOVE_LEFT, (piece, board) => movePiece(piece, board, -1, 0)],
+  [ACTIONS.MOVE_RIGHT, (piece, board) => movePiece(piece, board, 1, 0)],
+  [ACTIONS.ROTATE_CW, turn(1)],
+  [ACTIONS.ROTATE_CCW, turn(3)],
+  [ACTIONS.ROTATE_180, turn(2)],
+  [ACTIONS.SOFT_DROP, (piece, board) => movePiece(piece, board, 0, 1)],
+];
+
+/**
+ * Identifies a piece position; rotation matters for kicks later on.
+ * @param {object} piece - The piece.
+ * @returns {string} The key.
+ */
+const getStateKey = (piece) =>
+  `${piece.pos.x},${piece.pos.y},${piece.rotation}`;
+
+/**
+ * Identifies a set of board cells, so rotations that fill the same cells
+ * (O, or S/Z/I on their two flat sides) count as one placement.
+ * @param {Array<{ x: number, y: number }>} cells - The cells.
+ * @returns {string} The key.
+ */
+export const getCellsKey = (cells) =>
+  cells
+    .map(({ x, y }) => `${x},${y}`)
+    .sort()
+    .join(" ");
+
+/**
+ * Lists every placement a piece can reach, breadth-first so each one keeps
+ * its shortest input sequence.
+ * @param {object} piece - The piece at its starting position.
+ * @param {Array<Array<string>>} board - The board.
+ * @param {string} [kicks] - One of KICKS, from the piece set.
+ * @param {Array<[string, Function]>} [moves] - The inputs to search with,
+ *   as [action, move] pairs; a move returns the piece after the input, or
+ *   null if it is blocked.
+ * @returns {Array<{ piece: object, actions: Array<string> }>} Landed pieces
+ *   with the actions that place them, ending in a hard drop.
+ */
+export const findPlacements = (
+  piece,
+  board,
+  kicks = KICKS.SRS,
+  moves = PLACEMENT_MOVES
+) => {
+  const visited = new Set([getStateKey(piece)]);
+  const placements = new Map();
+  const queue = [{ piece, actions: [] }];
+
+  for (let i = 0; i < queue.length; i++) {
+    const { piece: current, actions } = queue[i];
+    const landed = getGhostPiece(current, board);
+    const cellsKey = getCellsKey(getPieceCells(landed));
+    if (!placements.has(cellsKey)) {
+      placements.set(cellsKey, {
+        piece: landed,
+        actions: [...actions, ACTIONS.HARD_DROP],
+      });
+    }
+
+    for (const [action, move] of moves) {
+      const next = move(current, board, kicks);
+      if (!next) continue;
+      const key = getStateKey(next);
+      if (visited.has(key)) continue;
+      visited.add(key);
+      queue.push({ piece: next, actions: [...actions, action] });
+    }
+  }
+  return [...placements.values()];
+};
+
+/**
+ * Scores every placement of the current piece and, if holding is allowed,
+ * of the piece that holding would bring in.
+ * @param {object} state - The game state.
+ * @param {object} options
+ * @param {object} [options.weights] - Heuristic weights.
+ * @param {number} [options.limit] - How many of the best moves to return.
+ * @returns {Array<{ actions: Array<string>, cells: Array<{ x: number, y: number }>, score: number }>}
+ *   Moves from best to worst.
+ */
+export const rankMoves = (
+  state,
+  { weights = DEFAULT_WEIGHTS, limit = Infinity } = {}
+) => {
+  const candidates = [{ piece: state.current, prefix: [] }];
+  const holdType = state.hold ?? state.queue[0]; // None if a puzzle ran out
+  if (state.canHold && holdType && holdType !== state.current.type) {
+    const piece = spawnPiece(holdType, state);
+    if (!checkCollision(piece, state.board, { x: 0, y: 0 })) {
+      candidates.push({ piece, prefix: [ACTIONS.HOLD] });
+    }
+  }
+
+  const moves = candidates.flatMap(({ piece, prefix }) =>
+    findPlacements(piece, state.board, state.pieceSet.kicks).map(
+      (placement) => {
+        const { board, cleared } = clearFullRows(
+          mergePiece(state.board, placement.piece)
+        );
+        return {
+          actions: [...prefix, ...placement.actions],
+          cells: getPieceCells(placement.piece),
+          score: evaluateBoard(board, cleared, weights),
+        };
+      }
+    )
+  );
+  return moves.sort((a, b) => b.score - a.score).slice(0, limit);
+};
@@ -0,0 +1,14 @@
+// --- Bot Worker ---
+// Runs the placement search off the main thread. Requests are
+// `{ id, state, options }` and every reply echoes the id with the moves, or
+// with an error message if the search failed.
+
+import { rankMoves } from "./search.js";
+
+self.onmessage = ({ data: { id, state, options } }) => {
+  try {
+    self.postMessage({ id, moves: rankMoves(state, options) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
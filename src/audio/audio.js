@@ -0,0 +1,164 @@
+// --- Audio Engine ---
+// Routes effects and music through separate volume nodes into a master
+// gain used for muting. The audio context is created on first use: browsers
+// only let it run after a user gesture, such as the key or click that
+// starts a game.
+
+import { createMusicPlayer } from "./music.js";
+import {
+  EFFECTS,
+  createHeightCue,
+  createNoiseBuffer,
+  playTone,
+} from "./sounds.js";
+
+/**
+ * Creates an audio engine. Without Web Audio support every call is a
+ * no-op, so the game simply stays silent.
+ * @returns {object} The engine (play, playHeightCue, startMusic, stopMusic,
+ *   setLevel, setVolumes, pause, resume).
+ */
+export const createAudioEngine = () => {
+  let nodes = null; // { context, master, music, effects, noise, player }
+  let volumes = { music: 0.5, effects: 0.8, muted: false };
+  let isPaused = false;
+
+  /**
+   * Applies the volumes to the gain nodes.
+   */
+  const applyVolumes = () => {
+    if (!nodes) return;
+    const now = nodes.context.currentTime;
+    nodes.master.gain.setValueAtTime(volumes.muted ? 0 : 1, now);
+    nodes.music.gain.setValueAtTime(volumes.music, now);
+    nodes.effects.gain.setValueAtTime(volumes.effects, now);
+  };
+
+  /**
+   * Returns the audio graph, creating it on first use.
+   * @returns {object|null} The nodes, or null without Web Audio.
+   */
+  const getNodes = () => {
+    if (nodes) return nodes;
+    const AudioContext = window.AudioContext ?? window.webkitAudioContext;
+    if (!AudioContext) return null;
+    const context = new AudioContext();
+    const master = context.createGain();
+    const music = context.createGain();
+    const effects = context.createGain();
+    master.connect(context.destination);
+    music.connect(master);
+    effects.connect(master);
+    nodes = {
+      context,
+      master,
+      music,
+      effects,
+      noise: createNoiseBuffer(context),
+      player: createMusicPlayer(context, music),
+    };
+    applyVolumes();
+    return nodes;
+  };
+
+  /**
+   * Plays tones on the effects channel.
+   * @param {Array<object>} tones - The tones, see EFFECTS.
+   */
+  const playTones = (tones) => {
+    const audio = getNodes();
+    if (!audio || isPaused) return;
+    if (audio.context.state === "suspended") audio.context.resume();
+    tones.forEach((tone) =>
+      playTone(audio.context, audio.effects, tone, audio.noise)
+    );
+  };
+
+  /**
+   * Plays a sound effect.
+   * @param {string} sound - One of SOUNDS.
+   */
+  const play = (sound) => playTones(EFFECTS[sound]);
+
+  /**
+   * Plays the assist cue for the stack height under the piece.
+   * @param {number} ratio - The height as a fraction of the board, 0-1.
+   */
+  const playHeightCue = (ratio) => playTones(createHeightCue(ratio));
+
+  /**
+   * Starts the music from the top.
+   * @param {number} level - The level to set the tempo for.
+   */
+  const startMusic = (level) => {
+    const audio = getNodes();
+    if (!audio) return;
+    if (!isPaused && audio.context.state === "suspended") {
+      audio.context.resume();
+    }
+    audio.player.start(level);
+  };
+
+  /**
+   * Stops the music.
+   */
+  const stopMusic = () => nodes?.player.stop();
+
+  /**
+   * Sets the music tempo for a level.
+   * @param {number} level - The game level.
+   */
+  const setLevel = (level) => nodes?.player.setLevel(level);
+
+  /**
+   * Updates the volumes.
+   * @param {object} next
+   * @param {number} next.music - Music volume, 0-1.
+   * @param {number} next.effects - Effects volume, 0-1.
+   * @param {boolean} next.muted - Silences everything.
+   */
+  const setVolumes = (next) => {
+    volumes = next;
+    applyVolumes();
+  };
+
+  /**
+   * Freezes all sound, e.g. while the game is paused. The music resumes
+   * where it stopped.
+   */
+  const pause = () => {
+    isPaused = true;
+    nodes?.context.suspend();
+  };
+
+  /**
+   * Undoes `pause`.
+   */
+  const resume = () => {
+    isPaused = false;
+    nodes?.context.resume();
+  };
+
+  return {
+    play,
+    playHeightCue,
+    startMusic,
+    stopMusic,
+    setLevel,
+    setVolumes,
+    pause,
+    resume,
+  };
+};
+
+let sharedEngine = null;
+
+/**
+ * Returns the audio engine shared by the whole app, so there is a single
+ * audio context and one set of volumes.
+ * @returns {object} The engine.
+ */
+export const getAudioEngine = () => {
+  sharedEngine ??= createAudioEngine();
+  return sharedEngine;
+};
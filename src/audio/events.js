@@ -0,0 +1,90 @@
+// --- Sound Events ---
+// Works out which effects an engine step should sound by comparing the
+// states before and after it, so the engine itself stays silent.
+
+import { getColumnHeights } from "../ai/heuristic.js";
+import {
+  ACTIONS,
+  END_REASONS,
+  T_SPIN,
+  getPieceCells,
+} from "../engine/index.js";
+import { SOUNDS } from "./sounds.js";
+
+const CLEAR_SOUNDS = [null, SOUNDS.SINGLE, SOUNDS.DOUBLE, SOUNDS.TRIPLE];
+
+// Inputs that sound by themselves when they change the game
+const ACTION_SOUNDS = {
+  [ACTIONS.MOVE_LEFT]: SOUNDS.MOVE,
+  [ACTIONS.MOVE_RIGHT]: SOUNDS.MOVE,
+  [ACTIONS.ROTATE_CW]: SOUNDS.ROTATE,
+  [ACTIONS.ROTATE_CCW]: SOUNDS.ROTATE,
+  [ACTIONS.ROTATE_180]: SOUNDS.ROTATE,
+  [ACTIONS.HOLD]: SOUNDS.HOLD,
+  [ACTIONS.SOFT_DROP]: SOUNDS.SOFT_DROP,
+};
+
+/**
+ * Lists the effects for one engine step.
+ * @param {object} previous - The state before the action.
+ * @param {object} next - The state after it.
+ * @param {object} action - The engine action that was applied.
+ * @returns {Array<string>} SOUNDS to play, possibly none.
+ */
+export const getSoundEvents = (previous, next, action) => {
+  const sounds = [];
+
+  if (next.lastLock !== previous.lastLock) {
+    sounds.push(
+      action.type === ACTIONS.HARD_DROP ? SOUNDS.HARD_DROP : SOUNDS.LOCK
+    );
+    const clear = next.lastClear;
+    if (clear !== previous.lastClear) {
+      if (clear.tSpin !== T_SPIN.NONE) {
+        sounds.push(SOUNDS.T_SPIN);
+      } else if (clear.lines > 0) {
+        sounds.push(CLEAR_SOUNDS[clear.lines] ?? SOUNDS.TETRIS);
+      }
+      if (clear.perfectClear) sounds.push(SOUNDS.PERFECT_CLEAR);
+    }
+    if (next.level > previous.level) sounds.push(SOUNDS.LEVEL_UP);
+  } else if (ACTION_SOUNDS[action.type]) {
+    sounds.push(ACTION_SOUNDS[action.type]);
+  }
+
+  if (next.gameOver && !previous.gameOver) {
+    sounds.push(
+      next.endReason === END_REASONS.GOAL ? SOUNDS.COMPLETE : SOUNDS.GAME_OVER
+    );
+  }
+  return sounds;
+};
+
+/**
+ * Lists the columns a piece covers.
+ * @param {object} piece - The piece.
+ * @returns {Array<number>} The column numbers, left to right.
+ */
+const getColumns = (piece) =>
+  [...new Set(getPieceCells(piece).map(({ x }) => x))].sort((a, b) => a - b);
+
+/**
+ * Works out the assist cue for one engine step: the height of the stack
+ * under the falling piece, sounded when a new piece comes in or the piece
+ * moves to other columns.
+ * @param {object} previous - The state before the action.
+ * @param {object} next - The state after it.
+ * @returns {number|null} The height as a fraction of the visible board, or
+ *   null when there is nothing new to sound.
+ */
+export const getHeightCue = (previous, next) => {
+  if (next.gameOver) return null;
+  const columns = getColumns(next.current);
+  const isNewPiece =
+    next.lastLock !== previous.lastLock || next.hold !== previous.hold;
+  if (!isNewPiece && columns.join() === getColumns(previous.current).join()) {
+    return null;
+  }
+  const heights = getColumnHeights(next.board);
+  return Math.max(...columns.map((x) => heights[x])) / next.height;
+};
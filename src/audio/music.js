@@ -0,0 +1,144 @@
+// --- Background Music ---
+// A looping arrangement of Korobeiniki (a 19th-century folk song) played by
+// two oscillator voices. Notes are scheduled a little ahead on the audio
+// clock, so the tempo holds steady however busy the main thread is, and
+// suspending the audio context pauses the music exactly where it is.
+
+import { playTone } from "./sounds.js";
+
+export const BASE_TEMPO = 120; // Beats per minute on level 1
+const TEMPO_PER_LEVEL = 8;
+const MAX_TEMPO = 240;
+
+const LOOKAHEAD = 0.1; // Seconds of music scheduled in advance
+const SCHEDULE_INTERVAL = 25; // ms between scheduling passes
+const STEPS_PER_BEAT = 2; // The loop is counted in eighth notes
+const STEPS_PER_BAR = 8;
+
+// Melody as [MIDI note or null for a rest, length in eighth notes]
+// prettier-ignore
+const MELODY = [
+  [76, 2], [71, 1], [72, 1], [74, 2], [72, 1], [71, 1],
+  [69, 2], [69, 1], [72, 1], [76, 2], [74, 1], [72, 1],
+  [71, 3], [72, 1], [74, 2], [76, 2],
+  [72, 2], [69, 2], [69, 4],
+  [74, 3], [77, 1], [81, 2], [79, 1], [77, 1],
+  [76, 3], [72, 1], [76, 2], [74, 1], [72, 1],
+  [71, 2], [71, 1], [72, 1], [74, 2], [76, 2],
+  [72, 2], [69, 2], [69, 2], [null, 2],
+];
+
+// One bass root per bar, played as alternating octaves
+const BASS = [40, 45, 40, 45, 50, 48, 40, 45];
+
+// Melody notes by the step they start on
+const MELODY_STEPS = (() => {
+  const steps = new Map();
+  let step = 0;
+  for (const [note, length] of MELODY) {
+    if (note !== null) steps.set(step, { note, length });
+    step += length;
+  }
+  return steps;
+})();
+const LOOP_STEPS = BASS.length * STEPS_PER_BAR;
+
+/**
+ * Converts a MIDI note number to a frequency.
+ * @param {number} note - The MIDI note (69 is A4).
+ * @returns {number} The frequency in Hz.
+ */
+const toFrequency = (note) => 440 * 2 ** ((note - 69) / 12);
+
+/**
+ * Returns the music tempo for a level; it rises with every level up to a
+ * cap.
+ * @param {number} level - The game level.
+ * @returns {number} Beats per minute.
+ */
+export const getTempo = (level) =>
+  Math.min(MAX_TEMPO, BASE_TEMPO + (level - 1) * TEMPO_PER_LEVEL);
+
+/**
+ * Creates the music player of an audio context. It starts stopped.
+ * @param {AudioContext} context - The audio context.
+ * @param {AudioNode} output - The node to play into, e.g. the music volume.
+ * @returns {object} The player (start, stop, setLevel).
+ */
+export const createMusicPlayer = (context, output) => {
+  let timer = null;
+  let step = 0;
+  let nextTime = 0; // Context time of the next step
+  let tempo = BASE_TEMPO;
+
+  /**
+   * Schedules every step that starts before the lookahead window ends.
+   */
+  const schedule = () => {
+    while (nextTime < context.currentTime + LOOKAHEAD) {
+      const stepLength = 60 / tempo / STEPS_PER_BEAT;
+      const melody = MELODY_STEPS.get(step);
+      if (melody) {
+        playTone(
+          context,
+          output,
+          {
+            wave: "square",
+            freq: toFrequency(melody.note),
+            duration: melody.length * stepLength * 0.9,
+            volume: 0.12,
+          },
+          null,
+          nextTime
+        );
+      }
+      const root = BASS[Math.floor(step / STEPS_PER_BAR)];
+      playTone(
+        context,
+        output,
+        {
+          wave: "triangle",
+          freq: toFrequency(step % 2 === 0 ? root : root + 12),
+          duration: stepLength * 0.8,
+          volume: 0.2,
+        },
+        null,
+        nextTime
+      );
+      nextTime += stepLength;
+      step = (step + 1) % LOOP_STEPS;
+    }
+  };
+
+  /**
+   * Starts the loop from the top.
+   * @param {number} level - The level to set the tempo for.
+   */
+  const start = (level) => {
+    if (timer !== null) return;
+    tempo = getTempo(level);
+    step = 0;
+    nextTime = context.currentTime + 0.05;
+    schedule();
+    timer = setInterval(schedule, SCHEDULE_INTERVAL);
+  };
+
+  /**
+   * Stops the loop; notes already scheduled fade out by themselves.
+   */
+  const stop = () => {
+    if (timer === null) return;
+    clearInterval(timer);
+    timer = null;
+  };
+
+  /**
+   * Follows a level change; the new tempo applies from the next step.
+   * @param {number} level - The game level.
+   */
+  const setLevel = (level) => {
+    tempo = getTempo(level);
+  };
+
+  return { start, stop, setLevel };
+};
@@ -0,0 +1,180 @@
+// --- Sound Effects ---
+// Every effect is synthesized from a short recipe of tones and noise bursts,
+// so the game ships no audio files and loads nothing from the network.
+
+export const SOUNDS = {
+  MOVE: "move",
+  ROTATE: "rotate",
+  HOLD: "hold",
+  SOFT_DROP: "softDrop",
+  HARD_DROP: "hardDrop",
+  LOCK: "lock",
+  SINGLE: "single",
+  DOUBLE: "double",
+  TRIPLE: "triple",
+  TETRIS: "tetris",
+  T_SPIN: "tSpin",
+  PERFECT_CLEAR: "perfectClear",
+  LEVEL_UP: "levelUp",
+  GAME_OVER: "gameOver",
+  COMPLETE: "complete", // The game ended with its goal met
+};
+
+/**
+ * Builds the notes of a quick arpeggio.
+ * @param {Array<number>} freqs - The note frequencies in Hz, in order.
+ * @param {number} spacing - Seconds between note starts.
+ * @param {object} tone - Shared tone settings (wave, duration, volume).
+ * @returns {Array<object>} The tones.
+ */
+const arpeggio = (freqs, spacing, tone) =>
+  freqs.map((freq, index) => ({ ...tone, freq, delay: index * spacing }));
+
+// A tone is { wave, freq, endFreq, duration, volume, delay }; a noise burst
+// is { noise: true, duration, volume, delay }. Times are in seconds.
+export const EFFECTS = {
+  [SOUNDS.MOVE]: [{ wave: "square", freq: 220, duration: 0.03, volume: 0.15 }],
+  [SOUNDS.ROTATE]: [
+    { wave: "square", freq: 330, endFreq: 440, duration: 0.05, volume: 0.15 },
+  ],
+  [SOUNDS.HOLD]: [
+    { wave: "triangle", freq: 523, endFreq: 392, duration: 0.1, volume: 0.3 },
+  ],
+  [SOUNDS.SOFT_DROP]: [
+    { wave: "triangle", freq: 110, duration: 0.02, volume: 0.15 },
+  ],
+  [SOUNDS.HARD_DROP]: [
+    { noise: true, duration: 0.08, volume: 0.4 },
+    { wave: "sine", freq: 160, endFreq: 50, duration: 0.12, volume: 0.6 },
+  ],
+  [SOUNDS.LOCK]: [
+    { wave: "sine", freq: 140, endFreq: 90, duration: 0.06, volume: 0.4 },
+  ],
+  [SOUNDS.SINGLE]: arpeggio([523], 0, {
+    wave: "square",
+    duration: 0.15,
+    volume: 0.25,
+  }),
+  [SOUNDS.DOUBLE]: arpeggio([523, 659], 0.06, {
+    wave: "square",
+    duration: 0.15,
+    volume: 0.25,
+  }),
+  [SOUNDS.TRIPLE]: arpeggio([523, 659, 784], 0.06, {
+    wave: "square",
+    duration: 0.15,
+    volume: 0.25,
+  }),
+  [SOUNDS.TETRIS]: [
+    ...arpeggio([523, 659, 784, 1047], 0.06, {
+      wave: "square",
+      duration: 0.2,
+      volume: 0.25,
+    }),
+    { noise: true, duration: 0.25, volume: 0.15, delay: 0.18 },
+  ],
+  [SOUNDS.T_SPIN]: [
+    { wave: "sawtooth", freq: 294, endFreq: 880, duration: 0.2, volume: 0.2 },
+    ...arpeggio([880, 1175], 0.08, {
+      wave: "square",
+      duration: 0.12,
+      volume: 0.2,
+    }).map((tone) => ({ ...tone, delay: tone.delay + 0.2 })),
+  ],
+  [SOUNDS.PERFECT_CLEAR]: arpeggio([523, 659, 784, 1047, 1319, 1568], 0.07, {
+    wave: "triangle",
+    duration: 0.3,
+    volume: 0.35,
+  }),
+  [SOUNDS.LEVEL_UP]: arpeggio([392, 523, 659, 784], 0.08, {
+    wave: "triangle",
+    duration: 0.15,
+    volume: 0.35,
+  }),
+  [SOUNDS.GAME_OVER]: arpeggio([392, 330, 262, 196], 0.18, {
+    wave: "sawtooth",
+    duration: 0.3,
+    volume: 0.2,
+  }),
+  [SOUNDS.COMPLETE]: arpeggio([523, 659, 784, 1047], 0.12, {
+    wave: "triangle",
+    duration: 0.4,
+    volume: 0.35,
+  }),
+};
+
+/**
+ * Builds the assist cue for a stack height: the taller the stack under the
+ * piece, the higher the pitch, over two octaves from A3.
+ * @param {number} ratio - The height as a fraction of the board, 0-1.
+ * @returns {Array<object>} The tones.
+ */
+export const createHeightCue = (ratio) => [
+  {
+    wave: "sine",
+    freq: 220 * 4 ** Math.min(1, Math.max(0, ratio)),
+    duration: 0.08,
+    volume: 0.3,
+  },
+];
+
+const ATTACK = 0.005; // Seconds for a tone to fade in, avoiding clicks
+
+/**
+ * Creates a second of white noise to play noise bursts from.
+ * @param {AudioContext} context - The audio context.
+ * @returns {AudioBuffer} The buffer.
+ */
+export const createNoiseBuffer = (context) => {
+  const buffer = context.createBuffer(
+    1,
+    context.sampleRate,
+    context.sampleRate
+  );
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  return buffer;
+};
+
+/**
+ * Plays one tone or noise burst with a short attack and exponential decay.
+ * @param {AudioContext} context - The audio context.
+ * @param {AudioNode} output - The node to play into.
+ * @param {object} tone - The tone, see EFFECTS.
+ * @param {AudioBuffer} noise - A buffer from `createNoiseBuffer`.
+ * @param {number} [when] - Context time to start at; defaults to now.
+ */
+export const playTone = (
+  context,
+  output,
+  tone,
+  noise,
+  when = context.currentTime
+) => {
+  const { duration, volume, delay = 0 } = tone;
+  const start = when + delay;
+  const end = start + duration;
+
+  const gain = context.createGain();
+  gain.gain.setValueAtTime(0.0001, start);
+  gain.gain.exponentialRampToValueAtTime(volume, start + ATTACK);
+  gain.gain.exponentialRampToValueAtTime(0.0001, end);
+  gain.connect(output);
+
+  let source;
+  if (tone.noise) {
+    source = context.createBufferSource();
+    source.buffer = noise;
+  } else {
+    source = context.createOscillator();
+    source.type = tone.wave;
+    source.frequency.setValueAtTime(tone.freq, start);
+    if (tone.endFreq) {
+      source.frequency.exponentialRampToValueAtTime(tone.endFreq, end);
+    }
+  }
+  source.connect(gain);
+  source.start(start);
+  source.stop(end);
+  source.onended = () => gain.disconnect();
+};
@@ -0,0 +1,51 @@
+import React, { useEffect, useRef, useState } from "react";
+import { getAnnouncements } from "../game/announcements.js";
+
+/**
+ * Hidden live regions that read the game out to screen readers: line
+ * clears, level ups, danger and the end of the game, plus the status
+ * given by the app, e.g. "Paused.".
+ * @param {object} props
+ * @param {object} props.session - The game session to follow.
+ * @param {string|null} props.status - Announced whenever it changes.
+ */
+function Announcer({ session, status }) {
+  const [polite, setPolite] = useState(null); // { id, text }
+  const [urgent, setUrgent] = useState(null);
+  // Every message gets a new node, so a repeated one is read again
+  const nextIdRef = useRef(0);
+
+  useEffect(() => {
+    if (status) setPolite({ id: nextIdRef.current++, text: status });
+  }, [status]);
+
+  useEffect(
+    () =>
+      session.subscribe((action, previous) => {
+        const messages = getAnnouncements(previous, session.getState());
+        const say = (isUrgent, setMessage) => {
+          const text = messages
+            .filter((message) => message.urgent === isUrgent)
+            .map((message) => message.text)
+            .join(" ");
+          if (text) setMessage({ id: nextIdRef.current++, text });
+        };
+        say(false, setPolite);
+        say(true, setUrgent);
+      }),
+    [session]
+  );
+
+  return (
+    <div className="sr-only">
+      <div aria-live="polite" aria-atomic="true">
+        {polite && <span key={polite.id}>{polite.text}</span>}
+      </div>
+      <div aria-live="assertive" aria-atomic="true">
+        {urgent && <span key={urgent.id}>{urgent.text}</span>}
+      </div>
+    </div>
+  );
+}
+
+export default Announcer;
@@ -0,0 +1,134 @@
+import React from "react";
+import { EMPTY_CELL, getGhostPiece } from "../engine/index.js";
+import { describeBoard } from "../game/announcements.js";
+import {
+  OVERLAYS,
+  getBlockStyle,
+  getMarkColor,
+  getPiecePattern,
+  getThemeHex,
+} from "../render/themes.js";
+
+/**
+ * Renders the visible part of the board with the active piece and its
+ * ghost. Overlays (callouts, pause and game-over screens) are passed as
+ * children and drawn on top.
+ * @param {object} props
+ * @param {object} props.game - The engine state to draw.
+ * @param {boolean} [props.hidePiece] - Hide the active piece, e.g. while
+ *   paused.
+ * @param {Array<{ x: number, y: number }>} [props.hint] - Cells of the
+ *   suggested placement, outlined on the board.
+ * @param {object} props.theme - The resolved theme, see themes.js.
+ * @param {React.ReactNode} [props.children] - Overlays.
+ */
+function Board({ game, hidePiece = false, hint = null, theme, children }) {
+  const { board, current: currentPiece, hiddenRows } = game;
+  const boardToRender = board.map((row) => [...row]);
+  const ghostCells = new Set();
+  const hintCells = new Set(
+    hint && !hidePiece && !game.gameOver
+      ? hint.map(({ x, y }) => `${y}-${x}`)
+      : []
+  );
+
+  // Draw the current piece and its ghost on a copy of the board
+  if (currentPiece && !game.gameOver && !hidePiece) {
+    const ghost = getGhostPiece(currentPiece, board);
+    ghost.shape.forEach((row, y) => {
+      row.forEach((value, x) => {
+        if (value !== 0) {
+          ghostCells.add(`${ghost.pos.y + y}-${ghost.pos.x + x}`);
+        }
+      });
+    });
+
+    currentPiece.shape.forEach((row, y) => {
+      row.forEach((value, x) => {
+        if (value !== 0) {
+          const boardY = currentPiece.pos.y + y;
+          const boardX = currentPiece.pos.x + x;
+          if (
+            boardToRender[boardY] &&
+            boardToRender[boardY][boardX] === EMPTY_CELL
+          ) {
+            boardToRender[boardY][boardX] = currentPiece.type;
+          }
+        }
+      });
+    });
+  }
+
+  // Render all cells directly in the grid container
+  const cells = boardToRender
+    .slice(hiddenRows)
+    .map((row, rowIndex) =>
+      row.map((cell, colIndex) => {
+        const isGhost =
+          cell === EMPTY_CELL &&
+          ghostCells.has(`${rowIndex + hiddenRows}-${colIndex}`);
+        const type = isGhost ? currentPiece.type : cell;
+        const outline = hintCells.has(`${rowIndex + hiddenRows}-${colIndex}`)
+          ? "ring-2 ring-inset ring-white"
+          : "";
+        if (type === EMPTY_CELL) {
+          return (
+            <div
+              key={`${rowIndex}-${colIndex}`} // Key must be unique across all cells
+              className={`w-6 h-6 border ${outline}`}
+              style={{ borderColor: theme.grid }}
+            ></div>
+          );
+        }
+        const color = getThemeHex(theme, game.pieceSet, type);
+        // Overlays are left off the ghost so it doesn't read as a block
+        const pattern =
+          theme.overlay === OVERLAYS.PATTERNS && !isGhost
+            ? getPiecePattern(game.pieceSet, type)
+            : null;
+        return (
+          <div
+            key={`${rowIndex}-${colIndex}`}
+            className={`w-6 h-6 border flex items-center justify-center text-xs font-bold ${
+              isGhost ? "opacity-30" : ""
+            } ${outline} rounded-sm`}
+            style={{
+              borderColor: theme.grid,
+              ...getBlockStyle(theme, color, pattern),
+            }}
+          >
+            {theme.overlay === OVERLAYS.LETTERS && !isGhost && (
+              <span style={{ color: getMarkColor(theme, color) }}>{type}</span>
+            )}
+          </div>
+        );
+      })
+    )
+    .flat(); // Flatten the array of arrays of divs into a single array of divs
+
+  return (
+    <div
+      className="relative border-4 border-gray-700 rounded-lg shadow-xl overflow-hidden"
+      style={{
+        width: `${game.width * 24}px`, // 24px is w-6/h-6
+        height: `${game.height * 24}px`,
+      }}
+    >
+      <div
+        role="img"
+        aria-label={describeBoard(game, hidePiece)}
+        className="grid"
+        style={{
+          background: theme.background,
+          gridTemplateColumns: `repeat(${game.width}, minmax(0, 1fr))`,
+          gridTemplateRows: `repeat(${game.height}, minmax(0, 1fr))`,
+        }}
+      >
+        {cells}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+export default Board;
@@ -0,0 +1,131 @@
+import React, { useEffect, useRef, useState } from "react";
+import { describeBoard } from "../game/announcements.js";
+import {
+  createEffects,
+  drawBoard,
+  fitCanvas,
+  updateEffects,
+} from "../render/canvas.js";
+
+const MIN_CELL_SIZE = 12;
+const MAX_CELL_SIZE = 48;
+const FRAME_MARGIN = 96; // Room for the page padding and border, in px
+const DEFAULT_RESERVED = { width: FRAME_MARGIN, height: FRAME_MARGIN };
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+/**
+ * Picks the largest cell size at which the board fits the window.
+ * @param {number} width - Board width in cells.
+ * @param {number} height - Visible board height in cells.
+ * @param {{ width: number, height: number }} reserved - Room in px the
+ *   rest of the page needs beside and above or below the board.
+ * @returns {number} Cell size in CSS pixels.
+ */
+const getCellSize = (width, height, reserved) =>
+  Math.max(
+    MIN_CELL_SIZE,
+    Math.min(
+      MAX_CELL_SIZE,
+      Math.floor((window.innerHeight - reserved.height) / height),
+      Math.floor((window.innerWidth - reserved.width) / width)
+    )
+  );
+
+/**
+ * Canvas version of Board with the same props. It scales with the window
+ * and redraws on every animation frame while the game changes or an effect
+ * (line clear, lock flash, drop trail) is running. It is labeled with a
+ * description of the board for screen readers.
+ * @param {object} props
+ * @param {object} props.game - The engine state to draw.
+ * @param {boolean} [props.hidePiece] - Hide the active piece, e.g. while
+ *   paused.
+ * @param {Array<{ x: number, y: number }>} [props.hint] - Cells of the
+ *   suggested placement, outlined on the board.
+ * @param {object} props.theme - The resolved theme, see themes.js.
+ * @param {{ width: number, height: number }} [props.reserved] - Room in px
+ *   the rest of the page needs beside and above or below the board, e.g.
+ *   for the side panels of the phone layout. The DOM board has a fixed size
+ *   and ignores it.
+ * @param {React.ReactNode} [props.children] - Overlays.
+ */
+function CanvasBoard({
+  game,
+  hidePiece = false,
+  hint = null,
+  theme,
+  reserved = DEFAULT_RESERVED,
+  children,
+}) {
+  const canvasRef = useRef(null);
+  const latestRef = useRef({ game, hidePiece, hint, theme }); // Read by the draw loop
+  const [cellSize, setCellSize] = useState(() =>
+    getCellSize(game.width, game.height, reserved)
+  );
+
+  useEffect(() => {
+    latestRef.current = { game, hidePiece, hint, theme };
+  }, [game, hidePiece, hint, theme]);
+
+  // Follow the window size
+  useEffect(() => {
+    const handleResize = () =>
+      setCellSize(getCellSize(game.width, game.height, reserved));
+    handleResize();
+    window.addEventListener("resize", handleResize);
+    return () => window.removeEventListener("resize", handleResize);
+  }, [game.width, game.height, reserved]);
+
+  // Draw loop; frames where nothing changed are skipped. Effects are left
+  // out for players who ask the system for reduced motion.
+  useEffect(() => {
+    const effects = createEffects();
+    const reducedMotion = window.matchMedia(REDUCED_MOTION_QUERY);
+    let drawn = null;
+    let frameId;
+    const draw = (now) => {
+      const latest = latestRef.current;
+      const showEffects = !reducedMotion.matches;
+      const isAnimating =
+        showEffects && updateEffects(effects, latest.game, now);
+      if (latest !== drawn || isAnimating) {
+        const { game: state, hidePiece: hide, hint: cells } = latest;
+        const ctx = fitCanvas(
+          canvasRef.current,
+          state.width * cellSize,
+          state.height * cellSize
+        );
+        drawBoard(ctx, state, {
+          cellSize,
+          hidePiece: hide,
+          hint: cells,
+          effects: showEffects ? effects : null,
+          now,
+          theme: latest.theme,
+        });
+        drawn = isAnimating ? null : latest; // Draw once more after effects
+      }
+      frameId = requestAnimationFrame(draw);
+    };
+    frameId = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frameId);
+  }, [cellSize]);
+
+  return (
+    <div className="relative border-4 border-gray-700 rounded-lg shadow-xl overflow-hidden">
+      <canvas
+        ref={canvasRef}
+        role="img"
+        aria-label={describeBoard(game, hidePiece)}
+        className="block"
+        style={{
+          width: `${game.width * cellSize}px`,
+          height: `${game.height * cellSize}px`,
+        }}
+      />
+      {children}
+    </div>
+  );
+}
+
+export default CanvasBoard;
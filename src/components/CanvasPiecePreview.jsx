@@ -0,0 +1,45 @@
+import React, { useEffect, useRef } from "react";
+import { getPieceShape } from "../engine/index.js";
+import { drawPreview, fitCanvas } from "../render/canvas.js";
+
+/**
+ * Canvas version of PiecePreview with the same props.
+ * @param {object} props
+ * @param {string} props.type - The piece id to preview.
+ * @param {boolean} [props.small] - Use smaller cells, e.g. for later queue
+ *   slots.
+ * @param {object} [props.pieceSet] - The piece set of the game.
+ * @param {object} props.theme - The resolved theme, see themes.js.
+ */
+function CanvasPiecePreview({ type, small = false, pieceSet, theme }) {
+  const canvasRef = useRef(null);
+  const shape = getPieceShape(pieceSet, type);
+  // Shapes larger than a Tetromino's get smaller cells to keep the box size
+  const cellSize = Math.floor(
+    (small ? 16 : 24) * Math.min(1, 4 / shape.length)
+  );
+  const width = shape[0].length * cellSize;
+  const height = shape.length * cellSize;
+
+  useEffect(() => {
+    drawPreview(
+      fitCanvas(canvasRef.current, width, height),
+      type,
+      cellSize,
+      pieceSet,
+      theme
+    );
+  }, [type, cellSize, width, height, pieceSet, theme]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      role="img"
+      aria-label={`${type} piece`}
+      className="block mx-auto"
+      style={{ width: `${width}px`, height: `${height}px` }}
+    />
+  );
+}
+
+export default CanvasPiecePreview;
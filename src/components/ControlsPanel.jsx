@@ -0,0 +1,215 @@
+import React, { useEffect, useState } from "react";
+import {
+  BINDABLE_ACTIONS,
+  DEFAULT_GAMEPAD_BINDINGS,
+  DEFAULT_KEY_BINDINGS,
+  findConflicts,
+  formatButton,
+  formatKey,
+  normalizeKey,
+} from "../input/bindings.js";
+import { getGamepads, getPressedButtons } from "../input/gamepad.js";
+import Dialog from "./Dialog.jsx";
+
+/**
+ * Modal panel for rebinding keyboard keys and gamepad buttons.
+ * @param {object} props
+ * @param {object} props.keyBindings - Map of action to list of keys.
+ * @param {object} props.gamepadBindings - Map of action to list of buttons.
+ * @param {function(string, object): void} props.onChange - Called with the
+ *   setting name ("keyBindings" or "gamepadBindings") and the new bindings.
+ * @param {function(): void} props.onClose - Closes the panel.
+ */
+function ControlsPanel({ keyBindings, gamepadBindings, onChange, onClose }) {
+  // The binding waiting for input: { action, device: "key" | "gamepad" }
+  const [listening, setListening] = useState(null);
+
+  const keyConflicts = findConflicts(keyBindings);
+  const buttonConflicts = findConflicts(gamepadBindings);
+
+  /**
+   * Adds an input to an action, ignoring duplicates.
+   * @param {string} device - "key" or "gamepad".
+   * @param {string} action - The action to bind.
+   * @param {string|number} input - The key or button.
+   */
+  const addBinding = (device, action, input) => {
+    const setting = device === "key" ? "keyBindings" : "gamepadBindings";
+    const bindings = device === "key" ? keyBindings : gamepadBindings;
+    if (bindings[action].includes(input)) return;
+    onChange(setting, { ...bindings, [action]: [...bindings[action], input] });
+  };
+
+  /**
+   * Removes an input from an action.
+   * @param {string} device - "key" or "gamepad".
+   * @param {string} action - The bound action.
+   * @param {string|number} input - The key or button to remove.
+   */
+  const removeBinding = (device, action, input) => {
+    const setting = device === "key" ? "keyBindings" : "gamepadBindings";
+    const bindings = device === "key" ? keyBindings : gamepadBindings;
+    onChange(setting, {
+      ...bindings,
+      [action]: bindings[action].filter((bound) => bound !== input),
+    });
+  };
+
+  const resetDefaults = () => {
+    setListening(null);
+    onChange("keyBindings", DEFAULT_KEY_BINDINGS);
+    onChange("gamepadBindings", DEFAULT_GAMEPAD_BINDINGS);
+  };
+
+  // Capture the next key press while listening; Escape cancels
+  useEffect(() => {
+    if (listening?.device !== "key") return;
+    const handleKeyDown = (event) => {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      if (event.key !== "Escape") {
+        addBinding("key", listening.action, normalizeKey(event.key));
+      }
+      setListening(null);
+    };
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => window.removeEventListener("keydown", handleKeyDown, true);
+  });
+
+  // Capture the next gamepad button while listening
+  useEffect(() => {
+    if (listening?.device !== "gamepad") return;
+    // Buttons already held when listening starts don't count
+    const initiallyHeld = new Set(
+      getGamepads().flatMap((gamepad) => [...getPressedButtons(gamepad)])
+    );
+    let frameId = requestAnimationFrame(function poll() {
+      const pressed = getGamepads().flatMap((gamepad) => [
+        ...getPressedButtons(gamepad),
+      ]);
+      pressed
+        .filter((button) => !initiallyHeld.has(button))
+        .slice(0, 1)
+        .forEach((button) => {
+          addBinding("gamepad", listening.action, button);
+          setListening(null);
+        });
+      initiallyHeld.forEach((button) => {
+        if (!pressed.includes(button)) initiallyHeld.delete(button);
+      });
+      frameId = requestAnimationFrame(poll);
+    });
+    return () => cancelAnimationFrame(frameId);
+  });
+
+  /**
+   * Renders the bound inputs of one action for one device.
+   * @param {string} device - "key" or "gamepad".
+   * @param {string} action - The bound action.
+   */
+  const renderBindings = (device, action) => {
+    const inputs = (device === "key" ? keyBindings : gamepadBindings)[action];
+    const conflicts = device === "key" ? keyConflicts : buttonConflicts;
+    const format = device === "key" ? formatKey : formatButton;
+    const isListening =
+      listening?.device === device && listening.action === action;
+    return (
+      <div className="flex flex-wrap gap-1 items-center">
+        {inputs.map((input) => (
+          <button
+            key={input}
+            onClick={() => removeBinding(device, action, input)}
+            title="Remove binding"
+            className={`px-2 py-0.5 rounded text-sm font-semibold border ${
+              conflicts.has(input)
+                ? "bg-red-900 border-red-500"
+                : "bg-gray-900 border-gray-600"
+            }`}
+          >
+            {format(input)} ×
+          </button>
+        ))}
+        <button
+          onClick={() => setListening(isListening ? null : { action, device })}
+          className="px-2 py-0.5 rounded text-sm border border-dashed border-gray-500 text-gray-300"
+        >
+          {isListening
+            ? device === "key"
+              ? "Press a key…"
+              : "Press a button…"
+            : "+"}
+        </button>
+      </div>
+    );
+  };
+
+  const conflictMessages = [
+    ...[...keyConflicts].map(([input, actions]) => [formatKey(input), actions]),
+    ...[...buttonConflicts].map(([input, actions]) => [
+      formatButton(input),
+      actions,
+    ]),
+  ].map(([input, actions]) => {
+    const labels = actions.map(
+      (action) => BINDABLE_ACTIONS.find((item) => item.action === action).label
+    );
+    return `${input} is bound to ${labels.join(" and ")}`;
+  });
+
+  return (
+    <Dialog label="Controls" onClose={onClose}>
+      <div className="w-full max-w-2xl max-h-full overflow-y-auto flex flex-col gap-4 p-6 bg-gray-800 rounded-xl shadow-2xl border border-gray-700">
+        <h2 className="text-3xl font-extrabold">Controls</h2>
+        <p className="text-sm text-gray-400">
+          Click a binding to remove it, or + to add a key or gamepad button.
+          Gamepads need the standard mapping.
+        </p>
+
+        <table className="w-full text-left">
+          <thead>
+            <tr className="text-gray-300">
+              <th className="py-1">Action</th>
+              <th className="py-1">Keyboard</th>
+              <th className="py-1">Gamepad</th>
+            </tr>
+          </thead>
+          <tbody>
+            {BINDABLE_ACTIONS.map(({ action, label }) => (
+              <tr key={action} className="border-t border-gray-700">
+                <td className="py-2 pr-2 font-semibold">{label}</td>
+                <td className="py-2 pr-2">{renderBindings("key", action)}</td>
+                <td className="py-2">{renderBindings("gamepad", action)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {conflictMessages.length > 0 && (
+          <div className="p-3 rounded-lg bg-red-950 border border-red-700 text-sm text-red-200">
+            <p className="font-bold">Warning: shared bindings</p>
+            {conflictMessages.map((message) => (
+              <p key={message}>{message}</p>
+            ))}
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          <button
+            onClick={resetDefaults}
+            className="flex-1 px-6 py-3 bg-gradient-to-r from-gray-500 to-gray-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-gray-600 hover:to-gray-700 transition duration-300 border-b-4 border-gray-800"
+          >
+            Reset to Defaults
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-1 px-6 py-3 bg-gradient-to-r from-blue-500 to-indigo-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-indigo-700 transition duration-300 border-b-4 border-indigo-800"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </Dialog>
+  );
+}
+
+export default ControlsPanel;
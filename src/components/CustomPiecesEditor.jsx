@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import {
+  EXAMPLE_CUSTOM_PIECES,
+  MAX_CUSTOM_SIZE,
+  createCustomSet,
+} from "../engine/index.js";
+import PiecePreview from "./PiecePreview.jsx";
+
+/**
+ * Builds the piece set of saved definitions for the previews.
+ * @param {Array<object>} pieces - The saved definitions.
+ * @returns {object|null} The set, or null if the definitions are broken.
+ */
+const tryCreateSet = (pieces) => {
+  try {
+    return createCustomSet(pieces);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Edits the player-defined shapes of the custom piece set as JSON, with a
+ * preview of each piece in its spawn orientation.
+ * @param {object} props
+ * @param {Array<object>} props.pieces - The saved definitions.
+ * @param {function(Array<object>): void} props.onChange - Called with valid
+ *   definitions when the player applies them.
+ */
+function CustomPiecesEditor({ pieces, onChange }) {
+  const [draft, setDraft] = useState(() => JSON.stringify(pieces, null, 2));
+  const [error, setError] = useState(null);
+  const pieceSet = tryCreateSet(pieces);
+
+  /**
+   * Checks the draft and saves it if every piece is usable.
+   */
+  const apply = () => {
+    try {
+      const parsed = JSON.parse(draft);
+      createCustomSet(parsed);
+      onChange(parsed);
+      setError(null);
+    } catch (err) {
+      setError(
+        err instanceof SyntaxError ? "The JSON is not valid." : err.message
+      );
+    }
+  };
+
+  /**
+   * Puts the example pieces back into the draft.
+   */
+  const reset = () => {
+    setDraft(JSON.stringify(EXAMPLE_CUSTOM_PIECES, null, 2));
+    setError(null);
+  };
+
+  const buttonClass =
+    "flex-1 px-3 py-1 bg-gray-700 border border-gray-600 rounded-lg text-sm font-bold hover:bg-gray-600";
+
+  return (
+    <div className="flex flex-col gap-2">
+      <p className="text-xs text-gray-400">
+        Each piece has a one-letter <code>id</code>, <code>rows</code> of
+        &quot;X&quot; and &quot;.&quot; (up to {MAX_CUSTOM_SIZE}×
+        {MAX_CUSTOM_SIZE}), a hex <code>color</code> and an optional{" "}
+        <code>center</code> [x, y] to rotate about; use halves for a corner.
+      </p>
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        rows={8}
+        spellCheck={false}
+        className="px-2 py-1 bg-gray-900 border border-gray-600 rounded font-mono text-xs"
+        aria-label="Custom pieces"
+      />
+      {error && <p className="text-sm text-red-400">{error}</p>}
+      <div className="flex gap-2">
+        <button onClick={apply} className={buttonClass}>
+          Apply
+        </button>
+        <button onClick={reset} className={buttonClass}>
+          Example
+        </button>
+      </div>
+      {pieceSet && (
+        <div className="flex flex-wrap gap-3 items-center">
+          {[...pieceSet.types].map((type) => (
+            <div key={type} className="flex flex-col items-center gap-1">
+              <PiecePreview type={type} small pieceSet={pieceSet} />
+              <span className="text-xs text-gray-400">{type}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CustomPiecesEditor;
@@ -0,0 +1,68 @@
+import React, {
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import { BOT_LEVELS, createBotPlayer } from "../ai/bot.js";
+import { ACTIONS, MODES, randomSeed } from "../engine/index.js";
+import { createGameLoop } from "../game/loop.js";
+import { createSession } from "../game/session.js";
+import { getRenderer } from "./renderers.js";
+
+const DEMO_LEVEL = BOT_LEVELS.HARD;
+
+const createDemoSession = () =>
+  createSession({ mode: MODES.MARATHON, seed: randomSeed() });
+
+/**
+ * Title screen autoplay: the bot plays Marathon on its own board and starts
+ * over whenever the game ends.
+ * @param {object} props
+ * @param {string} props.renderer - One of RENDERERS.
+ * @param {object} props.theme - The resolved theme, see themes.js.
+ * @param {boolean} [props.paused] - Stop playing, e.g. while a menu is open.
+ */
+function DemoBoard({ renderer, theme, paused = false }) {
+  const { Board } = getRenderer(renderer);
+  const [session, setSession] = useState(createDemoSession);
+  const game = useSyncExternalStore(session.subscribe, session.getState);
+  const pausedRef = useRef(paused);
+
+  useEffect(() => {
+    pausedRef.current = paused;
+  }, [paused]);
+
+  useEffect(() => {
+    const bot = createBotPlayer({
+      getState: session.getState,
+      dispatch: session.dispatch,
+      level: DEMO_LEVEL,
+    });
+    let isOver = false;
+    const loop = createGameLoop({
+      isRunning: () => !pausedRef.current && !isOver,
+      onFrame: () => {
+        if (session.getState().gameOver) {
+          isOver = true;
+          setSession(createDemoSession());
+          return;
+        }
+        bot.update();
+        session.dispatch({ type: ACTIONS.TICK });
+      },
+    });
+    loop.start();
+    return () => loop.stop();
+  }, [session]);
+
+  return (
+    <Board game={game} theme={theme}>
+      <p className="absolute inset-x-0 top-4 text-center text-2xl font-extrabold text-white/60 tracking-widest pointer-events-none">
+        DEMO
+      </p>
+    </Board>
+  );
+}
+
+export default DemoBoard;
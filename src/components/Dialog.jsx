@@ -0,0 +1,71 @@
+import React, { useEffect, useRef } from "react";
+
+const FOCUSABLE =
+  'button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea, a[href], [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Full-screen modal backdrop for panels and screens. It takes the focus
+ * while open, keeps Tab cycling inside, closes on Escape and gives the
+ * focus back to where it was when it closes.
+ * @param {object} props
+ * @param {string} props.label - The dialog's name for screen readers.
+ * @param {function(): void} [props.onClose] - Called on Escape; screens
+ *   that use Escape themselves, e.g. to pause a match, leave it out.
+ * @param {string} [props.className] - Backdrop and layout classes.
+ * @param {React.ReactNode} props.children - The panel.
+ */
+function Dialog({
+  label,
+  onClose,
+  className = "bg-black/70 flex items-center justify-center",
+  children,
+}) {
+  const dialogRef = useRef(null);
+
+  useEffect(() => {
+    const opener = document.activeElement;
+    const dialog = dialogRef.current;
+    (dialog.querySelector(FOCUSABLE) ?? dialog).focus();
+    return () => opener?.focus?.();
+  }, []);
+
+  /**
+   * Closes on Escape and wraps Tab around the focusable elements.
+   * @param {KeyboardEvent} event - The keyboard event.
+   */
+  const handleKeyDown = (event) => {
+    if (event.key === "Escape" && onClose) {
+      event.stopPropagation();
+      onClose();
+      return;
+    }
+    if (event.key !== "Tab") return;
+    const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE)];
+    if (focusable.length === 0) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  };
+
+  return (
+    <div
+      ref={dialogRef}
+      role="dialog"
+      aria-modal="true"
+      aria-label={label}
+      tabIndex={-1}
+      onKeyDown={handleKeyDown}
+      className={`fixed inset-0 z-20 p-4 ${className}`}
+    >
+      {children}
+    </div>
+  );
+}
+
+export default Dialog;
@@ -0,0 +1,29 @@
+import React from "react";
+
+/**
+ * Vertical bar beside a board showing the incoming garbage, from the
+ * bottom up, on the same scale as the board's rows.
+ * @param {object} props
+ * @param {Array<number>} props.queue - Incoming garbage, lines per attack.
+ * @param {number} props.rows - Visible board height in rows.
+ */
+function GarbageMeter({ queue, rows }) {
+  const lines = queue.reduce((sum, count) => sum + count, 0);
+  return (
+    <div
+      className="relative w-3 self-stretch bg-gray-900 rounded border border-gray-700 overflow-hidden"
+      role="meter"
+      aria-label="Incoming garbage"
+      aria-valuemin={0}
+      aria-valuemax={rows}
+      aria-valuenow={Math.min(lines, rows)}
+    >
+      <div
+        className="absolute bottom-0 inset-x-0 bg-red-500 transition-all duration-100"
+        style={{ height: `${(Math.min(lines, rows) / rows) * 100}%` }}
+      />
+    </div>
+  );
+}
+
+export default GarbageMeter;
@@ -0,0 +1,223 @@
+import React, { useRef, useState } from "react";
+import {
+  HIDDEN_TOP_ROWS,
+  MODES,
+  PIECE_SET_LABELS,
+  RANDOMIZER_LABELS,
+  RANKED_MODES,
+  getModeRules,
+} from "../engine/index.js";
+import { formatFrames } from "../format.js";
+import {
+  clearLeaderboard,
+  downloadLeaderboard,
+  getEntries,
+  getProfiles,
+  importLeaderboard,
+  loadLeaderboard,
+} from "../records/leaderboard.js";
+import Dialog from "./Dialog.jsx";
+
+/**
+ * Describes a settings profile, e.g. "7-Bag · 5 Next" or
+ * "7-Bag · 5 Next · 12×40 · Pentominoes".
+ * @param {string} profile - A profile id from `getProfileKey`.
+ * @returns {string} The label.
+ */
+const formatProfile = (profile) => {
+  const [randomizer, previewCount, board, set] = profile.split("/");
+  const parts = [
+    RANDOMIZER_LABELS[randomizer] ?? randomizer,
+    `${previewCount} Next`,
+  ];
+  if (board) {
+    const [size, hiddenRows] = board.split("+");
+    const label = size.replace("x", "×");
+    parts.push(
+      hiddenRows === String(HIDDEN_TOP_ROWS)
+        ? label
+        : `${label} (${hiddenRows} hidden)`
+    );
+  }
+  if (set) {
+    const [id, types] = set.split(":");
+    parts.push(
+      types ? `${PIECE_SET_LABELS[id]} ${types}` : PIECE_SET_LABELS[id] ?? id
+    );
+  }
+  return parts.join(" · ");
+};
+
+/**
+ * Local leaderboard per mode and settings profile, with export, import and
+ * clearing of all records.
+ * @param {object} props
+ * @param {string} props.mode - The mode shown first.
+ * @param {string} props.profile - The profile shown first.
+ * @param {function(): void} props.onClose - Closes the panel.
+ */
+function LeaderboardPanel({
+  mode: initialMode,
+  profile: initialProfile,
+  onClose,
+}) {
+  const [leaderboard, setLeaderboard] = useState(loadLeaderboard);
+  // Practice modes have no table; open on the first one instead
+  const [mode, setMode] = useState(
+    RANKED_MODES.includes(initialMode) ? initialMode : RANKED_MODES[0]
+  );
+  const [profile, setProfile] = useState(initialProfile);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const profiles = getProfiles(mode, leaderboard);
+  if (!profiles.includes(profile)) profiles.unshift(profile);
+  const entries = getEntries(mode, profile, leaderboard);
+
+  /**
+   * Reads a records file picked by the player and merges it in.
+   * @param {Event} event - The change event of the file input.
+   */
+  const importRecords = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = ""; // Allow picking the same file again
+    if (!file) return;
+    try {
+      const count = importLeaderboard(await file.text());
+      setLeaderboard(loadLeaderboard());
+      setMessage({ text: `Imported ${count} records.`, error: false });
+    } catch (err) {
+      setMessage({ text: err.message, error: true });
+    }
+  };
+
+  /**
+   * Deletes every record after the player confirms.
+   */
+  const clearRecords = () => {
+    if (!window.confirm("Delete all records? This cannot be undone.")) return;
+    clearLeaderboard();
+    setLeaderboard({});
+    setMessage(null);
+  };
+
+  const buttonClass =
+    "flex-1 px-3 py-1 bg-gray-700 border border-gray-600 rounded-lg text-sm font-bold hover:bg-gray-600";
+
+  return (
+    <Dialog label="Leaderboard" onClose={onClose}>
+      <div className="w-full max-w-2xl max-h-full overflow-y-auto flex flex-col gap-4 p-6 bg-gray-800 rounded-xl shadow-2xl border border-gray-700">
+        <h2 className="text-3xl font-extrabold">Leaderboard</h2>
+
+        <div className="flex gap-2">
+          {RANKED_MODES.map((key) => (
+            <button
+              key={key}
+              onClick={() => setMode(key)}
+              className={`flex-1 px-2 py-1 rounded-lg text-sm font-bold border ${
+                key === mode
+                  ? "bg-blue-600 border-blue-400"
+                  : "bg-gray-700 border-gray-600 hover:bg-gray-600"
+              }`}
+            >
+              {getModeRules(key).label}
+            </button>
+          ))}
+        </div>
+        <label className="flex flex-col gap-1 text-sm font-semibold">
+          Settings Profile
+          <select
+            value={profile}
+            onChange={(e) => setProfile(e.target.value)}
+            className="px-2 py-1 bg-gray-900 border border-gray-600 rounded"
+          >
+            {profiles.map((key) => (
+              <option key={key} value={key}>
+                {formatProfile(key)}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {entries.length === 0 ? (
+          <p className="text-gray-400">
+            No records yet.
+            {mode === MODES.SPRINT && " Only completed sprints are ranked."}
+          </p>
+        ) : (
+          <table className="w-full text-sm text-right">
+            <thead className="text-gray-400">
+              <tr>
+                <th className="text-left">#</th>
+                <th className="text-left">Name</th>
+                <th>Score</th>
+                <th>Lines</th>
+                <th>Level</th>
+                <th>Time</th>
+                <th>PPS</th>
+                <th>Date</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry, index) => (
+                <tr
+                  key={entry.date}
+                  className={index === 0 ? "text-yellow-300 font-bold" : ""}
+                >
+                  <td className="text-left">{index + 1}</td>
+                  <td className="text-left">{entry.name}</td>
+                  <td>{entry.score}</td>
+                  <td>{entry.lines}</td>
+                  <td>{entry.level}</td>
+                  <td>{formatFrames(entry.frames)}</td>
+                  <td>{entry.pps.toFixed(2)}</td>
+                  <td>{new Date(entry.date).toLocaleDateString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {message && (
+          <p
+            className={`text-sm ${
+              message.error ? "text-red-400" : "text-green-400"
+            }`}
+          >
+            {message.text}
+          </p>
+        )}
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={importRecords}
+          className="hidden"
+        />
+        <div className="flex gap-2">
+          <button onClick={downloadLeaderboard} className={buttonClass}>
+            Export
+          </button>
+          <button
+            onClick={() => fileInputRef.current.click()}
+            className={buttonClass}
+          >
+            Import
+          </button>
+          <button onClick={clearRecords} className={buttonClass}>
+            Clear All
+          </button>
+        </div>
+        <button
+          onClick={onClose}
+          className="px-6 py-3 bg-gradient-to-r from-blue-500 to-indigo-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-indigo-700 transition duration-300 border-b-4 border-indigo-800"
+        >
+          Done
+        </button>
+      </div>
+    </Dialog>
+  );
+}
+
+export default LeaderboardPanel;
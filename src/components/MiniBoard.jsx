@@ -0,0 +1,60 @@
+import React, { useEffect, useRef } from "react";
+import { snapshotToGame } from "../net/protocol.js";
+import { drawBoard, fitCanvas } from "../render/canvas.js";
+
+const CELL_SIZE = 8;
+
+/**
+ * Small view of an opponent's board, drawn from the snapshots they send.
+ * @param {object} props
+ * @param {string} props.name - The opponent's name.
+ * @param {object|null} props.snapshot - Their latest snapshot, if any.
+ * @param {object} [props.pieceSet] - The piece set of the round.
+ * @param {object} [props.theme] - The resolved theme, see themes.js.
+ * @param {boolean} [props.connected] - False while their connection is
+ *   down.
+ */
+function MiniBoard({ name, snapshot, pieceSet, theme, connected = true }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (!snapshot) return;
+    const game = snapshotToGame(snapshot, pieceSet);
+    drawBoard(
+      fitCanvas(
+        canvasRef.current,
+        game.width * CELL_SIZE,
+        game.height * CELL_SIZE
+      ),
+      game,
+      { cellSize: CELL_SIZE, theme }
+    );
+  }, [snapshot, pieceSet, theme]);
+
+  return (
+    <div className="flex flex-col gap-1 items-center text-sm">
+      <p className="font-bold truncate max-w-24">{name}</p>
+      <div className="relative border-2 border-gray-700 rounded">
+        {snapshot ? (
+          <canvas ref={canvasRef} className="block" />
+        ) : (
+          <div className="w-20 h-40 flex items-center justify-center text-gray-500">
+            Waiting
+          </div>
+        )}
+        {(snapshot?.gameOver || !connected) && (
+          <div className="absolute inset-0 bg-black/60 flex items-center justify-center font-extrabold">
+            {connected ? "KO" : "OFFLINE"}
+          </div>
+        )}
+      </div>
+      {snapshot && (
+        <p className="text-xs text-gray-400">
+          {snapshot.lines} lines · {snapshot.incoming} incoming
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default MiniBoard;
@@ -0,0 +1,40 @@
+import React from "react";
+import { getModeRules, getSoloModes } from "../engine/index.js";
+
+/**
+ * Start-screen selector for the game mode.
+ * @param {object} props
+ * @param {string} props.mode - The selected mode.
+ * @param {function(string): void} props.onChange - Called with a new mode.
+ */
+function ModeSelector({ mode, onChange }) {
+  return (
+    <div
+      className="flex flex-col gap-2 p-3 bg-gray-700 rounded-lg shadow-inner border border-gray-600"
+      role="radiogroup"
+      aria-label="Game mode"
+    >
+      <h3 className="text-xl font-bold">Mode</h3>
+      {getSoloModes().map((id) => (
+        <button
+          key={id}
+          role="radio"
+          aria-checked={mode === id}
+          onClick={() => onChange(id)}
+          className={`text-left px-3 py-2 rounded-lg border ${
+            mode === id
+              ? "bg-indigo-700 border-indigo-400"
+              : "bg-gray-800 border-gray-600 hover:bg-gray-600"
+          }`}
+        >
+          <span className="block font-bold">{getModeRules(id).label}</span>
+          <span className="block text-xs text-gray-300">
+            {getModeRules(id).description}
+          </span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default ModeSelector;
@@ -0,0 +1,489 @@
+import React, {
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import {
+  ACTIONS,
+  END_REASONS,
+  FRAME_MS,
+  MODES,
+  getCurrentGravity,
+} from "../engine/index.js";
+import { createGameLoop } from "../game/loop.js";
+import { createSession } from "../game/session.js";
+import { createBindingLookup, normalizeKey } from "../input/bindings.js";
+import { createInputController } from "../input/controller.js";
+import { createGamepadPoller } from "../input/gamepad.js";
+import {
+  CONNECTION_STATUS,
+  createNetClient,
+  getDefaultServerUrl,
+} from "../net/client.js";
+import {
+  CLIENT_MESSAGES,
+  ROOM_STATUS,
+  SERVER_MESSAGES,
+  SNAPSHOT_FRAMES,
+  createSnapshot,
+} from "../net/protocol.js";
+import { getGameOptions, getTheme } from "../settings.js";
+import Dialog from "./Dialog.jsx";
+import GarbageMeter from "./GarbageMeter.jsx";
+import MiniBoard from "./MiniBoard.jsx";
+import { HoldPanel, NextQueue } from "./PiecePreview.jsx";
+import { getRenderer } from "./renderers.js";
+
+const STATUS_LABELS = {
+  [CONNECTION_STATUS.CONNECTING]: "Connecting…",
+  [CONNECTION_STATUS.OPEN]: "Connected",
+  [CONNECTION_STATUS.RECONNECTING]: "Connection lost, reconnecting…",
+  [CONNECTION_STATUS.CLOSED]: "Disconnected",
+};
+
+const noSubscribe = () => () => {};
+
+const buttonClass =
+  "px-3 py-1 bg-gray-700 border border-gray-600 rounded-lg text-sm font-bold hover:bg-gray-600 disabled:opacity-50";
+
+/**
+ * This player's game of the current round. It runs locally like a solo
+ * game; attacks, top-outs and board snapshots go to the server and
+ * incoming garbage comes back from it.
+ * @param {object} props
+ * @param {object} props.client - The network client.
+ * @param {object} props.start - The round's start message (seed, options).
+ * @param {boolean} props.isRoundActive - False once the server ended the
+ *   round.
+ * @param {object} props.settings - The player settings.
+ */
+function OnlineGame({ client, start, isRoundActive, settings }) {
+  const session = useMemo(
+    () =>
+      createSession({ ...start.options, mode: MODES.VERSUS, seed: start.seed }),
+    [start]
+  );
+  const game = useSyncExternalStore(session.subscribe, session.getState);
+  const { Board, PiecePreview } = getRenderer(settings.renderer);
+  const theme = getTheme(settings);
+  const isRunning = isRoundActive && !game.gameOver;
+
+  const settingsRef = useRef(settings);
+  const runningRef = useRef(isRunning);
+  const controllerRef = useRef(null);
+
+  if (controllerRef.current === null) {
+    controllerRef.current = createInputController({
+      dispatch: (action) => session.dispatch(action),
+      getSettings: () => settingsRef.current,
+      getDropInterval: () => FRAME_MS / getCurrentGravity(session.getState()),
+    });
+  }
+
+  useEffect(() => {
+    settingsRef.current = settings;
+  }, [settings]);
+
+  useEffect(() => {
+    runningRef.current = isRunning;
+    if (!isRunning) controllerRef.current.releaseAll();
+  }, [isRunning]);
+
+  // The winner's game keeps running locally until the server ends the round
+  useEffect(() => {
+    if (!isRoundActive) session.dispatch({ type: ACTIONS.FINISH });
+  }, [isRoundActive, session]);
+
+  // Attacks and the top-out go to the server, garbage comes back
+  useEffect(() => {
+    let sent = 0;
+    const unsubscribe = session.subscribe(() => {
+      const state = session.getState();
+      if (state.attackSent > sent) {
+        client.send({
+          type: CLIENT_MESSAGES.ATTACK,
+          lines: state.attackSent - sent,
+        });
+        sent = state.attackSent;
+      }
+      if (state.gameOver) {
+        client.send({
+          type: CLIENT_MESSAGES.STATE,
+          snapshot: createSnapshot(state),
+        });
+        if (state.endReason === END_REASONS.TOP_OUT) {
+          client.send({ type: CLIENT_MESSAGES.TOP_OUT });
+        }
+      }
+    });
+    const offGarbage = client.on(SERVER_MESSAGES.GARBAGE, ({ lines }) =>
+      session.dispatch({ type: ACTIONS.GARBAGE, lines })
+    );
+    return () => {
+      unsubscribe();
+      offGarbage();
+    };
+  }, [client, session]);
+
+  // Game loop, with a board snapshot for the opponents every few frames
+  useEffect(() => {
+    const poller = createGamepadPoller({
+      getLookup: () => createBindingLookup(settingsRef.current.gamepadBindings),
+      onPress: (action) => {
+        if (runningRef.current) controllerRef.current.press(action);
+      },
+      onRelease: (action) => controllerRef.current.release(action),
+    });
+    const loop = createGameLoop({
+      isRunning: () => runningRef.current,
+      onAnimationFrame: poller.poll,
+      onFrame: () => {
+        controllerRef.current.update(FRAME_MS);
+        session.dispatch({ type: ACTIONS.TICK });
+        const state = session.getState();
+        if (state.frame % SNAPSHOT_FRAMES === 0) {
+          client.send({
+            type: CLIENT_MESSAGES.STATE,
+            snapshot: createSnapshot(state),
+          });
+        }
+      },
+    });
+    loop.start();
+    return () => loop.stop();
+  }, [client, session]);
+
+  // Keyboard, with the player's own bindings; there is no pause online
+  useEffect(() => {
+    const lookup = createBindingLookup(settings.keyBindings);
+    const handleKeyDown = (event) => {
+      if (event.target.closest?.("input, select, textarea")) return;
+      const action = lookup.get(normalizeKey(event.key));
+      if (!action || !Object.values(ACTIONS).includes(action)) return;
+      event.preventDefault();
+      if (!event.repeat && runningRef.current) {
+        controllerRef.current.press(action);
+      }
+    };
+    const handleKeyUp = (event) => {
+      const action = lookup.get(normalizeKey(event.key));
+      if (action) controllerRef.current.release(action);
+    };
+    const handleBlur = () => controllerRef.current.releaseAll();
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("blur", handleBlur);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+      window.removeEventListener("blur", handleBlur);
+    };
+  }, [settings.keyBindings]);
+
+  return (
+    <div className="flex gap-2 items-start">
+      <HoldPanel
+        type={game.hold}
+        pieceSet={game.pieceSet}
+        theme={theme}
+        Preview={PiecePreview}
+      />
+      <GarbageMeter queue={game.garbageQueue} rows={game.height} />
+      <Board game={game} theme={theme}>
+        {game.gameOver && (
+          <div className="absolute inset-0 bg-black/60 flex items-center justify-center">
+            <p className="text-5xl font-extrabold text-red-500">
+              {game.endReason === END_REASONS.TOP_OUT ? "KO" : "DONE"}
+            </p>
+          </div>
+        )}
+      </Board>
+      <NextQueue
+        queue={game.queue}
+        pieceSet={game.pieceSet}
+        theme={theme}
+        Preview={PiecePreview}
+      />
+    </div>
+  );
+}
+
+/**
+ * Everything after connecting: the lobby, a room, and its rounds.
+ * @param {object} props
+ * @param {object} props.client - The network client.
+ * @param {object} props.settings - The player settings.
+ */
+function OnlineLobby({ client, settings }) {
+  const net = useSyncExternalStore(client.subscribe, client.getState);
+  const [roomName, setRoomName] = useState("");
+  const [start, setStart] = useState(null); // Start message of our round
+  const startRef = useRef(null);
+  const [isSpectating, setIsSpectating] = useState(false);
+  const [lastWinner, setLastWinner] = useState(undefined);
+  const resumingRef = useRef(false); // Between a rejoin and the room update
+
+  useEffect(() => {
+    const offs = [
+      client.on(SERVER_MESSAGES.WELCOME, ({ rejoined }) => {
+        resumingRef.current = rejoined;
+      }),
+      client.on(SERVER_MESSAGES.ROOM, () => {
+        resumingRef.current = false;
+      }),
+      client.on(SERVER_MESSAGES.START, (message) => {
+        if (startRef.current?.round === message.round) return; // Reconnected
+        if (resumingRef.current) {
+          // The tab was reloaded mid-round: the board is gone, so sit this
+          // round out instead of starting over
+          client.send({ type: CLIENT_MESSAGES.TOP_OUT });
+          setIsSpectating(true);
+          return;
+        }
+        startRef.current = message;
+        setStart(message);
+        setIsSpectating(false);
+        setLastWinner(undefined);
+      }),
+      client.on(SERVER_MESSAGES.ROUND_OVER, ({ winner }) => {
+        setLastWinner(winner);
+        setIsSpectating(false);
+      }),
+    ];
+    return () => offs.forEach((off) => off());
+  }, [client]);
+
+  const { room, playerId } = net;
+  const isPlaying = room?.status === ROOM_STATUS.PLAYING;
+  const opponents = room?.players.filter((player) => player.id !== playerId);
+
+  if (!room) {
+    return (
+      <div className="flex flex-col gap-4 w-full max-w-lg">
+        <h3 className="text-xl font-bold text-gray-300">Rooms</h3>
+        {net.rooms.length === 0 ? (
+          <p className="text-gray-400">No rooms yet. Create one below.</p>
+        ) : (
+          <ul className="flex flex-col gap-2">
+            {net.rooms.map((listed) => (
+              <li
+                key={listed.id}
+                className="flex items-center gap-2 p-2 bg-gray-900 rounded-lg border border-gray-700"
+              >
+                <div className="flex-1">
+                  <p className="font-bold">{listed.name}</p>
+                  <p className="text-xs text-gray-400">
+                    {listed.players} players ·{" "}
+                    {listed.status === ROOM_STATUS.PLAYING
+                      ? "playing"
+                      : "waiting"}
+                  </p>
+                </div>
+                <button
+                  onClick={() =>
+                    client.send({
+                      type: CLIENT_MESSAGES.JOIN_ROOM,
+                      roomId: listed.id,
+                    })
+                  }
+                  disabled={listed.status === ROOM_STATUS.PLAYING}
+                  className={buttonClass}
+                >
+                  Join
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={roomName}
+            maxLength={32}
+            placeholder="Room name"
+            onChange={(e) => setRoomName(e.target.value)}
+            className="flex-1 px-2 py-1 bg-gray-900 border border-gray-600 rounded"
+          />
+          <button
+            onClick={() =>
+              client.send({ type: CLIENT_MESSAGES.CREATE_ROOM, name: roomName })
+            }
+            className={buttonClass}
+          >
+            Create Room
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const isHost = room.hostId === playerId;
+  const winnerName =
+    room.players.find((player) => player.id === lastWinner)?.name ?? null;
+
+  return (
+    <div className="flex flex-col gap-4 items-center">
+      <div className="flex items-center gap-3">
+        <h3 className="text-xl font-bold">{room.name}</h3>
+        <span className="text-gray-400">Round {room.round}</span>
+        {isHost && !isPlaying && (
+          <button
+            onClick={() =>
+              client.send({
+                type: CLIENT_MESSAGES.START,
+                options: {
+                  ...getGameOptions(settings),
+                  // The server builds the piece set again from its definition
+                  pieceSet: settings.pieceSet,
+                  customPieces: settings.customPieces,
+                },
+              })
+            }
+            disabled={room.players.length < 2}
+            className={buttonClass}
+          >
+            {room.round === 0 ? "Start" : "Next Round"}
+          </button>
+        )}
+        <button
+          onClick={() => {
+            client.send({ type: CLIENT_MESSAGES.LEAVE_ROOM });
+            startRef.current = null;
+            setStart(null);
+          }}
+          className={buttonClass}
+        >
+          Leave
+        </button>
+      </div>
+
+      {lastWinner !== undefined && (
+        <p className="text-2xl font-extrabold text-yellow-300">
+          {lastWinner === playerId
+            ? "You win the round!"
+            : `${winnerName ?? "Nobody"} wins the round`}
+        </p>
+      )}
+      {isSpectating && (
+        <p className="text-gray-300">
+          This round started without you; you are in the next one.
+        </p>
+      )}
+      {!isPlaying && !isHost && (
+        <p className="text-gray-400">Waiting for the host to start.</p>
+      )}
+
+      <div className="flex flex-col lg:flex-row gap-6 items-start">
+        {start && (
+          <OnlineGame
+            key={start.round}
+            client={client}
+            start={start}
+            isRoundActive={isPlaying && !isSpectating}
+            settings={settings}
+          />
+        )}
+        <div className="grid grid-cols-3 gap-3">
+          {opponents.map((player) => (
+            <MiniBoard
+              key={player.id}
+              name={`${player.name} (${player.wins})`}
+              snapshot={net.opponents[player.id] ?? null}
+              pieceSet={start?.options.pieceSet}
+              theme={getTheme(settings)}
+              connected={player.connected}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Online versus against other browsers through a locally started relay
+ * server (`npm run server`).
+ * @param {object} props
+ * @param {object} props.settings - The player settings; the name is shown
+ *   to opponents.
+ * @param {function(): void} props.onClose - Closes the screen.
+ */
+function OnlineScreen({ settings, onClose }) {
+  const [url, setUrl] = useState(getDefaultServerUrl);
+  const [client, setClient] = useState(null);
+  const net = useSyncExternalStore(
+    client?.subscribe ?? noSubscribe,
+    () => client?.getState() ?? null
+  );
+
+  /**
+   * Leaves the room, disconnects and closes the screen.
+   */
+  const close = () => {
+    if (client) {
+      client.send({ type: CLIENT_MESSAGES.LEAVE_ROOM });
+      client.close();
+    }
+    onClose();
+  };
+
+  return (
+    <Dialog
+      label="Online"
+      className="bg-black/90 overflow-auto flex items-start justify-center"
+    >
+      <div className="flex flex-col gap-4 p-6 bg-gray-800 rounded-xl shadow-2xl border border-gray-700">
+        <div className="flex justify-between items-baseline gap-4">
+          <h2 className="text-3xl font-extrabold">Online</h2>
+          {net && (
+            <p className="text-sm text-gray-400" role="status">
+              {STATUS_LABELS[net.status]}
+            </p>
+          )}
+          <button onClick={close} className={buttonClass}>
+            Close
+          </button>
+        </div>
+
+        {net?.error && <p className="text-red-400 text-sm">{net.error}</p>}
+
+        {/* A client that closed by itself failed to connect; try again */}
+        {client && net.status !== CONNECTION_STATUS.CLOSED ? (
+          <OnlineLobby client={client} settings={settings} />
+        ) : (
+          <div className="flex flex-col gap-3 max-w-lg">
+            <p className="text-gray-300">
+              Start the relay server with <code>npm run server</code>, then
+              connect from every tab or machine that wants to play.
+            </p>
+            <label className="flex flex-col gap-1 text-sm font-semibold">
+              Server
+              <input
+                type="text"
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                className="px-2 py-1 bg-gray-900 border border-gray-600 rounded"
+              />
+            </label>
+            <p className="text-sm text-gray-400">
+              Playing as {settings.playerName || "Player"}; change your name in
+              the settings.
+            </p>
+            <button
+              onClick={() =>
+                setClient(createNetClient({ url, name: settings.playerName }))
+              }
+              className="px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-green-600 hover:to-emerald-700 transition duration-300 border-b-4 border-emerald-800"
+            >
+              Connect
+            </button>
+          </div>
+        )}
+      </div>
+    </Dialog>
+  );
+}
+
+export default OnlineScreen;
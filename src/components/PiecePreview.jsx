@@ -0,0 +1,162 @@
+import React from "react";
+import { getPieceShape } from "../engine/index.js";
+import {
+  OVERLAYS,
+  getBlockStyle,
+  getMarkColor,
+  getPiecePattern,
+  getThemeHex,
+} from "../render/themes.js";
+
+/**
+ * Renders a small preview grid for a piece type.
+ * @param {object} props
+ * @param {string} props.type - The piece id to preview.
+ * @param {boolean} [props.small] - Use smaller cells, e.g. for later queue
+ *   slots.
+ * @param {object} [props.pieceSet] - The piece set of the game.
+ * @param {object} props.theme - The resolved theme, see themes.js.
+ */
+function PiecePreview({ type, small = false, pieceSet, theme }) {
+  const shape = getPieceShape(pieceSet, type);
+  const color = getThemeHex(theme, pieceSet, type);
+  const blockStyle = getBlockStyle(
+    theme,
+    color,
+    theme.overlay === OVERLAYS.PATTERNS ? getPiecePattern(pieceSet, type) : null
+  );
+  // Shapes larger than a Tetromino's get smaller cells to keep the box size
+  const cellSize = Math.floor(
+    (small ? 16 : 24) * Math.min(1, 4 / shape.length)
+  );
+  return (
+    <div
+      role="img"
+      aria-label={`${type} piece`}
+      className="grid gap-px mx-auto"
+      style={{
+        gridTemplateColumns: `repeat(${shape[0].length}, minmax(0, 1fr))`,
+        width: `${shape[0].length * cellSize}px`,
+      }}
+    >
+      {shape.map((row, rowIndex) =>
+        row.map((cell, colIndex) => (
+          <div
+            key={`${rowIndex}-${colIndex}`}
+            className={`border border-gray-700 ${
+              cell !== 0 ? "" : "bg-gray-900"
+            } rounded-sm flex items-center justify-center text-xs font-bold`}
+            style={{
+              height: `${cellSize}px`,
+              ...(cell !== 0 && blockStyle),
+            }}
+          >
+            {cell !== 0 && theme.overlay === OVERLAYS.LETTERS && (
+              <span style={{ color: getMarkColor(theme, color) }}>{type}</span>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+/**
+ * The hold box, showing the held piece or "Empty".
+ * @param {object} props
+ * @param {string|null} props.type - The held piece type.
+ * @param {object} [props.pieceSet] - The piece set of the game.
+ * @param {object} props.theme - The resolved theme, see themes.js.
+ * @param {boolean} [props.compact] - Small cells and padding, e.g. beside
+ *   the board on a phone.
+ * @param {Function} [props.Preview] - The preview component of the renderer.
+ */
+export function HoldPanel({
+  type,
+  pieceSet,
+  theme,
+  compact = false,
+  ...props
+}) {
+  const { Preview = PiecePreview } = props; // Not a param, so lint sees JSX use
+  return (
+    <div
+      className={`${
+        compact ? "p-1" : "p-2"
+      } border border-gray-600 bg-gray-800 rounded-lg shadow-md`}
+    >
+      <h3
+        className={`${
+          compact ? "text-sm mb-1" : "text-xl mb-2"
+        } font-bold text-white text-center`}
+      >
+        Hold
+      </h3>
+      {type ? (
+        <Preview
+          type={type}
+          small={compact}
+          pieceSet={pieceSet}
+          theme={theme}
+        />
+      ) : (
+        <div
+          className={`${
+            compact ? "w-16 h-16 text-xs" : "w-24 h-24 text-sm"
+          } flex items-center justify-center bg-gray-900 rounded-sm border border-gray-700 text-gray-500`}
+        >
+          Empty
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * The next queue; the first piece is drawn larger than the rest.
+ * @param {object} props
+ * @param {Array<string>} props.queue - Upcoming piece types.
+ * @param {object} [props.pieceSet] - The piece set of the game.
+ * @param {object} props.theme - The resolved theme, see themes.js.
+ * @param {boolean} [props.compact] - Small cells and padding, e.g. beside
+ *   the board on a phone.
+ * @param {Function} [props.Preview] - The preview component of the renderer.
+ */
+export function NextQueue({
+  queue,
+  pieceSet,
+  theme,
+  compact = false,
+  ...props
+}) {
+  const { Preview = PiecePreview } = props;
+  if (queue.length === 0) return null;
+  return (
+    <div
+      className={`${
+        compact ? "p-1" : "p-2"
+      } border border-gray-600 bg-gray-800 rounded-lg shadow-md`}
+    >
+      <h3
+        className={`${
+          compact ? "text-sm mb-1" : "text-xl mb-2"
+        } font-bold text-white text-center`}
+      >
+        Next
+      </h3>
+      <div className={`flex flex-col ${compact ? "gap-2" : "gap-3"}`}>
+        {queue.map((type, index) => (
+          <Preview
+            key={index}
+            type={type}
+            small={compact || index > 0}
+            pieceSet={pieceSet}
+            theme={theme}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default PiecePreview;
@@ -0,0 +1,26 @@
+import React from "react";
+
+/**
+ * The panels of the registered plugins, each under its title.
+ * @param {object} props
+ * @param {Array<object>} props.plugins - The registered plugins.
+ * @param {object} props.game - The game state.
+ * @param {object} props.stats - Statistics from the session.
+ * @param {object} props.theme - The resolved theme, see themes.js.
+ */
+function PluginPanels({ plugins, game, stats, theme }) {
+  return plugins.flatMap((plugin) =>
+    (plugin.panels ?? []).map((panel) => (
+      <section
+        key={`${plugin.id}/${panel.id}`}
+        aria-label={panel.title}
+        className="p-3 bg-gray-700 rounded-lg shadow-inner border border-gray-600 text-sm"
+      >
+        <h3 className="text-lg font-bold mb-1">{panel.title}</h3>
+        <panel.Component game={game} stats={stats} theme={theme} />
+      </section>
+    ))
+  );
+}
+
+export default PluginPanels;
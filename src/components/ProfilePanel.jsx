@@ -0,0 +1,129 @@
+import React, { useState } from "react";
+import { getModeRules } from "../engine/index.js";
+import { formatFrames } from "../format.js";
+import { CLEAR_LABELS } from "../game/stats.js";
+import {
+  clearProfile,
+  downloadProfileCsv,
+  getRates,
+  loadProfile,
+} from "../records/profile.js";
+import Dialog from "./Dialog.jsx";
+
+const RECENT_GAMES = 10;
+
+/**
+ * Lifetime statistics over every finished game, the most recent games and
+ * a CSV export.
+ * @param {object} props
+ * @param {function(): void} props.onClose - Closes the panel.
+ */
+function ProfilePanel({ onClose }) {
+  const [profile, setProfile] = useState(loadProfile);
+  const { totals } = profile;
+  const { pps, apm, kpp } = getRates(totals);
+  const summary = [
+    ["Games", totals.games],
+    ["Time Played", formatFrames(totals.frames)],
+    ["Pieces", totals.pieces],
+    ["Lines", totals.lines],
+    ["PPS", pps.toFixed(2)],
+    ["APM", apm.toFixed(1)],
+    ["KPP", kpp.toFixed(2)],
+    ["Finesse Faults", totals.finesseFaults],
+    ...Object.entries(CLEAR_LABELS).map(([kind, label]) => [
+      label,
+      totals.clears[kind] ?? 0,
+    ]),
+  ];
+  const pieceCounts = Object.entries(totals.pieceCounts);
+
+  /**
+   * Deletes the profile after the player confirms.
+   */
+  const resetProfile = () => {
+    if (!window.confirm("Delete all statistics? This cannot be undone.")) {
+      return;
+    }
+    setProfile(clearProfile());
+  };
+
+  const buttonClass =
+    "px-3 py-1 bg-gray-700 border border-gray-600 rounded-lg text-sm font-bold hover:bg-gray-600";
+
+  return (
+    <Dialog label="Profile" onClose={onClose}>
+      <div className="w-full max-w-lg max-h-full overflow-y-auto flex flex-col gap-4 p-6 bg-gray-800 rounded-xl shadow-2xl border border-gray-700">
+        <h2 className="text-3xl font-extrabold">Profile</h2>
+
+        {totals.games === 0 ? (
+          <p className="text-gray-400">
+            Statistics of finished games add up here.
+          </p>
+        ) : (
+          <>
+            <dl className="grid grid-cols-2 gap-x-4 text-gray-200">
+              {summary.map(([label, value]) => (
+                <React.Fragment key={label}>
+                  <dt className="text-gray-400">{label}</dt>
+                  <dd className="font-semibold text-right">{value}</dd>
+                </React.Fragment>
+              ))}
+            </dl>
+            {pieceCounts.length > 0 && (
+              <p className="text-sm text-gray-300">
+                Pieces:{" "}
+                {pieceCounts
+                  .map(([type, count]) => `${type} ${count}`)
+                  .join(" · ")}
+              </p>
+            )}
+            <h3 className="text-xl font-bold">Recent Games</h3>
+            <ul className="flex flex-col gap-2">
+              {profile.games.slice(0, RECENT_GAMES).map((game) => (
+                <li
+                  key={game.date}
+                  className="p-2 bg-gray-900 rounded-lg border border-gray-700"
+                >
+                  <p className="font-bold">
+                    {getModeRules(game.mode).label} · {game.score} pts ·{" "}
+                    {game.lines} lines · {getRates(game).pps.toFixed(2)} PPS
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    {new Date(game.date).toLocaleString()} ·{" "}
+                    {formatFrames(game.frames)}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            onClick={() => downloadProfileCsv(profile)}
+            disabled={totals.games === 0}
+            className={buttonClass}
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={resetProfile}
+            disabled={totals.games === 0}
+            className={buttonClass}
+          >
+            Clear
+          </button>
+        </div>
+        <button
+          onClick={onClose}
+          className="w-full px-6 py-3 bg-gradient-to-r from-blue-500 to-indigo-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-indigo-700 transition duration-300 border-b-4 border-indigo-800"
+        >
+          Done
+        </button>
+      </div>
+    </Dialog>
+  );
+}
+
+export default ProfilePanel;
@@ -0,0 +1,255 @@
+import React, { useEffect, useState } from "react";
+import {
+  DEFAULT_WIDTH,
+  EMPTY_CELL,
+  GOALS,
+  HIDDEN_TOP_ROWS,
+  PIECE_TYPES,
+  TETROMINOS,
+  createEmptyBoard,
+  describeGoal,
+} from "../engine/index.js";
+import {
+  MAX_PUZZLE_PIECES,
+  PUZZLE_CELLS,
+  PUZZLE_ROWS,
+  boardToRows,
+  rowsToBoard,
+  validatePuzzle,
+} from "../puzzles/puzzles.js";
+
+// Goal picked in the editor, with the defaults for its settings
+const GOAL_PRESETS = {
+  [GOALS.LINES]: { type: GOALS.LINES, count: 4 },
+  [GOALS.T_SPIN]: { type: GOALS.T_SPIN, lines: 2 },
+  [GOALS.PERFECT_CLEAR]: { type: GOALS.PERFECT_CLEAR },
+};
+
+/**
+ * Paints cells, sets the pieces and the goal of a puzzle.
+ * @param {object} props
+ * @param {object} props.puzzle - The puzzle to start from.
+ * @param {function(object): void} props.onSave - Receives the edited puzzle.
+ * @param {function(): void} props.onCancel - Leaves without saving.
+ */
+function PuzzleEditor({ puzzle, onSave, onCancel }) {
+  const [name, setName] = useState(puzzle.name);
+  const [description, setDescription] = useState(puzzle.description);
+  const [board, setBoard] = useState(() => rowsToBoard(puzzle.rows));
+  const [pieces, setPieces] = useState(puzzle.pieces);
+  const [hold, setHold] = useState(puzzle.hold);
+  const [goal, setGoal] = useState(puzzle.goal);
+  const [brush, setBrush] = useState(PUZZLE_CELLS[0]);
+  const [isPainting, setIsPainting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Painting ends wherever the pointer is released
+  useEffect(() => {
+    const stopPainting = () => setIsPainting(false);
+    window.addEventListener("pointerup", stopPainting);
+    return () => window.removeEventListener("pointerup", stopPainting);
+  }, []);
+
+  /**
+   * Paints one cell with the current brush.
+   * @param {number} x - The column.
+   * @param {number} y - The row, hidden rows included.
+   */
+  const paint = (x, y) => {
+    setBoard((prev) => {
+      if (prev[y][x] === brush) return prev;
+      const next = prev.map((row) => [...row]);
+      next[y][x] = brush;
+      return next;
+    });
+  };
+
+  const save = () => {
+    try {
+      onSave(
+        validatePuzzle({
+          ...puzzle,
+          name: name.trim() || "Untitled",
+          description: description.trim(),
+          rows: boardToRows(board),
+          pieces,
+          hold,
+          goal,
+        })
+      );
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const buttonClass =
+    "px-3 py-1 bg-gray-700 border border-gray-600 rounded-lg text-sm font-bold hover:bg-gray-600";
+  const fieldClass = "px-2 py-1 bg-gray-900 border border-gray-600 rounded";
+
+  return (
+    <div className="flex flex-col md:flex-row gap-6">
+      <div className="flex flex-col gap-2">
+        <div
+          className="flex flex-wrap gap-1"
+          role="radiogroup"
+          aria-label="Brush"
+        >
+          {[...PUZZLE_CELLS, EMPTY_CELL].map((cell) => (
+            <button
+              key={cell}
+              role="radio"
+              aria-checked={brush === cell}
+              aria-label={cell === EMPTY_CELL ? "Eraser" : cell}
+              onClick={() => setBrush(cell)}
+              className={`w-8 h-8 rounded font-bold text-sm ${
+                TETROMINOS[cell].color
+              } ${brush === cell ? "ring-2 ring-white" : ""}`}
+            >
+              {cell === EMPTY_CELL ? "✕" : cell}
+            </button>
+          ))}
+        </div>
+        <div
+          className="grid border-4 border-gray-700 rounded-lg select-none touch-none"
+          style={{
+            gridTemplateColumns: `repeat(${DEFAULT_WIDTH}, 1.25rem)`,
+          }}
+          onPointerLeave={() => setIsPainting(false)}
+        >
+          {board.map((row, y) =>
+            row.map((cell, x) => (
+              <div
+                key={`${y}-${x}`}
+                onPointerDown={(e) => {
+                  e.preventDefault();
+                  setIsPainting(true);
+                  paint(x, y);
+                }}
+                onPointerEnter={() => isPainting && paint(x, y)}
+                className={`w-5 h-5 border border-gray-600 ${
+                  TETROMINOS[cell].color
+                } ${y < HIDDEN_TOP_ROWS ? "opacity-50" : ""}`}
+              />
+            ))
+          )}
+        </div>
+        <button
+          onClick={() => setBoard(createEmptyBoard(DEFAULT_WIDTH, PUZZLE_ROWS))}
+          className={buttonClass}
+        >
+          Clear Board
+        </button>
+      </div>
+
+      <div className="flex flex-col gap-3 min-w-64">
+        <label className="flex flex-col gap-1 text-sm font-semibold">
+          Name
+          <input
+            type="text"
+            value={name}
+            maxLength={40}
+            onChange={(e) => setName(e.target.value)}
+            className={fieldClass}
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-sm font-semibold">
+          Description
+          <textarea
+            value={description}
+            rows={2}
+            maxLength={200}
+            onChange={(e) => setDescription(e.target.value)}
+            className={fieldClass}
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-sm font-semibold">
+          Pieces, in order
+          <input
+            type="text"
+            value={pieces}
+            maxLength={MAX_PUZZLE_PIECES}
+            onChange={(e) =>
+              setPieces(
+                [...e.target.value.toUpperCase()]
+                  .filter((c) => PIECE_TYPES.includes(c))
+                  .join("")
+              )
+            }
+            className={`${fieldClass} font-mono tracking-widest`}
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-sm font-semibold">
+          Hold
+          <select
+            value={hold ?? ""}
+            onChange={(e) => setHold(e.target.value || null)}
+            className={fieldClass}
+          >
+            <option value="">Empty</option>
+            {[...PIECE_TYPES].map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 text-sm font-semibold">
+          Goal
+          <select
+            value={goal.type}
+            onChange={(e) => setGoal(GOAL_PRESETS[e.target.value])}
+            className={fieldClass}
+          >
+            <option value={GOALS.LINES}>Clear lines</option>
+            <option value={GOALS.T_SPIN}>T-spin</option>
+            <option value={GOALS.PERFECT_CLEAR}>Perfect clear</option>
+          </select>
+        </label>
+        {goal.type === GOALS.LINES && (
+          <label className="flex flex-col gap-1 text-sm font-semibold">
+            Lines
+            <input
+              type="number"
+              min={1}
+              max={40}
+              value={goal.count}
+              onChange={(e) =>
+                setGoal({ ...goal, count: Math.max(1, Number(e.target.value)) })
+              }
+              className={fieldClass}
+            />
+          </label>
+        )}
+        {goal.type === GOALS.T_SPIN && (
+          <label className="flex flex-col gap-1 text-sm font-semibold">
+            Lines cleared by the spin
+            <select
+              value={goal.lines}
+              onChange={(e) =>
+                setGoal({ ...goal, lines: Number(e.target.value) })
+              }
+              className={fieldClass}
+            >
+              {[1, 2, 3].map((lines) => (
+                <option key={lines} value={lines}>
+                  {describeGoal({ type: GOALS.T_SPIN, lines })}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        {error && <p className="text-sm text-red-400">{error}</p>}
+        <div className="flex gap-2 mt-auto">
+          <button onClick={save} className={`${buttonClass} flex-1`}>
+            Save
+          </button>
+          <button onClick={onCancel} className={`${buttonClass} flex-1`}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PuzzleEditor;
@@ -0,0 +1,208 @@
+import React, { useRef, useState } from "react";
+import { describeGoal } from "../engine/index.js";
+import {
+  createPuzzle,
+  downloadPuzzle,
+  getPuzzleLink,
+  loadPuzzles,
+  parsePuzzle,
+  savePuzzles,
+} from "../puzzles/puzzles.js";
+import { STARTER_PUZZLES } from "../puzzles/starterPack.js";
+import Dialog from "./Dialog.jsx";
+import PuzzleEditor from "./PuzzleEditor.jsx";
+
+/**
+ * Puzzle list: the starter pack and the player's own puzzles, with play,
+ * edit, share, export and import. Editing swaps the list for the editor.
+ * @param {object} props
+ * @param {function(object): void} props.onPlay - Starts a puzzle.
+ * @param {function(): void} props.onClose - Closes the panel.
+ */
+function PuzzlesPanel({ onPlay, onClose }) {
+  const [puzzles, setPuzzles] = useState(loadPuzzles);
+  const [editing, setEditing] = useState(null); // { puzzle, index|null }
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  /**
+   * Replaces the saved puzzles.
+   * @param {Array<object>} next - All of the player's puzzles.
+   */
+  const updatePuzzles = (next) => {
+    savePuzzles(next);
+    setPuzzles(next);
+  };
+
+  /**
+   * Stores the puzzle coming back from the editor.
+   * @param {object} puzzle - The edited puzzle.
+   */
+  const saveEdited = (puzzle) => {
+    const { index } = editing;
+    updatePuzzles(
+      index === null
+        ? [...puzzles, puzzle]
+        : puzzles.map((old, i) => (i === index ? puzzle : old))
+    );
+    setEditing(null);
+    setMessage(null);
+  };
+
+  /**
+   * Copies a link to a puzzle, or shows it if the clipboard is blocked.
+   * @param {object} puzzle - The puzzle to share.
+   */
+  const sharePuzzle = async (puzzle) => {
+    const link = getPuzzleLink(puzzle);
+    try {
+      await navigator.clipboard.writeText(link);
+      setMessage({ text: "Link copied to the clipboard.", error: false });
+    } catch {
+      setMessage({ text: link, error: false });
+    }
+  };
+
+  /**
+   * Reads a puzzle file picked by the player and adds it to their puzzles.
+   * @param {Event} event - The change event of the file input.
+   */
+  const importPuzzle = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = ""; // Allow picking the same file again
+    if (!file) return;
+    try {
+      const puzzle = parsePuzzle(await file.text());
+      updatePuzzles([...puzzles, puzzle]);
+      setMessage({ text: `Imported "${puzzle.name}".`, error: false });
+    } catch (err) {
+      setMessage({ text: err.message, error: true });
+    }
+  };
+
+  const buttonClass =
+    "px-3 py-1 bg-gray-700 border border-gray-600 rounded-lg text-sm font-bold hover:bg-gray-600";
+
+  /**
+   * One row of the list.
+   * @param {object} puzzle - The puzzle.
+   * @param {number|null} index - Its index among the player's puzzles, null
+   *   for the starter pack.
+   */
+  const renderPuzzle = (puzzle, index) => (
+    <li
+      key={`${index}-${puzzle.name}`}
+      className="flex flex-wrap items-center gap-2 p-2 bg-gray-900 rounded-lg border border-gray-700"
+    >
+      <div className="flex-1 min-w-48">
+        <p className="font-bold">{puzzle.name}</p>
+        <p className="text-xs text-gray-400">
+          {describeGoal(puzzle.goal)} · {puzzle.pieces.length} pieces
+        </p>
+        {puzzle.description && (
+          <p className="text-xs text-gray-300">{puzzle.description}</p>
+        )}
+      </div>
+      <button onClick={() => onPlay(puzzle)} className={buttonClass}>
+        Play
+      </button>
+      <button
+        onClick={() => setEditing({ puzzle, index })}
+        className={buttonClass}
+      >
+        {index === null ? "Copy" : "Edit"}
+      </button>
+      <button onClick={() => sharePuzzle(puzzle)} className={buttonClass}>
+        Share
+      </button>
+      <button onClick={() => downloadPuzzle(puzzle)} className={buttonClass}>
+        Export
+      </button>
+      {index !== null && (
+        <button
+          onClick={() => updatePuzzles(puzzles.filter((_, i) => i !== index))}
+          className={buttonClass}
+        >
+          Delete
+        </button>
+      )}
+    </li>
+  );
+
+  return (
+    <Dialog label="Puzzles" onClose={onClose}>
+      <div className="w-full max-w-3xl max-h-full overflow-y-auto flex flex-col gap-4 p-6 bg-gray-800 rounded-xl shadow-2xl border border-gray-700">
+        <h2 className="text-3xl font-extrabold">
+          {editing ? "Puzzle Editor" : "Puzzles"}
+        </h2>
+
+        {editing ? (
+          <PuzzleEditor
+            puzzle={editing.puzzle}
+            onSave={saveEdited}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <>
+            <h3 className="text-xl font-bold text-gray-300">Starter Pack</h3>
+            <ul className="flex flex-col gap-2">
+              {STARTER_PUZZLES.map((puzzle) => renderPuzzle(puzzle, null))}
+            </ul>
+            <h3 className="text-xl font-bold text-gray-300">My Puzzles</h3>
+            {puzzles.length === 0 ? (
+              <p className="text-gray-400">
+                Make a puzzle or copy one from the starter pack to edit it.
+              </p>
+            ) : (
+              <ul className="flex flex-col gap-2">
+                {puzzles.map(renderPuzzle)}
+              </ul>
+            )}
+
+            {message && (
+              <p
+                className={`text-sm break-all ${
+                  message.error ? "text-red-400" : "text-green-400"
+                }`}
+              >
+                {message.text}
+              </p>
+            )}
+
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={importPuzzle}
+              className="hidden"
+            />
+            <div className="flex gap-2">
+              <button
+                onClick={() =>
+                  setEditing({ puzzle: createPuzzle(), index: null })
+                }
+                className={`${buttonClass} flex-1`}
+              >
+                New Puzzle
+              </button>
+              <button
+                onClick={() => fileInputRef.current.click()}
+                className={`${buttonClass} flex-1`}
+              >
+                Import
+              </button>
+            </div>
+            <button
+              onClick={onClose}
+              className="px-6 py-3 bg-gradient-to-r from-blue-500 to-indigo-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-indigo-700 transition duration-300 border-b-4 border-indigo-800"
+            >
+              Done
+            </button>
+          </>
+        )}
+      </div>
+    </Dialog>
+  );
+}
+
+export default PuzzlesPanel;
@@ -0,0 +1,147 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { FRAME_MS } from "../engine/index.js";
+import { formatFrames } from "../format.js";
+import { createReplayPlayer } from "../replay/replay.js";
+import Dialog from "./Dialog.jsx";
+import { HoldPanel, NextQueue } from "./PiecePreview.jsx";
+import { getRenderer } from "./renderers.js";
+
+const SPEEDS = [0.5, 1, 2, 4];
+
+/**
+ * Plays back a replay with pause, seek, speed and frame stepping.
+ * @param {object} props
+ * @param {object} props.replay - The replay to play.
+ * @param {string} props.renderer - One of RENDERERS.
+ * @param {object} props.theme - The resolved theme, see themes.js.
+ * @param {function(): void} props.onClose - Closes the viewer.
+ */
+function ReplayViewer({ replay, renderer, theme, onClose }) {
+  const { Board, PiecePreview } = getRenderer(renderer);
+  const player = useMemo(() => createReplayPlayer(replay), [replay]);
+  const [frame, setFrame] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+  const frameRef = useRef(0); // Fractional playback position
+
+  const game = player.getStateAt(frame);
+  const atEnd = frame >= player.frames;
+
+  /**
+   * Moves the playback position.
+   * @param {number} target - The frame to show.
+   */
+  const seek = (target) => {
+    const clamped = Math.max(0, Math.min(player.frames, target));
+    frameRef.current = clamped;
+    setFrame(Math.floor(clamped));
+  };
+
+  const togglePlaying = () => {
+    if (atEnd) seek(0);
+    setIsPlaying((prev) => !prev);
+  };
+
+  // Playback loop
+  useEffect(() => {
+    if (!isPlaying) return;
+    let last = performance.now();
+    let frameId = requestAnimationFrame(function advance(now) {
+      frameRef.current = Math.min(
+        player.frames,
+        frameRef.current + ((now - last) / FRAME_MS) * speed
+      );
+      last = now;
+      setFrame(Math.floor(frameRef.current));
+      if (frameRef.current >= player.frames) {
+        setIsPlaying(false);
+        return;
+      }
+      frameId = requestAnimationFrame(advance);
+    });
+    return () => cancelAnimationFrame(frameId);
+  }, [isPlaying, speed, player]);
+
+  const buttonClass =
+    "px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg font-bold hover:bg-gray-600";
+
+  return (
+    <Dialog
+      label="Replay"
+      onClose={onClose}
+      className="bg-black/80 flex items-center justify-center"
+    >
+      <div className="flex flex-col gap-4 p-6 bg-gray-800 rounded-xl shadow-2xl border border-gray-700">
+        <div className="flex justify-between items-baseline gap-4">
+          <h2 className="text-3xl font-extrabold">Replay</h2>
+          <p className="text-sm text-gray-400">
+            {new Date(replay.date).toLocaleString()}
+          </p>
+        </div>
+
+        <div className="flex gap-6 items-start">
+          <div className="flex flex-col gap-4">
+            <HoldPanel
+              type={game.hold}
+              pieceSet={game.pieceSet}
+              theme={theme}
+              Preview={PiecePreview}
+            />
+            <div className="p-3 bg-gray-700 rounded-lg border border-gray-600 text-lg font-bold">
+              <p>Score: {game.score}</p>
+              <p>Level: {game.level}</p>
+              <p>Lines: {game.lines}</p>
+            </div>
+          </div>
+          <Board game={game} theme={theme} />
+          <NextQueue
+            queue={game.queue}
+            pieceSet={game.pieceSet}
+            theme={theme}
+            Preview={PiecePreview}
+          />
+        </div>
+
+        <input
+          type="range"
+          min={0}
+          max={player.frames}
+          value={frame}
+          onChange={(e) => seek(Number(e.target.value))}
+          aria-label="Seek"
+        />
+        <div className="flex flex-wrap gap-2 items-center">
+          <button onClick={() => seek(frame - 1)} className={buttonClass}>
+            ◀ Frame
+          </button>
+          <button onClick={togglePlaying} className={buttonClass}>
+            {isPlaying ? "Pause" : "Play"}
+          </button>
+          <button onClick={() => seek(frame + 1)} className={buttonClass}>
+            Frame ▶
+          </button>
+          <select
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            className="px-2 py-2 bg-gray-900 border border-gray-600 rounded-lg"
+            aria-label="Speed"
+          >
+            {SPEEDS.map((value) => (
+              <option key={value} value={value}>
+                {value}x
+              </option>
+            ))}
+          </select>
+          <span className="font-mono text-gray-300">
+            {formatFrames(frame)} / {formatFrames(player.frames)}
+          </span>
+          <button onClick={onClose} className={`${buttonClass} ml-auto`}>
+            Close
+          </button>
+        </div>
+      </div>
+    </Dialog>
+  );
+}
+
+export default ReplayViewer;
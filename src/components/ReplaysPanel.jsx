@@ -0,0 +1,112 @@
+import React, { useRef, useState } from "react";
+import {
+  deleteReplay,
+  downloadReplay,
+  loadReplays,
+  parseReplay,
+} from "../replay/replay.js";
+import Dialog from "./Dialog.jsx";
+
+/**
+ * Lists saved replays with watch, export and delete actions, and imports
+ * replay files.
+ * @param {object} props
+ * @param {function(object): void} props.onWatch - Opens a replay.
+ * @param {function(): void} props.onClose - Closes the panel.
+ */
+function ReplaysPanel({ onWatch, onClose }) {
+  const [replays, setReplays] = useState(loadReplays);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  /**
+   * Reads a replay file picked by the player and opens it.
+   * @param {Event} event - The change event of the file input.
+   */
+  const importReplay = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = ""; // Allow picking the same file again
+    if (!file) return;
+    try {
+      onWatch(parseReplay(await file.text()));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const buttonClass =
+    "px-3 py-1 bg-gray-700 border border-gray-600 rounded-lg text-sm font-bold hover:bg-gray-600";
+
+  return (
+    <Dialog label="Replays" onClose={onClose}>
+      <div className="w-full max-w-lg max-h-full overflow-y-auto flex flex-col gap-4 p-6 bg-gray-800 rounded-xl shadow-2xl border border-gray-700">
+        <h2 className="text-3xl font-extrabold">Replays</h2>
+
+        {replays.length === 0 ? (
+          <p className="text-gray-400">
+            Finished games are saved here automatically.
+          </p>
+        ) : (
+          <ul className="flex flex-col gap-2">
+            {replays.map((replay) => (
+              <li
+                key={replay.date}
+                className="flex items-center gap-2 p-2 bg-gray-900 rounded-lg border border-gray-700"
+              >
+                <div className="flex-1">
+                  <p className="font-bold">
+                    {replay.score} pts · {replay.lines} lines
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    {new Date(replay.date).toLocaleString()}
+                  </p>
+                </div>
+                <button onClick={() => onWatch(replay)} className={buttonClass}>
+                  Watch
+                </button>
+                <button
+                  onClick={() => downloadReplay(replay)}
+                  className={buttonClass}
+                >
+                  Export
+                </button>
+                <button
+                  onClick={() => setReplays(deleteReplay(replay.date))}
+                  className={buttonClass}
+                >
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {error && <p className="text-red-400 text-sm">{error}</p>}
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={importReplay}
+          className="hidden"
+        />
+        <div className="flex gap-3">
+          <button
+            onClick={() => fileInputRef.current.click()}
+            className="flex-1 px-6 py-3 bg-gradient-to-r from-gray-500 to-gray-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-gray-600 hover:to-gray-700 transition duration-300 border-b-4 border-gray-800"
+          >
+            Import File
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-1 px-6 py-3 bg-gradient-to-r from-blue-500 to-indigo-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-indigo-700 transition duration-300 border-b-4 border-indigo-800"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </Dialog>
+  );
+}
+
+export default ReplaysPanel;
@@ -0,0 +1,110 @@
+import React from "react";
+import {
+  END_REASONS,
+  MODES,
+  getAttackPerMinute,
+  getModeRules,
+  getPiecesPerSecond,
+} from "../engine/index.js";
+import { formatFrames } from "../format.js";
+import { getKeysPerPiece } from "../game/stats.js";
+import StatsCharts from "./StatsCharts.jsx";
+
+const TITLES = {
+  [END_REASONS.TOP_OUT]: { text: "GAME OVER!", color: "text-red-500" },
+  [END_REASONS.GOAL]: { text: "COMPLETE!", color: "text-green-400" },
+  [END_REASONS.TIME_UP]: { text: "TIME!", color: "text-yellow-400" },
+  [END_REASONS.FINISHED]: { text: "WELL PLAYED", color: "text-blue-400" },
+  [END_REASONS.OUT_OF_PIECES]: {
+    text: "OUT OF PIECES",
+    color: "text-red-500",
+  },
+};
+
+/**
+ * Picks the result that matters most for a mode, e.g. the time of a
+ * completed Sprint or the score of an Ultra run.
+ * @param {object} game - The finished game state.
+ * @returns {{ label: string, value: string }} The headline result.
+ */
+const getHeadline = (game) => {
+  if (game.mode === MODES.SPRINT && game.endReason === END_REASONS.GOAL) {
+    return { label: "Time", value: formatFrames(game.frame) };
+  }
+  if (game.mode === MODES.ZEN) {
+    return { label: "Lines", value: String(game.lines) };
+  }
+  if (game.mode === MODES.FINESSE) {
+    return { label: "Pieces", value: String(game.pieces) };
+  }
+  return { label: "Score", value: String(game.score) };
+};
+
+/**
+ * End-of-game results for every mode, shown over the board.
+ * @param {object} props
+ * @param {object} props.game - The finished game state.
+ * @param {{ rank: number|null, isPersonalBest: boolean }} [props.record] -
+ *   Where the game placed on the leaderboard, if it was ranked.
+ * @param {object} [props.stats] - Statistics from the session, adding key,
+ *   attack and finesse figures and the charts.
+ * @param {React.ReactNode} [props.children] - Extra actions, e.g. replay
+ *   buttons.
+ */
+function ResultsScreen({ game, record, stats, children }) {
+  const title = TITLES[game.endReason] ?? TITLES[END_REASONS.TOP_OUT];
+  const headline = getHeadline(game);
+  const details = [
+    ["Mode", getModeRules(game.mode).label],
+    ["Score", game.score],
+    ["Lines", game.lines],
+    ["Level", game.level],
+    ["Time", formatFrames(game.frame)],
+    ["Pieces", game.pieces],
+    ["PPS", getPiecesPerSecond(game).toFixed(2)],
+    ...(stats
+      ? [
+          ["APM", getAttackPerMinute(game).toFixed(1)],
+          ["KPP", getKeysPerPiece(stats, game).toFixed(2)],
+          ["Finesse Faults", stats.finesseFaults],
+        ]
+      : []),
+  ].filter(([label]) => label !== headline.label);
+
+  return (
+    <div className="text-center p-4">
+      <h2
+        className={`text-5xl font-extrabold ${title.color} motion-safe:animate-pulse drop-shadow-xl mb-4`}
+      >
+        {title.text}
+      </h2>
+      <p className="text-lg text-gray-300">{headline.label}</p>
+      <p className="text-4xl font-semibold text-white mb-3">{headline.value}</p>
+      {record?.isPersonalBest && (
+        <p className="text-2xl font-extrabold text-yellow-300 mb-3">
+          NEW PERSONAL BEST!
+        </p>
+      )}
+      {record?.rank > 1 && (
+        <p className="text-lg font-bold text-yellow-200 mb-3">
+          #{record.rank} on the leaderboard
+        </p>
+      )}
+      <dl className="grid grid-cols-2 gap-x-4 text-left text-gray-200">
+        {details.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt className="text-gray-400">{label}</dt>
+            <dd className="font-semibold text-right">{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      {stats && <StatsCharts stats={stats} />}
+      <p className="text-lg text-gray-300 mt-3">
+        Press "Reset Game" to play again
+      </p>
+      {children}
+    </div>
+  );
+}
+
+export default ResultsScreen;
@@ -0,0 +1,457 @@
+import React, { useRef, useState } from "react";
+import {
+  MAX_PREVIEW,
+  MIN_PREVIEW,
+  PIECE_SETS,
+  PIECE_SET_LABELS,
+  PIECE_TYPES,
+  getRandomizerLabels,
+} from "../engine/index.js";
+import {
+  BUILT_IN_THEMES,
+  OVERLAYS,
+  OVERLAY_LABELS,
+  THEMES,
+  downloadSkin,
+  getBlockStyle,
+  getMarkColor,
+  getPiecePattern,
+  getThemeHex,
+  parseSkin,
+} from "../render/themes.js";
+import {
+  BOARD_LIMITS,
+  HANDLING_LIMITS,
+  RENDERERS,
+  RENDERER_LABELS,
+  SOFT_DROP_INSTANT,
+  TOUCH_LIMITS,
+  getTheme,
+} from "../settings.js";
+import CustomPiecesEditor from "./CustomPiecesEditor.jsx";
+import Dialog from "./Dialog.jsx";
+
+const HANDLING_LABELS = {
+  das: "DAS (Delayed Auto Shift)",
+  arr: "ARR (Auto Repeat Rate)",
+  sdf: "SDF (Soft Drop Factor)",
+  dcd: "DCD (DAS Cut Delay)",
+};
+
+const VOLUME_LABELS = {
+  musicVolume: "Music Volume",
+  effectsVolume: "Effects Volume",
+};
+
+const BOARD_LABELS = {
+  boardWidth: "Board Width",
+  boardHeight: "Board Height",
+  hiddenRows: "Hidden Rows",
+};
+
+/**
+ * Formats a handling value for display, e.g. "133ms" or "∞".
+ * @param {string} key - The setting name.
+ * @param {number} value - The setting value.
+ * @returns {string} The label.
+ */
+const formatHandling = (key, value) => {
+  if (key === "sdf" && value >= SOFT_DROP_INSTANT) return "∞";
+  return `${value}${HANDLING_LIMITS[key].unit}`;
+};
+
+/**
+ * Modal panel for game and handling settings.
+ * @param {object} props
+ * @param {object} props.settings - The current settings.
+ * @param {function(string, *): void} props.onChange - Called with a setting
+ *   name and its new value.
+ * @param {function(): void} props.onClose - Closes the panel.
+ */
+function SettingsPanel({ settings, onChange, onClose }) {
+  const [skinMessage, setSkinMessage] = useState(null);
+  const skinInputRef = useRef(null);
+  const theme = getTheme(settings);
+  const isSkin = settings.skins.some((skin) => skin.id === settings.theme);
+
+  /**
+   * Reads a skin file picked by the player and switches to it. A skin with
+   * the same name is replaced.
+   * @param {Event} event - The change event of the file input.
+   */
+  const importSkin = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = ""; // Allow picking the same file again
+    if (!file) return;
+    try {
+      const skin = parseSkin(await file.text());
+      onChange("skins", [
+        ...settings.skins.filter(({ id }) => id !== skin.id),
+        skin,
+      ]);
+      onChange("theme", skin.id);
+      setSkinMessage({ text: `Imported ${skin.name}.`, error: false });
+    } catch (err) {
+      setSkinMessage({ text: err.message, error: true });
+    }
+  };
+
+  /**
+   * Deletes the selected skin and goes back to the classic theme.
+   */
+  const deleteSkin = () => {
+    onChange(
+      "skins",
+      settings.skins.filter(({ id }) => id !== settings.theme)
+    );
+    onChange("theme", THEMES.CLASSIC);
+    setSkinMessage(null);
+  };
+
+  const buttonClass =
+    "flex-1 px-3 py-1 bg-gray-700 border border-gray-600 rounded-lg text-sm font-bold hover:bg-gray-600";
+
+  return (
+    <Dialog label="Settings" onClose={onClose}>
+      <div className="w-full max-w-md max-h-full overflow-y-auto flex flex-col gap-4 p-6 bg-gray-800 rounded-xl shadow-2xl border border-gray-700">
+        <h2 className="text-3xl font-extrabold">Settings</h2>
+
+        <section className="flex flex-col gap-3">
+          <h3 className="text-xl font-bold text-gray-300">Game</h3>
+          <label className="flex flex-col gap-1 text-sm font-semibold">
+            Player Name
+            <input
+              type="text"
+              maxLength={16}
+              value={settings.playerName}
+              onChange={(e) => onChange("playerName", e.target.value)}
+              className="px-2 py-1 bg-gray-900 border border-gray-600 rounded"
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-sm font-semibold">
+            Randomizer
+            <select
+              value={settings.randomizer}
+              onChange={(e) => onChange("randomizer", e.target.value)}
+              className="px-2 py-1 bg-gray-900 border border-gray-600 rounded"
+            >
+              {Object.entries(getRandomizerLabels()).map(([kind, label]) => (
+                <option key={kind} value={kind}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-sm font-semibold">
+            Next Queue: {settings.previewCount}
+            <input
+              type="range"
+              min={MIN_PREVIEW}
+              max={MAX_PREVIEW}
+              value={settings.previewCount}
+              onChange={(e) => onChange("previewCount", Number(e.target.value))}
+            />
+          </label>
+          <p className="text-xs text-gray-400">
+            Game settings apply from the next game.
+          </p>
+        </section>
+
+        <section className="flex flex-col gap-3">
+          <h3 className="text-xl font-bold text-gray-300">Board & Pieces</h3>
+          {Object.entries(BOARD_LIMITS).map(([key, limits]) => (
+            <label
+              key={key}
+              className="flex flex-col gap-1 text-sm font-semibold"
+            >
+              <span className="flex justify-between">
+                {BOARD_LABELS[key]}
+                <span className="text-gray-300">{settings[key]}</span>
+              </span>
+              <input
+                type="range"
+                min={limits.min}
+                max={limits.max}
+                value={settings[key]}
+                onChange={(e) => onChange(key, Number(e.target.value))}
+              />
+            </label>
+          ))}
+          <label className="flex flex-col gap-1 text-sm font-semibold">
+            Piece Set
+            <select
+              value={settings.pieceSet}
+              onChange={(e) => onChange("pieceSet", e.target.value)}
+              className="px-2 py-1 bg-gray-900 border border-gray-600 rounded"
+            >
+              {Object.values(PIECE_SETS).map((id) => (
+                <option key={id} value={id}>
+                  {PIECE_SET_LABELS[id]}
+                </option>
+              ))}
+            </select>
+          </label>
+          {settings.pieceSet === PIECE_SETS.CUSTOM && (
+            <CustomPiecesEditor
+              pieces={settings.customPieces}
+              onChange={(pieces) => onChange("customPieces", pieces)}
+            />
+          )}
+          <p className="text-xs text-gray-400">
+            Boards are widened to fit the largest piece. T-spins need the
+            standard Tetrominos.
+          </p>
+        </section>
+
+        <section className="flex flex-col gap-3">
+          <h3 className="text-xl font-bold text-gray-300">Display</h3>
+          <label className="flex flex-col gap-1 text-sm font-semibold">
+            Renderer
+            <select
+              value={settings.renderer}
+              onChange={(e) => onChange("renderer", e.target.value)}
+              className="px-2 py-1 bg-gray-900 border border-gray-600 rounded"
+            >
+              {Object.values(RENDERERS).map((kind) => (
+                <option key={kind} value={kind}>
+                  {RENDERER_LABELS[kind]}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 text-sm font-semibold">
+            <input
+              type="checkbox"
+              checked={settings.showHint}
+              onChange={(e) => onChange("showHint", e.target.checked)}
+            />
+            Show best move
+          </label>
+        </section>
+
+        <section className="flex flex-col gap-3">
+          <h3 className="text-xl font-bold text-gray-300">Appearance</h3>
+          <label className="flex flex-col gap-1 text-sm font-semibold">
+            Theme
+            <select
+              value={theme.id}
+              onChange={(e) => onChange("theme", e.target.value)}
+              className="px-2 py-1 bg-gray-900 border border-gray-600 rounded"
+            >
+              {[...Object.values(BUILT_IN_THEMES), ...settings.skins].map(
+                ({ id, name }) => (
+                  <option key={id} value={id}>
+                    {name}
+                  </option>
+                )
+              )}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-sm font-semibold">
+            Block Overlay
+            <select
+              value={settings.pieceOverlay}
+              onChange={(e) => onChange("pieceOverlay", e.target.value)}
+              className="px-2 py-1 bg-gray-900 border border-gray-600 rounded"
+            >
+              {Object.values(OVERLAYS).map((overlay) => (
+                <option key={overlay} value={overlay}>
+                  {OVERLAY_LABELS[overlay]}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div
+            className="flex justify-center gap-1 p-2 rounded"
+            style={{ background: theme.background }}
+            aria-hidden="true"
+          >
+            {[...PIECE_TYPES].map((type) => {
+              const color = getThemeHex(theme, undefined, type);
+              const pattern =
+                theme.overlay === OVERLAYS.PATTERNS
+                  ? getPiecePattern(undefined, type)
+                  : null;
+              return (
+                <div
+                  key={type}
+                  className="w-6 h-6 rounded-sm flex items-center justify-center text-xs font-bold"
+                  style={getBlockStyle(theme, color, pattern)}
+                >
+                  {theme.overlay === OVERLAYS.LETTERS && (
+                    <span style={{ color: getMarkColor(theme, color) }}>
+                      {type}
+                    </span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          {skinMessage && (
+            <p
+              className={`text-sm ${
+                skinMessage.error ? "text-red-400" : "text-green-400"
+              }`}
+            >
+              {skinMessage.text}
+            </p>
+          )}
+          <input
+            ref={skinInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={importSkin}
+            className="hidden"
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={() => skinInputRef.current.click()}
+              className={buttonClass}
+            >
+              Import Skin
+            </button>
+            <button onClick={() => downloadSkin(theme)} className={buttonClass}>
+              Export Skin
+            </button>
+            {isSkin && (
+              <button onClick={deleteSkin} className={buttonClass}>
+                Delete Skin
+              </button>
+            )}
+          </div>
+          <p className="text-xs text-gray-400">
+            Skins are JSON files with a name, hex colors for the background,
+            grid, garbage and each piece, and a texture (flat, beveled, pixel or
+            outline). Export a theme to start from it.
+          </p>
+        </section>
+
+        <section className="flex flex-col gap-3">
+          <h3 className="text-xl font-bold text-gray-300">Audio</h3>
+          {Object.entries(VOLUME_LABELS).map(([key, label]) => (
+            <label
+              key={key}
+              className="flex flex-col gap-1 text-sm font-semibold"
+            >
+              <span className="flex justify-between">
+                {label}
+                <span className="text-gray-300">{settings[key]}%</span>
+              </span>
+              <input
+                type="range"
+                min={0}
+                max={100}
+                value={settings[key]}
+                onChange={(e) => onChange(key, Number(e.target.value))}
+              />
+            </label>
+          ))}
+          <label className="flex items-center gap-2 text-sm font-semibold">
+            <input
+              type="checkbox"
+              checked={settings.muted}
+              onChange={(e) => onChange("muted", e.target.checked)}
+            />
+            Mute all sound
+          </label>
+        </section>
+
+        <section className="flex flex-col gap-3">
+          <h3 className="text-xl font-bold text-gray-300">Handling</h3>
+          {Object.entries(HANDLING_LIMITS).map(([key, limits]) => (
+            <label
+              key={key}
+              className="flex flex-col gap-1 text-sm font-semibold"
+            >
+              <span className="flex justify-between">
+                {HANDLING_LABELS[key]}
+                <span className="text-gray-300">
+                  {formatHandling(key, settings[key])}
+                </span>
+              </span>
+              <input
+                type="range"
+                min={limits.min}
+                max={limits.max}
+                step={limits.step}
+                value={settings[key]}
+                onChange={(e) => onChange(key, Number(e.target.value))}
+              />
+            </label>
+          ))}
+        </section>
+
+        <section className="flex flex-col gap-3">
+          <h3 className="text-xl font-bold text-gray-300">Touch</h3>
+          <label className="flex items-center gap-2 text-sm font-semibold">
+            <input
+              type="checkbox"
+              checked={settings.touchGestures}
+              onChange={(e) => onChange("touchGestures", e.target.checked)}
+            />
+            Gestures on the board
+          </label>
+          <label className="flex flex-col gap-1 text-sm font-semibold">
+            <span className="flex justify-between">
+              Drag per Column
+              <span className="text-gray-300">
+                {settings.touchSensitivity}
+                {TOUCH_LIMITS.unit}
+              </span>
+            </span>
+            <input
+              type="range"
+              min={TOUCH_LIMITS.min}
+              max={TOUCH_LIMITS.max}
+              step={TOUCH_LIMITS.step}
+              value={settings.touchSensitivity}
+              onChange={(e) =>
+                onChange("touchSensitivity", Number(e.target.value))
+              }
+            />
+          </label>
+          <label className="flex items-center gap-2 text-sm font-semibold">
+            <input
+              type="checkbox"
+              checked={settings.touchPad}
+              onChange={(e) => onChange("touchPad", e.target.checked)}
+            />
+            On-screen buttons
+          </label>
+          <p className="text-xs text-gray-400">
+            Drag sideways to move and down to soft drop, flick down to hard drop
+            and up to hold. Tap the left half of the board to rotate
+            counterclockwise, the right half to rotate clockwise.
+          </p>
+        </section>
+
+        <section className="flex flex-col gap-3">
+          <h3 className="text-xl font-bold text-gray-300">Accessibility</h3>
+          <label className="flex items-center gap-2 text-sm font-semibold">
+            <input
+              type="checkbox"
+              checked={settings.assist}
+              onChange={(e) => onChange("assist", e.target.checked)}
+            />
+            Assist mode
+          </label>
+          <p className="text-xs text-gray-400">
+            Pieces fall at half speed, and a tone sounds the height of the stack
+            under the piece whenever it moves to new columns: the higher the
+            tone, the taller the stack. Assisted games are not ranked. Starts
+            with the next game.
+          </p>
+        </section>
+
+        <button
+          onClick={onClose}
+          className="w-full px-6 py-3 bg-gradient-to-r from-blue-500 to-indigo-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-indigo-700 transition duration-300 border-b-4 border-indigo-800"
+        >
+          Done
+        </button>
+      </div>
+    </Dialog>
+  );
+}
+
+export default SettingsPanel;
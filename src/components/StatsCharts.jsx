@@ -0,0 +1,115 @@
+import React from "react";
+import { FRAMES_PER_SECOND } from "../engine/index.js";
+
+const WIDTH = 240;
+const HEIGHT = 80;
+const MAX_POINTS = 120; // Long games are thinned out to this many points
+const PPS_WINDOW = 10; // Pieces averaged for each PPS point
+
+/**
+ * Keeps at most MAX_POINTS evenly spread points, always including the last.
+ * @param {Array<{ x: number, y: number }>} points - The points.
+ * @returns {Array<{ x: number, y: number }>} The thinned points.
+ */
+const thinPoints = (points) => {
+  if (points.length <= MAX_POINTS) return points;
+  const every = points.length / MAX_POINTS;
+  return Array.from(
+    { length: MAX_POINTS },
+    (_, i) => points[Math.min(points.length - 1, Math.round((i + 1) * every))]
+  );
+};
+
+/**
+ * Computes the pieces per second over the last PPS_WINDOW pieces at every
+ * lock.
+ * @param {Array<object>} samples - Samples from the statistics.
+ * @returns {Array<{ x: number, y: number }>} Seconds against PPS.
+ */
+const getPpsPoints = (samples) =>
+  samples.map((sample, i) => {
+    const start = i < PPS_WINDOW ? null : samples[i - PPS_WINDOW];
+    const pieces = sample.pieces - (start?.pieces ?? 0);
+    const frames = sample.frame - (start?.frame ?? 0);
+    return {
+      x: sample.frame / FRAMES_PER_SECOND,
+      y: frames > 0 ? (pieces * FRAMES_PER_SECOND) / frames : 0,
+    };
+  });
+
+/**
+ * A small line chart with its maximum value in the corner.
+ * @param {object} props
+ * @param {string} props.title - The chart title.
+ * @param {Array<{ x: number, y: number }>} props.points - The data.
+ * @param {string} props.color - The line color.
+ * @param {function(number): string} props.format - Formats the maximum.
+ */
+function LineChart({ title, points, color, format }) {
+  const thinned = thinPoints(points);
+  const maxX = Math.max(1, ...thinned.map((point) => point.x));
+  const maxY = Math.max(1, ...thinned.map((point) => point.y));
+  const path = thinned
+    .map(
+      (point) =>
+        `${((point.x / maxX) * WIDTH).toFixed(1)},${(
+          HEIGHT -
+          (point.y / maxY) * HEIGHT
+        ).toFixed(1)}`
+    )
+    .join(" ");
+
+  return (
+    <figure className="flex flex-col gap-1">
+      <figcaption className="flex justify-between text-xs text-gray-400">
+        <span>{title}</span>
+        <span>max {format(maxY)}</span>
+      </figcaption>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-20 bg-gray-900 rounded border border-gray-700"
+        preserveAspectRatio="none"
+      >
+        <polyline
+          points={path}
+          fill="none"
+          stroke={color}
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+    </figure>
+  );
+}
+
+/**
+ * Charts of a game over time: speed (PPS) and stack height after each lock.
+ * @param {object} props
+ * @param {object} props.stats - Statistics from the session.
+ */
+function StatsCharts({ stats }) {
+  if (stats.samples.length < 2) return null;
+  const heightPoints = stats.samples.map((sample) => ({
+    x: sample.frame / FRAMES_PER_SECOND,
+    y: sample.height,
+  }));
+
+  return (
+    <div className="flex flex-col gap-2 mt-3 text-left">
+      <LineChart
+        title="PPS"
+        points={getPpsPoints(stats.samples)}
+        color="#60a5fa"
+        format={(value) => value.toFixed(2)}
+      />
+      <LineChart
+        title="Board height"
+        points={heightPoints}
+        color="#f472b6"
+        format={(value) => String(value)}
+      />
+    </div>
+  );
+}
+
+export default StatsCharts;
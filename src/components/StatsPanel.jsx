@@ -0,0 +1,57 @@
+import React from "react";
+import { getAttackPerMinute } from "../engine/index.js";
+import { CLEAR_LABELS, getKeysPerPiece } from "../game/stats.js";
+import { getThemeHex } from "../render/themes.js";
+
+/**
+ * Live statistics of the running game: rates, clears by kind and how often
+ * each piece came.
+ * @param {object} props
+ * @param {object} props.game - The game state.
+ * @param {object} props.stats - Statistics from the session.
+ * @param {object} props.theme - The resolved theme, see themes.js.
+ */
+function StatsPanel({ game, stats, theme }) {
+  const counts = Object.entries(stats.pieceCounts);
+  const mostPlaced = Math.max(1, ...counts.map(([, count]) => count));
+  const rows = [
+    ["Pieces", game.pieces],
+    ["APM", getAttackPerMinute(game).toFixed(1)],
+    ["KPP", getKeysPerPiece(stats, game).toFixed(2)],
+    ["Finesse", stats.finesseFaults],
+    ...Object.entries(CLEAR_LABELS).map(([kind, label]) => [
+      label,
+      stats.clears[kind],
+    ]),
+  ];
+
+  return (
+    <div className="p-3 bg-gray-700 rounded-lg shadow-inner border border-gray-600 text-sm">
+      <dl className="grid grid-cols-2 gap-x-3">
+        {rows.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt className="text-gray-300">{label}</dt>
+            <dd className="font-semibold text-right">{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      <ul className="flex flex-col gap-0.5 mt-2">
+        {counts.map(([type, count]) => (
+          <li key={type} className="flex items-center gap-2">
+            <span className="w-4 font-bold">{type}</span>
+            <span
+              className="h-2 rounded-sm"
+              style={{
+                width: `${(count / mostPlaced) * 100}px`,
+                backgroundColor: getThemeHex(theme, game.pieceSet, type),
+              }}
+            />
+            <span className="text-gray-300">{count}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default StatsPanel;
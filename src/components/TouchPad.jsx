@@ -0,0 +1,56 @@
+import React from "react";
+import { ACTIONS } from "../engine/index.js";
+import { BINDABLE_ACTIONS } from "../input/bindings.js";
+
+// Two rows: rotations and hold on top, movement and drops below
+const PAD_BUTTONS = [
+  { action: ACTIONS.HOLD, symbol: "Hold" },
+  { action: ACTIONS.ROTATE_CCW, symbol: "↺" },
+  { action: ACTIONS.ROTATE_180, symbol: "180" },
+  { action: ACTIONS.ROTATE_CW, symbol: "↻" },
+  { action: ACTIONS.MOVE_LEFT, symbol: "←" },
+  { action: ACTIONS.SOFT_DROP, symbol: "↓" },
+  { action: ACTIONS.MOVE_RIGHT, symbol: "→" },
+  { action: ACTIONS.HARD_DROP, symbol: "⤓" },
+];
+
+const LABELS = Object.fromEntries(
+  BINDABLE_ACTIONS.map(({ action, label }) => [action, label])
+);
+
+/**
+ * On-screen buttons for touch screens. Buttons report presses and releases
+ * like keys, so held directions auto-shift with the handling settings.
+ * @param {object} props
+ * @param {function(string): void} props.onPress - Called with the action
+ *   of a button that goes down.
+ * @param {function(string): void} props.onRelease - Called with the action
+ *   of a button that comes up.
+ */
+function TouchPad({ onPress, onRelease }) {
+  return (
+    <div
+      className="grid grid-cols-4 gap-2 w-full max-w-xs select-none touch-none"
+      onContextMenu={(e) => e.preventDefault()} // No long-press menu
+    >
+      {PAD_BUTTONS.map(({ action, symbol }) => (
+        <button
+          key={action}
+          aria-label={LABELS[action]}
+          onPointerDown={(e) => {
+            e.preventDefault(); // Keep focus and text selection as they are
+            onPress(action);
+          }}
+          onPointerUp={() => onRelease(action)}
+          onPointerLeave={() => onRelease(action)}
+          onPointerCancel={() => onRelease(action)}
+          className="h-14 bg-gray-700 border border-gray-600 rounded-lg text-xl font-bold active:bg-gray-500"
+        >
+          {symbol}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default TouchPad;
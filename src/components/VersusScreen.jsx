@@ -0,0 +1,436 @@
+import React, {
+  useCallback,
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import { BOT_LEVELS, BOT_LEVEL_SETTINGS, createBotPlayer } from "../ai/bot.js";
+import { ACTIONS, FRAME_MS, getCurrentGravity } from "../engine/index.js";
+import { createGameLoop } from "../game/loop.js";
+import { BEST_OF_OPTIONS, PLAYER_COUNT, createMatch } from "../game/versus.js";
+import {
+  BINDABLE_ACTIONS,
+  UI_ACTIONS,
+  VERSUS_KEY_BINDINGS,
+  createBindingLookup,
+  formatKey,
+  normalizeKey,
+} from "../input/bindings.js";
+import { createInputController } from "../input/controller.js";
+import { createGamepadPoller } from "../input/gamepad.js";
+import { getGameOptions, getTheme } from "../settings.js";
+import Dialog from "./Dialog.jsx";
+import GarbageMeter from "./GarbageMeter.jsx";
+import { HoldPanel, NextQueue } from "./PiecePreview.jsx";
+import { getRenderer } from "./renderers.js";
+
+const PLAYER_COLORS = ["text-sky-400", "text-rose-400"];
+const HUMAN = "human"; // Player 2 option besides the BOT_LEVELS
+const CPU_PLAYER = 1; // The CPU always takes Player 2's side
+
+/**
+ * Names a player for the match screen.
+ * @param {number} index - The player index.
+ * @param {string|null} cpuLevel - The CPU's level, null for two humans.
+ * @returns {string} The name.
+ */
+const getPlayerName = (index, cpuLevel) =>
+  cpuLevel && index === CPU_PLAYER
+    ? `CPU (${BOT_LEVEL_SETTINGS[cpuLevel].label})`
+    : `Player ${index + 1}`;
+
+const KEY_LOOKUPS = VERSUS_KEY_BINDINGS.map(createBindingLookup);
+
+/**
+ * One player's side: hold, board with incoming garbage, next queue and
+ * round wins.
+ * @param {object} props
+ * @param {object} props.session - The player's session this round.
+ * @param {number} props.index - The player index.
+ * @param {string} props.name - The player's name.
+ * @param {object} props.match - The match state.
+ * @param {boolean} props.isPaused - Whether the match is paused.
+ * @param {object} props.renderer - Components from `getRenderer`.
+ * @param {object} props.theme - The resolved theme, see themes.js.
+ */
+function PlayerView({
+  session,
+  index,
+  name,
+  match,
+  isPaused,
+  renderer,
+  theme,
+}) {
+  const game = useSyncExternalStore(session.subscribe, session.getState);
+  const { Board, PiecePreview } = renderer;
+  const isRoundOver = match.roundWinner !== null;
+
+  return (
+    <div className="flex flex-col gap-2 items-center">
+      <div className="flex items-baseline gap-3">
+        <h3 className={`text-2xl font-extrabold ${PLAYER_COLORS[index]}`}>
+          {name}
+        </h3>
+        <span aria-label={`${match.wins[index]} rounds won`}>
+          {Array.from({ length: match.winsNeeded }, (_, i) =>
+            i < match.wins[index] ? "●" : "○"
+          ).join(" ")}
+        </span>
+      </div>
+      <div className="flex gap-2 items-start">
+        <div className="flex flex-col gap-2">
+          <HoldPanel
+            type={game.hold}
+            pieceSet={game.pieceSet}
+            theme={theme}
+            Preview={PiecePreview}
+          />
+          <p className="text-sm text-gray-300">
+            Sent {game.attackSent} · Lines {game.lines}
+          </p>
+        </div>
+        <GarbageMeter queue={game.garbageQueue} rows={game.height} />
+        <Board game={game} hidePiece={isPaused} theme={theme}>
+          {isRoundOver && (
+            <div className="absolute inset-0 bg-black/60 flex items-center justify-center">
+              <p
+                className={`text-5xl font-extrabold ${
+                  match.roundWinner === index
+                    ? "text-green-400"
+                    : "text-red-500"
+                }`}
+              >
+                {match.roundWinner === index ? "WIN" : "LOSE"}
+              </p>
+            </div>
+          )}
+        </Board>
+        <NextQueue
+          queue={game.queue}
+          pieceSet={game.pieceSet}
+          theme={theme}
+          Preview={PiecePreview}
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * A running match: both boards, one game loop and the input devices of
+ * both players.
+ * @param {object} props
+ * @param {object} props.match - A match from `createMatch`.
+ * @param {object} props.settings - The player settings (handling, renderer,
+ *   theme).
+ * @param {string|null} props.cpuLevel - The level of the CPU playing as
+ *   Player 2, or null when two people play.
+ * @param {function(): void} props.onRematch - Starts a new match.
+ * @param {function(): void} props.onExit - Back to the setup screen.
+ */
+function VersusMatch({ match, settings, cpuLevel, onRematch, onExit }) {
+  const state = useSyncExternalStore(match.subscribe, match.getState);
+  const [isPaused, setIsPaused] = useState(false);
+  const renderer = getRenderer(settings.renderer);
+  const isRunning = state.roundWinner === null && !isPaused;
+
+  const settingsRef = useRef(settings);
+  const runningRef = useRef(isRunning);
+  const controllersRef = useRef(null);
+
+  // One controller per player, reading the current round's session
+  if (controllersRef.current === null) {
+    controllersRef.current = Array.from({ length: PLAYER_COUNT }, (_, i) => {
+      const getSession = () => match.getState().sessions[i];
+      return createInputController({
+        dispatch: (action) => getSession().dispatch(action),
+        getSettings: () => settingsRef.current,
+        getDropInterval: () =>
+          FRAME_MS / getCurrentGravity(getSession().getState()),
+      });
+    });
+  }
+
+  useEffect(() => {
+    settingsRef.current = settings;
+  }, [settings]);
+
+  useEffect(() => {
+    runningRef.current = isRunning;
+    if (!isRunning) {
+      controllersRef.current.forEach((controller) => controller.releaseAll());
+    }
+  }, [isRunning]);
+
+  /**
+   * Starts a player's action from any input device.
+   * @param {number} player - The player index.
+   * @param {string} action - An engine action or UI_ACTIONS.PAUSE.
+   */
+  const pressAction = useCallback(
+    (player, action) => {
+      if (action === UI_ACTIONS.PAUSE) {
+        if (state.roundWinner === null) setIsPaused((prev) => !prev);
+      } else if (isRunning && !(cpuLevel && player === CPU_PLAYER)) {
+        controllersRef.current[player].press(action);
+      }
+    },
+    [isRunning, state.roundWinner, cpuLevel]
+  );
+  const pressRef = useRef(pressAction);
+  useEffect(() => {
+    pressRef.current = pressAction;
+  }, [pressAction]);
+
+  // Game loop for both boards; each player's gamepad is polled separately
+  // and the CPU, if any, gets a new bot for each round's session
+  useEffect(() => {
+    let cpu = null; // { session, bot }
+    const pollers = Array.from({ length: PLAYER_COUNT }, (_, i) =>
+      createGamepadPoller({
+        getLookup: () =>
+          createBindingLookup(settingsRef.current.gamepadBindings),
+        onPress: (action) => pressRef.current(i, action),
+        onRelease: (action) => controllersRef.current[i].release(action),
+        filter: (_, index) => index === i, // First pad P1, second pad P2
+      })
+    );
+    const loop = createGameLoop({
+      isRunning: () => runningRef.current,
+      onAnimationFrame: () => pollers.forEach((poller) => poller.poll()),
+      onFrame: () => {
+        const { sessions } = match.getState();
+        controllersRef.current.forEach((controller) =>
+          controller.update(FRAME_MS)
+        );
+        if (cpuLevel) {
+          const session = sessions[CPU_PLAYER];
+          if (cpu?.session !== session) {
+            cpu = {
+              session,
+              bot: createBotPlayer({
+                getState: session.getState,
+                dispatch: session.dispatch,
+                level: cpuLevel,
+              }),
+            };
+          }
+          cpu.bot.update();
+        }
+        sessions.forEach((session) => session.dispatch({ type: ACTIONS.TICK }));
+      },
+    });
+    loop.start();
+    return () => loop.stop();
+  }, [match, cpuLevel]);
+
+  // Shared keyboard, one side per player
+  useEffect(() => {
+    const findBinding = (event) => {
+      const key = normalizeKey(event.key);
+      const player = KEY_LOOKUPS.findIndex((lookup) => lookup.has(key));
+      return player === -1 ? null : [player, KEY_LOOKUPS[player].get(key)];
+    };
+    const handleKeyDown = (event) => {
+      const binding = findBinding(event);
+      if (!binding) return;
+      event.preventDefault();
+      if (!event.repeat) pressRef.current(...binding);
+    };
+    const handleKeyUp = (event) => {
+      const binding = findBinding(event);
+      if (binding) controllersRef.current[binding[0]].release(binding[1]);
+    };
+    const handleBlur = () =>
+      controllersRef.current.forEach((controller) => controller.releaseAll());
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("blur", handleBlur);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+      window.removeEventListener("blur", handleBlur);
+    };
+  }, []);
+
+  const buttonClass =
+    "px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg font-bold hover:bg-gray-600";
+
+  return (
+    <div className="flex flex-col gap-4 items-center">
+      <div className="flex items-center gap-4">
+        <p className="text-lg text-gray-300">
+          Round {state.round} · First to {state.winsNeeded}
+        </p>
+        {isPaused && (
+          <p className="text-2xl font-extrabold text-yellow-400">PAUSED</p>
+        )}
+      </div>
+      <div className="flex flex-col xl:flex-row gap-8">
+        {state.sessions.map((session, index) => (
+          <PlayerView
+            key={index}
+            session={session}
+            index={index}
+            name={getPlayerName(index, cpuLevel)}
+            match={state}
+            isPaused={isPaused}
+            renderer={renderer}
+            theme={getTheme(settings)}
+          />
+        ))}
+      </div>
+      {state.winner !== null ? (
+        <div className="flex items-center gap-3">
+          <p
+            className={`text-3xl font-extrabold ${PLAYER_COLORS[state.winner]}`}
+          >
+            {getPlayerName(state.winner, cpuLevel)} wins the match!
+          </p>
+          <button onClick={onRematch} className={buttonClass}>
+            Rematch
+          </button>
+          <button onClick={onExit} className={buttonClass}>
+            Back
+          </button>
+        </div>
+      ) : (
+        state.roundWinner !== null && (
+          <button onClick={match.startRound} className={buttonClass}>
+            Next Round
+          </button>
+        )
+      )}
+    </div>
+  );
+}
+
+/**
+ * Local two-player versus: match setup, then both boards side by side.
+ * @param {object} props
+ * @param {object} props.settings - The player settings; game options,
+ *   handling, gamepad bindings and renderer are shared by both players.
+ * @param {function(): void} props.onClose - Closes the versus screen.
+ */
+function VersusScreen({ settings, onClose }) {
+  const [bestOf, setBestOf] = useState(3);
+  const [opponent, setOpponent] = useState(HUMAN); // HUMAN or a bot level
+  const [match, setMatch] = useState(null);
+  const [matchCount, setMatchCount] = useState(0); // Remounts each match
+
+  /**
+   * Creates a match and starts its first round.
+   */
+  const startMatch = () => {
+    const next = createMatch({ bestOf, gameOptions: getGameOptions(settings) });
+    next.startRound();
+    setMatch(next);
+    setMatchCount((count) => count + 1);
+  };
+
+  return (
+    <Dialog
+      label="Versus"
+      className="bg-black/90 overflow-auto flex items-start justify-center"
+    >
+      <div className="flex flex-col gap-4 p-6 bg-gray-800 rounded-xl shadow-2xl border border-gray-700">
+        <div className="flex justify-between items-baseline gap-4">
+          <h2 className="text-3xl font-extrabold">Versus</h2>
+          <button
+            onClick={onClose}
+            className="px-3 py-1 bg-gray-700 border border-gray-600 rounded-lg text-sm font-bold hover:bg-gray-600"
+          >
+            Close
+          </button>
+        </div>
+
+        {match ? (
+          <VersusMatch
+            key={matchCount}
+            match={match}
+            settings={settings}
+            cpuLevel={opponent === HUMAN ? null : opponent}
+            onRematch={startMatch}
+            onExit={() => setMatch(null)}
+          />
+        ) : (
+          <div className="flex flex-col gap-4 max-w-xl">
+            <p className="text-gray-300">
+              Clear lines to send garbage to your opponent. The last player
+              standing wins the round.
+            </p>
+            <label className="flex flex-col gap-1 text-sm font-semibold">
+              Match Length
+              <select
+                value={bestOf}
+                onChange={(e) => setBestOf(Number(e.target.value))}
+                className="px-2 py-1 bg-gray-900 border border-gray-600 rounded"
+              >
+                {BEST_OF_OPTIONS.map((count) => (
+                  <option key={count} value={count}>
+                    Best of {count}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1 text-sm font-semibold">
+              Player 2
+              <select
+                value={opponent}
+                onChange={(e) => setOpponent(e.target.value)}
+                className="px-2 py-1 bg-gray-900 border border-gray-600 rounded"
+              >
+                <option value={HUMAN}>Human</option>
+                {Object.values(BOT_LEVELS).map((level) => (
+                  <option key={level} value={level}>
+                    CPU · {BOT_LEVEL_SETTINGS[level].label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <table className="text-sm">
+              <thead className="text-gray-400">
+                <tr>
+                  <th className="text-left">Keyboard</th>
+                  {VERSUS_KEY_BINDINGS.map((_, index) => (
+                    <th key={index} className={PLAYER_COLORS[index]}>
+                      Player {index + 1}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {BINDABLE_ACTIONS.filter(
+                  ({ action }) => VERSUS_KEY_BINDINGS[0][action]
+                ).map(({ action, label }) => (
+                  <tr key={action}>
+                    <td>{label}</td>
+                    {VERSUS_KEY_BINDINGS.map((bindings, index) => (
+                      <td key={index} className="text-center font-mono">
+                        {bindings[action].map(formatKey).join(", ")}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-400">
+              Gamepads use your gamepad bindings: the first connected pad plays
+              as Player 1, the second as Player 2.
+            </p>
+            <button
+              onClick={startMatch}
+              className="px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-600 text-white text-xl font-bold rounded-lg shadow-lg hover:from-green-600 hover:to-emerald-700 transition duration-300 border-b-4 border-emerald-800"
+            >
+              Start Match
+            </button>
+          </div>
+        )}
+      </div>
+    </Dialog>
+  );
+}
+
+export default VersusScreen;
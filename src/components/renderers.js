@@ -0,0 +1,29 @@
+// --- Renderers ---
+// Every renderer provides the same two components so the app can switch
+// between them from the settings:
+//   Board ({ game, hidePiece, hint, theme, reserved, children }) - the
+//     playfield with overlays; only the canvas board scales to the window and
+//     reads `reserved`
+//   PiecePreview ({ type, small, pieceSet, theme }) - a piece in the hold box
+//     or next queue
+// Both draw in the colors and block texture of the theme (see themes.js).
+
+import Board from "./Board.jsx";
+import CanvasBoard from "./CanvasBoard.jsx";
+import CanvasPiecePreview from "./CanvasPiecePreview.jsx";
+import PiecePreview from "./PiecePreview.jsx";
+import { RENDERERS } from "../settings.js";
+
+const RENDERER_COMPONENTS = {
+  [RENDERERS.CANVAS]: { Board: CanvasBoard, PiecePreview: CanvasPiecePreview },
+  [RENDERERS.DOM]: { Board, PiecePreview },
+};
+
+/**
+ * Looks up the components of a renderer.
+ * @param {string} kind - One of RENDERERS.
+ * @returns {{ Board: Function, PiecePreview: Function }} The components;
+ *   unknown kinds fall back to the canvas renderer.
+ */
+export const getRenderer = (kind) =>
+  RENDERER_COMPONENTS[kind] ?? RENDERER_COMPONENTS[RENDERERS.CANVAS];
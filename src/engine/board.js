@@ -0,0 +1,156 @@
+// --- Board Helpers ---
+// A board is a 2D array of cells. Each cell holds the letter of the piece
+// that filled it, or EMPTY_CELL.
+
+export const EMPTY_CELL = "0";
+
+/**
+ * Creates an empty row.
+ * @param {number} width - The number of cells in the row.
+ * @returns {Array<string>} A row filled with empty cells.
+ */
+export const createEmptyRow = (width) =>
+  Array.from({ length: width }, () => EMPTY_CELL);
+
+/**
+ * Creates an empty game board.
+ * @param {number} width - The board width.
+ * @param {number} height - The total board height, hidden rows included.
+ * @returns {Array<Array<string>>} A 2D array representing the game board.
+ */
+export const createEmptyBoard = (width, height) =>
+  Array.from({ length: height }, () => createEmptyRow(width));
+
+/**
+ * Checks for collision between a piece and the board.
+ * @param {object} piece - The piece object (shape, pos).
+ * @param {Array<Array<string>>} board - The game board.
+ * @param {object} offset - The x, y offset to check collision for.
+ * @returns {boolean} True if a collision occurs, false otherwise.
+ */
+export const checkCollision = (piece, board, { x, y }) => {
+  for (let row = 0; row < piece.shape.length; row++) {
+    for (let col = 0; col < piece.shape[row].length; col++) {
+      // Check that we are on a Tetromino cell
+      if (piece.shape[row][col] !== 0) {
+        const newX = piece.pos.x + col + x;
+        const newY = piece.pos.y + row + y;
+
+        // Check board boundaries and collision with non-empty cells
+        if (
+          !board[newY] || // Check board height boundary
+          board[newY][newX] === undefined || // Check board width boundary
+          board[newY][newX] !== EMPTY_CELL // Check for non-empty cell
+        ) {
+          return true;
+        }
+      }
+    }
+  }
+  return false;
+};
+
+/**
+ * Rotates a Tetromino matrix clockwise.
+ * @param {Array<Array<number>>} matrix - The shape matrix of the Tetromino.
+ * @returns {Array<Array<number>>} The rotated matrix.
+ */
+export const rotate = (matrix) => {
+  // Transpose the matrix (rows become columns)
+  const rotatedMatrix = matrix.map((_, index) =>
+    matrix.map((col) => col[index])
+  );
+  // Reverse each row to get a clockwise rotation
+  return rotatedMatrix.map((row) => row.reverse());
+};
+
+/**
+ * Lists the board cells covered by a piece.
+ * @param {object} piece - The piece (shape, pos).
+ * @returns {Array<{ x: number, y: number }>} Board coordinates.
+ */
+export const getPieceCells = (piece) =>
+  piece.shape.flatMap((row, y) =>
+    row.flatMap((value, x) =>
+      value !== 0 ? [{ x: piece.pos.x + x, y: piece.pos.y + y }] : []
+    )
+  );
+
+/**
+ * Merges a piece into the board, e.g. when it lands.
+ * @param {Array<Array<string>>} board - The board before merging.
+ * @param {object} piece - The piece to merge (type, shape, pos).
+ * @returns {Array<Array<string>>} A new board with the piece merged.
+ */
+export const mergePiece = (board, piece) => {
+  const newBoard = board.map((row) => [...row]);
+  piece.shape.forEach((row, y) => {
+    row.forEach((value, x) => {
+      if (value !== 0) {
+        const boardY = piece.pos.y + y;
+        const boardX = piece.pos.x + x;
+        if (newBoard[boardY] && newBoard[boardY][boardX] !== undefined) {
+          newBoard[boardY][boardX] = piece.type;
+        }
+      }
+    });
+  });
+  return newBoard;
+};
+
+/**
+ * Finds the rows that are completely filled.
+ * @param {Array<Array<string>>} board - The board to check.
+ * @returns {Array<number>} Indices of the full rows, top to bottom.
+ */
+export const getFullRows = (board) =>
+  board.flatMap((row, y) =>
+    row.every((cell) => cell !== EMPTY_CELL) ? [y] : []
+  );
+
+/**
+ * Removes full rows from the board; new empty rows are added to the top.
+ * @param {Array<Array<string>>} board - The board to clear.
+ * @returns {{ board: Array<Array<string>>, cleared: number }} The new board
+ *   and the number of rows removed.
+ */
+export const clearFullRows = (board) => {
+  const remaining = board.filter((row) =>
+    row.some((cell) => cell === EMPTY_CELL)
+  );
+  const cleared = board.length - remaining.length;
+  if (cleared === 0) return { board, cleared };
+  const width = board[0].length;
+  return {
+    board: [
+      ...Array.from({ length: cleared }, () => createEmptyRow(width)),
+      ...remaining,
+    ],
+    cleared,
+  };
+};
+
+/**
+ * Measures how many rows a piece can fall before it lands.
+ * @param {object} piece - The piece object (shape, pos).
+ * @param {Array<Array<string>>} board - The game board.
+ * @returns {number} The number of free rows below the piece.
+ */
+export const getDropDistance = (piece, board) => {
+  let distance = 0;
+  while (!checkCollision(piece, board, { x: 0, y: distance + 1 })) {
+    distance++;
+  }
+  return distance;
+};
+
+/**
+ * Projects a piece straight down to where it would land (the ghost piece).
+ * @param {object} piece - The piece object (shape, pos).
+ * @param {Array<Array<string>>} board - The game board.
+ * @returns {object} A copy of the piece at its landing position.
+ */
+export const getGhostPiece = (piece, board) => ({
+  ...piece,
+  pos: { x: piece.pos.x, y: piece.pos.y + getDropDistance(piece, board) },
+});
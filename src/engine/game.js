@@ -0,0 +1,663 @@
+// --- Game Engine ---
+// A pure, deterministic Tetris engine. `createGame` builds the initial state
+// and `step` returns the next state for an action; neither touches React,
+// timers or Math.random(), so the same seed and the same actions always
+// produce the same game.
+
+import {
+  EMPTY_CELL,
+  checkCollision,
+  clearFullRows,
+  createEmptyBoard,
+  getDropDistance,
+  getFullRows,
+  getPieceCells,
+  mergePiece,
+  rotate,
+} from "./board.js";
+import {
+  MAX_GARBAGE_PER_LOCK,
+  cancelGarbage,
+  getAttack,
+  insertGarbage,
+} from "./garbage.js";
+import { isGoalMet } from "./goals.js";
+import {
+  END_REASONS,
+  MAX_GRAVITY,
+  MODES,
+  getGravity,
+  getModeRules,
+} from "./modes.js";
+import {
+  KICKS,
+  STANDARD_SET,
+  getMinWidth,
+  getRotationKicks,
+} from "./pieceSets.js";
+import { spawnPiece } from "./pieces.js";
+import { nextInt, normalizeSeed } from "./random.js";
+import {
+  RANDOMIZERS,
+  createRandomizer,
+  createSequence,
+  drawPiece,
+} from "./randomizer.js";
+import {
+  HARD_DROP_POINTS,
+  SOFT_DROP_POINTS,
+  T_SPIN,
+  detectTSpin,
+  getLevel,
+  isValidScore,
+  scoreClear,
+} from "./scoring.js";
+
+export const DEFAULT_WIDTH = 10;
+export const DEFAULT_HEIGHT = 20; // Visible height
+export const HIDDEN_TOP_ROWS = 2; // Default rows above the visible board
+export const MIN_PREVIEW = 1;
+export const MAX_PREVIEW = 6;
+// Board sizes the settings and online rounds allow
+export const BOARD_SIZE_LIMITS = {
+  width: { min: 4, max: 20 },
+  height: { min: 4, max: 40 },
+  hiddenRows: { min: 0, max: 6 },
+};
+
+// Timers below are counted in frames (see timing.js)
+export const LOCK_DELAY_FRAMES = 30; // 500 ms on the ground before locking
+export const MAX_LOCK_RESETS = 15; // Moves/rotations that may restart it
+export const CALLOUT_FRAMES = 90; // How long a clear callout stays visible
+
+// Mixed into the seed so garbage holes don't follow the piece sequence
+const GARBAGE_SEED_SALT = 0x9e3779b9;
+
+export const ACTIONS = {
+  MOVE_LEFT: "moveLeft",
+  MOVE_RIGHT: "moveRight",
+  SOFT_DROP: "softDrop",
+  HARD_DROP: "hardDrop",
+  ROTATE_CW: "rotateCW",
+  ROTATE_CCW: "rotateCCW",
+  ROTATE_180: "rotate180",
+  HOLD: "hold",
+  TICK: "tick", // Advances the game by one frame
+  FINISH: "finish", // Ends the game on the player's request (Zen)
+  GARBAGE: "garbage", // Queues `lines` of incoming garbage (versus)
+  RETRY: "retry", // Puts the current piece back at its spawn (finesse)
+};
+
+/**
+ * Takes the first piece of the queue and refills it from the randomizer.
+ * A fixed sequence stops refilling once it runs out.
+ * @param {object} state - A state holding `queue` and `randomizer`.
+ * @returns {[string|undefined, object]} The piece type, undefined if the
+ *   queue is empty, and the updated state.
+ */
+const takeFromQueue = (state) => {
+  const [type, ...rest] = state.queue;
+  const [drawn, randomizer] = drawPiece(state.randomizer);
+  return [
+    type,
+    { ...state, queue: drawn === null ? rest : [...rest, drawn], randomizer },
+  ];
+};
+
+/**
+ * Creates the initial state of a new game.
+ * @param {object} [options]
+ * @param {number} [options.seed] - Seed for the piece generator.
+ * @param {number} [options.width] - Board width in cells; widened if a
+ *   piece of the set would not fit.
+ * @param {number} [options.height] - Visible board height in cells.
+ * @param {number} [options.hiddenRows] - Rows above the visible board that
+ *   pieces spawn into.
+ * @param {object} [options.pieceSet] - The pieces to play with, see
+ *   pieceSets.js.
+ * @param {string} [options.randomizer] - One of RANDOMIZERS.
+ * @param {number} [options.previewCount] - Length of the next queue (1-6).
+ * @param {number} [options.startLevel] - The level to start on.
+ * @param {string} [options.mode] - One of MODES.
+ * @param {number|null} [options.gravity] - Fixed gravity in rows per frame
+ *   (up to 20G) instead of the level curve.
+ * @param {number} [options.gravityScale] - Multiplies the gravity, e.g.
+ *   below 1 to slow pieces down in assist mode.
+ * @param {Array<Array<string>>|null} [options.board] - A board to start
+ *   from, hidden rows included, instead of an empty one.
+ * @param {Array<string>|null} [options.pieces] - A fixed list of pieces to
+ *   deal instead of the randomizer; the game ends when it runs out.
+ * @param {string|null} [options.hold] - A piece to start in hold.
+ * @param {object|null} [options.goal] - A puzzle goal, see goals.js; the
+ *   game is won once it is met.
+ * @returns {object} The game state.
+ */
+export const createGame = ({
+  mode = MODES.MARATHON,
+  seed = 0,
+  width: requestedWidth = DEFAULT_WIDTH,
+  height = DEFAULT_HEIGHT,
+  hiddenRows = HIDDEN_TOP_ROWS,
+  pieceSet = STANDARD_SET,
+  randomizer = RANDOMIZERS.BAG,
+  previewCount = 5,
+  startLevel = 1,
+  gravity = null,
+  gravityScale = 1,
+  board = null,
+  pieces: sequence = null,
+  hold = null,
+  goal = null,
+} = {}) => {
+  const normalizedSeed = normalizeSeed(seed);
+  const width = Math.max(requestedWidth, getMinWidth(pieceSet));
+  const queueLength = Math.min(
+    MAX_PREVIEW,
+    Math.max(MIN_PREVIEW, Math.floor(previewCount) || MIN_PREVIEW)
+  );
+
+  // Fill the queue plus one piece to start with
+  let generator = sequence
+    ? createSequence(sequence)
+    : createRandomizer(randomizer, normalizedSeed, pieceSet.types);
+  const pieces = [];
+  for (let i = 0; i <= queueLength; i++) {
+    let type;
+    [type, generator] = drawPiece(generator);
+    if (type !== null) pieces.push(type);
+  }
+  const [currentType, ...queue] = pieces;
+
+  return {
+    mode,
+    seed: normalizedSeed,
+    randomizer: generator,
+    width,
+    height,
+    hiddenRows,
+    pieceSet,
+    board: board ?? createEmptyBoard(width, height + hiddenRows),
+    current: spawnPiece(currentType, { width, hiddenRows, pieceSet }),
+    queue,
+    hold,
+    canHold: true,
+    score: 0,
+    lines: 0,
+    startLevel,
+    level: startLevel,
+    backToBack: false, // Whether the last line clear was a difficult one
+    combo: -1, // Consecutive line-clearing pieces, -1 when not in a combo
+    lastClear: null, // Details of the last lock that cleared or T-spun
+    lastLock: null, // Where the last piece locked, for renderer effects
+    garbageQueue: [], // Incoming garbage, lines per attack, oldest first
+    garbageRng: normalizeSeed(normalizedSeed ^ GARBAGE_SEED_SALT),
+    attackSent: 0, // Garbage lines sent so far, after cancelling
+    goal, // Puzzle goal, null outside of puzzles
+    pieces: 0, // Pieces locked so far
+    gameOver: false, // True once the game has ended, for any reason
+    endReason: null, // One of END_REASONS once the game is over
+    frame: 0,
+    fixedGravity: gravity === null ? null : Math.min(MAX_GRAVITY, gravity),
+    gravityScale,
+    gravityProgress: 0, // Fraction of a row fallen since the last whole row
+    lockTimer: 0,
+    lockResets: 0,
+    lowestRow: 0,
+  };
+};
+
+/**
+ * Ends the game.
+ * @param {object} state - The game state.
+ * @param {string} endReason - One of END_REASONS.
+ * @returns {object} The new game state.
+ */
+const endGame = (state, endReason) => ({ ...state, gameOver: true, endReason });
+
+/**
+ * Spawns the given piece type. If it cannot fit, the game is over, or in
+ * modes without top-out the board is cleared to make room.
+ * @param {object} state - The game state.
+ * @param {string} type - The piece type to spawn.
+ * @returns {object} The new game state.
+ */
+const spawn = (state, type) => {
+  const piece = spawnPiece(type, state);
+  if (checkCollision(piece, state.board, { x: 0, y: 0 })) {
+    if (getModeRules(state.mode).topOut) {
+      // Game Over: new piece collides immediately
+      return endGame(state, END_REASONS.TOP_OUT);
+    }
+    return spawn(
+      {
+        ...state,
+        board: createEmptyBoard(state.width, state.board.length),
+      },
+      type
+    );
+  }
+  return {
+    ...state,
+    current: piece,
+    gravityProgress: 0,
+    lockTimer: 0,
+    lockResets: 0,
+    lowestRow: piece.pos.y,
+  };
+};
+
+/**
+ * Pushes queued garbage up into the board, up to MAX_GARBAGE_PER_LOCK rows.
+ * Each attack gets its own random hole column.
+ * @param {object} state - The game state, between lock and spawn.
+ * @returns {object} The new game state; over if blocks were pushed out of
+ *   the top.
+ */
+const raiseGarbage = (state) => {
+  let { board, garbageRng } = state;
+  const garbageQueue = [...state.garbageQueue];
+  let budget = MAX_GARBAGE_PER_LOCK;
+  let overflow = false;
+  while (budget > 0 && garbageQueue.length > 0) {
+    const lines = Math.min(budget, garbageQueue[0]);
+    let hole;
+    [hole, garbageRng] = nextInt(garbageRng, state.width);
+    const inserted = insertGarbage(board, lines, hole);
+    board = inserted.board;
+    overflow = overflow || inserted.overflow;
+    budget -= lines;
+    garbageQueue[0] -= lines;
+    if (garbageQueue[0] === 0) garbageQueue.shift();
+  }
+  const raised = { ...state, board, garbageQueue, garbageRng };
+  return overflow && getModeRules(state.mode).topOut
+    ? endGame(raised, END_REASONS.TOP_OUT)
+    : raised;
+};
+
+/**
+ * Scores a clear with a mode's scoring hook. A hook that throws or returns
+ * an unusable result gets the standard score, so one broken plugin can't
+ * end the game; the plugin layer reports it (see plugins.js).
+ * @param {function(object, object): object} scoring - The hook, see
+ *   ModeRules.
+ * @param {object} clear - The input to `scoreClear`.
+ * @param {object} standard - The result of `scoreClear`.
+ * @returns {object} The result to use.
+ */
+const applyScoring = (scoring, clear, standard) => {
+  try {
+    const result = scoring(clear, standard);
+    return isValidScore(result) ? result : standard;
+  } catch {
+    return standard;
+  }
+};
+
+/**
+ * Merges the current piece into the board, clears rows, scores them and
+ * spawns the next piece.
+ * @param {object} state - The game state.
+ * @param {number} [dropped] - Rows the piece was hard dropped just before.
+ * @returns {object} The new game state.
+ */
+const lockPiece = (state, dropped = 0) => {
+  const tSpin =
+    state.pieceSet.kicks === KICKS.SRS
+      ? detectTSpin(state.current, state.board)
+      : T_SPIN.NONE;
+  const merged = mergePiece(state.board, state.current);
+  const { board, cleared } = clearFullRows(merged);
+  const perfectClear =
+    cleared > 0 && board.every((row) => row.every((c) => c === EMPTY_CELL));
+  const { lineGoal, maxLevel, finesse, scoring } = getModeRules(state.mode);
+  const clear = {
+    lines: cleared,
+    tSpin,
+    perfectClear,
+    level: state.level,
+    backToBack: state.backToBack,
+    combo: state.combo,
+  };
+  const standard = scoreClear(clear);
+  // Modes from plugins may change the score
+  const result = scoring ? applyScoring(scoring, clear, standard) : standard;
+  const attack = getAttack({
+    lines: cleared,
+    tSpin,
+    perfectClear,
+    isBackToBack: result.isBackToBack,
+    combo: result.combo,
+  });
+  const [garbageQueue, sent] = cancelGarbage(state.garbageQueue, attack);
+  const lines = state.lines + cleared;
+  const level =
+    maxLevel === null
+      ? state.level
+      : Math.min(maxLevel, getLevel(lines, state.startLevel));
+
+  const [next, rest] = takeFromQueue(state);
+  const locked = {
+    ...rest,
+    // Finesse practice starts every piece on an empty board
+    board: finesse ? createEmptyBoard(state.width, board.length) : board,
+    score: state.score + result.points,
+    lines,
+    level,
+    pieces: state.pieces + 1,
+    backToBack: result.backToBack,
+    combo: result.combo,
+    lastClear:
+      result.callout.length > 0
+        ? {
+            lines: cleared,
+            tSpin,
+            perfectClear,
+            isBackToBack: result.isBackToBack,
+            combo: result.combo,
+            points: result.points,
+            callout: result.callout,
+            frame: state.frame,
+          }
+        : state.lastClear,
+    lastLock: {
+      type: state.current.type,
+      cells: getPieceCells(state.current),
+      clearedRows: getFullRows(merged),
+      dropped,
+      frame: state.frame,
+    },
+    garbageQueue,
+    attackSent: state.attackSent + sent,
+    canHold: true, // Reset canHold after a piece lands
+  };
+  if (
+    (lineGoal !== null && lines >= lineGoal) ||
+    (state.goal &&
+      isGoalMet(state.goal, { cleared, tSpin, perfectClear, lines }))
+  ) {
+    return endGame(locked, END_REASONS.GOAL);
+  }
+  // Garbage rises only when the piece cleared nothing
+  const raised = cleared === 0 ? raiseGarbage(locked) : locked;
+  if (raised.gameOver) return raised;
+  if (next !== undefined) return spawn(raised, next);
+  // A fixed sequence ran out: the held piece is the last one left
+  return raised.hold
+    ? spawn({ ...raised, hold: null }, raised.hold)
+    : endGame(raised, END_REASONS.OUT_OF_PIECES);
+};
+
+/**
+ * Moves the current piece by an offset if nothing is in the way.
+ * @param {object} state - The game state.
+ * @param {number} x - Horizontal offset.
+ * @param {number} y - Vertical offset.
+ * @returns {object} The new game state, or the same state if blocked.
+ */
+const tryMove = (state, x, y) => {
+  const { current } = state;
+  if (checkCollision(current, state.board, { x, y })) return state;
+  return {
+    ...state,
+    current: {
+      ...current,
+      pos: { x: current.pos.x + x, y: current.pos.y + y },
+      lastKick: null, // Moving after a rotation cancels a T-spin
+    },
+  };
+};
+
+/**
+ * Checks whether the current piece rests on the stack or the floor.
+ * @param {object} state - The game state.
+ * @returns {boolean} True if the piece cannot move down.
+ */
+const isGrounded = (state) =>
+  checkCollision(state.current, state.board, { x: 0, y: 1 });
+
+/**
+ * Restarts the lock delay after the piece moved or rotated. Reaching a new
+ * lowest row refills the resets; otherwise each restart on the ground uses
+ * one of MAX_LOCK_RESETS.
+ * @param {object} state - The game state after a successful move.
+ * @returns {object} The new game state.
+ */
+const resetLockDelay = (state) => {
+  if (state.current.pos.y > state.lowestRow) {
+    return {
+      ...state,
+      lowestRow: state.current.pos.y,
+      lockTimer: 0,
+      lockResets: 0,
+    };
+  }
+  if (state.lockTimer === 0 || state.lockResets >= MAX_LOCK_RESETS) {
+    return state;
+  }
+  return { ...state, lockTimer: 0, lockResets: state.lockResets + 1 };
+};
+
+/**
+ * Moves the current piece and restarts the lock delay if it moved.
+ * @param {object} state - The game state.
+ * @param {number} x - Horizontal offset.
+ * @param {number} y - Vertical offset.
+ * @returns {object} The new game state, or the same state if blocked.
+ */
+const shift = (state, x, y) => {
+  const moved = tryMove(state, x, y);
+  return moved === state ? state : resetLockDelay(moved);
+};
+
+/**
+ * Moves the current piece sideways until it hits a wall or the stack.
+ * @param {object} state - The game state.
+ * @param {number} x - Direction, -1 for left or 1 for right.
+ * @returns {object} The new game state.
+ */
+const shiftToWall = (state, x) => {
+  let next = state;
+  let moved = shift(next, x, 0);
+  while (moved !== next) {
+    next = moved;
+    moved = shift(next, x, 0);
+  }
+  return next;
+};
+
+/**
+ * Moves the current piece one row down, or as far as it goes. Unlike
+ * gravity, soft dropping never locks the piece by itself.
+ * @param {object} state - The game state.
+ * @param {boolean} toFloor - Keep dropping until the piece lands.
+ * @returns {object} The new game state.
+ */
+const softDrop = (state, toFloor) => {
+  let next = state;
+  do {
+    const moved = shift(next, 0, 1);
+    if (moved === next) break;
+    next = {
+      ...moved,
+      gravityProgress: 0,
+      score: moved.score + SOFT_DROP_POINTS,
+    };
+  } while (toFloor);
+  return next;
+};
+
+/**
+ * Drops the current piece to the bottom and locks it immediately.
+ * @param {object} state - The game state.
+ * @returns {object} The new game state.
+ */
+const hardDrop = (state) => {
+  const distance = getDropDistance(state.current, state.board);
+  const dropped = distance > 0 ? tryMove(state, 0, distance) : state;
+  return lockPiece(
+    {
+      ...dropped,
+      score: dropped.score + distance * HARD_DROP_POINTS,
+    },
+    distance
+  );
+};
+
+/**
+ * Returns the gravity acting on the current piece: the fixed gravity of
+ * the game if it has one, otherwise the level curve, times the game's
+ * gravity scale.
+ * @param {object} state - The game state.
+ * @returns {number} Rows per frame.
+ */
+export const getCurrentGravity = (state) =>
+  // Games saved before gravity scales existed have none
+  (state.fixedGravity ?? getGravity(state.level)) * (state.gravityScale ?? 1);
+
+/**
+ * Advances the game by one frame: applies gravity, then counts down the
+ * lock delay while the piece is on the ground.
+ * @param {object} state - The game state.
+ * @returns {object} The new game state.
+ */
+const tick = (state) => {
+  const { gravity, timeLimit } = getModeRules(state.mode);
+  let next = {
+    ...state,
+    frame: state.frame + 1,
+    gravityProgress: gravity
+      ? state.gravityProgress + getCurrentGravity(state)
+      : 0,
+  };
+  if (timeLimit !== null && next.frame >= timeLimit) {
+    return endGame(next, END_REASONS.TIME_UP);
+  }
+
+  // Fall one row per whole row of progress; at 20G that is to the floor
+  while (next.gravityProgress >= 1) {
+    const moved = shift(next, 0, 1);
+    if (moved === next) {
+      next = { ...next, gravityProgress: 0 };
+      break;
+    }
+    next = { ...moved, gravityProgress: moved.gravityProgress - 1 };
+  }
+
+  if (!isGrounded(next)) return { ...next, lockTimer: 0 };
+
+  const lockTimer = next.lockTimer + 1;
+  if (lockTimer >= LOCK_DELAY_FRAMES || next.lockResets >= MAX_LOCK_RESETS) {
+    return lockPiece(next);
+  }
+  return { ...next, lockTimer };
+};
+
+/**
+ * Rotates a piece: each kick test for the rotation is tried in order and
+ * the first free one is used.
+ * @param {object} piece - The piece (type, shape, rotation, pos).
+ * @param {Array<Array<string>>} board - The game board.
+ * @param {number} turns - Clockwise quarter turns: 1 (CW), 2 (180) or 3 (CCW).
+ * @param {string} [kicks] - One of KICKS, from the piece set.
+ * @returns {object|null} The rotated piece, or null if every kick is blocked.
+ */
+export const rotatePiece = (piece, board, turns, kicks = KICKS.SRS) => {
+  const rotation = (piece.rotation + turns) % 4;
+  let shape = piece.shape;
+  for (let i = 0; i < turns; i++) shape = rotate(shape);
+
+  const tests = getRotationKicks(kicks, piece.type, piece.rotation, rotation);
+  for (const [index, kick] of tests.entries()) {
+    const attempt = {
+      ...piece,
+      shape,
+      rotation,
+      pos: { x: piece.pos.x + kick.x, y: piece.pos.y + kick.y },
+      lastKick: index, // Remembered for T-spin detection
+    };
+    if (!checkCollision(attempt, board, { x: 0, y: 0 })) return attempt;
+  }
+  return null;
+};
+
+/**
+ * Rotates the current piece with the kicks of the piece set.
+ * @param {object} state - The game state.
+ * @param {number} turns - Clockwise quarter turns: 1 (CW), 2 (180) or 3 (CCW).
+ * @returns {object} The new game state, or the same state if blocked.
+ */
+const rotateCurrent = (state, turns) => {
+  const rotated = rotatePiece(
+    state.current,
+    state.board,
+    turns,
+    state.pieceSet.kicks
+  );
+  return rotated ? resetLockDelay({ ...state, current: rotated }) : state;
+};
+
+/**
+ * Holds the current piece, swapping it with the held one if there is one.
+ * @param {object} state - The game state.
+ * @returns {object} The new game state.
+ */
+const holdCurrent = (state) => {
+  if (!state.canHold) return state;
+  const held = { ...state, hold: state.current.type, canHold: false };
+
+  if (!state.hold) {
+    // No piece in hold, store current piece and take the next one
+    if (state.queue.length === 0) return state;
+    const [next, rest] = takeFromQueue(held);
+    return spawn(rest, next);
+  }
+  // Swap current piece with held piece
+  return spawn(held, state.hold);
+};
+
+/**
+ * Applies an action to the game state.
+ * @param {object} state - The current game state.
+ * @param {object} action - The action to apply; `type` is one of ACTIONS.
+ *   Moves accept `toWall` and soft drops `toFloor` to go as far as possible;
+ *   garbage takes the number of `lines`.
+ * @returns {object} The next game state. The same object is returned when
+ *   the action has no effect.
+ */
+export const step = (state, action) => {
+  if (state.gameOver) return state;
+
+  switch (action.type) {
+    case ACTIONS.MOVE_LEFT:
+      return action.toWall ? shiftToWall(state, -1) : shift(state, -1, 0);
+    case ACTIONS.MOVE_RIGHT:
+      return action.toWall ? shiftToWall(state, 1) : shift(state, 1, 0);
+    case ACTIONS.SOFT_DROP:
+      return softDrop(state, Boolean(action.toFloor));
+    case ACTIONS.HARD_DROP:
+      return hardDrop(state);
+    case ACTIONS.ROTATE_CW:
+      return rotateCurrent(state, 1);
+    case ACTIONS.ROTATE_180:
+      return rotateCurrent(state, 2);
+    case ACTIONS.ROTATE_CCW:
+      return rotateCurrent(state, 3);
+    case ACTIONS.HOLD:
+      return holdCurrent(state);
+    case ACTIONS.TICK:
+      return tick(state);
+    case ACTIONS.FINISH:
+      return endGame(state, END_REASONS.FINISHED);
+    case ACTIONS.RETRY:
+      return getModeRules(state.mode).finesse
+        ? spawn(state, state.current.type)
+        : state;
+    case ACTIONS.GARBAGE:
+      return action.lines > 0
+        ? { ...state, garbageQueue: [...state.garbageQueue, action.lines] }
+        : state;
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,110 @@
+// --- Game Tests ---
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  ACTIONS,
+  LOCK_DELAY_FRAMES,
+  MAX_LOCK_RESETS,
+  createGame,
+  step,
+} from "./game.js";
+import { MODES } from "./modes.js";
+
+const tick = { type: ACTIONS.TICK };
+
+/**
+ * Applies actions in order.
+ * @param {object} state - The game state.
+ * @param {Array<object>} actions - Engine actions.
+ * @returns {object} The state after the last one.
+ */
+const play = (state, actions) => actions.reduce(step, state);
+
+/**
+ * Starts a game of T pieces and soft drops the first one to the floor.
+ * @returns {object} The game state.
+ */
+const createGrounded = () =>
+  step(createGame({ pieces: [..."TTTTTTTT"] }), {
+    type: ACTIONS.SOFT_DROP,
+    toFloor: true,
+  });
+
+describe("lock delay", () => {
+  it(`locks a grounded piece after ${LOCK_DELAY_FRAMES} frames`, () => {
+    const waiting = play(
+      createGrounded(),
+      Array(LOCK_DELAY_FRAMES - 1).fill(tick)
+    );
+    assert.equal(waiting.pieces, 0);
+    assert.equal(step(waiting, tick).pieces, 1);
+  });
+
+  it("restarts when the piece moves on the ground", () => {
+    const moved = play(createGrounded(), [
+      ...Array(LOCK_DELAY_FRAMES - 1).fill(tick),
+      { type: ACTIONS.MOVE_LEFT },
+    ]);
+    assert.equal(moved.lockTimer, 0);
+    assert.equal(moved.lockResets, 1);
+    const waiting = play(moved, Array(LOCK_DELAY_FRAMES - 1).fill(tick));
+    assert.equal(waiting.pieces, 0);
+  });
+
+  it(`locks at once after ${MAX_LOCK_RESETS} resets`, () => {
+    const moves = Array.from({ length: MAX_LOCK_RESETS }, (_, i) => [
+      tick,
+      { type: i % 2 ? ACTIONS.MOVE_RIGHT : ACTIONS.MOVE_LEFT },
+    ]).flat();
+    const stalled = play(createGrounded(), moves);
+    assert.equal(stalled.lockResets, MAX_LOCK_RESETS);
+    assert.equal(stalled.pieces, 0);
+    assert.equal(step(stalled, tick).pieces, 1);
+  });
+
+  it("locks at once on a hard drop", () => {
+    const dropped = step(createGame({ pieces: [..."TT"] }), {
+      type: ACTIONS.HARD_DROP,
+    });
+    assert.equal(dropped.pieces, 1);
+    assert.equal(dropped.lockTimer, 0);
+  });
+});
+
+describe("determinism", () => {
+  // 200 pieces turned, moved and dropped all over the board, with frames
+  // passing in between; Zen clears the board instead of ending the game
+  const actions = Array.from({ length: 200 }, (_, i) => [
+    ...Array(i % 4).fill({ type: ACTIONS.ROTATE_CW }),
+    ...Array(Math.abs(((i * 3) % 11) - 5)).fill({
+      type: (i * 3) % 11 < 5 ? ACTIONS.MOVE_LEFT : ACTIONS.MOVE_RIGHT,
+    }),
+    ...Array(i % 20).fill(tick),
+    { type: i % 6 === 0 ? ACTIONS.HOLD : ACTIONS.SOFT_DROP },
+    { type: ACTIONS.HARD_DROP },
+  ]).flat();
+  const options = { mode: MODES.ZEN, seed: 42 };
+
+  it("plays a seeded game the same way every time", () => {
+    const first = play(createGame(options), actions);
+    const second = play(createGame(options), actions);
+    assert.equal(first.pieces, 200);
+    assert.deepEqual(second, first);
+  });
+
+  it("continues the same way from a copy made with JSON", () => {
+    const half = Math.floor(actions.length / 2);
+    const paused = play(createGame(options), actions.slice(0, half));
+    const restored = JSON.parse(JSON.stringify(paused));
+    assert.deepEqual(
+      play(restored, actions.slice(half)),
+      play(paused, actions.slice(half))
+    );
+  });
+
+  it("deals different pieces for other seeds", () => {
+    const queue = (seed) => createGame({ seed }).queue.join("");
+    assert.notEqual(queue(1), queue(2));
+  });
+});
@@ -0,0 +1,93 @@
+// --- Garbage ---
+// Versus attacks: line clears send garbage rows to the opponent following
+// the guideline attack table. Incoming garbage waits in a queue, can be
+// cancelled by the receiver's own attacks, and rises from the bottom when
+// the receiver locks a piece without clearing a line.
+
+import { EMPTY_CELL } from "./board.js";
+import { T_SPIN } from "./scoring.js";
+
+export const GARBAGE_CELL = "G";
+export const MAX_GARBAGE_PER_LOCK = 8; // Rows that can rise at once
+
+// Lines sent by lines cleared; bigger clears send as much as a Tetris
+const LINE_CLEAR_ATTACK = [0, 0, 1, 2, 4];
+const T_SPIN_ATTACK = [0, 2, 4, 6];
+const T_SPIN_MINI_ATTACK = [0, 0, 1];
+// Extra lines by combo count, the last value repeats
+const COMBO_ATTACK = [0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5];
+const BACK_TO_BACK_ATTACK = 1;
+const PERFECT_CLEAR_ATTACK = 10;
+
+/**
+ * Computes the garbage a lock sends.
+ * @param {object} clear - The lock result.
+ * @param {number} clear.lines - Lines cleared.
+ * @param {string} clear.tSpin - One of T_SPIN.
+ * @param {boolean} clear.perfectClear - Whether the board is now empty.
+ * @param {boolean} clear.isBackToBack - Whether the back-to-back bonus
+ *   applied.
+ * @param {number} clear.combo - The combo counter after the lock.
+ * @returns {number} Lines of garbage.
+ */
+export const getAttack = ({
+  lines,
+  tSpin,
+  perfectClear,
+  isBackToBack,
+  combo,
+}) => {
+  if (lines === 0) return 0;
+  const fromTable = (table) => table[Math.min(lines, table.length - 1)];
+  let attack;
+  if (tSpin === T_SPIN.FULL) attack = fromTable(T_SPIN_ATTACK);
+  else if (tSpin === T_SPIN.MINI) attack = fromTable(T_SPIN_MINI_ATTACK);
+  else attack = fromTable(LINE_CLEAR_ATTACK);
+  if (isBackToBack) attack += BACK_TO_BACK_ATTACK;
+  if (combo > 0) {
+    attack += COMBO_ATTACK[Math.min(combo, COMBO_ATTACK.length - 1)];
+  }
+  if (perfectClear) attack += PERFECT_CLEAR_ATTACK;
+  return attack;
+};
+
+/**
+ * Cancels incoming garbage with an attack, oldest first.
+ * @param {Array<number>} queue - Incoming garbage, one entry per attack.
+ * @param {number} attack - Lines of the outgoing attack.
+ * @returns {[Array<number>, number]} The remaining queue and the lines left
+ *   to send.
+ */
+export const cancelGarbage = (queue, attack) => {
+  const remaining = [...queue];
+  let left = attack;
+  while (left > 0 && remaining.length > 0) {
+    const cancelled = Math.min(left, remaining[0]);
+    left -= cancelled;
+    remaining[0] -= cancelled;
+    if (remaining[0] === 0) remaining.shift();
+  }
+  return [remaining, left];
+};
+
+/**
+ * Pushes garbage rows up from the bottom of the board. Every row has an
+ * empty cell at the same column.
+ * @param {Array<Array<string>>} board - The board.
+ * @param {number} lines - Rows to add.
+ * @param {number} hole - Column of the empty cell.
+ * @returns {{ board: Array<Array<string>>, overflow: boolean }} The new board
+ *   and whether blocks were pushed out of the top.
+ */
+export const insertGarbage = (board, lines, hole) => {
+  const width = board[0].length;
+  const overflow = board
+    .slice(0, lines)
+    .some((row) => row.some((cell) => cell !== EMPTY_CELL));
+  const garbage = Array.from({ length: lines }, () =>
+    Array.from({ length: width }, (_, x) =>
+      x === hole ? EMPTY_CELL : GARBAGE_CELL
+    )
+  );
+  return { board: [...board.slice(lines), ...garbage], overflow };
+};
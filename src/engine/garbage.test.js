@@ -0,0 +1,125 @@
+// --- Garbage Tests ---
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { EMPTY_CELL, createEmptyBoard } from "./board.js";
+import { ACTIONS, createGame, step } from "./game.js";
+import {
+  GARBAGE_CELL,
+  cancelGarbage,
+  getAttack,
+  insertGarbage,
+} from "./garbage.js";
+import { MODES } from "./modes.js";
+import { T_SPIN } from "./scoring.js";
+
+/**
+ * Computes the attack of a clear, filling in a plain one for what is left
+ * out.
+ * @param {object} clear - The parts of the getAttack input to change.
+ * @returns {number} Lines of garbage.
+ */
+const attack = (clear) =>
+  getAttack({
+    lines: 0,
+    tSpin: T_SPIN.NONE,
+    perfectClear: false,
+    isBackToBack: false,
+    combo: 0,
+    ...clear,
+  });
+
+/**
+ * Starts a versus game on a board whose bottom four rows are full but for
+ * the last column, with a block on top so a Tetris isn't a perfect clear,
+ * and only I pieces to come.
+ * @returns {object} The game state.
+ */
+const createTetrisReady = () => {
+  const board = createEmptyBoard(10, 22).map((row, y) =>
+    y >= 18 ? row.map((cell, x) => (x === 9 ? cell : GARBAGE_CELL)) : row
+  );
+  board[17][0] = GARBAGE_CELL;
+  return createGame({ mode: MODES.VERSUS, board, pieces: [..."IIII"] });
+};
+
+// Stands the I piece up at the right wall and drops it into the well
+const TETRIS = [
+  { type: ACTIONS.ROTATE_CW },
+  { type: ACTIONS.MOVE_RIGHT, toWall: true },
+  { type: ACTIONS.HARD_DROP },
+];
+
+describe("getAttack", () => {
+  it("sends lines by the guideline table", () => {
+    assert.deepEqual(
+      [0, 1, 2, 3, 4].map((lines) => attack({ lines })),
+      [0, 0, 1, 2, 4]
+    );
+  });
+
+  it("sends more for T-spins than for plain clears", () => {
+    assert.equal(attack({ lines: 2, tSpin: T_SPIN.FULL }), 4);
+    assert.equal(attack({ lines: 2, tSpin: T_SPIN.MINI }), 1);
+  });
+
+  it("adds back-to-back, combo and perfect clear bonuses", () => {
+    assert.equal(attack({ lines: 4, isBackToBack: true }), 5);
+    assert.equal(attack({ lines: 1, combo: 4 }), 2);
+    assert.equal(attack({ lines: 1, combo: 50 }), 5);
+    assert.equal(attack({ lines: 1, perfectClear: true }), 10);
+  });
+});
+
+describe("cancelGarbage", () => {
+  it("cancels the oldest attacks first", () => {
+    assert.deepEqual(cancelGarbage([3, 2], 4), [[1], 0]);
+  });
+
+  it("sends what is left after cancelling everything", () => {
+    assert.deepEqual(cancelGarbage([3, 2], 7), [[], 2]);
+  });
+});
+
+describe("insertGarbage", () => {
+  it("pushes rows with one hole up from the bottom", () => {
+    const { board, overflow } = insertGarbage(createEmptyBoard(4, 4), 2, 1);
+    assert.deepEqual(
+      board.map((row) => row.join("")),
+      ["0000", "0000", "G0GG", "G0GG"].map((row) =>
+        row.replaceAll("0", EMPTY_CELL)
+      )
+    );
+    assert.equal(overflow, false);
+  });
+
+  it("reports blocks pushed out of the top", () => {
+    const board = createEmptyBoard(4, 4);
+    board[1][0] = "T";
+    assert.equal(insertGarbage(board, 2, 0).overflow, true);
+  });
+});
+
+describe("garbage in a game", () => {
+  it("rises when a piece locks without clearing", () => {
+    const game = step(createGame({ mode: MODES.VERSUS, seed: 3 }), {
+      type: ACTIONS.GARBAGE,
+      lines: 3,
+    });
+    assert.deepEqual(game.garbageQueue, [3]);
+    const locked = step(game, { type: ACTIONS.HARD_DROP });
+    assert.deepEqual(locked.garbageQueue, []);
+    const rows = locked.board.slice(-3);
+    rows.forEach((row) => {
+      assert.equal(row.filter((cell) => cell === EMPTY_CELL).length, 1);
+    });
+  });
+
+  it("is cancelled by the receiver's own attack", () => {
+    const game = step(createTetrisReady(), { type: ACTIONS.GARBAGE, lines: 3 });
+    const cleared = TETRIS.reduce(step, game);
+    assert.equal(cleared.lines, 4);
+    assert.deepEqual(cleared.garbageQueue, []);
+    assert.equal(cleared.attackSent, 1);
+  });
+});
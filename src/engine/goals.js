@@ -0,0 +1,78 @@
+// --- Puzzle Goals ---
+// A goal is a plain object so it can live in the game state and in puzzle
+// files: { type: GOALS.LINES, count }, { type: GOALS.T_SPIN, lines } or
+// { type: GOALS.PERFECT_CLEAR }.
+
+import { T_SPIN } from "./scoring.js";
+
+export const GOALS = {
+  LINES: "lines", // Clear `count` lines in total
+  T_SPIN: "tSpin", // A full T-spin clearing `lines` lines in one go
+  PERFECT_CLEAR: "perfectClear", // Leave the board empty after a clear
+};
+
+const T_SPIN_NAMES = [
+  "T-Spin",
+  "T-Spin Single",
+  "T-Spin Double",
+  "T-Spin Triple",
+];
+
+/**
+ * Describes a goal for the player, e.g. "Perform a T-Spin Double".
+ * @param {object} goal - The goal.
+ * @returns {string} The description.
+ */
+export const describeGoal = (goal) => {
+  switch (goal.type) {
+    case GOALS.LINES:
+      return `Clear ${goal.count} ${goal.count === 1 ? "line" : "lines"}`;
+    case GOALS.T_SPIN:
+      return `Perform a ${T_SPIN_NAMES[goal.lines]}`;
+    case GOALS.PERFECT_CLEAR:
+      return "Perfect clear";
+    default:
+      return "Unknown goal";
+  }
+};
+
+/**
+ * Checks whether a goal is valid, e.g. one read from a puzzle file.
+ * @param {object} goal - The goal to check.
+ * @returns {boolean} True if the engine can check it.
+ */
+export const isValidGoal = (goal) => {
+  switch (goal?.type) {
+    case GOALS.LINES:
+      return Number.isInteger(goal.count) && goal.count > 0;
+    case GOALS.T_SPIN:
+      return Number.isInteger(goal.lines) && goal.lines >= 0 && goal.lines <= 3;
+    case GOALS.PERFECT_CLEAR:
+      return true;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Checks whether a lock reached the goal.
+ * @param {object} goal - The goal.
+ * @param {object} lock - What the lock did.
+ * @param {number} lock.cleared - Lines cleared by this lock.
+ * @param {string} lock.tSpin - One of T_SPIN.
+ * @param {boolean} lock.perfectClear - Whether the board is now empty.
+ * @param {number} lock.lines - Lines cleared in the game so far.
+ * @returns {boolean} True once the goal is met.
+ */
+export const isGoalMet = (goal, { cleared, tSpin, perfectClear, lines }) => {
+  switch (goal.type) {
+    case GOALS.LINES:
+      return lines >= goal.count;
+    case GOALS.T_SPIN:
+      return tSpin === T_SPIN.FULL && cleared === goal.lines;
+    case GOALS.PERFECT_CLEAR:
+      return perfectClear;
+    default:
+      return false;
+  }
+};
@@ -0,0 +1,13 @@
+export * from "./board.js";
+export * from "./game.js";
+export * from "./goals.js";
+export * from "./garbage.js";
+export * from "./modes.js";
+export * from "./pieces.js";
+export * from "./pieceSets.js";
+export * from "./random.js";
+export * from "./randomizer.js";
+export * from "./scoring.js";
+export * from "./srs.js";
+export * from "./stats.js";
+export * from "./timing.js";
@@ -0,0 +1,247 @@
+// --- Game Modes ---
+// Rules that differ between modes. The game state only stores the mode id,
+// so it stays serializable; the rules are looked up with `getModeRules`.
+// Plugins add their own modes with `registerMode`.
+
+import { FRAMES_PER_SECOND, FRAME_MS } from "./timing.js";
+
+export const MODES = {
+  MARATHON: "marathon",
+  SPRINT: "sprint",
+  ULTRA: "ultra",
+  ZEN: "zen",
+  VERSUS: "versus",
+  PUZZLE: "puzzle",
+  FINESSE: "finesse",
+};
+
+// Why a game ended
+export const END_REASONS = {
+  TOP_OUT: "topOut", // Blocked spawn: the player lost
+  GOAL: "goal", // Line goal reached
+  TIME_UP: "timeUp", // Time limit reached
+  FINISHED: "finished", // Ended by the player (Zen)
+  OUT_OF_PIECES: "outOfPieces", // Puzzle pieces used up before the goal
+};
+
+/**
+ * @typedef {object} ModeRules
+ * @property {string} label - Name shown to the player.
+ * @property {string} description - One-line summary for the mode selector.
+ * @property {number|null} lineGoal - Lines that complete the game.
+ * @property {number|null} timeLimit - Frames until the game ends.
+ * @property {number|null} maxLevel - Highest level reached, null to keep
+ *   the start level for the whole game.
+ * @property {boolean} gravity - Whether pieces fall by themselves.
+ * @property {boolean} topOut - Whether a blocked spawn ends the game; if
+ *   not, the board is cleared instead.
+ * @property {number} players - 1 for solo modes, 2 for versus.
+ * @property {boolean} puzzle - Whether games are set up from a puzzle
+ *   (board, pieces and goal) instead of being picked from the menu.
+ * @property {boolean} finesse - Whether the board is emptied after every
+ *   piece for finesse practice, where a piece can be retried.
+ * @property {function(object, object): object} [scoring] - Changes the
+ *   score of a locked piece: called with the input and the result of
+ *   `scoreClear`, it returns a result of the same shape. It must be pure,
+ *   or replays drift; if it throws or its result fails `isValidScore`,
+ *   the standard score is kept.
+ */
+
+/** @type {Object<string, ModeRules>} */
+export const MODE_RULES = {
+  [MODES.MARATHON]: {
+    label: "Marathon",
+    description: "Clear 150 lines through 15 levels of rising gravity.",
+    lineGoal: 150,
+    timeLimit: null,
+    maxLevel: 15,
+    gravity: true,
+    topOut: true,
+    players: 1,
+    puzzle: false,
+    finesse: false,
+  },
+  [MODES.SPRINT]: {
+    label: "Sprint 40L",
+    description: "Clear 40 lines as fast as possible.",
+    lineGoal: 40,
+    timeLimit: null,
+    maxLevel: null,
+    gravity: true,
+    topOut: true,
+    players: 1,
+    puzzle: false,
+    finesse: false,
+  },
+  [MODES.ULTRA]: {
+    label: "Ultra",
+    description: "Score as much as you can in 2 minutes.",
+    lineGoal: null,
+    timeLimit: 2 * 60 * FRAMES_PER_SECOND,
+    maxLevel: null,
+    gravity: true,
+    topOut: true,
+    players: 1,
+    puzzle: false,
+    finesse: false,
+  },
+  [MODES.ZEN]: {
+    label: "Zen",
+    description: "No gravity and no game over. Play at your own pace.",
+    lineGoal: null,
+    timeLimit: null,
+    maxLevel: null,
+    gravity: false,
+    topOut: false,
+    players: 1,
+    puzzle: false,
+    finesse: false,
+  },
+  [MODES.VERSUS]: {
+    label: "Versus",
+    description: "Send garbage to each other; the last player standing wins.",
+    lineGoal: null,
+    timeLimit: null,
+    maxLevel: null,
+    gravity: true,
+    topOut: true,
+    players: 2,
+    puzzle: false,
+    finesse: false,
+  },
+  [MODES.PUZZLE]: {
+    label: "Puzzle",
+    description: "Reach the puzzle's goal with the pieces given.",
+    lineGoal: null,
+    timeLimit: null,
+    maxLevel: null,
+    gravity: false,
+    topOut: true,
+    players: 1,
+    puzzle: true,
+    finesse: false,
+  },
+  [MODES.FINESSE]: {
+    label: "Finesse",
+    description:
+      "Place each piece on its target with the fewest keys. A fault restarts the piece.",
+    lineGoal: null,
+    timeLimit: null,
+    maxLevel: null,
+    gravity: false,
+    topOut: false,
+    players: 1,
+    puzzle: false,
+    finesse: true,
+  },
+};
+
+// Modes played alone, e.g. for the mode selector and the leaderboard
+export const SOLO_MODES = Object.keys(MODE_RULES).filter(
+  (mode) => MODE_RULES[mode].players === 1 && !MODE_RULES[mode].puzzle
+);
+
+// Solo modes with results worth ranking; practice is left out
+export const RANKED_MODES = SOLO_MODES.filter(
+  (mode) => !MODE_RULES[mode].finesse
+);
+
+// Rules a registered mode leaves out
+const CUSTOM_MODE_DEFAULTS = {
+  description: "",
+  lineGoal: null,
+  timeLimit: null,
+  maxLevel: null,
+  gravity: true,
+  topOut: true,
+  players: 1,
+  puzzle: false,
+  finesse: false,
+};
+
+const customModes = new Map(); // Mode id to rules, added by plugins
+
+/**
+ * Adds a mode, e.g. from a plugin. Solo modes are offered in the mode
+ * selector; none of them are ranked.
+ * @param {string} id - The mode id; built-in ids are taken.
+ * @param {Partial<ModeRules>} rules - The rules; a label is required, the
+ *   others default to an endless solo game with rising gravity.
+ * @returns {function(): void} Removes the mode again.
+ */
+export const registerMode = (id, rules) => {
+  if (MODE_RULES[id] || customModes.has(id)) {
+    throw new Error(`The mode "${id}" already exists.`);
+  }
+  if (!rules.label) throw new Error(`The mode "${id}" needs a label.`);
+  const registered = { ...CUSTOM_MODE_DEFAULTS, ...rules };
+  customModes.set(id, registered);
+  return () => {
+    if (customModes.get(id) === registered) customModes.delete(id);
+  };
+};
+
+/**
+ * Returns the rules of a mode, falling back to Marathon for unknown ids.
+ * @param {string} mode - One of MODES or a registered mode.
+ * @returns {ModeRules} The mode's rules.
+ */
+export const getModeRules = (mode) =>
+  MODE_RULES[mode] ?? customModes.get(mode) ?? MODE_RULES[MODES.MARATHON];
+
+/**
+ * Tells whether a mode id is built in or registered, e.g. before resuming a
+ * game of a plugin's mode.
+ * @param {string} mode - The mode id.
+ * @returns {boolean} True if the mode exists.
+ */
+export const isKnownMode = (mode) =>
+  Boolean(MODE_RULES[mode] ?? customModes.get(mode));
+
+/**
+ * Lists the modes offered in the mode selector: the built-in solo modes,
+ * then the registered ones.
+ * @returns {Array<string>} Mode ids.
+ */
+export const getSoloModes = () => [
+  ...SOLO_MODES,
+  ...[...customModes]
+    .filter(([, rules]) => rules.players === 1 && !rules.puzzle)
+    .map(([mode]) => mode),
+];
+
+export const MAX_GRAVITY = 20; // 20G, the fastest gravity
+
+/**
+ * Returns the guideline gravity curve: the time a piece takes to fall one
+ * row, (0.8 - (level - 1) * 0.007) ^ (level - 1) seconds.
+ * @param {number} level - The current level.
+ * @returns {number} Milliseconds per row.
+ */
+export const getDropTime = (level) =>
+  (0.8 - (level - 1) * 0.007) ** (level - 1) * 1000;
+
+/**
+ * Converts the gravity curve to rows per frame ("G"): 1/60 G at level 1,
+ * capped at 20G, where pieces fall the whole board in a single frame.
+ * @param {number} level - The current level.
+ * @returns {number} Rows per frame.
+ */
+export const getGravity = (level) =>
+  Math.min(MAX_GRAVITY, FRAME_MS / getDropTime(level));
+
+/**
+ * Measures progress towards the mode's goal.
+ * @param {object} state - The game state.
+ * @returns {{ linesLeft: number|null, framesLeft: number|null }} Lines
+ *   still to clear and frames still to play, null where the mode has no
+ *   such goal.
+ */
+export const getModeProgress = (state) => {
+  const { lineGoal, timeLimit } = getModeRules(state.mode);
+  return {
+    linesLeft: lineGoal === null ? null : Math.max(0, lineGoal - state.lines),
+    framesLeft:
+      timeLimit === null ? null : Math.max(0, timeLimit - state.frame),
+  };
+};
@@ -0,0 +1,296 @@
+// --- Piece Sets ---
+// A piece set is a plain, serializable object: the piece ids in dealing
+// order, each piece's spawn shape and color, and the kick system used to
+// rotate them. It travels with the game options, so replays and online
+// rounds carry the exact pieces they were played with.
+//
+// Shapes are square matrices that rotate about their centre, like the
+// guideline Tetrominos. Piece ids are single characters because boards
+// store them cell by cell.
+
+import { EMPTY_CELL } from "./board.js";
+import { GARBAGE_CELL } from "./garbage.js";
+import { PIECE_TYPES, TETROMINOS } from "./pieces.js";
+import { getKicks } from "./srs.js";
+
+export const PIECE_SETS = {
+  STANDARD: "standard", // The seven Tetrominos with SRS
+  PENTOMINOES: "pentominoes", // The twelve five-block pieces
+  BIG: "big", // Tetrominos at twice the size
+  CUSTOM: "custom", // Shapes defined by the player
+};
+
+export const PIECE_SET_LABELS = {
+  [PIECE_SETS.STANDARD]: "Tetrominos",
+  [PIECE_SETS.PENTOMINOES]: "Pentominoes",
+  [PIECE_SETS.BIG]: "Big",
+  [PIECE_SETS.CUSTOM]: "Custom",
+};
+
+export const KICKS = {
+  SRS: "srs", // Guideline kick tables, needed for T-spins
+  BASIC: "basic", // A short list of nudges that works for any shape
+};
+
+// Tried in order for every rotation, in board coordinates (y down)
+// prettier-ignore
+const BASIC_KICKS = [
+  [0, 0], [-1, 0], [1, 0], [0, -1], [-1, -1], [1, -1], [-2, 0], [2, 0],
+].map(([x, y]) => ({ x, y }));
+
+// Limits for player-defined shapes
+export const MAX_CUSTOM_PIECES = 16;
+export const MAX_CUSTOM_SIZE = 5;
+const SHAPE_BLOCK = "X";
+const SHAPE_GAP = ".";
+
+/**
+ * Returns the kick tests for a rotation, in board coordinates.
+ * @param {string} kicks - One of KICKS.
+ * @param {string} type - The piece id.
+ * @param {number} from - The rotation state before rotating (0-3).
+ * @param {number} to - The rotation state after rotating (0-3).
+ * @returns {Array<{ x: number, y: number }>} Offsets to try, in order.
+ */
+export const getRotationKicks = (kicks, type, from, to) =>
+  kicks === KICKS.SRS ? getKicks(type, from, to) : BASIC_KICKS;
+
+export const STANDARD_SET = {
+  id: PIECE_SETS.STANDARD,
+  kicks: KICKS.SRS,
+  types: PIECE_TYPES,
+  pieces: Object.fromEntries(
+    [...PIECE_TYPES].map((type) => [
+      type,
+      { shape: TETROMINOS[type].shape, hex: TETROMINOS[type].hex },
+    ])
+  ),
+};
+
+// prettier-ignore
+export const PENTOMINO_SET = {
+  id: PIECE_SETS.PENTOMINOES,
+  kicks: KICKS.BASIC,
+  types: "FILNPTUVWXYZ",
+  pieces: {
+    F: { shape: [[0, 1, 1], [1, 1, 0], [0, 1, 0]], hex: "#ec4899" },
+    I: { shape: [[0, 0, 0, 0, 0], [0, 0, 0, 0, 0], [1, 1, 1, 1, 1], [0, 0, 0, 0, 0], [0, 0, 0, 0, 0]], hex: "#06b6d4" },
+    L: { shape: [[0, 0, 0, 0], [0, 0, 0, 1], [1, 1, 1, 1], [0, 0, 0, 0]], hex: "#f97316" },
+    N: { shape: [[0, 0, 0, 0], [1, 1, 0, 0], [0, 1, 1, 1], [0, 0, 0, 0]], hex: "#84cc16" },
+    P: { shape: [[0, 1, 1], [1, 1, 1], [0, 0, 0]], hex: "#f59e0b" },
+    T: { shape: [[1, 1, 1], [0, 1, 0], [0, 1, 0]], hex: "#a855f7" },
+    U: { shape: [[1, 0, 1], [1, 1, 1], [0, 0, 0]], hex: "#eab308" },
+    V: { shape: [[1, 0, 0], [1, 0, 0], [1, 1, 1]], hex: "#3b82f6" },
+    W: { shape: [[1, 0, 0], [1, 1, 0], [0, 1, 1]], hex: "#14b8a6" },
+    X: { shape: [[0, 1, 0], [1, 1, 1], [0, 1, 0]], hex: "#f43f5e" },
+    Y: { shape: [[0, 0, 0, 0], [0, 0, 1, 0], [1, 1, 1, 1], [0, 0, 0, 0]], hex: "#6366f1" },
+    Z: { shape: [[1, 1, 0], [0, 1, 0], [0, 1, 1]], hex: "#ef4444" },
+  },
+};
+
+/**
+ * Scales a shape up so each block becomes a 2×2 square.
+ * @param {Array<Array<number>>} shape - The shape matrix.
+ * @returns {Array<Array<number>>} The doubled matrix.
+ */
+const doubleShape = (shape) =>
+  shape.flatMap((row) => {
+    const wide = row.flatMap((value) => [value, value]);
+    return [wide, [...wide]];
+  });
+
+export const BIG_SET = {
+  id: PIECE_SETS.BIG,
+  kicks: KICKS.BASIC,
+  types: PIECE_TYPES,
+  pieces: Object.fromEntries(
+    Object.entries(STANDARD_SET.pieces).map(([type, { shape, hex }]) => [
+      type,
+      { shape: doubleShape(shape), hex },
+    ])
+  ),
+};
+
+// A starting point for the custom shape editor
+export const EXAMPLE_CUSTOM_PIECES = [
+  { id: "A", rows: ["XX"], color: "#f472b6", center: [0.5, 0.5] },
+  { id: "B", rows: ["XXX"], color: "#38bdf8", center: [1, 0] },
+  { id: "C", rows: ["X.", "XX"], color: "#a3e635", center: [0.5, 0.5] },
+  { id: "D", rows: ["X.X", "XXX"], color: "#facc15" },
+];
+
+/**
+ * Builds the square matrix of a player-defined shape, padded so that it
+ * turns about the given centre.
+ * @param {Array<string>} rows - The shape, "X" for blocks and "." for gaps.
+ * @param {[number, number]} center - The point to rotate about as [x, y]
+ *   in cells from the top left block; whole numbers are the middle of a
+ *   cell, halves the corner between cells.
+ * @returns {Array<Array<number>>} The shape matrix.
+ */
+const createShape = (rows, [cx, cy]) => {
+  const width = rows[0].length;
+  const height = rows.length;
+  const half = Math.max(cx, cy, width - 1 - cx, height - 1 - cy);
+  const size = 2 * half + 1;
+  const left = half - cx;
+  const top = half - cy;
+  return Array.from({ length: size }, (_, y) =>
+    Array.from({ length: size }, (_, x) =>
+      rows[y - top]?.[x - left] === SHAPE_BLOCK ? 1 : 0
+    )
+  );
+};
+
+/**
+ * Picks the rotation centre of a shape without one: the middle of its
+ * bounding box, moved onto a cell when the box is odd one way only.
+ * @param {Array<string>} rows - The shape rows.
+ * @returns {[number, number]} The centre.
+ */
+const getDefaultCenter = (rows) => {
+  const cx = (rows[0].length - 1) / 2;
+  const cy = (rows.length - 1) / 2;
+  return Number.isInteger(cx) === Number.isInteger(cy)
+    ? [cx, cy]
+    : [Math.floor(cx), Math.floor(cy)];
+};
+
+/**
+ * Checks one player-defined piece, throwing a message the player can act
+ * on if it is not usable.
+ * @param {object} piece - The definition (id, rows, color, center).
+ * @param {number} index - Its position in the list, for messages.
+ */
+const validateCustomPiece = (piece, index) => {
+  const name = `Piece ${index + 1}`;
+  const { id, rows, color, center } = piece ?? {};
+  if (typeof id !== "string" || !/^[A-Za-z]$/.test(id) || id === GARBAGE_CELL) {
+    throw new Error(`${name}: the id must be one letter other than G.`);
+  }
+  if (
+    !Array.isArray(rows) ||
+    rows.length === 0 ||
+    rows.length > MAX_CUSTOM_SIZE ||
+    rows.some(
+      (row) =>
+        typeof row !== "string" ||
+        row.length === 0 ||
+        row.length > MAX_CUSTOM_SIZE ||
+        row.length !== rows[0].length ||
+        ![...row].every((c) => c === SHAPE_BLOCK || c === SHAPE_GAP)
+    )
+  ) {
+    throw new Error(
+      `${name}: rows must be up to ${MAX_CUSTOM_SIZE} strings of the same length, made of "X" and ".".`
+    );
+  }
+  if (!rows.some((row) => row.includes(SHAPE_BLOCK))) {
+    throw new Error(`${name}: the shape needs at least one block.`);
+  }
+  if (typeof color !== "string" || !/^#[0-9a-f]{6}$/i.test(color)) {
+    throw new Error(`${name}: the color must look like #a855f7.`);
+  }
+  if (center === undefined) return;
+  const [cx, cy] = Array.isArray(center) ? center : [];
+  // Corners on the edge of the shape count as inside
+  const isHalfStep = (value, max) =>
+    Number.isInteger(value * 2) && value >= -0.5 && value <= max + 0.5;
+  if (
+    !isHalfStep(cx, rows[0].length - 1) ||
+    !isHalfStep(cy, rows.length - 1) ||
+    Number.isInteger(cx) !== Number.isInteger(cy)
+  ) {
+    throw new Error(
+      `${name}: the center must be [x, y] inside the shape, both whole or both halves.`
+    );
+  }
+};
+
+/**
+ * Builds a piece set from player-defined shapes. Custom pieces use the
+ * basic kicks; T-spins need the SRS tables of the standard set.
+ * @param {Array<object>} definitions - Pieces as { id, rows, color,
+ *   center }, see EXAMPLE_CUSTOM_PIECES; the center is optional.
+ * @returns {object} The piece set.
+ * @throws {Error} If a definition is not usable.
+ */
+export const createCustomSet = (definitions) => {
+  if (
+    !Array.isArray(definitions) ||
+    definitions.length === 0 ||
+    definitions.length > MAX_CUSTOM_PIECES
+  ) {
+    throw new Error(`Define between 1 and ${MAX_CUSTOM_PIECES} pieces.`);
+  }
+  definitions.forEach(validateCustomPiece);
+  const types = definitions.map(({ id }) => id).join("");
+  if (new Set(types).size !== types.length) {
+    throw new Error("Every piece needs its own id.");
+  }
+  return {
+    id: PIECE_SETS.CUSTOM,
+    kicks: KICKS.BASIC,
+    types,
+    pieces: Object.fromEntries(
+      definitions.map(({ id, rows, color, center }) => [
+        id,
+        {
+          shape: createShape(rows, center ?? getDefaultCenter(rows)),
+          hex: color.toLowerCase(),
+        },
+      ])
+    ),
+  };
+};
+
+/**
+ * Resolves a piece set id from the settings. Broken custom definitions
+ * fall back to the standard set.
+ * @param {string} id - One of PIECE_SETS.
+ * @param {Array<object>} [customPieces] - Definitions for PIECE_SETS.CUSTOM.
+ * @returns {object} The piece set.
+ */
+export const getPieceSet = (id, customPieces = EXAMPLE_CUSTOM_PIECES) => {
+  if (id === PIECE_SETS.PENTOMINOES) return PENTOMINO_SET;
+  if (id === PIECE_SETS.BIG) return BIG_SET;
+  if (id === PIECE_SETS.CUSTOM) {
+    try {
+      return createCustomSet(customPieces);
+    } catch {
+      return STANDARD_SET;
+    }
+  }
+  return STANDARD_SET;
+};
+
+/**
+ * Returns the narrowest board every piece of a set can spawn on.
+ * @param {object} pieceSet - The piece set.
+ * @returns {number} The width in cells.
+ */
+export const getMinWidth = (pieceSet) =>
+  Math.max(
+    ...Object.values(pieceSet.pieces).map(({ shape }) => shape[0].length)
+  );
+
+/**
+ * Looks up the color of a board cell or piece. Empty and garbage cells,
+ * and games drawn without their set, use the standard colors.
+ * @param {object|undefined} pieceSet - The piece set of the game.
+ * @param {string} type - A piece id or cell value.
+ * @returns {string} The hex color.
+ */
+export const getPieceHex = (pieceSet, type) =>
+  (type !== EMPTY_CELL && pieceSet?.pieces[type]?.hex) ||
+  TETROMINOS[type]?.hex ||
+  TETROMINOS[GARBAGE_CELL].hex;
+
+/**
+ * Looks up the spawn shape of a piece, e.g. for previews.
+ * @param {object|undefined} pieceSet - The piece set of the game.
+ * @param {string} type - The piece id.
+ * @returns {Array<Array<number>>} The shape matrix.
+ */
+export const getPieceShape = (pieceSet, type) =>
+  (pieceSet ?? STANDARD_SET).pieces[type]?.shape ?? TETROMINOS[type].shape;
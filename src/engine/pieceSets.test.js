@@ -0,0 +1,120 @@
+// --- Piece Set Tests ---
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createEmptyBoard, getPieceCells } from "./board.js";
+import { ACTIONS, DEFAULT_WIDTH, createGame, step } from "./game.js";
+import { GARBAGE_CELL } from "./garbage.js";
+import { MODES } from "./modes.js";
+import {
+  BIG_SET,
+  EXAMPLE_CUSTOM_PIECES,
+  MAX_CUSTOM_PIECES,
+  PENTOMINO_SET,
+  PIECE_SETS,
+  STANDARD_SET,
+  createCustomSet,
+  getMinWidth,
+  getPieceSet,
+} from "./pieceSets.js";
+import { HARD_DROP_POINTS } from "./scoring.js";
+
+const [EXAMPLE] = EXAMPLE_CUSTOM_PIECES;
+
+/**
+ * Builds a custom set from one changed copy of the first example piece.
+ * @param {object} change - The fields to change.
+ * @returns {object} The piece set.
+ */
+const createWith = (change) => createCustomSet([{ ...EXAMPLE, ...change }]);
+
+describe("createCustomSet", () => {
+  it("builds the example pieces", () => {
+    const set = createCustomSet(EXAMPLE_CUSTOM_PIECES);
+    assert.equal(set.types, "ABCD");
+    assert.equal(set.pieces.D.hex, "#facc15");
+  });
+
+  it("keeps the blocks of each shape", () => {
+    const set = createCustomSet(EXAMPLE_CUSTOM_PIECES);
+    const blocks = (type) =>
+      getPieceCells({ shape: set.pieces[type].shape, pos: { x: 0, y: 0 } })
+        .length;
+    assert.deepEqual([..."ABCD"].map(blocks), [2, 3, 3, 5]);
+  });
+
+  it("rejects pieces it cannot use", () => {
+    [
+      [{ id: "G" }, /one letter other than G/],
+      [{ id: "AB" }, /one letter/],
+      [{ rows: ["XX", "X"] }, /same length/],
+      [{ rows: ["XXXXXX"] }, /up to 5 strings/],
+      [{ rows: ["..", ".."] }, /at least one block/],
+      [{ color: "pink" }, /color/],
+      [{ center: [3, 0] }, /center/],
+      [{ center: [0.5, 0] }, /both whole or both halves/],
+    ].forEach(([change, message]) =>
+      assert.throws(() => createWith(change), message)
+    );
+  });
+
+  it("rejects empty, oversized and duplicate lists", () => {
+    assert.throws(() => createCustomSet([]), /Define between/);
+    const many = Array.from({ length: MAX_CUSTOM_PIECES + 1 }, () => EXAMPLE);
+    assert.throws(() => createCustomSet(many), /Define between/);
+    assert.throws(() => createCustomSet([EXAMPLE, EXAMPLE]), /its own id/);
+  });
+});
+
+describe("getPieceSet", () => {
+  it("resolves the built-in sets", () => {
+    assert.equal(getPieceSet(PIECE_SETS.STANDARD), STANDARD_SET);
+    assert.equal(getPieceSet(PIECE_SETS.PENTOMINOES), PENTOMINO_SET);
+    assert.equal(getPieceSet(PIECE_SETS.BIG), BIG_SET);
+  });
+
+  it("falls back to the standard set for broken custom pieces", () => {
+    assert.equal(getPieceSet(PIECE_SETS.CUSTOM, [{ id: "G" }]), STANDARD_SET);
+  });
+});
+
+describe("games with other piece sets", () => {
+  it("widen boards the pieces would not fit", () => {
+    assert.equal(getMinWidth(BIG_SET), 8);
+    assert.equal(createGame({ width: 4, pieceSet: BIG_SET }).width, 8);
+    assert.equal(createGame({ width: 4 }).width, 4);
+  });
+
+  it("deal only pieces of the set", () => {
+    const game = createGame({ seed: 9, pieceSet: PENTOMINO_SET });
+    [game.current.type, ...game.queue].forEach((type) =>
+      assert.ok(PENTOMINO_SET.types.includes(type))
+    );
+  });
+
+  it("score and attack a five-line clear like a Tetris", () => {
+    // Five full rows but for the last column, and a block on top
+    const board = createEmptyBoard(DEFAULT_WIDTH, 22).map((row, y) =>
+      y >= 17 ? row.map((cell, x) => (x === 9 ? cell : GARBAGE_CELL)) : row
+    );
+    board[16][0] = GARBAGE_CELL;
+    const game = [
+      { type: ACTIONS.ROTATE_CW },
+      { type: ACTIONS.MOVE_RIGHT, toWall: true },
+      { type: ACTIONS.HARD_DROP },
+    ].reduce(
+      step,
+      createGame({
+        mode: MODES.VERSUS,
+        pieceSet: PENTOMINO_SET,
+        board,
+        pieces: [..."II"],
+      })
+    );
+    assert.equal(game.lines, 5);
+    assert.ok(Number.isFinite(game.score));
+    assert.equal(game.score - game.lastLock.dropped * HARD_DROP_POINTS, 800);
+    assert.equal(game.attackSent, 4);
+    assert.deepEqual(game.lastClear.callout, ["5 LINES"]);
+  });
+});
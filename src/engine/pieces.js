@@ -0,0 +1,107 @@
+// --- Tetromino Definitions ---
+
+// Define Tetris piece shapes in their guideline (SRS) spawn orientation,
+// flat side down, and their colors as Tailwind classes (puzzle editor) and
+// hex values (the classic theme and piece sets without theme colors)
+export const TETROMINOS = {
+  0: { shape: [[0]], color: "bg-gray-800", hex: "#1f2937" }, // Empty cell
+  I: {
+    shape: [
+      [0, 0, 0, 0],
+      [1, 1, 1, 1],
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+    ],
+    color: "bg-cyan-500", // Cyan
+    hex: "#06b6d4",
+  },
+  J: {
+    shape: [
+      [1, 0, 0],
+      [1, 1, 1],
+      [0, 0, 0],
+    ],
+    color: "bg-blue-500", // Blue
+    hex: "#3b82f6",
+  },
+  L: {
+    shape: [
+      [0, 0, 1],
+      [1, 1, 1],
+      [0, 0, 0],
+    ],
+    color: "bg-orange-500", // Orange
+    hex: "#f97316",
+  },
+  O: {
+    shape: [
+      [1, 1],
+      [1, 1],
+    ],
+    color: "bg-yellow-500", // Yellow
+    hex: "#eab308",
+  },
+  S: {
+    shape: [
+      [0, 1, 1],
+      [1, 1, 0],
+      [0, 0, 0],
+    ],
+    color: "bg-green-500", // Green
+    hex: "#22c55e",
+  },
+  T: {
+    shape: [
+      [0, 1, 0],
+      [1, 1, 1],
+      [0, 0, 0],
+    ],
+    color: "bg-purple-500", // Purple
+    hex: "#a855f7",
+  },
+  Z: {
+    shape: [
+      [1, 1, 0],
+      [0, 1, 1],
+      [0, 0, 0],
+    ],
+    color: "bg-red-500", // Red
+    hex: "#ef4444",
+  },
+  G: { shape: [[1]], color: "bg-gray-500", hex: "#6b7280" }, // Garbage (versus)
+};
+
+export const PIECE_TYPES = "IJLOSTZ";
+
+/**
+ * Finds the lowest row of a shape that holds a block.
+ * @param {Array<Array<number>>} shape - The shape matrix.
+ * @returns {number} The row index.
+ */
+const getBottomRow = (shape) =>
+  shape.reduce((bottom, row, y) => (row.some((v) => v !== 0) ? y : bottom), 0);
+
+/**
+ * Creates a piece of the given type at its spawn position. Pieces spawn in
+ * rotation state 0, centered and rounded to the left as in the guideline,
+ * with their lowest blocks on the last hidden row.
+ * @param {string} type - The piece id.
+ * @param {object} game - The game it spawns in.
+ * @param {number} game.width - The board width, used to center the piece.
+ * @param {number} game.hiddenRows - Rows above the visible board.
+ * @param {object} game.pieceSet - The piece set, see pieceSets.js.
+ * @returns {object} The piece (type, shape, pos, rotation, lastKick).
+ */
+export const spawnPiece = (type, { width, hiddenRows, pieceSet }) => {
+  const { shape } = pieceSet.pieces[type];
+  return {
+    type,
+    shape,
+    rotation: 0,
+    lastKick: null, // Index of the kick used by the last rotation
+    pos: {
+      x: Math.floor((width - shape[0].length) / 2),
+      y: Math.max(0, hiddenRows - 1 - getBottomRow(shape)),
+    },
+  };
+};
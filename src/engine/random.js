@@ -0,0 +1,41 @@
+// --- Seeded Randomness ---
+// The engine never calls Math.random() directly: the generator state is a
+// plain number kept inside the game state, so games can be replayed and
+// saved exactly.
+
+/**
+ * Normalizes any numeric seed into an unsigned 32-bit integer.
+ * @param {number} seed - The seed to normalize.
+ * @returns {number} The normalized seed.
+ */
+export const normalizeSeed = (seed) => Number(seed) >>> 0;
+
+/**
+ * Creates a fresh, non-deterministic seed for a new game.
+ * @returns {number} A random unsigned 32-bit integer.
+ */
+export const randomSeed = () => Math.floor(Math.random() * 2 ** 32) >>> 0;
+
+/**
+ * Advances a mulberry32 generator by one step.
+ * @param {number} rng - The current generator state.
+ * @returns {[number, number]} A float in [0, 1) and the next generator state.
+ */
+export const nextRandom = (rng) => {
+  const nextRng = (rng + 0x6d2b79f5) >>> 0;
+  let t = nextRng;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return [((t ^ (t >>> 14)) >>> 0) / 4294967296, nextRng];
+};
+
+/**
+ * Picks a random integer in [0, max) from the generator.
+ * @param {number} rng - The current generator state.
+ * @param {number} max - The exclusive upper bound.
+ * @returns {[number, number]} The integer and the next generator state.
+ */
+export const nextInt = (rng, max) => {
+  const [value, nextRng] = nextRandom(rng);
+  return [Math.floor(value * max), nextRng];
+};
@@ -0,0 +1,178 @@
+// --- Piece Randomizers ---
+// Each randomizer is a plain, serializable state object; `drawPiece` returns
+// the next piece type together with the advanced state. Plugins add their
+// own kinds with `registerRandomizer`.
+
+import { PIECE_TYPES } from "./pieces.js";
+import { nextInt } from "./random.js";
+
+export const RANDOMIZERS = {
+  BAG: "bag", // Modern 7-bag: every piece once per bag of seven
+  RANDOM: "random", // Uniform pick, droughts and floods included
+  NES: "nes", // Rerolls once when the same piece comes up twice in a row
+};
+
+export const RANDOMIZER_LABELS = {
+  [RANDOMIZERS.BAG]: "7-Bag",
+  [RANDOMIZERS.RANDOM]: "Pure Random",
+  [RANDOMIZERS.NES]: "NES (Reroll on Repeat)",
+};
+
+const customRandomizers = new Map(); // Kind to { label, draw }, from plugins
+
+/**
+ * Adds a randomizer, e.g. from a plugin. Its `draw` takes the randomizer
+ * state ({ kind, rng, types, bag, last }) and returns the piece type and
+ * the advanced state, like `drawPiece`. It must be pure and only use `rng`
+ * (see random.js) for chance, so seeded games and replays repeat. If it
+ * throws or its result fails `isValidDraw`, the game deals from a 7-bag
+ * instead.
+ * @param {string} kind - The randomizer id; built-in ids are taken.
+ * @param {object} randomizer
+ * @param {string} randomizer.label - Name shown in the settings.
+ * @param {function(object): [string, object]} randomizer.draw - Draws the
+ *   next piece.
+ * @returns {function(): void} Removes the randomizer again.
+ */
+export const registerRandomizer = (kind, { label, draw }) => {
+  if (RANDOMIZER_LABELS[kind] || customRandomizers.has(kind)) {
+    throw new Error(`The randomizer "${kind}" already exists.`);
+  }
+  const registered = { label, draw };
+  customRandomizers.set(kind, registered);
+  return () => {
+    if (customRandomizers.get(kind) === registered) {
+      customRandomizers.delete(kind);
+    }
+  };
+};
+
+/**
+ * Lists the randomizers offered in the settings.
+ * @returns {Object<string, string>} Labels by kind, the built-in ones first.
+ */
+export const getRandomizerLabels = () => ({
+  ...RANDOMIZER_LABELS,
+  ...Object.fromEntries(
+    [...customRandomizers].map(([kind, { label }]) => [kind, label])
+  ),
+});
+
+/**
+ * Creates the state of a randomizer.
+ * @param {string} kind - One of RANDOMIZERS or a registered kind.
+ * @param {number} rng - The initial generator state.
+ * @param {string} [types] - The piece ids to deal, one bag's worth.
+ * @returns {object} The randomizer state.
+ */
+export const createRandomizer = (kind, rng, types = PIECE_TYPES) => ({
+  kind:
+    Object.values(RANDOMIZERS).includes(kind) || customRandomizers.has(kind)
+      ? kind
+      : RANDOMIZERS.BAG,
+  rng,
+  types,
+  bag: [],
+  last: null,
+});
+
+// A fixed list of pieces, e.g. from a puzzle; not offered as a setting
+const SEQUENCE = "sequence";
+
+/**
+ * Creates a randomizer that deals a fixed list of pieces and then runs dry.
+ * @param {Array<string>} pieces - The piece types, in order.
+ * @returns {object} The randomizer state.
+ */
+export const createSequence = (pieces) => ({
+  kind: SEQUENCE,
+  rng: 0,
+  bag: [...pieces],
+  last: null,
+});
+
+/**
+ * Shuffles a fresh bag holding every piece once (Fisher-Yates).
+ * @param {string} types - The piece ids.
+ * @param {number} rng - The current generator state.
+ * @returns {[Array<string>, number]} The shuffled bag and the next state.
+ */
+const shuffleBag = (types, rng) => {
+  const bag = [...types];
+  let nextRng = rng;
+  for (let i = bag.length - 1; i > 0; i--) {
+    let j;
+    [j, nextRng] = nextInt(nextRng, i + 1);
+    [bag[i], bag[j]] = [bag[j], bag[i]];
+  }
+  return [bag, nextRng];
+};
+
+/**
+ * Tells whether a randomizer kind is built in or registered, e.g. before
+ * resuming a game dealt by a plugin's randomizer.
+ * @param {string} kind - The randomizer kind.
+ * @returns {boolean} True if `drawPiece` knows the kind.
+ */
+export const isKnownRandomizer = (kind) =>
+  Boolean(RANDOMIZER_LABELS[kind]) ||
+  kind === SEQUENCE ||
+  customRandomizers.has(kind);
+
+/**
+ * Checks what a randomizer's `draw` returned, e.g. one from a plugin,
+ * before the piece spawns: a type of the piece set and a state to draw
+ * the next one from.
+ * @param {*} drawn - The result of `draw`.
+ * @param {object} randomizer - The state it drew from.
+ * @returns {boolean} True if it can be used.
+ */
+export const isValidDraw = (drawn, { types = PIECE_TYPES }) =>
+  Array.isArray(drawn) &&
+  [...types].includes(drawn[0]) &&
+  Number.isInteger(drawn[1]?.rng);
+
+/**
+ * Draws the next piece type from a randomizer.
+ * @param {object} randomizer - The randomizer state.
+ * @returns {[string|null, object]} The piece type, or null once a sequence
+ *   has run out, and the next randomizer state.
+ */
+export const drawPiece = (randomizer) => {
+  const { kind, types = PIECE_TYPES } = randomizer;
+  const custom = customRandomizers.get(kind);
+  if (custom) {
+    try {
+      const drawn = custom.draw(randomizer);
+      if (isValidDraw(drawn, randomizer)) return drawn;
+    } catch {
+      // Reported by the plugin layer, see plugins.js
+    }
+    // A broken randomizer gives way to a bag for the rest of the game
+    return drawPiece({ ...randomizer, kind: RANDOMIZERS.BAG, bag: [] });
+  }
+  let { rng, bag } = randomizer;
+  let type;
+
+  if (kind === SEQUENCE) {
+    [type = null, ...bag] = bag;
+  } else if (kind === RANDOMIZERS.BAG) {
+    if (bag.length === 0) [bag, rng] = shuffleBag(types, rng);
+    [type, ...bag] = bag;
+  } else if (kind === RANDOMIZERS.NES) {
+    // Roll one outcome more than there are pieces; it or a repeat triggers
+    // one reroll
+    let index;
+    [index, rng] = nextInt(rng, types.length + 1);
+    if (index === types.length || types[index] === randomizer.last) {
+      [index, rng] = nextInt(rng, types.length);
+    }
+    type = types[index];
+  } else {
+    let index;
+    [index, rng] = nextInt(rng, types.length);
+    type = types[index];
+  }
+
+  return [type, { ...randomizer, rng, bag, last: type }];
+};
@@ -0,0 +1,158 @@
+// --- Guideline Scoring ---
+// Points for line clears, T-spins, back-to-back chains, combos and perfect
+// clears, following the Tetris Guideline scoring table.
+
+import { EMPTY_CELL } from "./board.js";
+
+export const T_SPIN = {
+  NONE: "none",
+  MINI: "mini",
+  FULL: "full",
+};
+
+// Base points by lines cleared; every value is multiplied by the level
+const LINE_CLEAR_POINTS = [0, 100, 300, 500, 800];
+const T_SPIN_POINTS = [400, 800, 1200, 1600];
+const T_SPIN_MINI_POINTS = [100, 200, 400];
+const PERFECT_CLEAR_POINTS = [0, 800, 1200, 1800, 2000];
+const B2B_PERFECT_TETRIS_POINTS = 3200;
+const COMBO_POINTS = 50;
+const BACK_TO_BACK_MULTIPLIER = 1.5;
+
+export const SOFT_DROP_POINTS = 1; // Per row
+export const HARD_DROP_POINTS = 2; // Per row
+export const LINES_PER_LEVEL = 10;
+// Clears of more lines, possible with pentominoes and big pieces, score and
+// attack like a Tetris
+const MAX_SCORED_LINES = 4;
+
+const CLEAR_NAMES = ["", "SINGLE", "DOUBLE", "TRIPLE", "TETRIS"];
+
+// The two corners a T piece "points" at in each rotation state (0, R, 2, L),
+// as [x, y] offsets inside its 3x3 box
+// prettier-ignore
+const T_FRONT_CORNERS = [
+  [[0, 0], [2, 0]], // 0: pointing up
+  [[2, 0], [2, 2]], // R: pointing right
+  [[0, 2], [2, 2]], // 2: pointing down
+  [[0, 0], [0, 2]], // L: pointing left
+];
+// prettier-ignore
+const T_CORNERS = [[0, 0], [2, 0], [0, 2], [2, 2]];
+
+/**
+ * Computes the level reached after clearing a number of lines.
+ * @param {number} lines - Total lines cleared.
+ * @param {number} [startLevel] - The level the game started on.
+ * @returns {number} The current level.
+ */
+export const getLevel = (lines, startLevel = 1) =>
+  startLevel + Math.floor(lines / LINES_PER_LEVEL);
+
+/**
+ * Detects a T-spin with the 3-corner rule. The piece must be a T whose last
+ * successful manipulation was a rotation, with at least three of the four
+ * corners around its center blocked. It is a mini unless both corners it
+ * points at are blocked, or the rotation needed the last SRS kick.
+ * @param {object} piece - The piece about to lock (type, shape, pos,
+ *   rotation, lastKick).
+ * @param {Array<Array<string>>} board - The board before the piece merges.
+ * @returns {string} One of T_SPIN.
+ */
+export const detectTSpin = (piece, board) => {
+  if (piece.type !== "T" || piece.lastKick === null) return T_SPIN.NONE;
+
+  const isBlocked = ([x, y]) => {
+    const cell = board[piece.pos.y + y]?.[piece.pos.x + x];
+    return cell === undefined || cell !== EMPTY_CELL; // Walls count as blocked
+  };
+
+  if (T_CORNERS.filter(isBlocked).length < 3) return T_SPIN.NONE;
+  if (piece.lastKick === 4) return T_SPIN.FULL;
+  return T_FRONT_CORNERS[piece.rotation].every(isBlocked)
+    ? T_SPIN.FULL
+    : T_SPIN.MINI;
+};
+
+/**
+ * Scores a locked piece.
+ * @param {object} clear
+ * @param {number} clear.lines - Lines cleared by the piece.
+ * @param {string} clear.tSpin - One of T_SPIN.
+ * @param {boolean} clear.perfectClear - Whether the board is now empty.
+ * @param {number} clear.level - The level before the lines were counted.
+ * @param {boolean} clear.backToBack - Whether the previous clear was difficult.
+ * @param {number} clear.combo - The combo counter before this lock (-1 for none).
+ * @returns {{ points: number, backToBack: boolean, combo: number,
+ *   isBackToBack: boolean, callout: Array<string> }} Points earned, the
+ *   updated back-to-back and combo state, and the text to show the player.
+ */
+export const scoreClear = ({
+  lines,
+  tSpin,
+  perfectClear,
+  level,
+  backToBack,
+  combo,
+}) => {
+  const fromTable = (table) => table[Math.min(lines, table.length - 1)];
+  let base;
+  if (tSpin === T_SPIN.FULL) base = fromTable(T_SPIN_POINTS);
+  else if (tSpin === T_SPIN.MINI) base = fromTable(T_SPIN_MINI_POINTS);
+  else base = fromTable(LINE_CLEAR_POINTS);
+
+  // Tetrises (or more) and T-spins that clear lines are "difficult" and keep
+  // a B2B chain
+  const isDifficult =
+    lines >= MAX_SCORED_LINES || (tSpin !== T_SPIN.NONE && lines > 0);
+  const isBackToBack = isDifficult && backToBack;
+  let points = (isBackToBack ? base * BACK_TO_BACK_MULTIPLIER : base) * level;
+
+  const nextCombo = lines > 0 ? combo + 1 : -1;
+  if (nextCombo > 0) points += COMBO_POINTS * nextCombo * level;
+
+  if (perfectClear) {
+    points +=
+      (isBackToBack && lines >= MAX_SCORED_LINES
+        ? B2B_PERFECT_TETRIS_POINTS
+        : fromTable(PERFECT_CLEAR_POINTS)) * level;
+  }
+
+  const callout = [];
+  if (tSpin !== T_SPIN.NONE || lines > 0) {
+    const name = [
+      isBackToBack ? "B2B" : "",
+      tSpin === T_SPIN.FULL ? "T-SPIN" : "",
+      tSpin === T_SPIN.MINI ? "T-SPIN MINI" : "",
+      CLEAR_NAMES[lines] ?? `${lines} LINES`,
+    ]
+      .filter(Boolean)
+      .join(" ");
+    callout.push(name);
+  }
+  if (nextCombo > 0) callout.push(`${nextCombo} COMBO`);
+  if (perfectClear) callout.push("ALL CLEAR");
+
+  return {
+    points,
+    backToBack: lines > 0 ? isDifficult : backToBack,
+    combo: nextCombo,
+    isBackToBack,
+    callout,
+  };
+};
+
+/**
+ * Checks that a result has the shape of `scoreClear`'s, e.g. one from a
+ * mode's scoring hook, before it goes into the game state.
+ * @param {*} result - The result to check.
+ * @returns {boolean} True if it can be used.
+ */
+export const isValidScore = (result) =>
+  Number.isFinite(result?.points) &&
+  Number.isInteger(result.combo) &&
+  result.combo >= -1 &&
+  typeof result.backToBack === "boolean" &&
+  typeof result.isBackToBack === "boolean" &&
+  Array.isArray(result.callout) &&
+  result.callout.every((line) => typeof line === "string");
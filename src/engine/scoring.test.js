@@ -0,0 +1,168 @@
+// --- Scoring Tests ---
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createEmptyBoard } from "./board.js";
+import { TETROMINOS } from "./pieces.js";
+import { T_SPIN, detectTSpin, scoreClear } from "./scoring.js";
+
+// A T pointing down (rotation 2) whose 3x3 box starts at (4, 4)
+const T_DOWN = {
+  type: "T",
+  shape: [
+    [0, 0, 0],
+    [1, 1, 1],
+    [0, 1, 0],
+  ],
+  pos: { x: 4, y: 4 },
+  rotation: 2,
+  lastKick: 0,
+};
+
+/**
+ * Builds an empty 10x8 board with some of the corners around T_DOWN filled.
+ * @param {Array<Array<number>>} corners - [x, y] offsets inside its box.
+ * @returns {Array<Array<string>>} The board.
+ */
+const boardWithCorners = (corners) => {
+  const board = createEmptyBoard(10, 8);
+  corners.forEach(([x, y]) => {
+    board[T_DOWN.pos.y + y][T_DOWN.pos.x + x] = "Z";
+  });
+  return board;
+};
+
+/**
+ * Scores a clear, filling in a plain one for what is left out.
+ * @param {object} clear - The parts of the scoreClear input to change.
+ * @returns {object} The result of scoreClear.
+ */
+const score = (clear) =>
+  scoreClear({
+    lines: 0,
+    tSpin: T_SPIN.NONE,
+    perfectClear: false,
+    level: 1,
+    backToBack: false,
+    combo: -1,
+    ...clear,
+  });
+
+describe("detectTSpin", () => {
+  it("finds a T-spin when both front corners and one back corner are blocked", () => {
+    const board = boardWithCorners([
+      [0, 0],
+      [0, 2],
+      [2, 2],
+    ]);
+    assert.equal(detectTSpin(T_DOWN, board), T_SPIN.FULL);
+  });
+
+  it("calls it a mini when a front corner is open", () => {
+    const board = boardWithCorners([
+      [0, 0],
+      [2, 0],
+      [0, 2],
+    ]);
+    assert.equal(detectTSpin(T_DOWN, board), T_SPIN.MINI);
+  });
+
+  it("upgrades a mini reached with the last kick", () => {
+    const board = boardWithCorners([
+      [0, 0],
+      [2, 0],
+      [0, 2],
+    ]);
+    assert.equal(detectTSpin({ ...T_DOWN, lastKick: 4 }, board), T_SPIN.FULL);
+  });
+
+  it("needs three blocked corners", () => {
+    const board = boardWithCorners([
+      [0, 2],
+      [2, 2],
+    ]);
+    assert.equal(detectTSpin(T_DOWN, board), T_SPIN.NONE);
+  });
+
+  it("counts walls and the floor as blocked", () => {
+    const piece = { ...T_DOWN, pos: { x: -1, y: 6 } };
+    assert.equal(detectTSpin(piece, createEmptyBoard(10, 8)), T_SPIN.FULL);
+  });
+
+  it("needs a rotation as the last move", () => {
+    const board = boardWithCorners([
+      [0, 0],
+      [2, 0],
+      [0, 2],
+      [2, 2],
+    ]);
+    assert.equal(
+      detectTSpin({ ...T_DOWN, lastKick: null }, board),
+      T_SPIN.NONE
+    );
+  });
+
+  it("ignores other pieces", () => {
+    const board = boardWithCorners([
+      [0, 0],
+      [2, 0],
+      [0, 2],
+      [2, 2],
+    ]);
+    const piece = { ...T_DOWN, type: "L", shape: TETROMINOS.L.shape };
+    assert.equal(detectTSpin(piece, board), T_SPIN.NONE);
+  });
+});
+
+describe("scoreClear", () => {
+  it("scores line clears by the guideline table times the level", () => {
+    assert.deepEqual(
+      [1, 2, 3, 4].map((lines) => score({ lines }).points),
+      [100, 300, 500, 800]
+    );
+    assert.equal(score({ lines: 4, level: 3 }).points, 2400);
+  });
+
+  it("scores T-spins and minis", () => {
+    assert.equal(score({ tSpin: T_SPIN.FULL }).points, 400);
+    assert.equal(score({ lines: 2, tSpin: T_SPIN.FULL }).points, 1200);
+    assert.equal(score({ lines: 1, tSpin: T_SPIN.MINI }).points, 200);
+  });
+
+  it("adds half for back-to-back difficult clears", () => {
+    const result = score({ lines: 4, backToBack: true });
+    assert.equal(result.points, 1200);
+    assert.equal(result.isBackToBack, true);
+    assert.deepEqual(result.callout, ["B2B TETRIS"]);
+  });
+
+  it("keeps the chain through pieces that clear nothing", () => {
+    assert.equal(score({ backToBack: true }).backToBack, true);
+  });
+
+  it("breaks the chain with an easy clear", () => {
+    const result = score({ lines: 1, backToBack: true });
+    assert.equal(result.points, 100);
+    assert.equal(result.backToBack, false);
+  });
+
+  it("counts combos and adds 50 per step times the level", () => {
+    const first = score({ lines: 1 });
+    assert.equal(first.combo, 0);
+    const third = score({ lines: 1, combo: 1, level: 2 });
+    assert.equal(third.combo, 2);
+    assert.equal(third.points, 200 + 200);
+    assert.deepEqual(third.callout, ["SINGLE", "2 COMBO"]);
+    assert.equal(score({ combo: 3 }).combo, -1);
+  });
+
+  it("adds a bonus for perfect clears", () => {
+    const result = score({ lines: 1, perfectClear: true });
+    assert.equal(result.points, 100 + 800);
+    assert.deepEqual(result.callout, ["SINGLE", "ALL CLEAR"]);
+    assert.equal(
+      score({ lines: 4, perfectClear: true, backToBack: true }).points,
+      1200 + 3200
+    );
+  });
+});
@@ -0,0 +1,62 @@
+// --- Super Rotation System ---
+// Rotation states are numbered 0 (spawn), 1 (R), 2 and 3 (L). Kick offsets
+// are written as in the guideline tables, (x, y) with y pointing UP; they
+// are flipped to board coordinates when applied.
+
+export const ROTATION_NAMES = ["0", "R", "2", "L"];
+
+// prettier-ignore
+const JLSTZ_KICKS = {
+  "0>1": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  "1>0": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  "1>2": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  "2>1": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  "2>3": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+  "3>2": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  "3>0": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  "0>3": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+};
+
+// prettier-ignore
+const I_KICKS = {
+  "0>1": [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  "1>0": [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  "1>2": [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+  "2>1": [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  "2>3": [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  "3>2": [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  "3>0": [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  "0>3": [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+};
+
+// 180° rotation is not part of the guideline; these are the kicks most
+// modern clients use, shared by every piece.
+// prettier-ignore
+const HALF_TURN_KICKS = {
+  "0>2": [[0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+  "2>0": [[0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+  "1>3": [[0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+  "3>1": [[0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]],
+};
+
+const NO_KICKS = [[0, 0]];
+
+/**
+ * Returns the kick tests for a rotation, in board coordinates.
+ * @param {string} type - The Tetromino letter.
+ * @param {number} from - The rotation state before rotating (0-3).
+ * @param {number} to - The rotation state after rotating (0-3).
+ * @returns {Array<{ x: number, y: number }>} Offsets to try, in order.
+ */
+export const getKicks = (type, from, to) => {
+  const key = `${from}>${to}`;
+  let kicks;
+  if (type === "O") {
+    kicks = NO_KICKS;
+  } else if ((to - from + 4) % 4 === 2) {
+    kicks = HALF_TURN_KICKS[key];
+  } else {
+    kicks = (type === "I" ? I_KICKS : JLSTZ_KICKS)[key];
+  }
+  return kicks.map(([x, y]) => ({ x, y: -y }));
+};
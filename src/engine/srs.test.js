@@ -0,0 +1,94 @@
+// --- SRS Tests ---
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createEmptyBoard } from "./board.js";
+import { rotatePiece } from "./game.js";
+import { STANDARD_SET } from "./pieceSets.js";
+import { spawnPiece } from "./pieces.js";
+import { getKicks } from "./srs.js";
+
+const GAME = { width: 10, hiddenRows: 2, pieceSet: STANDARD_SET };
+const BOARD = createEmptyBoard(10, 22);
+
+/**
+ * Spawns a piece and turns it into a rotation state on an empty board.
+ * @param {string} type - The Tetromino letter.
+ * @param {number} rotation - The rotation state (0-3).
+ * @param {number} x - The column to put it in.
+ * @returns {object} The piece.
+ */
+const pieceAt = (type, rotation, x) => {
+  const spawned = spawnPiece(type, GAME);
+  const rotated = rotation ? rotatePiece(spawned, BOARD, rotation) : spawned;
+  return { ...rotated, pos: { ...rotated.pos, x } };
+};
+
+describe("getKicks", () => {
+  it("flips the guideline offsets to board coordinates", () => {
+    // Up is +1 in the tables but -1 on the board, where y points down
+    assert.deepEqual(getKicks("T", 0, 1)[2], { x: -1, y: -1 });
+    assert.deepEqual(getKicks("T", 0, 1)[3], { x: 0, y: 2 });
+  });
+
+  it("uses the I table for I pieces", () => {
+    assert.deepEqual(getKicks("I", 0, 1)[3], { x: -2, y: 1 });
+  });
+
+  it("never kicks the O piece", () => {
+    assert.equal(getKicks("O", 0, 1).length, 1);
+  });
+
+  it("has six tests for every half turn", () => {
+    for (const [from, to] of [
+      [0, 2],
+      [2, 0],
+      [1, 3],
+      [3, 1],
+    ]) {
+      assert.equal(getKicks("L", from, to).length, 6);
+    }
+  });
+});
+
+describe("rotatePiece", () => {
+  it("rotates in place when nothing is in the way", () => {
+    const piece = pieceAt("T", 0, 3);
+    const rotated = rotatePiece(piece, BOARD, 1);
+    assert.equal(rotated.rotation, 1);
+    assert.deepEqual(rotated.pos, piece.pos);
+    assert.equal(rotated.lastKick, 0);
+  });
+
+  it("kicks a T off the left wall", () => {
+    const rotated = rotatePiece(pieceAt("T", 1, -1), BOARD, 3);
+    assert.equal(rotated.rotation, 0);
+    assert.deepEqual(rotated.pos, { x: 0, y: 0 });
+    assert.equal(rotated.lastKick, 1);
+  });
+
+  it("kicks an I off the left wall with its own table", () => {
+    const rotated = rotatePiece(pieceAt("I", 1, -2), BOARD, 1);
+    assert.equal(rotated.rotation, 2);
+    assert.deepEqual(rotated.pos, { x: 0, y: 0 });
+    assert.equal(rotated.lastKick, 2);
+  });
+
+  it("kicks a 180° turn up off the floor", () => {
+    const piece = pieceAt("T", 0, 3);
+    const grounded = { ...piece, pos: { x: 3, y: 20 } };
+    const rotated = rotatePiece(grounded, BOARD, 2);
+    assert.equal(rotated.rotation, 2);
+    assert.deepEqual(rotated.pos, { x: 3, y: 19 });
+    assert.equal(rotated.lastKick, 1);
+  });
+
+  it("fails when every kick is blocked", () => {
+    // Only the column the piece stands in is free
+    const walled = BOARD.map((row, y) =>
+      row.map((cell, x) => (x === 4 && y >= 18 ? cell : "Z"))
+    );
+    const piece = { ...pieceAt("I", 1, 2), pos: { x: 2, y: 18 } };
+    assert.equal(rotatePiece(piece, walled, 1), null);
+  });
+});
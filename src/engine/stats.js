@@ -0,0 +1,31 @@
+// --- Game Statistics ---
+// Derived figures computed from the game state.
+
+import { FRAMES_PER_SECOND } from "./timing.js";
+
+/**
+ * Returns the time played.
+ * @param {object} state - The game state.
+ * @returns {number} Elapsed seconds.
+ */
+export const getElapsedSeconds = (state) => state.frame / FRAMES_PER_SECOND;
+
+/**
+ * Returns the average number of pieces placed per second.
+ * @param {object} state - The game state.
+ * @returns {number} Pieces per second, 0 before the first second.
+ */
+export const getPiecesPerSecond = (state) => {
+  const seconds = getElapsedSeconds(state);
+  return seconds > 0 ? state.pieces / seconds : 0;
+};
+
+/**
+ * Returns the garbage sent per minute (APM), after cancelling.
+ * @param {object} state - The game state.
+ * @returns {number} Attack per minute, 0 before the first second.
+ */
+export const getAttackPerMinute = (state) => {
+  const seconds = getElapsedSeconds(state);
+  return seconds > 0 ? (state.attackSent * 60) / seconds : 0;
+};
@@ -0,0 +1,5 @@
+// --- Timing ---
+// The engine advances in fixed frames; every timer is counted in frames.
+
+export const FRAMES_PER_SECOND = 60;
+export const FRAME_MS = 1000 / FRAMES_PER_SECOND;
@@ -0,0 +1,40 @@
+// --- File Export and Import ---
+
+/**
+ * Offers text as a file download.
+ * @param {string} name - The file name.
+ * @param {string} text - The file contents.
+ * @param {string} type - The MIME type, e.g. "text/csv".
+ */
+export const downloadFile = (name, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Offers data as a JSON file download.
+ * @param {string} name - The file name.
+ * @param {*} data - The data to save.
+ * @param {number} [indent] - Spaces per level for files meant to be read
+ *   or edited by hand; compact without.
+ */
+export const downloadJson = (name, data, indent) =>
+  downloadFile(name, JSON.stringify(data, null, indent), "application/json");
+
+/**
+ * Parses the text of an imported JSON file.
+ * @param {string} text - The file contents.
+ * @returns {*} The parsed data, still to be validated.
+ * @throws {Error} If the text is not JSON.
+ */
+export const parseJsonFile = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON.");
+  }
+};
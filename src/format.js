@@ -0,0 +1,36 @@
+// --- Display Formatting ---
+
+import { FINESSE_INPUTS } from "./ai/finesse.js";
+import { ACTIONS, FRAME_MS } from "./engine/index.js";
+
+/**
+ * Formats a frame count as m:ss.cc.
+ * @param {number} frames - Frames at 60 per second.
+ * @returns {string} The formatted time.
+ */
+export const formatFrames = (frames) => {
+  const totalSeconds = (frames * FRAME_MS) / 1000;
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = (totalSeconds % 60).toFixed(2).padStart(5, "0");
+  return `${minutes}:${seconds}`;
+};
+
+const PRESS_LABELS = {
+  [ACTIONS.MOVE_LEFT]: "←",
+  [ACTIONS.MOVE_RIGHT]: "→",
+  [FINESSE_INPUTS.DAS_LEFT]: "DAS←",
+  [FINESSE_INPUTS.DAS_RIGHT]: "DAS→",
+  [ACTIONS.ROTATE_CW]: "CW",
+  [ACTIONS.ROTATE_CCW]: "CCW",
+  [ACTIONS.ROTATE_180]: "180",
+};
+
+/**
+ * Formats a finesse press sequence, e.g. "DAS← CW".
+ * @param {Array<string>} presses - Engine ACTIONS or FINESSE_INPUTS.
+ * @returns {string} The presses, or "Drop" if none are needed.
+ */
+export const formatPresses = (presses) =>
+  presses.length === 0
+    ? "Drop"
+    : presses.map((press) => PRESS_LABELS[press] ?? press).join(" ");
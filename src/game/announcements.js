@@ -0,0 +1,97 @@
+// --- Screen Reader Announcements ---
+// Works out what a screen reader should say after an engine step by
+// comparing the states before and after it, like the sound events. Urgent
+// messages (danger, incoming garbage, game over) interrupt the screen
+// reader; the others wait until it is done speaking.
+
+import { getColumnHeights } from "../ai/heuristic.js";
+import { END_REASONS, getPieceCells } from "../engine/index.js";
+
+const DANGER_ROWS = 4; // A stack this close to the top is announced
+
+const END_MESSAGES = {
+  [END_REASONS.TOP_OUT]: "Game over.",
+  [END_REASONS.GOAL]: "Complete!",
+  [END_REASONS.TIME_UP]: "Time is up.",
+  [END_REASONS.FINISHED]: "Session finished.",
+  [END_REASONS.OUT_OF_PIECES]: "Out of pieces.",
+};
+
+/**
+ * Measures the height of the stack.
+ * @param {object} state - The game state.
+ * @returns {number} Rows from the floor to the highest block.
+ */
+const getStackHeight = (state) => Math.max(...getColumnHeights(state.board));
+
+/**
+ * Sums the incoming garbage lines.
+ * @param {object} state - The game state.
+ * @returns {number} Lines waiting to be added.
+ */
+const getIncoming = (state) =>
+  state.garbageQueue.reduce((total, lines) => total + lines, 0);
+
+/**
+ * Lists the announcements for one engine step.
+ * @param {object} previous - The state before the action.
+ * @param {object} next - The state after it.
+ * @returns {Array<{ text: string, urgent: boolean }>} Messages to read out,
+ *   possibly none.
+ */
+export const getAnnouncements = (previous, next) => {
+  const messages = [];
+
+  const clear = next.lastClear;
+  if (clear !== previous.lastClear && clear.callout.length > 0) {
+    messages.push({ text: `${clear.callout.join(", ")}.`, urgent: false });
+  }
+  if (next.level > previous.level) {
+    messages.push({ text: `Level ${next.level}.`, urgent: false });
+  }
+
+  const incoming = getIncoming(next);
+  if (incoming > getIncoming(previous)) {
+    messages.push({
+      text: `${incoming} garbage ${
+        incoming === 1 ? "line" : "lines"
+      } incoming.`,
+      urgent: true,
+    });
+  }
+
+  if (next.gameOver && !previous.gameOver) {
+    const end =
+      END_MESSAGES[next.endReason] ?? END_MESSAGES[END_REASONS.TOP_OUT];
+    messages.push({
+      text: `${end} Score ${next.score}, ${next.lines} lines.`,
+      urgent: true,
+    });
+  } else if (next.lastLock !== previous.lastLock) {
+    // Only the lock that brings the stack into the top rows is announced
+    const danger = next.height - DANGER_ROWS;
+    if (getStackHeight(next) > danger && getStackHeight(previous) <= danger) {
+      messages.push({
+        text: "Danger, the stack is near the top.",
+        urgent: true,
+      });
+    }
+  }
+  return messages;
+};
+
+/**
+ * Describes the board for its accessible name: the stack height and where
+ * the falling piece is.
+ * @param {object} game - The game state.
+ * @param {boolean} [hidePiece] - Leave the piece out, e.g. while paused.
+ * @returns {string} A short description.
+ */
+export const describeBoard = (game, hidePiece = false) => {
+  const stack = `Stack ${getStackHeight(game)} of ${game.height} rows high.`;
+  if (game.gameOver || hidePiece || !game.current) return `Board. ${stack}`;
+  const columns = getPieceCells(game.current).map(({ x }) => x + 1);
+  const left = Math.min(...columns);
+  const right = Math.max(...columns);
+  return `Board. ${stack} ${game.current.type} piece over columns ${left} to ${right}.`;
+};
@@ -0,0 +1,200 @@
+// --- Game Events ---
+// Named events for what happens in a game, worked out like the sound events
+// by comparing the states before and after each engine step. Anything
+// outside the app (plugins, overlays) can listen to them on an emitter
+// instead of reading the engine state. Payloads hold copies, so listeners
+// can keep them.
+
+import { ACTIONS } from "../engine/index.js";
+
+export const GAME_EVENTS = {
+  LOCK: "lock",
+  LINE_CLEAR: "lineClear",
+  HOLD: "hold",
+  LEVEL_UP: "levelUp",
+  GAME_OVER: "gameOver",
+};
+
+/**
+ * @typedef {object} LockEvent
+ * @property {string} piece - The type of the locked piece.
+ * @property {Array<{ x: number, y: number }>} cells - Where it locked.
+ * @property {number} dropped - Rows it was hard dropped, 0 if it wasn't.
+ * @property {number} scoreDelta - Points the step earned, drops included.
+ * @property {Array<Array<string>>} board - The board after the lock.
+ * @property {number} frame - The frame it locked on.
+ */
+
+/**
+ * @typedef {object} LineClearEvent
+ * @property {number} lines - Lines cleared.
+ * @property {Array<number>} rows - The cleared rows, counted from the top
+ *   of the board before they were removed.
+ * @property {string} tSpin - One of T_SPIN.
+ * @property {boolean} perfectClear - Whether the board is now empty.
+ * @property {boolean} isBackToBack - Whether it continued a B2B chain.
+ * @property {number} combo - The combo counter after the clear.
+ * @property {Array<string>} callout - The text shown to the player.
+ * @property {number} scoreDelta - Points the step earned, drops included.
+ * @property {Array<Array<string>>} board - The board after the clear.
+ */
+
+/**
+ * @typedef {object} HoldEvent
+ * @property {string} held - The piece put in hold.
+ * @property {string} piece - The piece now falling.
+ */
+
+/**
+ * @typedef {object} LevelUpEvent
+ * @property {number} level - The new level.
+ * @property {number} previousLevel - The level before it.
+ */
+
+/**
+ * @typedef {object} GameOverEvent
+ * @property {string} reason - One of END_REASONS.
+ * @property {number} score - The final score.
+ * @property {number} lines - Lines cleared.
+ * @property {number} level - The level reached.
+ * @property {number} pieces - Pieces locked.
+ * @property {number} frame - Frames played.
+ * @property {Array<Array<string>>} board - The final board.
+ */
+
+/**
+ * Copies a board so listeners can keep it.
+ * @param {Array<Array<string>>} board - The board.
+ * @returns {Array<Array<string>>} The copy.
+ */
+const copyBoard = (board) => board.map((row) => [...row]);
+
+/**
+ * Lists the events of one engine step, in the order they happened.
+ * @param {object} previous - The state before the action.
+ * @param {object} next - The state after it.
+ * @param {object} action - The engine action that was applied.
+ * @returns {Array<{ name: string, payload: object }>} GAME_EVENTS with
+ *   their payloads, possibly none.
+ */
+export const getGameEvents = (previous, next, action) => {
+  const events = [];
+  const scoreDelta = next.score - previous.score;
+
+  if (action.type === ACTIONS.HOLD && next.hold !== null) {
+    events.push({
+      name: GAME_EVENTS.HOLD,
+      payload: { held: next.hold, piece: next.current.type },
+    });
+  }
+
+  const lock = next.lastLock;
+  if (lock !== previous.lastLock) {
+    events.push({
+      name: GAME_EVENTS.LOCK,
+      payload: {
+        piece: lock.type,
+        cells: lock.cells.map((cell) => ({ ...cell })),
+        dropped: lock.dropped,
+        scoreDelta,
+        board: copyBoard(next.board),
+        frame: lock.frame,
+      },
+    });
+    if (lock.clearedRows.length > 0) {
+      const { tSpin, perfectClear, isBackToBack, combo, callout } =
+        next.lastClear;
+      events.push({
+        name: GAME_EVENTS.LINE_CLEAR,
+        payload: {
+          lines: lock.clearedRows.length,
+          rows: [...lock.clearedRows],
+          tSpin,
+          perfectClear,
+          isBackToBack,
+          combo,
+          callout: [...callout],
+          scoreDelta,
+          board: copyBoard(next.board),
+        },
+      });
+    }
+  }
+
+  if (next.level > previous.level) {
+    events.push({
+      name: GAME_EVENTS.LEVEL_UP,
+      payload: { level: next.level, previousLevel: previous.level },
+    });
+  }
+
+  if (next.gameOver && !previous.gameOver) {
+    events.push({
+      name: GAME_EVENTS.GAME_OVER,
+      payload: {
+        reason: next.endReason,
+        score: next.score,
+        lines: next.lines,
+        level: next.level,
+        pieces: next.pieces,
+        frame: next.frame,
+        board: copyBoard(next.board),
+      },
+    });
+  }
+  return events;
+};
+
+/**
+ * Creates an emitter for GAME_EVENTS. A listener that throws is reported
+ * and skipped, so one broken plugin can't stop the game or the others.
+ * @returns {object} The emitter (on, emit).
+ */
+export const createEventEmitter = () => {
+  const listeners = new Map(); // Event name to a set of listeners
+
+  /**
+   * Listens to an event.
+   * @param {string} name - One of GAME_EVENTS.
+   * @param {function(object): void} listener - Called with the payload.
+   * @returns {function(): void} Stops listening.
+   */
+  const on = (name, listener) => {
+    if (!Object.values(GAME_EVENTS).includes(name)) {
+      throw new Error(`Unknown game event "${name}".`);
+    }
+    if (!listeners.has(name)) listeners.set(name, new Set());
+    listeners.get(name).add(listener);
+    return () => listeners.get(name).delete(listener);
+  };
+
+  /**
+   * Calls the listeners of an event.
+   * @param {string} name - One of GAME_EVENTS.
+   * @param {object} payload - The event's payload.
+   */
+  const emit = (name, payload) => {
+    listeners.get(name)?.forEach((listener) => {
+      try {
+        listener(payload);
+      } catch (err) {
+        console.error(`A "${name}" listener failed:`, err);
+      }
+    });
+  };
+
+  return { on, emit };
+};
+
+/**
+ * Emits the events of a session's game until disconnected.
+ * @param {object} session - The game session.
+ * @param {object} emitter - An emitter from `createEventEmitter`.
+ * @returns {function(): void} Disconnects the session.
+ */
+export const connectSession = (session, emitter) =>
+  session.subscribe((action, previous) =>
+    getGameEvents(previous, session.getState(), action).forEach(
+      ({ name, payload }) => emitter.emit(name, payload)
+    )
+  );
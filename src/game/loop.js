@@ -0,0 +1,65 @@
+// --- Game Loop ---
+// One requestAnimationFrame loop drives the game with a fixed timestep: each
+// animation frame runs as many 60 Hz logic frames as real time calls for,
+// however often the display refreshes and whenever React re-renders.
+
+import { FRAME_MS } from "../engine/index.js";
+
+const MAX_FRAMES_PER_UPDATE = 10; // Drop the rest after a long stall
+
+/**
+ * Creates a game loop. It starts stopped.
+ * @param {object} options
+ * @param {function(): boolean} options.isRunning - Whether logic frames
+ *   should run; checked before every frame, so pausing takes effect on the
+ *   next frame and resuming does not catch up on the paused time.
+ * @param {function(): void} options.onFrame - Runs one logic frame.
+ * @param {function(): void} [options.onAnimationFrame] - Runs once per
+ *   display refresh before the logic frames, e.g. to poll gamepads.
+ * @returns {object} The loop (start, stop).
+ */
+export const createGameLoop = ({
+  isRunning,
+  onFrame,
+  onAnimationFrame = () => {},
+}) => {
+  let frameId = null;
+  let last = 0;
+  let lag = 0; // Real time not yet simulated, in ms
+
+  const update = (now) => {
+    onAnimationFrame();
+    if (isRunning()) {
+      lag = Math.min(lag + now - last, MAX_FRAMES_PER_UPDATE * FRAME_MS);
+      while (lag >= FRAME_MS && isRunning()) {
+        lag -= FRAME_MS;
+        onFrame();
+      }
+    } else {
+      lag = 0;
+    }
+    last = now;
+    frameId = requestAnimationFrame(update);
+  };
+
+  /**
+   * Starts the loop if it is not running.
+   */
+  const start = () => {
+    if (frameId !== null) return;
+    last = performance.now();
+    lag = 0;
+    frameId = requestAnimationFrame(update);
+  };
+
+  /**
+   * Stops the loop.
+   */
+  const stop = () => {
+    if (frameId === null) return;
+    cancelAnimationFrame(frameId);
+    frameId = null;
+  };
+
+  return { start, stop };
+};
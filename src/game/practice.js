@@ -0,0 +1,57 @@
+// --- Finesse Practice ---
+// Every piece of a Finesse game gets a target placement on the empty board,
+// picked from the seed and the piece count, so a replay or a retry sees the
+// same target. A piece that misses its target or needs more presses than
+// the fewest possible goes back to its spawn.
+
+import { getFinesseTable } from "../ai/finesse.js";
+import { getCellsKey } from "../ai/search.js";
+import { nextInt, normalizeSeed, spawnPiece } from "../engine/index.js";
+
+// Mixed into the seed so targets don't follow the piece sequence
+const TARGET_SEED_SALT = 0x85ebca6b;
+
+let cached = null; // { state, target } of the last lookup
+
+/**
+ * Picks the target of the current piece. The last one is cached, as it is
+ * asked for on every render while the piece moves.
+ * @param {object} state - The game state of a Finesse game.
+ * @returns {{ key: string, cells: Array<{ x: number, y: number }>,
+ *   optimal: Array<string> }} The target's cells key and cells, and the
+ *   fewest presses that reach it.
+ */
+export const getPracticeTarget = (state) => {
+  if (
+    cached?.state.board === state.board &&
+    cached.state.seed === state.seed &&
+    cached.state.pieces === state.pieces &&
+    cached.state.current.type === state.current.type
+  ) {
+    return cached.target;
+  }
+  const piece = spawnPiece(state.current.type, state);
+  const table = getFinesseTable(piece, state.board, state.pieceSet.kicks);
+  const keys = [...table.keys()];
+  const [index] = nextInt(
+    normalizeSeed(state.seed ^ Math.imul(state.pieces + 1, TARGET_SEED_SALT)),
+    keys.length
+  );
+  const { cells, presses } = table.get(keys[index]);
+  const target = { key: keys[index], cells, optimal: presses };
+  cached = { state, target };
+  return target;
+};
+
+/**
+ * Checks whether a piece that just locked fails the practice.
+ * @param {object} previous - The state before the lock.
+ * @param {object} next - The state after it.
+ * @param {{ extra: number }|null} finesse - The finesse of the placement,
+ *   null if it was soft dropped.
+ * @returns {boolean} True if the piece should be retried.
+ */
+export const isPracticeMiss = (previous, next, finesse) =>
+  finesse === null ||
+  finesse.extra > 0 ||
+  getCellsKey(next.lastLock.cells) !== getPracticeTarget(previous).key;
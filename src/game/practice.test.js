@@ -0,0 +1,52 @@
+// --- Finesse Practice Tests ---
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { FINESSE_INPUTS } from "../ai/finesse.js";
+import { ACTIONS, MODES } from "../engine/index.js";
+import { getPracticeTarget } from "./practice.js";
+import { createSession } from "./session.js";
+
+/**
+ * Turns finesse presses into engine actions.
+ * @param {string} press - One of ACTIONS or FINESSE_INPUTS.
+ * @returns {object} The engine action.
+ */
+const toAction = (press) => {
+  if (press === FINESSE_INPUTS.DAS_LEFT) {
+    return { type: ACTIONS.MOVE_LEFT, toWall: true };
+  }
+  if (press === FINESSE_INPUTS.DAS_RIGHT) {
+    return { type: ACTIONS.MOVE_RIGHT, toWall: true };
+  }
+  return { type: press };
+};
+
+describe("finesse practice", () => {
+  it("picks the same target for the same piece", () => {
+    const first = createSession({ mode: MODES.FINESSE, seed: 5 }).getState();
+    const second = createSession({ mode: MODES.FINESSE, seed: 5 }).getState();
+    assert.equal(getPracticeTarget(first).key, getPracticeTarget(second).key);
+  });
+
+  it("keeps a piece placed on its target with the fewest presses", () => {
+    const session = createSession({ mode: MODES.FINESSE, seed: 5 });
+    const { optimal } = getPracticeTarget(session.getState());
+    optimal.map(toAction).forEach(session.dispatch);
+    session.dispatch({ type: ACTIONS.HARD_DROP });
+    assert.equal(session.getState().pieces, 1);
+    assert.equal(session.getStats().finesseFaults, 0);
+  });
+
+  it("puts a piece back after extra presses and counts a fault", () => {
+    const session = createSession({ mode: MODES.FINESSE, seed: 5 });
+    const { optimal } = getPracticeTarget(session.getState());
+    session.dispatch({ type: ACTIONS.MOVE_LEFT });
+    session.dispatch({ type: ACTIONS.MOVE_RIGHT });
+    optimal.map(toAction).forEach(session.dispatch);
+    session.dispatch({ type: ACTIONS.HARD_DROP });
+    assert.equal(session.getState().pieces, 0);
+    assert.equal(session.getStats().finesseFaults, 1);
+    assert.equal(session.getInputs().at(-1)[1].type, ACTIONS.RETRY);
+  });
+});
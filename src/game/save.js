@@ -0,0 +1,126 @@
+// --- Saved Game ---
+// The game in progress is kept in localStorage so it survives a reload or a
+// closed tab. The engine state is plain data, randomizer included, so it is
+// stored as is next to the inputs so far (for the replay) and the
+// statistics, and resuming carries on exactly where the game stopped.
+
+import { isKnownMode, isKnownRandomizer } from "../engine/index.js";
+import { decodeInputs, encodeInputs } from "../replay/replay.js";
+import { createSession } from "./session.js";
+
+const STORAGE_KEY = "tetris.savedGame";
+export const SAVE_VERSION = 1;
+export const AUTOSAVE_INTERVAL_MS = 10000;
+
+// Upgrades a save to the next version, by the version it upgrades from.
+// Saves without a path to SAVE_VERSION are rejected.
+const MIGRATIONS = {};
+
+/**
+ * Deletes the saved game.
+ */
+export const clearSavedGame = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Storage unavailable, nothing to delete
+  }
+};
+
+/**
+ * Saves a running game, replacing the previous save.
+ * @param {object} session - The game session.
+ * @param {object|null} [puzzle] - The puzzle being played, so Reset plays
+ *   it again after resuming.
+ */
+export const saveGame = (session, puzzle = null) => {
+  const { state, inputs, tracker } = session.getSnapshot();
+  const save = {
+    version: SAVE_VERSION,
+    date: new Date().toISOString(),
+    options: session.options,
+    puzzle,
+    state,
+    inputs: encodeInputs(inputs),
+    tracker,
+  };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(save));
+  } catch {
+    // Storage unavailable or full, the game can't be resumed after a reload
+  }
+};
+
+/**
+ * Brings a save up to SAVE_VERSION.
+ * @param {object} save - The parsed save.
+ * @returns {object|null} The current save, or null if it is too old, from
+ *   a newer version or damaged.
+ */
+const migrateSave = (save) => {
+  let current = save;
+  while (current?.version < SAVE_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    if (!migrate) return null;
+    current = migrate(current);
+  }
+  const isValid =
+    current?.version === SAVE_VERSION &&
+    current.options &&
+    Array.isArray(current.state?.board) &&
+    current.state.current &&
+    !current.state.gameOver &&
+    Array.isArray(current.inputs) &&
+    current.tracker?.stats;
+  return isValid ? current : null;
+};
+
+/**
+ * Loads the saved game. A save that can't be resumed is deleted.
+ * @returns {object|null} The save, or null if there is none.
+ */
+export const loadSavedGame = () => {
+  let save;
+  try {
+    save = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    save = undefined;
+  }
+  if (save === null) return null;
+  const migrated = migrateSave(save);
+  if (!migrated) clearSavedGame();
+  return migrated;
+};
+
+/**
+ * Explains why a save can't be resumed right now. Games of a plugin's mode
+ * or randomizer wait for the plugin to be registered again, so the save is
+ * kept.
+ * @param {object} save - A save from `loadSavedGame`.
+ * @returns {string|null} The message, or null if the game can go on.
+ */
+export const getResumeProblem = ({ state }) => {
+  if (!isKnownMode(state.mode)) {
+    return `The mode "${state.mode}" of this game is no longer installed.`;
+  }
+  if (!isKnownRandomizer(state.randomizer?.kind)) {
+    return `The randomizer "${state.randomizer?.kind}" of this game is no longer installed.`;
+  }
+  return null;
+};
+
+/**
+ * Creates the session of a saved game.
+ * @param {object} save - A save from `loadSavedGame`.
+ * @returns {object} The session, in the state it was saved in.
+ * @throws {Error} If the game needs a mode or randomizer that is missing.
+ */
+export const resumeSession = (save) => {
+  const problem = getResumeProblem(save);
+  if (problem) throw new Error(problem);
+  return createSession(save.options, {
+    state: save.state,
+    inputs: decodeInputs(save.inputs),
+    tracker: save.tracker,
+  });
+};
@@ -0,0 +1,56 @@
+// --- Saved Game Tests ---
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  RANDOMIZERS,
+  createGame,
+  registerMode,
+  registerRandomizer,
+} from "../engine/index.js";
+import { getResumeProblem, resumeSession } from "./save.js";
+
+/**
+ * Builds a save of a fresh game, like `saveGame` stores it.
+ * @param {object} options - The game options.
+ * @returns {object} The save.
+ */
+const saveOf = (options) => ({
+  options,
+  state: createGame(options),
+  inputs: [],
+  tracker: null,
+});
+
+describe("resuming a save", () => {
+  it("resumes games of the built-in modes", () => {
+    const save = saveOf({ mode: "marathon", seed: 1 });
+    assert.equal(getResumeProblem(save), null);
+    assert.equal(resumeSession(save).getState().mode, "marathon");
+  });
+
+  it("refuses a game whose mode is gone", () => {
+    const unregister = registerMode("gone", { label: "Gone" });
+    const save = saveOf({ mode: "gone", seed: 1 });
+    assert.equal(getResumeProblem(save), null);
+    unregister();
+    assert.match(getResumeProblem(save), /"gone".*no longer installed/);
+    assert.throws(() => resumeSession(save), /no longer installed/);
+  });
+
+  it("refuses a game whose randomizer is gone", () => {
+    const unregister = registerRandomizer("gone", {
+      label: "Gone",
+      draw: (randomizer) => ["T", randomizer],
+    });
+    const save = saveOf({ mode: "zen", randomizer: "gone", seed: 1 });
+    unregister();
+    assert.match(getResumeProblem(save), /randomizer "gone"/);
+  });
+
+  it("accepts the fixed pieces of a puzzle", () => {
+    const save = saveOf({ mode: "zen", pieces: [..."IOT"] });
+    assert.notEqual(save.state.randomizer.kind, RANDOMIZERS.BAG);
+    assert.equal(getResumeProblem(save), null);
+  });
+});
@@ -0,0 +1,72 @@
+// --- Game Session ---
+// Owns the engine state of one game outside of React. Every action goes
+// through `dispatch`, which also records the inputs with the frame they were
+// applied on, so a finished game can be saved as a replay, and feeds the
+// statistics tracker. In finesse practice a missed piece is taken back
+// before anyone sees it lock, and the retry is recorded in place of the
+// input that locked it.
+
+import { ACTIONS, createGame, getModeRules, step } from "../engine/index.js";
+import { isPracticeMiss } from "./practice.js";
+import { createStatsTracker } from "./stats.js";
+
+/**
+ * Creates a session for a new game, or carries on a saved one.
+ * @param {object} options - Options for `createGame` (seed, randomizer, ...).
+ * @param {object} [snapshot] - A snapshot from `getSnapshot` to resume.
+ * @returns {object} The session (dispatch, getState, getInputs, getStats,
+ *   getSnapshot, subscribe).
+ */
+export const createSession = (options, snapshot = null) => {
+  let state = snapshot?.state ?? createGame(options);
+  // [frame, action] for every non-tick action
+  const inputs = snapshot ? [...snapshot.inputs] : [];
+  const listeners = new Set();
+  const tracker = createStatsTracker(state, snapshot?.tracker);
+  const isPractice = getModeRules(state.mode).finesse;
+
+  /**
+   * Applies an action to the game and notifies subscribers on change.
+   * @param {object} action - An engine action.
+   */
+  const dispatch = (action) => {
+    if (state.gameOver) return;
+    const previous = state;
+    let applied = action;
+    let next = step(state, action);
+    let finesse; // Passed on so the lock is judged only once
+    if (isPractice && next.lastLock !== previous.lastLock) {
+      finesse = tracker.judge(next);
+      if (isPracticeMiss(previous, next, finesse)) {
+        applied = { type: ACTIONS.RETRY };
+        next = step(previous, applied);
+      }
+    }
+    if (applied.type !== ACTIONS.TICK) inputs.push([previous.frame, applied]);
+    tracker.record(previous, next, applied, finesse);
+    if (next === state) return;
+    state = next;
+    listeners.forEach((listener) => listener(applied, previous));
+  };
+
+  /**
+   * Subscribes to state changes.
+   * @param {function(object, object): void} listener - Called after each
+   *   change with the action and the state before it.
+   * @returns {function(): void} Unsubscribes the listener.
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    options,
+    dispatch,
+    subscribe,
+    getState: () => state,
+    getInputs: () => inputs,
+    getStats: tracker.getStats,
+    getSnapshot: () => ({ state, inputs, tracker: tracker.getSnapshot() }),
+  };
+};
@@ -0,0 +1,209 @@
+// --- Game Statistics ---
+// Follows a session action by action to collect what the engine state does
+// not keep: key presses, pieces placed by type, clears by kind, finesse
+// faults and a sample of the stack after every lock for the charts.
+
+import { checkFinesse } from "../ai/finesse.js";
+import { getColumnHeights } from "../ai/heuristic.js";
+import { ACTIONS, T_SPIN } from "../engine/index.js";
+import { getPracticeTarget } from "./practice.js";
+
+export const CLEAR_KINDS = {
+  SINGLE: "single",
+  DOUBLE: "double",
+  TRIPLE: "triple",
+  TETRIS: "tetris", // Four lines or more, e.g. with pentominoes
+  T_SPIN: "tSpin", // Any T-spin, with or without lines
+  PERFECT_CLEAR: "perfectClear", // Counted on top of the lines
+};
+
+export const CLEAR_LABELS = {
+  [CLEAR_KINDS.SINGLE]: "Singles",
+  [CLEAR_KINDS.DOUBLE]: "Doubles",
+  [CLEAR_KINDS.TRIPLE]: "Triples",
+  [CLEAR_KINDS.TETRIS]: "Tetrises",
+  [CLEAR_KINDS.T_SPIN]: "T-Spins",
+  [CLEAR_KINDS.PERFECT_CLEAR]: "Perfect Clears",
+};
+
+const LINE_CLEAR_KINDS = [
+  null,
+  CLEAR_KINDS.SINGLE,
+  CLEAR_KINDS.DOUBLE,
+  CLEAR_KINDS.TRIPLE,
+];
+
+// Presses that count toward finesse; holds and drops do not
+const PLACEMENT_ACTIONS = [
+  ACTIONS.MOVE_LEFT,
+  ACTIONS.MOVE_RIGHT,
+  ACTIONS.ROTATE_CW,
+  ACTIONS.ROTATE_CCW,
+  ACTIONS.ROTATE_180,
+];
+
+// Actions that are not key presses of the player; a retry replaces the
+// press that locked the piece, so it counts as that press
+const SYSTEM_ACTIONS = [ACTIONS.TICK, ACTIONS.GARBAGE, ACTIONS.FINISH];
+
+/**
+ * Creates a zero count for every clear kind.
+ * @returns {Object<string, number>} Counts by CLEAR_KINDS value.
+ */
+export const createClearCounts = () =>
+  Object.fromEntries(Object.values(CLEAR_KINDS).map((kind) => [kind, 0]));
+
+/**
+ * Creates empty statistics.
+ * @param {string} types - The piece ids of the game's piece set.
+ * @returns {object} The statistics (keys, pieceCounts, clears,
+ *   finesseFaults, lastFault, samples).
+ */
+export const createStats = (types) => ({
+  keys: 0, // Key presses, auto-repeat not included
+  pieceCounts: Object.fromEntries([...types].map((type) => [type, 0])),
+  clears: createClearCounts(),
+  finesseFaults: 0, // Pieces placed with more presses than needed
+  lastFault: null, // { frame, extra, optimal } of the latest fault
+  samples: [], // { frame, pieces, height } after every lock
+});
+
+/**
+ * Sorts a clear into one of CLEAR_KINDS.
+ * @param {object} clear - The `lastClear` of the engine state.
+ * @returns {string|null} The kind, or null if it cleared nothing.
+ */
+const getClearKind = (clear) => {
+  if (clear.tSpin !== T_SPIN.NONE) return CLEAR_KINDS.T_SPIN;
+  if (clear.lines === 0) return null;
+  return LINE_CLEAR_KINDS[clear.lines] ?? CLEAR_KINDS.TETRIS;
+};
+
+/**
+ * Returns the keys pressed per piece placed (KPP).
+ * @param {object} stats - Statistics from a tracker.
+ * @param {object} state - The game state.
+ * @returns {number} Keys per piece, 0 before the first piece.
+ */
+export const getKeysPerPiece = (stats, state) =>
+  state.pieces > 0 ? stats.keys / state.pieces : 0;
+
+/**
+ * Creates a tracker for a new game. It must see every action, including
+ * those that did not change the state, to count key presses.
+ * @param {object} initial - The initial game state.
+ * @param {object} [snapshot] - A snapshot from `getSnapshot` to carry on
+ *   from, e.g. of a saved game.
+ * @returns {object} The tracker (record, judge, getStats, getSnapshot).
+ */
+export const createStatsTracker = (initial, snapshot = null) => {
+  let stats = snapshot?.stats ?? createStats(initial.pieceSet.types);
+  let spawn = snapshot?.spawn ?? {
+    piece: initial.current,
+    board: initial.board,
+  };
+  let presses = snapshot?.presses ?? 0; // Finesse presses for this piece
+  let softDropped = snapshot?.softDropped ?? false; // Not judged if so
+
+  /**
+   * Judges the finesse of the piece that locked in a state.
+   * @param {object} next - A state right after a lock.
+   * @returns {{ optimal: Array<string>, extra: number }|null} See
+   *   `checkFinesse`; null for soft-dropped pieces.
+   */
+  const judge = (next) =>
+    softDropped
+      ? null
+      : checkFinesse({
+          ...spawn,
+          kicks: next.pieceSet.kicks,
+          cells: next.lastLock.cells,
+          presses,
+        });
+
+  /**
+   * Counts a finesse fault.
+   * @param {number} frame - The frame it happened on.
+   * @param {{ optimal: Array<string>, extra: number }} finesse - The fault.
+   */
+  const addFault = (frame, { optimal, extra }) => {
+    stats = {
+      ...stats,
+      finesseFaults: stats.finesseFaults + 1,
+      lastFault: { frame, extra, optimal },
+    };
+  };
+
+  /**
+   * Counts an applied action.
+   * @param {object} previous - The state before the action.
+   * @param {object} next - The state after it.
+   * @param {object} action - The engine action.
+   * @param {object|null} [finesse] - The result of `judge` if the caller
+   *   already judged the lock; judged here otherwise.
+   */
+  const record = (previous, next, action, finesse) => {
+    const isPress = !SYSTEM_ACTIONS.includes(action.type) && !action.repeat;
+    if (isPress) {
+      stats = { ...stats, keys: stats.keys + 1 };
+      if (PLACEMENT_ACTIONS.includes(action.type)) presses++;
+    }
+    if (next === previous) return;
+    if (action.type === ACTIONS.SOFT_DROP) softDropped = true;
+
+    // A missed practice piece is a fault measured against its target
+    if (action.type === ACTIONS.RETRY) {
+      const { optimal } = getPracticeTarget(previous);
+      addFault(next.frame, {
+        optimal,
+        extra: Math.max(0, presses - optimal.length),
+      });
+    }
+
+    const { lastLock } = next;
+    if (lastLock !== previous.lastLock) {
+      const clears = { ...stats.clears };
+      if (next.lastClear !== previous.lastClear) {
+        const kind = getClearKind(next.lastClear);
+        if (kind) clears[kind]++;
+        if (next.lastClear.perfectClear) clears[CLEAR_KINDS.PERFECT_CLEAR]++;
+      }
+      const judged = finesse === undefined ? judge(next) : finesse;
+      if (judged?.extra > 0) addFault(next.frame, judged);
+      stats = {
+        ...stats,
+        pieceCounts: {
+          ...stats.pieceCounts,
+          [lastLock.type]: (stats.pieceCounts[lastLock.type] ?? 0) + 1,
+        },
+        clears,
+        samples: [
+          ...stats.samples,
+          {
+            frame: next.frame,
+            pieces: next.pieces,
+            height: Math.max(...getColumnHeights(next.board)),
+          },
+        ],
+      };
+    }
+
+    // A new piece comes in after every lock, hold and retry
+    if (
+      lastLock !== previous.lastLock ||
+      action.type === ACTIONS.HOLD ||
+      action.type === ACTIONS.RETRY
+    ) {
+      spawn = { piece: next.current, board: next.board };
+      presses = 0;
+      softDropped = false;
+    }
+  };
+
+  return {
+    record,
+    judge,
+    getStats: () => stats,
+    getSnapshot: () => ({ stats, spawn, presses, softDropped }),
+  };
+};
@@ -0,0 +1,99 @@
+// --- Versus Match ---
+// Two sessions played side by side with the same seed, so both players get
+// the same pieces. Garbage one player sends is queued on the other; a round
+// ends when a player tops out, and the match when a player has won more
+// than half of the best-of-N rounds.
+
+import { ACTIONS, MODES, randomSeed } from "../engine/index.js";
+import { createSession } from "./session.js";
+
+export const BEST_OF_OPTIONS = [1, 3, 5, 7];
+export const PLAYER_COUNT = 2;
+
+/**
+ * Creates a match. The first round starts with `startRound`.
+ * @param {object} options
+ * @param {number} options.bestOf - Rounds in the match, one of
+ *   BEST_OF_OPTIONS.
+ * @param {object} options.gameOptions - Options for `createGame`, e.g. the
+ *   randomizer and preview count; the mode is always Versus.
+ * @returns {object} The match (getState, subscribe, startRound).
+ */
+export const createMatch = ({ bestOf, gameOptions }) => {
+  let state = {
+    bestOf,
+    winsNeeded: Math.floor(bestOf / 2) + 1,
+    round: 0,
+    wins: Array(PLAYER_COUNT).fill(0),
+    sessions: [],
+    roundWinner: null, // Player index once the round is over
+    winner: null, // Player index once the match is over
+  };
+  const listeners = new Set();
+  let unlinks = [];
+
+  const update = (changes) => {
+    state = { ...state, ...changes };
+    listeners.forEach((listener) => listener());
+  };
+
+  /**
+   * Ends the round when a player tops out.
+   * @param {number} loser - The index of the player who topped out.
+   */
+  const endRound = (loser) => {
+    const winner = (loser + 1) % PLAYER_COUNT;
+    const wins = state.wins.map((count, i) =>
+      i === winner ? count + 1 : count
+    );
+    update({
+      wins,
+      roundWinner: winner,
+      winner: wins[winner] >= state.winsNeeded ? winner : null,
+    });
+    state.sessions[winner].dispatch({ type: ACTIONS.FINISH });
+  };
+
+  /**
+   * Starts the next round with fresh boards and a new shared seed.
+   */
+  const startRound = () => {
+    if (state.winner !== null) return;
+    unlinks.forEach((unlink) => unlink());
+    const seed = randomSeed();
+    const sessions = Array.from({ length: PLAYER_COUNT }, () =>
+      createSession({ ...gameOptions, mode: MODES.VERSUS, seed })
+    );
+
+    // Forward each player's attacks to the other and watch for top outs
+    unlinks = sessions.map((session, index) => {
+      const opponent = sessions[(index + 1) % PLAYER_COUNT];
+      let sent = 0;
+      return session.subscribe(() => {
+        const game = session.getState();
+        if (game.attackSent > sent) {
+          opponent.dispatch({
+            type: ACTIONS.GARBAGE,
+            lines: game.attackSent - sent,
+          });
+          sent = game.attackSent;
+        }
+        if (game.gameOver && state.roundWinner === null) endRound(index);
+      });
+    });
+
+    update({ round: state.round + 1, sessions, roundWinner: null });
+  };
+
+  /**
+   * Subscribes to match changes (rounds and wins, not every frame).
+   * @param {function(): void} listener - Called after each change.
+   * @returns {function(): void} Unsubscribes the listener.
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { getState: () => state, subscribe, startRound };
+};
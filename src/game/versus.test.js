@@ -0,0 +1,56 @@
+// --- Versus Match Tests ---
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  ACTIONS,
+  END_REASONS,
+  GARBAGE_CELL,
+  createEmptyBoard,
+} from "../engine/index.js";
+import { createMatch } from "./versus.js";
+
+/**
+ * Starts a best-of-three match on boards whose bottom four rows are full
+ * but for the last column, with a block on top, and only I pieces to come.
+ * @returns {object} The match, with its first round started.
+ */
+const startMatch = () => {
+  const board = createEmptyBoard(10, 22).map((row, y) =>
+    y >= 18 ? row.map((cell, x) => (x === 9 ? cell : GARBAGE_CELL)) : row
+  );
+  board[17][0] = GARBAGE_CELL;
+  const match = createMatch({
+    bestOf: 3,
+    gameOptions: { board, pieces: Array(40).fill("I") },
+  });
+  match.startRound();
+  return match;
+};
+
+describe("versus matches", () => {
+  it("sends a player's attacks to the opponent", () => {
+    const [first, second] = startMatch().getState().sessions;
+    [
+      { type: ACTIONS.ROTATE_CW },
+      { type: ACTIONS.MOVE_RIGHT, toWall: true },
+      { type: ACTIONS.HARD_DROP },
+    ].forEach(first.dispatch);
+    assert.equal(first.getState().attackSent, 4);
+    assert.deepEqual(second.getState().garbageQueue, [4]);
+  });
+
+  it("gives the round to the player still standing", () => {
+    const match = startMatch();
+    const [first, second] = match.getState().sessions;
+    while (!second.getState().gameOver) {
+      second.dispatch({ type: ACTIONS.HARD_DROP });
+    }
+    assert.equal(second.getState().endReason, END_REASONS.TOP_OUT);
+    const { roundWinner, wins, winner } = match.getState();
+    assert.equal(roundWinner, 0);
+    assert.deepEqual(wins, [1, 0]);
+    assert.equal(winner, null);
+    assert.equal(first.getState().gameOver, true);
+  });
+});
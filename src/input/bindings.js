@@ -0,0 +1,168 @@
+// --- Control Bindings ---
+// Every bindable action can take several keyboard keys and several gamepad
+// buttons. Game actions are the engine's ACTIONS; pause, restart and mute
+// are handled by the app itself.
+
+import { ACTIONS } from "../engine/index.js";
+
+export const UI_ACTIONS = {
+  PAUSE: "pause",
+  RESTART: "restart",
+  MUTE: "mute",
+};
+
+// Bindable actions in the order they are listed on the controls screen
+export const BINDABLE_ACTIONS = [
+  { action: ACTIONS.MOVE_LEFT, label: "Move Left" },
+  { action: ACTIONS.MOVE_RIGHT, label: "Move Right" },
+  { action: ACTIONS.SOFT_DROP, label: "Soft Drop" },
+  { action: ACTIONS.HARD_DROP, label: "Hard Drop" },
+  { action: ACTIONS.ROTATE_CW, label: "Rotate CW" },
+  { action: ACTIONS.ROTATE_CCW, label: "Rotate CCW" },
+  { action: ACTIONS.ROTATE_180, label: "Rotate 180°" },
+  { action: ACTIONS.HOLD, label: "Hold" },
+  { action: UI_ACTIONS.PAUSE, label: "Pause" },
+  { action: UI_ACTIONS.RESTART, label: "Restart" },
+  { action: UI_ACTIONS.MUTE, label: "Mute" },
+];
+
+export const DEFAULT_KEY_BINDINGS = {
+  [ACTIONS.MOVE_LEFT]: ["ArrowLeft"],
+  [ACTIONS.MOVE_RIGHT]: ["ArrowRight"],
+  [ACTIONS.SOFT_DROP]: ["ArrowDown"],
+  [ACTIONS.HARD_DROP]: [" "],
+  [ACTIONS.ROTATE_CW]: ["ArrowUp", "x"],
+  [ACTIONS.ROTATE_CCW]: ["z", "Control"],
+  [ACTIONS.ROTATE_180]: ["a"],
+  [ACTIONS.HOLD]: ["c", "Shift"],
+  [UI_ACTIONS.PAUSE]: ["Escape", "p"],
+  [UI_ACTIONS.RESTART]: ["r"],
+  [UI_ACTIONS.MUTE]: ["m"],
+};
+
+// Two players on one keyboard, one per side; not rebindable
+export const VERSUS_KEY_BINDINGS = [
+  {
+    [ACTIONS.MOVE_LEFT]: ["a"],
+    [ACTIONS.MOVE_RIGHT]: ["d"],
+    [ACTIONS.SOFT_DROP]: ["s"],
+    [ACTIONS.HARD_DROP]: ["w"],
+    [ACTIONS.ROTATE_CW]: ["e"],
+    [ACTIONS.ROTATE_CCW]: ["q"],
+    [ACTIONS.ROTATE_180]: ["r"],
+    [ACTIONS.HOLD]: ["f"],
+    [UI_ACTIONS.PAUSE]: ["Escape"],
+  },
+  {
+    [ACTIONS.MOVE_LEFT]: ["ArrowLeft"],
+    [ACTIONS.MOVE_RIGHT]: ["ArrowRight"],
+    [ACTIONS.SOFT_DROP]: ["ArrowDown"],
+    [ACTIONS.HARD_DROP]: ["ArrowUp"],
+    [ACTIONS.ROTATE_CW]: ["."],
+    [ACTIONS.ROTATE_CCW]: [","],
+    [ACTIONS.ROTATE_180]: ["/"],
+    [ACTIONS.HOLD]: ["m"],
+    [UI_ACTIONS.PAUSE]: ["p"],
+  },
+];
+
+// Button indices of the W3C "standard" gamepad mapping
+export const DEFAULT_GAMEPAD_BINDINGS = {
+  [ACTIONS.MOVE_LEFT]: [14],
+  [ACTIONS.MOVE_RIGHT]: [15],
+  [ACTIONS.SOFT_DROP]: [13],
+  [ACTIONS.HARD_DROP]: [12],
+  [ACTIONS.ROTATE_CW]: [1],
+  [ACTIONS.ROTATE_CCW]: [0],
+  [ACTIONS.ROTATE_180]: [3],
+  [ACTIONS.HOLD]: [4, 5],
+  [UI_ACTIONS.PAUSE]: [9],
+  [UI_ACTIONS.RESTART]: [8],
+  [UI_ACTIONS.MUTE]: [],
+};
+
+const GAMEPAD_BUTTON_NAMES = [
+  "A",
+  "B",
+  "X",
+  "Y",
+  "LB",
+  "RB",
+  "LT",
+  "RT",
+  "Select",
+  "Start",
+  "L3",
+  "R3",
+  "D-Up",
+  "D-Down",
+  "D-Left",
+  "D-Right",
+  "Home",
+];
+
+const KEY_NAMES = {
+  " ": "Space",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  Control: "Ctrl",
+  Escape: "Esc",
+};
+
+/**
+ * Normalizes a keyboard event key so that letters match regardless of
+ * Shift or Caps Lock.
+ * @param {string} key - The `key` of a keyboard event.
+ * @returns {string} The normalized key.
+ */
+export const normalizeKey = (key) =>
+  key.length === 1 ? key.toLowerCase() : key;
+
+/**
+ * Formats a key for display.
+ * @param {string} key - A normalized key.
+ * @returns {string} A readable label.
+ */
+export const formatKey = (key) =>
+  KEY_NAMES[key] ?? (key.length === 1 ? key.toUpperCase() : key);
+
+/**
+ * Formats a gamepad button for display.
+ * @param {number} button - A standard-mapping button index.
+ * @returns {string} A readable label.
+ */
+export const formatButton = (button) =>
+  GAMEPAD_BUTTON_NAMES[button] ?? `Button ${button}`;
+
+/**
+ * Builds a reverse lookup from input to action.
+ * @param {object} bindings - Map of action to a list of keys or buttons.
+ * @returns {Map<string|number, string>} Map of key or button to action.
+ */
+export const createBindingLookup = (bindings) => {
+  const lookup = new Map();
+  Object.entries(bindings).forEach(([action, inputs]) => {
+    inputs.forEach((input) => lookup.set(input, action));
+  });
+  return lookup;
+};
+
+/**
+ * Finds inputs bound to more than one action.
+ * @param {object} bindings - Map of action to a list of keys or buttons.
+ * @returns {Map<string|number, Array<string>>} Each shared input with the
+ *   actions it is bound to.
+ */
+export const findConflicts = (bindings) => {
+  const actionsByInput = new Map();
+  Object.entries(bindings).forEach(([action, inputs]) => {
+    inputs.forEach((input) => {
+      actionsByInput.set(input, [...(actionsByInput.get(input) ?? []), action]);
+    });
+  });
+  return new Map(
+    [...actionsByInput].filter(([, actions]) => actions.length > 1)
+  );
+};
@@ -0,0 +1,158 @@
+// --- Input Controller ---
+// Turns held inputs into engine actions with our own timing instead of the
+// operating system's key repeat: Delayed Auto Shift (DAS), Auto Repeat Rate
+// (ARR), Soft Drop Factor (SDF) and DAS Cut Delay (DCD). Input sources call
+// `press`/`release` with engine action types; the game loop calls `update`.
+
+import { ACTIONS } from "../engine/index.js";
+import { SOFT_DROP_INSTANT } from "../settings.js";
+
+const DIRECTIONS = [ACTIONS.MOVE_LEFT, ACTIONS.MOVE_RIGHT];
+const DAS_CUT_ACTIONS = [
+  ACTIONS.ROTATE_CW,
+  ACTIONS.ROTATE_CCW,
+  ACTIONS.ROTATE_180,
+  ACTIONS.HARD_DROP,
+  ACTIONS.HOLD,
+];
+const MAX_UPDATE_MS = 250; // Ignore longer gaps, e.g. from a hidden tab
+
+/**
+ * Creates an input controller.
+ * @param {object} options
+ * @param {function(object): void} options.dispatch - Receives engine actions.
+ * @param {function(): object} options.getSettings - Returns the current
+ *   handling settings (das, arr, sdf, dcd).
+ * @param {function(): number} options.getDropInterval - Returns the current
+ *   gravity interval in ms, used to pace soft drops.
+ * @returns {object} The controller (press, release, releaseAll, update).
+ */
+export const createInputController = ({
+  dispatch,
+  getSettings,
+  getDropInterval,
+}) => {
+  let directions = []; // Held directions, most recent last
+  let softDropHeld = false;
+  let dasTimer = 0;
+  let arrTimer = 0;
+  let dcdTimer = 0;
+  let charged = false;
+  let softDropTimer = 0;
+
+  // Auto-repeated actions are flagged so statistics only count key presses
+  const move = (type, repeat = false) => {
+    dispatch({
+      type,
+      ...(getSettings().arr === 0 && charged && { toWall: true }),
+      ...(repeat && { repeat }),
+    });
+  };
+
+  const softDrop = (repeat = false) => {
+    dispatch({
+      type: ACTIONS.SOFT_DROP,
+      toFloor: getSettings().sdf >= SOFT_DROP_INSTANT,
+      ...(repeat && { repeat }),
+    });
+  };
+
+  const restartDas = () => {
+    dasTimer = 0;
+    arrTimer = 0;
+    charged = false;
+  };
+
+  /**
+   * Starts an input.
+   * @param {string} type - One of the engine ACTIONS.
+   */
+  const press = (type) => {
+    if (DIRECTIONS.includes(type)) {
+      if (directions.includes(type)) return;
+      directions = [...directions, type];
+      restartDas();
+      move(type);
+    } else if (type === ACTIONS.SOFT_DROP) {
+      if (softDropHeld) return;
+      softDropHeld = true;
+      softDropTimer = 0;
+      softDrop();
+    } else {
+      dispatch({ type });
+      if (DAS_CUT_ACTIONS.includes(type) && charged) {
+        dcdTimer = getSettings().dcd;
+      }
+    }
+  };
+
+  /**
+   * Ends an input.
+   * @param {string} type - One of the engine ACTIONS.
+   */
+  const release = (type) => {
+    if (DIRECTIONS.includes(type)) {
+      const wasActive = directions[directions.length - 1] === type;
+      directions = directions.filter((direction) => direction !== type);
+      if (wasActive) restartDas();
+    } else if (type === ACTIONS.SOFT_DROP) {
+      softDropHeld = false;
+    }
+  };
+
+  /**
+   * Releases every held input, e.g. when the window loses focus.
+   */
+  const releaseAll = () => {
+    directions = [];
+    softDropHeld = false;
+    restartDas();
+    dcdTimer = 0;
+  };
+
+  /**
+   * Advances the timers and emits auto-repeated actions.
+   * @param {number} elapsed - Milliseconds since the last update.
+   */
+  const update = (elapsed) => {
+    const dt = Math.min(elapsed, MAX_UPDATE_MS);
+    const { das, arr, sdf } = getSettings();
+
+    const direction = directions[directions.length - 1];
+    if (direction) {
+      dasTimer += dt;
+      if (dcdTimer > 0) {
+        dcdTimer = Math.max(0, dcdTimer - dt);
+      } else if (!charged && dasTimer >= das) {
+        charged = true;
+        arrTimer = 0;
+        move(direction, true);
+      } else if (charged) {
+        if (arr === 0) {
+          move(direction, true);
+        } else {
+          arrTimer += dt;
+          while (arrTimer >= arr) {
+            arrTimer -= arr;
+            move(direction, true);
+          }
+        }
+      }
+    }
+
+    if (softDropHeld) {
+      if (sdf >= SOFT_DROP_INSTANT) {
+        softDrop(true);
+      } else {
+        const interval = getDropInterval() / sdf;
+        softDropTimer += dt;
+        while (softDropTimer >= interval) {
+          softDropTimer -= interval;
+          softDrop(true);
+        }
+      }
+    }
+  };
+
+  return { press, release, releaseAll, update };
+};
@@ -0,0 +1,92 @@
+// --- Gamepad Input ---
+// The Gamepad API has no events for buttons, so connected pads are polled
+// once per animation frame and changes are reported as presses and
+// releases of bound actions.
+
+const AXIS_THRESHOLD = 0.5;
+
+// Left stick directions are reported as the matching d-pad buttons
+const STICK_BUTTONS = { left: 14, right: 15, up: 12, down: 13 };
+
+/**
+ * Lists the buttons currently held on a gamepad, including the left stick
+ * as d-pad buttons.
+ * @param {Gamepad} gamepad - A connected gamepad.
+ * @returns {Set<number>} Held standard-mapping button indices.
+ */
+export const getPressedButtons = (gamepad) => {
+  const pressed = new Set();
+  gamepad.buttons.forEach((button, index) => {
+    if (button.pressed) pressed.add(index);
+  });
+  const [x = 0, y = 0] = gamepad.axes;
+  if (x < -AXIS_THRESHOLD) pressed.add(STICK_BUTTONS.left);
+  if (x > AXIS_THRESHOLD) pressed.add(STICK_BUTTONS.right);
+  if (y < -AXIS_THRESHOLD) pressed.add(STICK_BUTTONS.up);
+  if (y > AXIS_THRESHOLD) pressed.add(STICK_BUTTONS.down);
+  return pressed;
+};
+
+/**
+ * Returns the connected gamepads that use the standard mapping.
+ * @returns {Array<Gamepad>} Connected gamepads.
+ */
+export const getGamepads = () =>
+  [...(navigator.getGamepads?.() ?? [])].filter(
+    (gamepad) => gamepad && gamepad.connected && gamepad.mapping === "standard"
+  );
+
+/**
+ * Creates a gamepad poller.
+ * @param {object} options
+ * @param {function(): Map<number, string>} options.getLookup - Returns the
+ *   current button-to-action lookup.
+ * @param {function(string): void} options.onPress - Called when a bound
+ *   button goes down.
+ * @param {function(string): void} options.onRelease - Called when a bound
+ *   button comes up.
+ * @param {function(Gamepad): boolean} [options.filter] - Limits which pads
+ *   are read, e.g. to one pad per player.
+ * @returns {object} The poller (poll, reset).
+ */
+export const createGamepadPoller = ({
+  getLookup,
+  onPress,
+  onRelease,
+  filter = () => true,
+}) => {
+  let held = new Set(); // Actions held on the previous poll
+
+  /**
+   * Reads the gamepads and reports changed actions.
+   */
+  const poll = () => {
+    const lookup = getLookup();
+    const now = new Set();
+    getGamepads()
+      .filter(filter)
+      .forEach((gamepad) => {
+        getPressedButtons(gamepad).forEach((button) => {
+          const action = lookup.get(button);
+          if (action) now.add(action);
+        });
+      });
+
+    now.forEach((action) => {
+      if (!held.has(action)) onPress(action);
+    });
+    held.forEach((action) => {
+      if (!now.has(action)) onRelease(action);
+    });
+    held = now;
+  };
+
+  /**
+   * Forgets held buttons so they are reported again on the next poll.
+   */
+  const reset = () => {
+    held = new Set();
+  };
+
+  return { poll, reset };
+};
@@ -0,0 +1,124 @@
+// --- Touch Input ---
+// Gestures on the board are reported as presses and releases of engine
+// actions, like keys and gamepad buttons, so they share the input
+// controller and its timing. Dragging sideways moves one column per
+// `sensitivity` pixels, dragging down holds soft drop, a quick flick down
+// hard drops, a flick up holds, and a tap rotates: counterclockwise on the
+// left half, clockwise on the right half.
+
+import { ACTIONS } from "../engine/index.js";
+
+const TAP_DISTANCE = 10; // px a tap may wander before it becomes a drag
+const TAP_MS = 250;
+const FLICK_MS = 200; // Longer downward drags soft drop instead
+const FLICK_DISTANCE = 30; // px
+
+/**
+ * Creates a gesture recognizer. Its handlers take the pointer events of
+ * the touch surface; mouse pointers are ignored so clicks keep working.
+ * @param {object} options
+ * @param {function(string): void} options.onPress - Called when a gesture
+ *   starts an action.
+ * @param {function(string): void} options.onRelease - Called when a
+ *   gesture ends an action.
+ * @param {function(): number} options.getSensitivity - Returns the drag
+ *   distance per column in px.
+ * @returns {object} The recognizer (down, move, up, cancel).
+ */
+export const createTouchGestures = ({ onPress, onRelease, getSensitivity }) => {
+  let gesture = null; // The tracked pointer; other fingers are ignored
+
+  const tap = (action) => {
+    onPress(action);
+    onRelease(action);
+  };
+
+  const stopSoftDrop = () => {
+    if (gesture?.softDropping) onRelease(ACTIONS.SOFT_DROP);
+  };
+
+  /**
+   * Starts tracking a finger.
+   * @param {PointerEvent} event - The pointerdown event.
+   */
+  const down = (event) => {
+    if (gesture || event.pointerType === "mouse") return;
+    if (event.target.closest?.("button, input, select")) return;
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    const { left, width } = event.currentTarget.getBoundingClientRect();
+    gesture = {
+      id: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      startTime: event.timeStamp,
+      anchorX: event.clientX, // Where the next column step is counted from
+      axis: null, // "x" or "y" once the finger has moved far enough
+      isRightHalf: event.clientX >= left + width / 2,
+      softDropping: false,
+    };
+  };
+
+  /**
+   * Moves the piece along with the finger.
+   * @param {PointerEvent} event - The pointermove event.
+   */
+  const move = (event) => {
+    if (gesture?.id !== event.pointerId) return;
+    const dx = event.clientX - gesture.startX;
+    const dy = event.clientY - gesture.startY;
+    if (!gesture.axis && Math.hypot(dx, dy) >= TAP_DISTANCE) {
+      gesture.axis = Math.abs(dx) >= Math.abs(dy) ? "x" : "y";
+    }
+
+    if (gesture.axis === "x") {
+      const step = getSensitivity();
+      while (Math.abs(event.clientX - gesture.anchorX) >= step) {
+        const direction = Math.sign(event.clientX - gesture.anchorX);
+        tap(direction < 0 ? ACTIONS.MOVE_LEFT : ACTIONS.MOVE_RIGHT);
+        gesture.anchorX += direction * step;
+      }
+    } else if (
+      gesture.axis === "y" &&
+      !gesture.softDropping &&
+      dy >= FLICK_DISTANCE &&
+      event.timeStamp - gesture.startTime > FLICK_MS
+    ) {
+      gesture.softDropping = true;
+      onPress(ACTIONS.SOFT_DROP);
+    }
+  };
+
+  /**
+   * Ends a gesture: taps rotate and flicks drop or hold.
+   * @param {PointerEvent} event - The pointerup event.
+   */
+  const up = (event) => {
+    if (gesture?.id !== event.pointerId) return;
+    const dy = event.clientY - gesture.startY;
+    const duration = event.timeStamp - gesture.startTime;
+    if (!gesture.axis && duration <= TAP_MS) {
+      tap(gesture.isRightHalf ? ACTIONS.ROTATE_CW : ACTIONS.ROTATE_CCW);
+    } else if (
+      gesture.axis === "y" &&
+      !gesture.softDropping &&
+      duration <= FLICK_MS &&
+      Math.abs(dy) >= FLICK_DISTANCE
+    ) {
+      tap(dy > 0 ? ACTIONS.HARD_DROP : ACTIONS.HOLD);
+    }
+    stopSoftDrop();
+    gesture = null;
+  };
+
+  /**
+   * Drops a gesture the browser took over, e.g. for a system gesture.
+   * @param {PointerEvent} event - The pointercancel event.
+   */
+  const cancel = (event) => {
+    if (gesture?.id !== event.pointerId) return;
+    stopSoftDrop();
+    gesture = null;
+  };
+
+  return { down, move, up, cancel };
+};
@@ -0,0 +1,211 @@
+// --- Online Client ---
+// Keeps a WebSocket to the relay server (server/index.js) and exposes what
+// it learns as a store for React: the lobby, the current room and the
+// opponents' latest board snapshots. A dropped connection is retried with
+// backoff and resumes the same seat with the token the server handed out;
+// attacks and top-outs made while offline are sent once it is back.
+
+import { CLIENT_MESSAGES, DEFAULT_PORT, SERVER_MESSAGES } from "./protocol.js";
+
+const IDENTITY_KEY = "tetris.online"; // Per tab, so tabs are separate players
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 10000;
+// Messages worth delivering late; snapshots are simply replaced
+const QUEUED_MESSAGES = [CLIENT_MESSAGES.ATTACK, CLIENT_MESSAGES.TOP_OUT];
+
+export const CONNECTION_STATUS = {
+  CONNECTING: "connecting",
+  OPEN: "open",
+  RECONNECTING: "reconnecting",
+  CLOSED: "closed",
+};
+
+/**
+ * Returns the relay server address for the page's host.
+ * @returns {string} A ws:// URL.
+ */
+export const getDefaultServerUrl = () =>
+  `ws://${window.location.hostname || "localhost"}:${DEFAULT_PORT}`;
+
+/**
+ * Loads the seat this tab held on the server, if any.
+ * @returns {{ playerId?: string, token?: string }} The saved identity.
+ */
+const loadIdentity = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(IDENTITY_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Saves the seat this tab holds on the server.
+ * @param {object} identity - The player id and token.
+ */
+const saveIdentity = (identity) => {
+  try {
+    sessionStorage.setItem(IDENTITY_KEY, JSON.stringify(identity));
+  } catch {
+    // Without storage a reload joins as a new player
+  }
+};
+
+/**
+ * Connects to a relay server.
+ * @param {object} options
+ * @param {string} options.url - The server URL.
+ * @param {string} options.name - The player's name.
+ * @returns {object} The client (getState, subscribe, on, send, close).
+ */
+export const createNetClient = ({ url, name }) => {
+  let state = {
+    status: CONNECTION_STATUS.CONNECTING,
+    playerId: null,
+    rooms: [],
+    room: null,
+    opponents: {}, // Player id to their latest snapshot
+    error: null,
+  };
+  const listeners = new Set();
+  const handlers = new Map(); // Message type to set of handlers
+  let socket = null;
+  let outbox = [];
+  let retryMs = MIN_RETRY_MS;
+  let retryTimer = null;
+  let isClosed = false;
+
+  const update = (changes) => {
+    state = { ...state, ...changes };
+    listeners.forEach((listener) => listener());
+  };
+
+  /**
+   * Updates the store for a server message, then calls its handlers.
+   * @param {object} message - The message.
+   */
+  const receive = (message) => {
+    switch (message.type) {
+      case SERVER_MESSAGES.WELCOME:
+        saveIdentity({ playerId: message.playerId, token: message.token });
+        retryMs = MIN_RETRY_MS;
+        update({
+          status: CONNECTION_STATUS.OPEN,
+          playerId: message.playerId,
+          error: null,
+        });
+        outbox.forEach((queued) => socket.send(JSON.stringify(queued)));
+        outbox = [];
+        break;
+      case SERVER_MESSAGES.LOBBY:
+        update({ rooms: message.rooms });
+        break;
+      case SERVER_MESSAGES.ROOM:
+        update({
+          room: message.room,
+          opponents: message.room ? state.opponents : {},
+          error: null,
+        });
+        break;
+      case SERVER_MESSAGES.START:
+        update({ opponents: {} });
+        break;
+      case SERVER_MESSAGES.OPPONENT_STATE:
+        update({
+          opponents: {
+            ...state.opponents,
+            [message.playerId]: message.snapshot,
+          },
+        });
+        break;
+      case SERVER_MESSAGES.ERROR:
+        update({ error: message.message });
+        break;
+      default:
+        break;
+    }
+    handlers.get(message.type)?.forEach((handler) => handler(message));
+  };
+
+  const connect = () => {
+    try {
+      socket = new WebSocket(url);
+    } catch {
+      // A malformed address fails at once and would fail on every retry
+      isClosed = true;
+      update({
+        status: CONNECTION_STATUS.CLOSED,
+        error: `"${url}" is not a server address, e.g. ws://localhost:${DEFAULT_PORT}.`,
+      });
+      return;
+    }
+    socket.onopen = () => {
+      socket.send(
+        JSON.stringify({ type: CLIENT_MESSAGES.HELLO, name, ...loadIdentity() })
+      );
+    };
+    socket.onmessage = (event) => {
+      try {
+        receive(JSON.parse(event.data));
+      } catch {
+        // Ignore malformed messages
+      }
+    };
+    socket.onclose = () => {
+      if (isClosed) return;
+      update({ status: CONNECTION_STATUS.RECONNECTING });
+      retryTimer = setTimeout(connect, retryMs);
+      retryMs = Math.min(MAX_RETRY_MS, retryMs * 2);
+    };
+  };
+
+  /**
+   * Sends a message. Attacks and top-outs are queued while disconnected.
+   * @param {object} message - A message with a CLIENT_MESSAGES type.
+   */
+  const send = (message) => {
+    if (
+      state.status === CONNECTION_STATUS.OPEN &&
+      socket.readyState === WebSocket.OPEN
+    ) {
+      socket.send(JSON.stringify(message));
+    } else if (QUEUED_MESSAGES.includes(message.type)) {
+      outbox.push(message);
+    }
+  };
+
+  /**
+   * Listens for one type of server message.
+   * @param {string} type - One of SERVER_MESSAGES.
+   * @param {function(object): void} handler - Receives the message.
+   * @returns {function(): void} Removes the handler.
+   */
+  const on = (type, handler) => {
+    if (!handlers.has(type)) handlers.set(type, new Set());
+    handlers.get(type).add(handler);
+    return () => handlers.get(type).delete(handler);
+  };
+
+  /**
+   * Subscribes to store changes.
+   * @param {function(): void} listener - Called after each change.
+   * @returns {function(): void} Unsubscribes the listener.
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  /**
+   * Leaves the server for good; the seat is released after the grace time.
+   */
+  const close = () => {
+    isClosed = true;
+    clearTimeout(retryTimer);
+    socket?.close();
+    update({ status: CONNECTION_STATUS.CLOSED });
+  };
+
+  connect();
+  return { getState: () => state, subscribe, on, send, close };
+};
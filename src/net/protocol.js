@@ -0,0 +1,114 @@
+// --- Online Protocol ---
+// Messages between the browser and the relay server (server/index.js) are
+// JSON objects with a `type` from the lists below. Both sides import this
+// module, so it must not use browser or Node APIs.
+
+import {
+  BOARD_SIZE_LIMITS,
+  DEFAULT_HEIGHT,
+  DEFAULT_WIDTH,
+  HIDDEN_TOP_ROWS,
+  getPieceSet,
+  mergePiece,
+} from "../engine/index.js";
+
+export const DEFAULT_PORT = 8787;
+export const MAX_ROOM_PLAYERS = 6;
+export const REJOIN_GRACE_MS = 30000; // A dropped player keeps their seat this long
+export const SNAPSHOT_FRAMES = 6; // Board updates sent to opponents, 10 per second
+
+// Sent by the browser
+export const CLIENT_MESSAGES = {
+  HELLO: "hello", // { name, playerId?, token? } - the token rejoins a seat
+  CREATE_ROOM: "createRoom", // { name }
+  JOIN_ROOM: "joinRoom", // { roomId }
+  LEAVE_ROOM: "leaveRoom",
+  START: "start", // { options } - host only, see getRoundOptions
+  STATE: "state", // { snapshot }
+  ATTACK: "attack", // { lines }
+  TOP_OUT: "topOut",
+};
+
+// Sent by the server
+export const SERVER_MESSAGES = {
+  WELCOME: "welcome", // { playerId, token, rejoined }
+  LOBBY: "lobby", // { rooms }
+  ROOM: "room", // { room } or { room: null } after leaving
+  START: "start", // { seed, options, round }
+  OPPONENT_STATE: "opponentState", // { playerId, snapshot }
+  GARBAGE: "garbage", // { lines, from }
+  ROUND_OVER: "roundOver", // { winner } - a player id, or null
+  ERROR: "error", // { message }
+};
+
+export const ROOM_STATUS = {
+  WAITING: "waiting",
+  PLAYING: "playing",
+};
+
+/**
+ * Checks the options the host starts a round with, so every player gets a
+ * game the engine can run. Sizes out of range are clamped, and the piece
+ * set is built from its id, so broken custom pieces fall back to the
+ * standard set.
+ * @param {object} [options] - The randomizer, previewCount, width, height
+ *   and hiddenRows, and pieceSet as one of PIECE_SETS with its
+ *   customPieces definitions.
+ * @returns {object} Options for `createGame`.
+ */
+export const getRoundOptions = (options) => {
+  const readSize = (key, fallback) => {
+    const { min, max } = BOARD_SIZE_LIMITS[key];
+    const value = Math.floor(Number(options?.[key]));
+    return Number.isFinite(value)
+      ? Math.min(max, Math.max(min, value))
+      : fallback;
+  };
+  return {
+    randomizer: String(options?.randomizer ?? ""),
+    previewCount: Number(options?.previewCount) || 5,
+    width: readSize("width", DEFAULT_WIDTH),
+    height: readSize("height", DEFAULT_HEIGHT),
+    hiddenRows: readSize("hiddenRows", HIDDEN_TOP_ROWS),
+    pieceSet: getPieceSet(
+      String(options?.pieceSet ?? ""),
+      options?.customPieces
+    ),
+  };
+};
+
+/**
+ * Reduces a game to what opponents need to draw a mini-view of it: the
+ * visible rows with the active piece merged in, and a few numbers.
+ * @param {object} game - The engine state.
+ * @returns {object} The snapshot.
+ */
+export const createSnapshot = (game) => {
+  const board = game.current
+    ? mergePiece(game.board, game.current)
+    : game.board;
+  return {
+    rows: board.slice(game.hiddenRows).map((row) => row.join("")),
+    score: game.score,
+    lines: game.lines,
+    attackSent: game.attackSent,
+    incoming: game.garbageQueue.reduce((sum, lines) => sum + lines, 0),
+    gameOver: game.gameOver,
+  };
+};
+
+/**
+ * Turns a snapshot back into the shape the renderers draw.
+ * @param {object} snapshot - A snapshot from `createSnapshot`.
+ * @param {object} [pieceSet] - The piece set of the round, for colors.
+ * @returns {object} A minimal game state (board, width, height, ...).
+ */
+export const snapshotToGame = (snapshot, pieceSet) => ({
+  board: snapshot.rows.map((row) => [...row]),
+  pieceSet,
+  width: snapshot.rows[0]?.length ?? 0,
+  height: snapshot.rows.length,
+  hiddenRows: 0,
+  current: null,
+  gameOver: snapshot.gameOver,
+});
@@ -0,0 +1,65 @@
+// --- Online Protocol Tests ---
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  BOARD_SIZE_LIMITS,
+  DEFAULT_HEIGHT,
+  DEFAULT_WIDTH,
+  EXAMPLE_CUSTOM_PIECES,
+  HIDDEN_TOP_ROWS,
+  PENTOMINO_SET,
+  PIECE_SETS,
+  STANDARD_SET,
+  createGame,
+} from "../engine/index.js";
+import { getRoundOptions } from "./protocol.js";
+
+describe("getRoundOptions", () => {
+  it("passes on the host's board size and piece set", () => {
+    const options = getRoundOptions({
+      randomizer: "bag",
+      previewCount: 3,
+      width: 12,
+      height: 24,
+      hiddenRows: 4,
+      pieceSet: PIECE_SETS.PENTOMINOES,
+    });
+    assert.deepEqual(options, {
+      randomizer: "bag",
+      previewCount: 3,
+      width: 12,
+      height: 24,
+      hiddenRows: 4,
+      pieceSet: PENTOMINO_SET,
+    });
+  });
+
+  it("builds custom pieces from their definitions", () => {
+    const { pieceSet } = getRoundOptions({
+      pieceSet: PIECE_SETS.CUSTOM,
+      customPieces: EXAMPLE_CUSTOM_PIECES,
+    });
+    assert.equal(pieceSet.types, "ABCD");
+  });
+
+  it("clamps sizes and falls back to the defaults", () => {
+    const { width, height, hiddenRows, pieceSet } = getRoundOptions({
+      width: 1000,
+      height: -3,
+      hiddenRows: "many",
+      pieceSet: { id: PIECE_SETS.CUSTOM, types: "Q", pieces: {} },
+    });
+    assert.equal(width, BOARD_SIZE_LIMITS.width.max);
+    assert.equal(height, BOARD_SIZE_LIMITS.height.min);
+    assert.equal(hiddenRows, HIDDEN_TOP_ROWS);
+    assert.equal(pieceSet, STANDARD_SET);
+  });
+
+  it("starts a game from nothing", () => {
+    const options = getRoundOptions(undefined);
+    assert.equal(options.width, DEFAULT_WIDTH);
+    assert.equal(options.height, DEFAULT_HEIGHT);
+    assert.equal(createGame({ ...options, seed: 1 }).pieceSet, STANDARD_SET);
+  });
+});
@@ -0,0 +1,156 @@
+// --- Plugins ---
+// A plugin is a plain object that bundles extensions of the game, so custom
+// modes and overlays don't need changes to the app:
+//   { id, name, events, panels, modes, randomizers }
+// `events` maps GAME_EVENTS to listeners, `panels` are components shown
+// beside the board, and `modes` and `randomizers` are registered with the
+// engine (see registerMode and registerRandomizer), which looks them up by
+// id so game states stay serializable. Register plugins before the app
+// renders, e.g. in main.jsx; games made with a plugin's mode or randomizer
+// only replay while it is registered.
+
+import {
+  isValidDraw,
+  isValidScore,
+  registerMode,
+  registerRandomizer,
+} from "../engine/index.js";
+import { createEventEmitter } from "../game/events.js";
+
+/**
+ * @typedef {object} PluginPanel
+ * @property {string} id - Unique within the plugin.
+ * @property {string} title - Heading shown above the panel.
+ * @property {Function} Component - Rendered with { game, stats, theme }:
+ *   the game state, the session statistics and the resolved theme.
+ */
+
+/**
+ * @typedef {object} Plugin
+ * @property {string} id - Unique id.
+ * @property {string} name - Name shown to the player.
+ * @property {Object<string, function(object): void>} [events] - Listeners
+ *   by GAME_EVENTS name.
+ * @property {Array<PluginPanel>} [panels] - Panels beside the board.
+ * @property {Object<string, object>} [modes] - Mode rules by mode id, see
+ *   ModeRules in modes.js; `scoring` changes how pieces score.
+ * @property {Object<string, object>} [randomizers] - { label, draw } by
+ *   randomizer kind.
+ */
+
+const emitter = createEventEmitter();
+let plugins = []; // Replaced on every change, for useSyncExternalStore
+const teardowns = new Map(); // Plugin id to the function that removes it
+const listeners = new Set();
+
+const notify = () => listeners.forEach((listener) => listener());
+
+/**
+ * Wraps a hook the engine calls, so its first failure is reported. The
+ * engine falls back on its own and stays quiet, as it must be pure; a
+ * broken hook tends to fail on every piece, so later failures are not
+ * reported again.
+ * @param {string} name - The hook, for the report.
+ * @param {Function} hook - The plugin's hook.
+ * @param {function(*, ...*): boolean} isValid - Checks a result of the
+ *   hook, also given the arguments it was called with.
+ * @returns {Function} The hook, reporting its first failure.
+ */
+const watchHook = (name, hook, isValid) => {
+  let hasFailed = false;
+  const report = (...details) => {
+    if (hasFailed) return;
+    hasFailed = true;
+    console.error(`${name} failed:`, ...details);
+  };
+  return (...args) => {
+    let result;
+    try {
+      result = hook(...args);
+    } catch (err) {
+      report(err);
+      throw err;
+    }
+    if (!isValid(result, ...args)) report("unusable result", result);
+    return result;
+  };
+};
+
+/**
+ * Returns the emitter the app sends the events of the running game to.
+ * @returns {object} The emitter, see createEventEmitter.
+ */
+export const getPluginEvents = () => emitter;
+
+/**
+ * Registers a plugin: its modes, randomizers and listeners take effect at
+ * once, and its panels show from the next render.
+ * @param {Plugin} plugin - The plugin.
+ * @returns {function(): void} Unregisters the plugin again.
+ * @throws {Error} If the id is taken, or a mode or randomizer exists.
+ */
+export const registerPlugin = (plugin) => {
+  if (!plugin.id) throw new Error("A plugin needs an id.");
+  if (teardowns.has(plugin.id)) {
+    throw new Error(`The plugin "${plugin.id}" is already registered.`);
+  }
+  const removers = [];
+  const remove = () => removers.forEach((removeOne) => removeOne());
+  try {
+    Object.entries(plugin.modes ?? {}).forEach(([id, rules]) => {
+      const scoring =
+        rules.scoring &&
+        watchHook(
+          `The scoring of the mode "${id}" (plugin "${plugin.id}")`,
+          rules.scoring,
+          isValidScore
+        );
+      removers.push(registerMode(id, scoring ? { ...rules, scoring } : rules));
+    });
+    Object.entries(plugin.randomizers ?? {}).forEach(([kind, randomizer]) =>
+      removers.push(
+        registerRandomizer(kind, {
+          ...randomizer,
+          draw: watchHook(
+            `The randomizer "${kind}" (plugin "${plugin.id}")`,
+            randomizer.draw,
+            isValidDraw
+          ),
+        })
+      )
+    );
+    Object.entries(plugin.events ?? {}).forEach(([name, listener]) =>
+      removers.push(emitter.on(name, listener))
+    );
+  } catch (err) {
+    remove(); // Leave nothing half registered
+    throw err;
+  }
+
+  teardowns.set(plugin.id, remove);
+  plugins = [...plugins, plugin];
+  notify();
+  return () => {
+    if (!teardowns.has(plugin.id)) return;
+    teardowns.get(plugin.id)();
+    teardowns.delete(plugin.id);
+    plugins = plugins.filter(({ id }) => id !== plugin.id);
+    notify();
+  };
+};
+
+/**
+ * Returns the registered plugins.
+ * @returns {Array<Plugin>} The plugins, in the order they were registered.
+ */
+export const getPlugins = () => plugins;
+
+/**
+ * Subscribes to plugins being registered and unregistered.
+ * @param {function(): void} listener - Called after each change.
+ * @returns {function(): void} Unsubscribes the listener.
+ */
+export const subscribePlugins = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
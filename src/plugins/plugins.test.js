@@ -0,0 +1,159 @@
+// --- Plugin Tests ---
+
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import {
+  ACTIONS,
+  GARBAGE_CELL,
+  createEmptyBoard,
+  PIECE_TYPES,
+  RANDOMIZERS,
+  createGame,
+  step,
+} from "../engine/index.js";
+import { registerPlugin } from "./plugins.js";
+
+let unregister = () => {};
+
+/**
+ * Registers a plugin for the current test.
+ * @param {object} plugin - The plugin.
+ */
+const register = (plugin) => {
+  unregister = registerPlugin({ id: "test", name: "Test", ...plugin });
+};
+
+/**
+ * Drops an I into the gap of a bottom row that is full but for four cells,
+ * for a single.
+ * @param {string} mode - The mode id.
+ * @returns {object} The game state.
+ */
+const playSingle = (mode) => {
+  const board = createEmptyBoard(10, 22);
+  board[21] = [..."GGG....GGG"].map((c) => (c === "G" ? GARBAGE_CELL : c));
+  return step(createGame({ mode, board, pieces: [..."II"] }), {
+    type: ACTIONS.HARD_DROP,
+  });
+};
+
+afterEach(() => {
+  unregister();
+  mock.restoreAll();
+});
+
+describe("plugin scoring", () => {
+  it("changes the score of a mode", () => {
+    register({
+      modes: {
+        doubled: {
+          label: "Doubled",
+          scoring: (clear, standard) => ({
+            ...standard,
+            points: standard.points * 2,
+          }),
+        },
+      },
+    });
+    const plain = playSingle("marathon");
+    assert.equal(plain.lines, 1);
+    assert.equal(playSingle("doubled").score - plain.score, 100);
+  });
+
+  it("falls back to the standard score and reports the first failure", () => {
+    const error = mock.method(console, "error", () => {});
+    register({
+      modes: {
+        broken: {
+          label: "Broken",
+          scoring: () => {
+            throw new Error("Broken hook");
+          },
+        },
+      },
+    });
+    // Both pieces are scored, but the hook is reported once
+    const drop = { type: ACTIONS.HARD_DROP };
+    assert.equal(
+      step(playSingle("broken"), drop).score,
+      step(playSingle("marathon"), drop).score
+    );
+    assert.equal(error.mock.callCount(), 1);
+  });
+
+  it("keeps unusable results out of the game", () => {
+    const error = mock.method(console, "error", () => {});
+    register({
+      modes: {
+        sloppy: {
+          label: "Sloppy",
+          scoring: (clear, standard) => ({ ...standard, isBackToBack: "yes" }),
+        },
+      },
+    });
+    const game = playSingle("sloppy");
+    assert.deepEqual(game, { ...playSingle("marathon"), mode: "sloppy" });
+    assert.equal(error.mock.callCount(), 1);
+  });
+});
+
+describe("plugin randomizers", () => {
+  /**
+   * Starts a game with a randomizer and hard drops a few pieces.
+   * @param {string} randomizer - The randomizer id.
+   * @returns {object} The game state.
+   */
+  const playDrops = (randomizer) => {
+    let game = createGame({ mode: "zen", randomizer, seed: 7 });
+    for (let i = 0; i < 3; i++) {
+      game = step(game, { type: ACTIONS.HARD_DROP });
+    }
+    return game;
+  };
+
+  it("deals the pieces it draws", () => {
+    register({
+      randomizers: {
+        onlyT: {
+          label: "Only T",
+          draw: (randomizer) => ["T", randomizer],
+        },
+      },
+    });
+    const game = playDrops("onlyT");
+    assert.deepEqual(new Set(game.queue), new Set(["T"]));
+  });
+
+  it("falls back to a bag when it throws and reports it once", () => {
+    const error = mock.method(console, "error", () => {});
+    register({
+      randomizers: {
+        broken: {
+          label: "Broken",
+          draw: () => {
+            throw new Error("Broken draw");
+          },
+        },
+      },
+    });
+    const game = playDrops("broken");
+    assert.equal(game.gameOver, false);
+    assert.deepEqual(game.queue, playDrops(RANDOMIZERS.BAG).queue);
+    assert.equal(error.mock.callCount(), 1);
+  });
+
+  it("keeps piece types outside the set out of the game", () => {
+    const error = mock.method(console, "error", () => {});
+    register({
+      randomizers: {
+        stray: {
+          label: "Stray",
+          draw: (randomizer) => ["X", randomizer],
+        },
+      },
+    });
+    const game = playDrops("stray");
+    assert.ok(game.queue.every((type) => PIECE_TYPES.includes(type)));
+    assert.equal(error.mock.callCount(), 1);
+  });
+});
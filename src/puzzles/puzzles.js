@@ -0,0 +1,253 @@
+// --- Puzzles ---
+// A puzzle is a position to practise: a board, the pieces to play, an
+// optional hold piece and a goal. Files and share links hold the same plain
+// object:
+//   { version, name, description, rows, pieces, hold, goal }
+// `rows` is the bottom of the board, top to bottom, one string per row with
+// "." for empty cells and piece letters (or "G" for garbage) for filled
+// ones. `pieces` is a string of piece letters in the order they are dealt.
+
+import {
+  DEFAULT_HEIGHT,
+  DEFAULT_WIDTH,
+  EMPTY_CELL,
+  GARBAGE_CELL,
+  GOALS,
+  HIDDEN_TOP_ROWS,
+  MAX_PREVIEW,
+  MODES,
+  PIECE_TYPES,
+  createEmptyBoard,
+  isValidGoal,
+} from "../engine/index.js";
+import { downloadJson, parseJsonFile } from "../files.js";
+
+export const PUZZLE_VERSION = 1;
+export const PUZZLE_ROWS = DEFAULT_HEIGHT + HIDDEN_TOP_ROWS; // Editable rows
+export const MAX_PUZZLE_PIECES = 30;
+
+// Cells the editor can paint, besides empty
+export const PUZZLE_CELLS = [...PIECE_TYPES, GARBAGE_CELL];
+
+const STORAGE_KEY = "tetris.puzzles";
+const EMPTY_CHAR = ".";
+const HASH_PREFIX = "#puzzle=";
+
+/**
+ * Creates an empty puzzle for the editor.
+ * @returns {object} The puzzle.
+ */
+export const createPuzzle = () => ({
+  version: PUZZLE_VERSION,
+  name: "New Puzzle",
+  description: "",
+  rows: [],
+  pieces: PIECE_TYPES,
+  hold: null,
+  goal: { type: GOALS.LINES, count: 4 },
+});
+
+/**
+ * Turns a board into puzzle rows, leaving out the empty rows at the top.
+ * @param {Array<Array<string>>} board - A full board.
+ * @returns {Array<string>} The rows, top to bottom.
+ */
+export const boardToRows = (board) => {
+  const top = board.findIndex((row) => row.some((c) => c !== EMPTY_CELL));
+  if (top === -1) return [];
+  return board
+    .slice(top)
+    .map((row) =>
+      row.map((cell) => (cell === EMPTY_CELL ? EMPTY_CHAR : cell)).join("")
+    );
+};
+
+/**
+ * Turns puzzle rows into a full board, hidden rows included.
+ * @param {Array<string>} rows - The rows, top to bottom.
+ * @returns {Array<Array<string>>} The board.
+ */
+export const rowsToBoard = (rows) => {
+  const board = createEmptyBoard(DEFAULT_WIDTH, PUZZLE_ROWS - rows.length);
+  rows.forEach((row) => {
+    board.push([...row].map((c) => (c === EMPTY_CHAR ? EMPTY_CELL : c)));
+  });
+  return board;
+};
+
+/**
+ * Builds the options for `createGame` that set up a puzzle.
+ * @param {object} puzzle - The puzzle.
+ * @returns {object} The game options.
+ */
+export const getPuzzleOptions = (puzzle) => ({
+  mode: MODES.PUZZLE,
+  seed: 0, // Only garbage holes use it, and puzzles get no garbage
+  previewCount: MAX_PREVIEW,
+  board: rowsToBoard(puzzle.rows),
+  pieces: [...puzzle.pieces],
+  hold: puzzle.hold,
+  goal: puzzle.goal,
+});
+
+/**
+ * Checks a puzzle read from a file or link and fills in optional fields.
+ * @param {object} data - The parsed puzzle.
+ * @returns {object} The puzzle.
+ * @throws {Error} If the puzzle cannot be played.
+ */
+export const validatePuzzle = (data) => {
+  if (!data || typeof data !== "object" || !Array.isArray(data.rows)) {
+    throw new Error("This is not a puzzle.");
+  }
+  if (data.version !== PUZZLE_VERSION) {
+    throw new Error(`Unsupported puzzle version ${data.version}.`);
+  }
+  const cells = new Set([EMPTY_CHAR, ...PUZZLE_CELLS]);
+  if (
+    data.rows.length > PUZZLE_ROWS ||
+    data.rows.some(
+      (row) =>
+        typeof row !== "string" ||
+        row.length !== DEFAULT_WIDTH ||
+        [...row].some((c) => !cells.has(c))
+    )
+  ) {
+    throw new Error("The puzzle board is not valid.");
+  }
+  // A full row would clear with the first piece and score for free
+  if (data.rows.some((row) => !row.includes(EMPTY_CHAR))) {
+    throw new Error("The puzzle board has a full row. Leave a gap in it.");
+  }
+  const isPiece = (c) => PIECE_TYPES.includes(c);
+  if (
+    typeof data.pieces !== "string" ||
+    data.pieces.length === 0 ||
+    data.pieces.length > MAX_PUZZLE_PIECES ||
+    ![...data.pieces].every(isPiece)
+  ) {
+    throw new Error("The puzzle pieces are not valid.");
+  }
+  const hold = data.hold ?? null;
+  if (hold !== null && !isPiece(hold)) {
+    throw new Error("The puzzle hold piece is not valid.");
+  }
+  if (!isValidGoal(data.goal)) {
+    throw new Error("The puzzle goal is not valid.");
+  }
+  return {
+    version: PUZZLE_VERSION,
+    name: String(data.name ?? "Puzzle"),
+    description: String(data.description ?? ""),
+    rows: data.rows,
+    pieces: data.pieces,
+    hold,
+    goal: data.goal,
+  };
+};
+
+/**
+ * Parses and validates a puzzle from JSON.
+ * @param {string} text - The JSON text.
+ * @returns {object} The puzzle.
+ * @throws {Error} If the text is not a valid puzzle.
+ */
+export const parsePuzzle = (text) => validatePuzzle(parseJsonFile(text));
+
+/**
+ * Offers a puzzle as a JSON file download.
+ * @param {object} puzzle - The puzzle to export.
+ */
+export const downloadPuzzle = (puzzle) => {
+  const slug =
+    puzzle.name.toLowerCase().replace(/[^a-z0-9]+/g, "-") || "untitled";
+  downloadJson(`tetris-puzzle-${slug}.json`, puzzle, 2);
+};
+
+/**
+ * Encodes a puzzle as a URL hash: its JSON in URL-safe base64.
+ * @param {object} puzzle - The puzzle.
+ * @returns {string} The hash, starting with "#".
+ */
+export const encodePuzzleHash = (puzzle) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(puzzle));
+  const base64 = btoa(String.fromCharCode(...bytes));
+  return `${HASH_PREFIX}${base64
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "")}`;
+};
+
+/**
+ * Reads a puzzle from a URL hash written by `encodePuzzleHash`.
+ * @param {string} hash - The hash, e.g. `location.hash`.
+ * @returns {object|null} The puzzle, or null if the hash holds none.
+ * @throws {Error} If the hash holds a broken puzzle.
+ */
+export const decodePuzzleHash = (hash) => {
+  if (!hash.startsWith(HASH_PREFIX)) return null;
+  let data;
+  try {
+    const base64 = hash
+      .slice(HASH_PREFIX.length)
+      .replace(/-/g, "+")
+      .replace(/_/g, "/");
+    const bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+    data = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error("The puzzle link is damaged.");
+  }
+  return validatePuzzle(data);
+};
+
+/**
+ * Builds a link that opens a puzzle in this app.
+ * @param {object} puzzle - The puzzle to share.
+ * @returns {string} The URL.
+ */
+export const getPuzzleLink = (puzzle) =>
+  `${location.origin}${location.pathname}${encodePuzzleHash(puzzle)}`;
+
+/**
+ * Reads the puzzle shared in the page's URL, if any. Broken links are
+ * ignored.
+ * @returns {object|null} The puzzle.
+ */
+export const loadLinkedPuzzle = () => {
+  try {
+    return decodePuzzleHash(location.hash);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Loads the puzzles the player made or imported.
+ * @returns {Array<object>} The saved puzzles.
+ */
+export const loadPuzzles = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? [];
+    return saved.flatMap((data) => {
+      try {
+        return [validatePuzzle(data)];
+      } catch {
+        return []; // Skip puzzles this version cannot play
+      }
+    });
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Saves the player's puzzles.
+ * @param {Array<object>} puzzles - All saved puzzles.
+ */
+export const savePuzzles = (puzzles) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(puzzles));
+  } catch {
+    // Storage unavailable or full, keep the puzzles for this session only
+  }
+};
@@ -0,0 +1,125 @@
+// --- Puzzle Tests ---
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  ACTIONS,
+  END_REASONS,
+  GOALS,
+  createGame,
+  step,
+} from "../engine/index.js";
+import {
+  PUZZLE_ROWS,
+  boardToRows,
+  decodePuzzleHash,
+  encodePuzzleHash,
+  getPuzzleOptions,
+  rowsToBoard,
+  validatePuzzle,
+} from "./puzzles.js";
+import { STARTER_PUZZLES } from "./starterPack.js";
+
+const [TKI, PCO] = STARTER_PUZZLES;
+
+describe("puzzle boards", () => {
+  it("keep their rows at the bottom of a full board", () => {
+    const board = rowsToBoard(TKI.rows);
+    assert.equal(board.length, PUZZLE_ROWS);
+    assert.deepEqual(boardToRows(board), TKI.rows);
+  });
+
+  it("leave out empty rows", () => {
+    assert.deepEqual(boardToRows(rowsToBoard([])), []);
+  });
+});
+
+describe("validatePuzzle", () => {
+  it("accepts the starter puzzles", () => {
+    STARTER_PUZZLES.forEach((puzzle) =>
+      assert.deepEqual(validatePuzzle(puzzle), puzzle)
+    );
+  });
+
+  it("fills in a missing name, description and hold piece", () => {
+    const puzzle = validatePuzzle({
+      ...TKI,
+      name: undefined,
+      description: undefined,
+      hold: undefined,
+    });
+    assert.equal(puzzle.name, "Puzzle");
+    assert.equal(puzzle.description, "");
+    assert.equal(puzzle.hold, null);
+  });
+
+  it("rejects boards with a full row", () => {
+    assert.throws(
+      () => validatePuzzle({ ...PCO, rows: [...PCO.rows, "GGGGGGGGGG"] }),
+      /full row/
+    );
+  });
+
+  it("rejects broken boards, pieces, holds and goals", () => {
+    [
+      { rows: ["G...G"] },
+      { rows: ["X........."] },
+      { pieces: "" },
+      { pieces: "TQ" },
+      { hold: "Q" },
+      { goal: { type: "fly" } },
+    ].forEach((change) =>
+      assert.throws(() => validatePuzzle({ ...TKI, ...change }), /not valid/)
+    );
+  });
+
+  it("rejects other versions", () => {
+    assert.throws(
+      () => validatePuzzle({ ...TKI, version: 99 }),
+      /Unsupported puzzle version 99/
+    );
+  });
+});
+
+describe("puzzle links", () => {
+  it("carry the puzzle there and back", () => {
+    assert.deepEqual(decodePuzzleHash(encodePuzzleHash(PCO)), PCO);
+  });
+
+  it("ignore other hashes and report damaged ones", () => {
+    assert.equal(decodePuzzleHash("#settings"), null);
+    assert.throws(() => decodePuzzleHash("#puzzle=%%%"), /damaged/);
+  });
+});
+
+describe("playing a puzzle", () => {
+  it("does not score before the first piece", () => {
+    STARTER_PUZZLES.forEach((puzzle) => {
+      const game = createGame(getPuzzleOptions(puzzle));
+      const locked = step(game, { type: ACTIONS.HARD_DROP });
+      assert.equal(locked.lines, 0, puzzle.name);
+    });
+  });
+
+  it("is won by finishing the PCO with a perfect clear", () => {
+    assert.equal(PCO.goal.type, GOALS.PERFECT_CLEAR);
+    const H = ACTIONS.HARD_DROP;
+    const L = ACTIONS.MOVE_LEFT;
+    const R = ACTIONS.MOVE_RIGHT;
+    const solution = [
+      [ACTIONS.HOLD, R, H], // Z
+      [R, R, ACTIONS.ROTATE_CCW, H], // T
+      [L, ACTIONS.ROTATE_CCW, H], // I
+      [R, R, R, R, ACTIONS.ROTATE_180, H], // L
+      [L, L, L, H], // O
+      [ACTIONS.ROTATE_CW, H], // J, out of hold
+    ].flat();
+    const game = solution.reduce(
+      (state, type) => step(state, { type }),
+      createGame(getPuzzleOptions(PCO))
+    );
+    assert.equal(game.endReason, END_REASONS.GOAL);
+    assert.equal(game.lines, 4);
+    assert.equal(game.lastClear.perfectClear, true);
+  });
+});
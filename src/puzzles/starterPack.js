@@ -0,0 +1,39 @@
+// --- Starter Puzzles ---
+// Opener drills that come with the game. Each one starts from the stack an
+// opener builds and leaves the last pieces to the player.
+
+import { GOALS } from "../engine/index.js";
+import { PUZZLE_VERSION } from "./puzzles.js";
+
+export const STARTER_PUZZLES = [
+  {
+    version: PUZZLE_VERSION,
+    name: "TKI",
+    description:
+      "Roof the slot with the L, flatten the right side, then spin the T in.",
+    rows: ["G...GGGGGG", "GG.GGGGGGG"],
+    pieces: "LIT",
+    hold: null,
+    goal: { type: GOALS.T_SPIN, lines: 2 },
+  },
+  {
+    version: PUZZLE_VERSION,
+    name: "PCO",
+    description:
+      "Finish the Perfect Clear Opener with the rest of the first bag. Order matters: use hold to save a piece for later.",
+    rows: ["I.........", "I.......SS", "IOO....SSL", "IOO....LLL"],
+    pieces: "JZTILO",
+    hold: null,
+    goal: { type: GOALS.PERFECT_CLEAR },
+  },
+  {
+    version: PUZZLE_VERSION,
+    name: "DT Cannon",
+    description:
+      "After the opening T-spin double, build the overhang with the L and fire the T-spin triple.",
+    rows: ["GG..GGGGGG", "G..GGGGGGG", "GG.GGGGGGG"],
+    pieces: "ZLT",
+    hold: null,
+    goal: { type: GOALS.T_SPIN, lines: 3 },
+  },
+];
@@ -0,0 +1,231 @@
+// --- Local Leaderboard ---
+// Top results are kept in localStorage, one table per mode and settings
+// profile, so a 7-bag run is never ranked against a pure-random one.
+
+import {
+  DEFAULT_HEIGHT,
+  DEFAULT_WIDTH,
+  END_REASONS,
+  HIDDEN_TOP_ROWS,
+  MODES,
+  PIECE_SETS,
+  RANDOMIZERS,
+  RANKED_MODES,
+  STANDARD_SET,
+  getPiecesPerSecond,
+} from "../engine/index.js";
+import { downloadJson, parseJsonFile } from "../files.js";
+
+const STORAGE_KEY = "tetris.leaderboard";
+const MAX_ENTRIES = 10; // Per table
+export const LEADERBOARD_VERSION = 1;
+
+/**
+ * Builds the profile id of the rule-affecting options of a game. Board size
+ * and piece set are only added when they differ from the standard game, so
+ * older records keep their profile.
+ * @param {object} options - Game options (randomizer, previewCount, width,
+ *   height, hiddenRows, pieceSet).
+ * @returns {string} The profile id, e.g. "bag/5" or
+ *   "bag/5/12x40+2/pentominoes".
+ */
+export const getProfileKey = ({
+  randomizer,
+  previewCount,
+  width = DEFAULT_WIDTH,
+  height = DEFAULT_HEIGHT,
+  hiddenRows = HIDDEN_TOP_ROWS,
+  pieceSet = STANDARD_SET,
+}) => {
+  const base = `${randomizer}/${previewCount}`;
+  // Custom sets are told apart by their piece ids
+  const set =
+    pieceSet.id === PIECE_SETS.CUSTOM
+      ? `${pieceSet.id}:${pieceSet.types}`
+      : pieceSet.id;
+  const isStandard =
+    width === DEFAULT_WIDTH &&
+    height === DEFAULT_HEIGHT &&
+    hiddenRows === HIDDEN_TOP_ROWS &&
+    set === PIECE_SETS.STANDARD;
+  return isStandard ? base : `${base}/${width}x${height}+${hiddenRows}/${set}`;
+};
+
+/**
+ * Builds the key of a leaderboard table.
+ * @param {string} mode - One of MODES.
+ * @param {string} profile - A profile id from `getProfileKey`.
+ * @returns {string} The table key.
+ */
+const getTableKey = (mode, profile) => `${mode}:${profile}`;
+
+/**
+ * Orders entries best first for a mode: fastest completed Sprint, most
+ * lines in Zen, otherwise highest score.
+ * @param {string} mode - One of MODES.
+ * @returns {function(object, object): number} A sort comparator.
+ */
+const compareEntries = (mode) => {
+  if (mode === MODES.SPRINT) return (a, b) => a.frames - b.frames;
+  if (mode === MODES.ZEN)
+    return (a, b) => b.lines - a.lines || b.score - a.score;
+  return (a, b) => b.score - a.score || a.frames - b.frames;
+};
+
+/**
+ * Checks whether a finished game can be ranked. Only ranked solo modes are,
+ * at full gravity with a built-in randomizer, and a Sprint only counts when
+ * all 40 lines were cleared.
+ * @param {object} game - The finished game state.
+ * @returns {boolean} True if the game belongs on the leaderboard.
+ */
+export const isRankable = (game) =>
+  RANKED_MODES.includes(game.mode) &&
+  (game.gravityScale ?? 1) === 1 &&
+  Object.values(RANDOMIZERS).includes(game.randomizer.kind) &&
+  (game.mode !== MODES.SPRINT || game.endReason === END_REASONS.GOAL);
+
+/**
+ * Creates a leaderboard entry from a finished game.
+ * @param {object} game - The finished game state.
+ * @param {object} options - The game options the game was played with.
+ * @param {string} name - The player's name.
+ * @returns {object} The entry.
+ */
+export const createEntry = (game, options, name) => ({
+  name,
+  mode: game.mode,
+  profile: getProfileKey(options),
+  score: game.score,
+  lines: game.lines,
+  level: game.level,
+  frames: game.frame,
+  pps: Number(getPiecesPerSecond(game).toFixed(2)),
+  date: new Date().toISOString(),
+});
+
+/**
+ * Loads every table.
+ * @returns {Object<string, Array<object>>} Entries by table key.
+ */
+export const loadLeaderboard = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Saves every table.
+ * @param {Object<string, Array<object>>} leaderboard - Entries by table key.
+ */
+const saveLeaderboard = (leaderboard) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(leaderboard));
+  } catch {
+    // Storage unavailable, records are kept for this session only
+  }
+};
+
+/**
+ * Returns the ranked entries of one table.
+ * @param {string} mode - One of MODES.
+ * @param {string} profile - A profile id.
+ * @param {Object<string, Array<object>>} [leaderboard] - Loaded tables.
+ * @returns {Array<object>} Entries, best first.
+ */
+export const getEntries = (mode, profile, leaderboard = loadLeaderboard()) =>
+  leaderboard[getTableKey(mode, profile)] ?? [];
+
+/**
+ * Lists the profiles that have records for a mode.
+ * @param {string} mode - One of MODES.
+ * @param {Object<string, Array<object>>} [leaderboard] - Loaded tables.
+ * @returns {Array<string>} Profile ids.
+ */
+export const getProfiles = (mode, leaderboard = loadLeaderboard()) =>
+  Object.keys(leaderboard)
+    .filter((key) => key.startsWith(`${mode}:`))
+    .map((key) => key.slice(mode.length + 1));
+
+/**
+ * Merges entries into their tables, keeping the best MAX_ENTRIES of each.
+ * @param {Object<string, Array<object>>} leaderboard - Loaded tables.
+ * @param {Array<object>} entries - Entries to add.
+ * @returns {Object<string, Array<object>>} The updated tables.
+ */
+const mergeEntries = (leaderboard, entries) => {
+  const merged = { ...leaderboard };
+  entries.forEach((entry) => {
+    const key = getTableKey(entry.mode, entry.profile);
+    const existing = merged[key] ?? [];
+    if (existing.some((e) => e.date === entry.date && e.name === entry.name)) {
+      return; // Already imported
+    }
+    merged[key] = [...existing, entry]
+      .sort(compareEntries(entry.mode))
+      .slice(0, MAX_ENTRIES);
+  });
+  return merged;
+};
+
+/**
+ * Records an entry.
+ * @param {object} entry - An entry from `createEntry`.
+ * @returns {{ rank: number|null, isPersonalBest: boolean }} The 1-based rank
+ *   of the entry (null if it did not make the table) and whether it is now
+ *   the best of its table.
+ */
+export const addEntry = (entry) => {
+  const leaderboard = loadLeaderboard();
+  const updated = mergeEntries(leaderboard, [entry]);
+  saveLeaderboard(updated);
+
+  const index = getEntries(entry.mode, entry.profile, updated).indexOf(entry);
+  return {
+    rank: index === -1 ? null : index + 1,
+    isPersonalBest: index === 0,
+  };
+};
+
+/**
+ * Deletes every record.
+ */
+export const clearLeaderboard = () => {
+  saveLeaderboard({});
+};
+
+/**
+ * Offers all records as a JSON file download.
+ */
+export const downloadLeaderboard = () => {
+  const data = {
+    version: LEADERBOARD_VERSION,
+    entries: Object.values(loadLeaderboard()).flat(),
+  };
+  downloadJson("tetris-records.json", data);
+};
+
+/**
+ * Imports records exported by `downloadLeaderboard`, merged with the
+ * existing ones.
+ * @param {string} text - The JSON text.
+ * @returns {number} The number of entries read from the file.
+ * @throws {Error} If the text is not a records file.
+ */
+export const importLeaderboard = (text) => {
+  const data = parseJsonFile(text);
+  if (data?.version !== LEADERBOARD_VERSION || !Array.isArray(data.entries)) {
+    throw new Error("The file is not a records export.");
+  }
+  const entries = data.entries.filter(
+    (entry) =>
+      RANKED_MODES.includes(entry?.mode) &&
+      typeof entry.profile === "string" &&
+      typeof entry.score === "number" &&
+      typeof entry.frames === "number"
+  );
+  saveLeaderboard(mergeEntries(loadLeaderboard(), entries));
+  return entries.length;
+};
@@ -0,0 +1,201 @@
+// --- Lifetime Profile ---
+// Totals over every finished game plus a summary row per recent game, kept
+// in localStorage and exportable as CSV for spreadsheets.
+
+import { FRAMES_PER_SECOND, getModeRules } from "../engine/index.js";
+import { downloadFile } from "../files.js";
+import { CLEAR_KINDS, CLEAR_LABELS, createClearCounts } from "../game/stats.js";
+
+const STORAGE_KEY = "tetris.profile";
+const MAX_GAMES = 500; // Older rows are dropped; the totals keep them
+export const PROFILE_VERSION = 1;
+
+/**
+ * Creates an empty profile.
+ * @returns {object} The profile (version, totals, games).
+ */
+const createProfile = () => ({
+  version: PROFILE_VERSION,
+  totals: {
+    games: 0,
+    frames: 0,
+    score: 0,
+    lines: 0,
+    pieces: 0,
+    keys: 0,
+    attack: 0,
+    finesseFaults: 0,
+    clears: createClearCounts(),
+    pieceCounts: {},
+  },
+  games: [], // Newest first
+});
+
+/**
+ * Builds the profile row of a finished game.
+ * @param {object} game - The finished game state.
+ * @param {object} stats - Its statistics from the session.
+ * @returns {object} The row.
+ */
+export const createGameRecord = (game, stats) => ({
+  date: new Date().toISOString(),
+  mode: game.mode,
+  frames: game.frame,
+  score: game.score,
+  lines: game.lines,
+  level: game.level,
+  pieces: game.pieces,
+  keys: stats.keys,
+  attack: game.attackSent,
+  finesseFaults: stats.finesseFaults,
+  clears: stats.clears,
+  pieceCounts: stats.pieceCounts,
+});
+
+/**
+ * Loads the profile.
+ * @returns {object} The saved profile, or an empty one.
+ */
+export const loadProfile = () => {
+  try {
+    const profile = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return profile?.version === PROFILE_VERSION ? profile : createProfile();
+  } catch {
+    return createProfile();
+  }
+};
+
+/**
+ * Saves the profile.
+ * @param {object} profile - The profile.
+ */
+const saveProfile = (profile) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+  } catch {
+    // Storage unavailable, the profile is kept for this session only
+  }
+};
+
+/**
+ * Adds counts by key.
+ * @param {Object<string, number>} a - First counts.
+ * @param {Object<string, number>} b - Counts to add.
+ * @returns {Object<string, number>} The sums.
+ */
+const addCounts = (a, b) => {
+  const sums = { ...a };
+  Object.entries(b).forEach(([key, count]) => {
+    sums[key] = (sums[key] ?? 0) + count;
+  });
+  return sums;
+};
+
+/**
+ * Adds a finished game to the profile.
+ * @param {object} record - A row from `createGameRecord`.
+ * @returns {object} The updated profile.
+ */
+export const addGameRecord = (record) => {
+  const { totals, games } = loadProfile();
+  const updated = {
+    version: PROFILE_VERSION,
+    totals: {
+      games: totals.games + 1,
+      frames: totals.frames + record.frames,
+      score: totals.score + record.score,
+      lines: totals.lines + record.lines,
+      pieces: totals.pieces + record.pieces,
+      keys: totals.keys + record.keys,
+      attack: totals.attack + record.attack,
+      finesseFaults: totals.finesseFaults + record.finesseFaults,
+      clears: addCounts(totals.clears, record.clears),
+      pieceCounts: addCounts(totals.pieceCounts, record.pieceCounts),
+    },
+    games: [record, ...games].slice(0, MAX_GAMES),
+  };
+  saveProfile(updated);
+  return updated;
+};
+
+/**
+ * Deletes the profile.
+ * @returns {object} The empty profile.
+ */
+export const clearProfile = () => {
+  const profile = createProfile();
+  saveProfile(profile);
+  return profile;
+};
+
+/**
+ * Returns the rates of a game row or of the totals.
+ * @param {object} row - A game row or the profile totals.
+ * @returns {{ pps: number, apm: number, kpp: number }} Pieces per second,
+ *   attack per minute and keys per piece.
+ */
+export const getRates = (row) => {
+  const seconds = row.frames / FRAMES_PER_SECOND;
+  return {
+    pps: seconds > 0 ? row.pieces / seconds : 0,
+    apm: seconds > 0 ? (row.attack * 60) / seconds : 0,
+    kpp: row.pieces > 0 ? row.keys / row.pieces : 0,
+  };
+};
+
+const CLEAR_COLUMNS = Object.values(CLEAR_KINDS);
+
+/**
+ * Builds a CSV line of a game row or of the totals.
+ * @param {string} date - The first column.
+ * @param {string} mode - The second column.
+ * @param {object} row - A game row or the profile totals.
+ * @returns {string} The line.
+ */
+const toCsvLine = (date, mode, row) => {
+  const { pps, apm, kpp } = getRates(row);
+  return [
+    date,
+    mode,
+    (row.frames / FRAMES_PER_SECOND).toFixed(2),
+    row.score,
+    row.lines,
+    row.level ?? "",
+    row.pieces,
+    pps.toFixed(2),
+    apm.toFixed(1),
+    kpp.toFixed(2),
+    row.finesseFaults,
+    ...CLEAR_COLUMNS.map((kind) => row.clears[kind] ?? 0),
+  ].join(",");
+};
+
+/**
+ * Offers the profile as a CSV file download: one line per saved game,
+ * newest first, and a last line with the lifetime totals.
+ * @param {object} [profile] - The profile, loaded if not given.
+ */
+export const downloadProfileCsv = (profile = loadProfile()) => {
+  const header = [
+    "Date",
+    "Mode",
+    "Seconds",
+    "Score",
+    "Lines",
+    "Level",
+    "Pieces",
+    "PPS",
+    "APM",
+    "KPP",
+    "Finesse Faults",
+    ...CLEAR_COLUMNS.map((kind) => CLEAR_LABELS[kind]),
+  ].join(",");
+  const lines = [
+    header,
+    ...profile.games.map((row) =>
+      toCsvLine(row.date, getModeRules(row.mode).label, row)
+    ),
+    toCsvLine("Total", `${profile.totals.games} games`, profile.totals),
+  ];
+  downloadFile("tetris-profile.csv", lines.join("\n"), "text/csv");
+};
@@ -0,0 +1,432 @@
+// --- Canvas Renderer ---
+// Draws the board and piece previews on a <canvas>. The drawing functions
+// know nothing about React; components call them from a
+// requestAnimationFrame loop so effects animate at the display refresh rate.
+
+import {
+  EMPTY_CELL,
+  getGhostPiece,
+  getPieceCells,
+  getPieceShape,
+} from "../engine/index.js";
+import {
+  OVERLAYS,
+  PATTERNS,
+  TEXTURES,
+  THEMES,
+  getMarkColor,
+  getPiecePattern,
+  getThemeHex,
+  resolveTheme,
+} from "./themes.js";
+
+const HINT = "#f8fafc"; // Tailwind slate-50
+const FLASH = "#ffffff";
+const GHOST_ALPHA = 0.3;
+const MIN_OVERLAY_SIZE = 10; // Smaller blocks are drawn without overlays
+const DEFAULT_THEME = resolveTheme(THEMES.CLASSIC, [], OVERLAYS.NONE);
+
+// How long each effect lasts, in ms
+export const EFFECT_DURATIONS = {
+  clear: 300, // Cleared rows flash and shrink
+  lock: 150, // A locked piece flashes white
+  trail: 200, // A hard dropped piece leaves a fading trail
+};
+
+/**
+ * Sizes a canvas for a CSS size, scaled by the device pixel ratio so edges
+ * stay crisp on high-density screens.
+ * @param {HTMLCanvasElement} canvas - The canvas.
+ * @param {number} width - Width in CSS pixels.
+ * @param {number} height - Height in CSS pixels.
+ * @returns {CanvasRenderingContext2D} The context, scaled to CSS pixels.
+ */
+export const fitCanvas = (canvas, width, height) => {
+  const ratio = window.devicePixelRatio || 1;
+  const pixelWidth = Math.round(width * ratio);
+  const pixelHeight = Math.round(height * ratio);
+  if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+    canvas.width = pixelWidth; // Resizing also clears the canvas
+    canvas.height = pixelHeight;
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+  }
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  return ctx;
+};
+
+/**
+ * Draws one cell in a texture.
+ * @param {CanvasRenderingContext2D} ctx - The context.
+ * @param {number} x - Column.
+ * @param {number} y - Row.
+ * @param {number} size - Cell size in CSS pixels.
+ * @param {string} color - Fill color.
+ * @param {number} [alpha] - Opacity.
+ * @param {string} [texture] - One of TEXTURES.
+ */
+const drawCell = (
+  ctx,
+  x,
+  y,
+  size,
+  color,
+  alpha = 1,
+  texture = TEXTURES.BEVELED
+) => {
+  const left = x * size + 1;
+  const top = y * size + 1;
+  const inner = size - 2;
+  const edge = Math.max(1, Math.round(size / 8));
+  if (texture === TEXTURES.OUTLINE) {
+    ctx.globalAlpha = alpha * 0.15;
+    ctx.fillStyle = color;
+    ctx.fillRect(left, top, inner, inner);
+    ctx.globalAlpha = alpha;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(left + 1, top + 1, inner - 2, inner - 2);
+    ctx.globalAlpha = 1;
+    return;
+  }
+  ctx.globalAlpha = alpha;
+  ctx.fillStyle = color;
+  ctx.fillRect(left, top, inner, inner);
+  if (texture === TEXTURES.BEVELED) {
+    ctx.fillStyle = "rgba(255, 255, 255, 0.25)";
+    ctx.fillRect(left, top, inner, edge);
+    ctx.fillStyle = "rgba(0, 0, 0, 0.25)";
+    ctx.fillRect(left, top + inner - edge, inner, edge);
+  } else if (texture === TEXTURES.PIXEL) {
+    ctx.fillStyle = "rgba(0, 0, 0, 0.35)";
+    ctx.fillRect(left + inner - edge, top, edge, inner);
+    ctx.fillRect(left, top + inner - edge, inner, edge);
+    ctx.fillStyle = "rgba(255, 255, 255, 0.45)";
+    ctx.fillRect(left, top, inner - edge, edge);
+    ctx.fillRect(left, top, edge, inner - edge);
+  }
+  ctx.globalAlpha = 1;
+};
+
+/**
+ * Draws the overlay of the theme on a block: the piece id or its pattern.
+ * @param {CanvasRenderingContext2D} ctx - The context.
+ * @param {number} x - Column.
+ * @param {number} y - Row.
+ * @param {number} size - Cell size in CSS pixels.
+ * @param {object} theme - A resolved theme.
+ * @param {object|undefined} pieceSet - The piece set of the game.
+ * @param {string} type - The piece id of the block.
+ */
+const drawOverlay = (ctx, x, y, size, theme, pieceSet, type) => {
+  if (theme.overlay === OVERLAYS.NONE || size < MIN_OVERLAY_SIZE) return;
+  const left = x * size;
+  const top = y * size;
+  const centerX = left + size / 2;
+  const centerY = top + size / 2;
+  const mark = getMarkColor(theme, getThemeHex(theme, pieceSet, type));
+  ctx.fillStyle = mark;
+  ctx.strokeStyle = mark;
+
+  if (theme.overlay === OVERLAYS.LETTERS) {
+    ctx.font = `bold ${Math.round(size * 0.6)}px sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(type, centerX, centerY + 1);
+    return;
+  }
+
+  const bar = size * 0.2;
+  ctx.lineWidth = bar;
+  const pattern = getPiecePattern(pieceSet, type);
+  switch (pattern) {
+    case PATTERNS.HORIZONTAL:
+      ctx.fillRect(left + 2, centerY - bar / 2, size - 4, bar);
+      break;
+    case PATTERNS.VERTICAL:
+      ctx.fillRect(centerX - bar / 2, top + 2, bar, size - 4);
+      break;
+    case PATTERNS.RISING:
+    case PATTERNS.FALLING: {
+      const isRising = pattern === PATTERNS.RISING;
+      ctx.beginPath();
+      ctx.moveTo(left + 3, isRising ? top + size - 3 : top + 3);
+      ctx.lineTo(left + size - 3, isRising ? top + 3 : top + size - 3);
+      ctx.stroke();
+      break;
+    }
+    case PATTERNS.DOT:
+      ctx.beginPath();
+      ctx.arc(centerX, centerY, size * 0.15, 0, Math.PI * 2);
+      ctx.fill();
+      break;
+    case PATTERNS.RING:
+      ctx.lineWidth = size * 0.12;
+      ctx.beginPath();
+      ctx.arc(centerX, centerY, size * 0.25, 0, Math.PI * 2);
+      ctx.stroke();
+      break;
+    case PATTERNS.CROSS:
+      ctx.fillRect(left + 2, centerY - bar / 2, size - 4, bar);
+      ctx.fillRect(centerX - bar / 2, top + 2, bar, size - 4);
+      break;
+    case PATTERNS.SQUARE:
+      ctx.fillRect(
+        centerX - size * 0.2,
+        centerY - size * 0.2,
+        size * 0.4,
+        size * 0.4
+      );
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Draws a block of a piece or of the stack in the theme.
+ * @param {CanvasRenderingContext2D} ctx - The context.
+ * @param {number} x - Column.
+ * @param {number} y - Row.
+ * @param {number} size - Cell size in CSS pixels.
+ * @param {object} theme - A resolved theme.
+ * @param {object|undefined} pieceSet - The piece set of the game.
+ * @param {string} type - The piece id or cell value.
+ */
+const drawBlock = (ctx, x, y, size, theme, pieceSet, type) => {
+  drawCell(
+    ctx,
+    x,
+    y,
+    size,
+    getThemeHex(theme, pieceSet, type),
+    1,
+    theme.texture
+  );
+  drawOverlay(ctx, x, y, size, theme, pieceSet, type);
+};
+
+/**
+ * Creates the effect tracker of one canvas. It remembers the last lock it
+ * saw so each lock starts its effects once.
+ * @returns {{ lastLock: object|null, active: Array<object> }} The tracker.
+ */
+export const createEffects = () => ({ lastLock: null, active: [] });
+
+/**
+ * Starts the effects of a new lock and drops the finished ones. The tracker
+ * is updated in place; it belongs to a single canvas.
+ * @param {object} effects - A tracker from `createEffects`.
+ * @param {object} game - The engine state being drawn.
+ * @param {number} now - The current time in ms.
+ * @returns {boolean} True if any effect is still running.
+ */
+export const updateEffects = (effects, game, now) => {
+  const { lastLock } = game;
+  if (lastLock !== effects.lastLock) {
+    effects.lastLock = lastLock;
+    if (lastLock) {
+      const { type, cells, clearedRows, dropped } = lastLock;
+      if (dropped > 0) {
+        effects.active.push({
+          kind: "trail",
+          start: now,
+          cells,
+          dropped,
+          type,
+        });
+      }
+      // Follow the locked cells down past the cleared rows
+      const remaining = cells
+        .filter(({ y }) => !clearedRows.includes(y))
+        .map(({ x, y }) => ({
+          x,
+          y: y + clearedRows.filter((row) => row > y).length,
+        }));
+      effects.active.push({ kind: "lock", start: now, cells: remaining });
+      if (clearedRows.length > 0) {
+        effects.active.push({ kind: "clear", start: now, rows: clearedRows });
+      }
+    }
+  }
+  effects.active = effects.active.filter(
+    (effect) => now - effect.start < EFFECT_DURATIONS[effect.kind]
+  );
+  return effects.active.length > 0;
+};
+
+/**
+ * Draws the running effects.
+ * @param {CanvasRenderingContext2D} ctx - The context.
+ * @param {object} game - The engine state being drawn.
+ * @param {Array<object>} active - Effects from the tracker.
+ * @param {number} cellSize - Cell size in CSS pixels.
+ * @param {number} now - The current time in ms.
+ * @param {object} theme - A resolved theme.
+ */
+const drawEffects = (ctx, game, active, cellSize, now, theme) => {
+  const width = game.width * cellSize;
+  active.forEach((effect) => {
+    const progress = (now - effect.start) / EFFECT_DURATIONS[effect.kind];
+    const fade = 1 - progress;
+
+    if (effect.kind === "trail") {
+      // A gradient above each column of the piece, from where it fell
+      const tops = new Map();
+      effect.cells.forEach(({ x, y }) => {
+        tops.set(x, Math.min(y, tops.get(x) ?? Infinity));
+      });
+      tops.forEach((y, x) => {
+        const bottom = (y - game.hiddenRows) * cellSize;
+        const top = bottom - effect.dropped * cellSize;
+        const gradient = ctx.createLinearGradient(0, top, 0, bottom);
+        gradient.addColorStop(0, "rgba(255, 255, 255, 0)");
+        gradient.addColorStop(
+          1,
+          getThemeHex(theme, game.pieceSet, effect.type)
+        );
+        ctx.globalAlpha = 0.5 * fade;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(x * cellSize + 2, top, cellSize - 4, bottom - top);
+      });
+    } else if (effect.kind === "lock") {
+      effect.cells.forEach(({ x, y }) => {
+        drawCell(ctx, x, y - game.hiddenRows, cellSize, FLASH, 0.6 * fade);
+      });
+    } else if (effect.kind === "clear") {
+      // A white band per row that shrinks towards the middle
+      const bandWidth = width * fade;
+      effect.rows.forEach((row) => {
+        ctx.globalAlpha = fade;
+        ctx.fillStyle = FLASH;
+        ctx.fillRect(
+          (width - bandWidth) / 2,
+          (row - game.hiddenRows) * cellSize,
+          bandWidth,
+          cellSize
+        );
+      });
+    }
+  });
+  ctx.globalAlpha = 1;
+};
+
+/**
+ * Draws the visible part of the board with the active piece, its ghost and
+ * the running effects.
+ * @param {CanvasRenderingContext2D} ctx - A context from `fitCanvas`.
+ * @param {object} game - The engine state to draw.
+ * @param {object} options
+ * @param {number} options.cellSize - Cell size in CSS pixels.
+ * @param {boolean} [options.hidePiece] - Hide the active piece.
+ * @param {Array<{ x: number, y: number }>} [options.hint] - Board cells to
+ *   outline as the suggested placement.
+ * @param {object} [options.effects] - A tracker from `createEffects`.
+ * @param {number} [options.now] - The current time in ms.
+ * @param {object} [options.theme] - A resolved theme, see themes.js.
+ */
+export const drawBoard = (
+  ctx,
+  game,
+  {
+    cellSize,
+    hidePiece = false,
+    hint = null,
+    effects = null,
+    now = 0,
+    theme = DEFAULT_THEME,
+  }
+) => {
+  const { board, current, hiddenRows, pieceSet } = game;
+  const width = game.width * cellSize;
+  const height = game.height * cellSize;
+
+  ctx.fillStyle = theme.background;
+  ctx.fillRect(0, 0, width, height);
+  ctx.strokeStyle = theme.grid;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let x = 1; x < game.width; x++) {
+    ctx.moveTo(x * cellSize + 0.5, 0);
+    ctx.lineTo(x * cellSize + 0.5, height);
+  }
+  for (let y = 1; y < game.height; y++) {
+    ctx.moveTo(0, y * cellSize + 0.5);
+    ctx.lineTo(width, y * cellSize + 0.5);
+  }
+  ctx.stroke();
+
+  board.slice(hiddenRows).forEach((row, y) => {
+    row.forEach((cell, x) => {
+      if (cell !== EMPTY_CELL) {
+        drawBlock(ctx, x, y, cellSize, theme, pieceSet, cell);
+      }
+    });
+  });
+
+  if (hint && !game.gameOver && !hidePiece) {
+    ctx.strokeStyle = HINT;
+    ctx.lineWidth = 2;
+    hint.forEach(({ x, y }) => {
+      ctx.strokeRect(
+        x * cellSize + 2,
+        (y - hiddenRows) * cellSize + 2,
+        cellSize - 4,
+        cellSize - 4
+      );
+    });
+  }
+
+  if (current && !game.gameOver && !hidePiece) {
+    const color = getThemeHex(theme, pieceSet, current.type);
+    getPieceCells(getGhostPiece(current, board)).forEach(({ x, y }) => {
+      drawCell(
+        ctx,
+        x,
+        y - hiddenRows,
+        cellSize,
+        color,
+        GHOST_ALPHA,
+        theme.texture
+      );
+    });
+    getPieceCells(current).forEach(({ x, y }) => {
+      drawBlock(
+        ctx,
+        x,
+        y - hiddenRows,
+        cellSize,
+        theme,
+        pieceSet,
+        current.type
+      );
+    });
+  }
+
+  if (effects) drawEffects(ctx, game, effects.active, cellSize, now, theme);
+};
+
+/**
+ * Draws a piece in its spawn orientation, e.g. for the hold box.
+ * @param {CanvasRenderingContext2D} ctx - A context from `fitCanvas`.
+ * @param {string} type - The piece id.
+ * @param {number} cellSize - Cell size in CSS pixels.
+ * @param {object} [pieceSet] - The piece set of the game.
+ * @param {object} [theme] - A resolved theme, see themes.js.
+ */
+export const drawPreview = (
+  ctx,
+  type,
+  cellSize,
+  pieceSet,
+  theme = DEFAULT_THEME
+) => {
+  const shape = getPieceShape(pieceSet, type);
+  ctx.clearRect(0, 0, shape[0].length * cellSize, shape.length * cellSize);
+  shape.forEach((row, y) => {
+    row.forEach((value, x) => {
+      if (value !== 0) drawBlock(ctx, x, y, cellSize, theme, pieceSet, type);
+    });
+  });
+};
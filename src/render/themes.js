@@ -0,0 +1,353 @@
+// --- Themes ---
+// A theme is plain data: the board background and grid lines, a color per
+// piece and a block texture. Both renderers draw from it, so a theme looks
+// the same on the canvas and in the DOM. Players can import their own
+// themes as JSON skin files. Overlays (letters or patterns on each block)
+// are a separate setting, so colors are never the only way to tell two
+// pieces apart.
+
+import {
+  EMPTY_CELL,
+  GARBAGE_CELL,
+  PIECE_SETS,
+  PIECE_TYPES,
+  TETROMINOS,
+  getPieceHex,
+} from "../engine/index.js";
+import { downloadJson, parseJsonFile } from "../files.js";
+
+export const TEXTURES = {
+  FLAT: "flat",
+  BEVELED: "beveled", // Light top edge, dark bottom edge
+  PIXEL: "pixel", // Retro blocks with a corner highlight
+  OUTLINE: "outline", // Only the block's border
+};
+
+export const TEXTURE_LABELS = {
+  [TEXTURES.FLAT]: "Flat",
+  [TEXTURES.BEVELED]: "Beveled",
+  [TEXTURES.PIXEL]: "Pixel",
+  [TEXTURES.OUTLINE]: "Outline",
+};
+
+export const OVERLAYS = {
+  NONE: "none",
+  LETTERS: "letters", // The piece id on every block
+  PATTERNS: "patterns", // A different mark per piece
+};
+
+export const OVERLAY_LABELS = {
+  [OVERLAYS.NONE]: "None",
+  [OVERLAYS.LETTERS]: "Letters",
+  [OVERLAYS.PATTERNS]: "Patterns",
+};
+
+export const PATTERNS = {
+  HORIZONTAL: "horizontal",
+  VERTICAL: "vertical",
+  RISING: "rising", // Diagonal from bottom left to top right
+  FALLING: "falling", // Diagonal from top left to bottom right
+  DOT: "dot",
+  RING: "ring",
+  CROSS: "cross",
+  SQUARE: "square",
+};
+
+// S and Z get mirrored diagonals, like their shapes
+const PIECE_PATTERNS = {
+  I: PATTERNS.HORIZONTAL,
+  J: PATTERNS.DOT,
+  L: PATTERNS.RING,
+  O: PATTERNS.SQUARE,
+  S: PATTERNS.RISING,
+  T: PATTERNS.CROSS,
+  Z: PATTERNS.FALLING,
+};
+
+export const THEMES = {
+  CLASSIC: "classic",
+  COLORBLIND: "colorblind",
+  HIGH_CONTRAST: "highContrast",
+  RETRO: "retro",
+  NEON: "neon",
+};
+
+/** @type {Object<string, object>} */
+export const BUILT_IN_THEMES = {
+  [THEMES.CLASSIC]: {
+    id: THEMES.CLASSIC,
+    name: "Classic",
+    background: "#0f172a",
+    grid: "#1e293b",
+    garbage: TETROMINOS[GARBAGE_CELL].hex,
+    texture: TEXTURES.BEVELED,
+    pieces: Object.fromEntries(
+      [...PIECE_TYPES].map((type) => [type, TETROMINOS[type].hex])
+    ),
+  },
+  // Okabe-Ito colors, told apart with every common color vision deficiency
+  [THEMES.COLORBLIND]: {
+    id: THEMES.COLORBLIND,
+    name: "Colorblind Safe",
+    background: "#111827",
+    grid: "#374151",
+    garbage: "#999999",
+    texture: TEXTURES.BEVELED,
+    pieces: {
+      I: "#56b4e9",
+      J: "#0072b2",
+      L: "#e69f00",
+      O: "#f0e442",
+      S: "#009e73",
+      T: "#cc79a7",
+      Z: "#d55e00",
+    },
+  },
+  [THEMES.HIGH_CONTRAST]: {
+    id: THEMES.HIGH_CONTRAST,
+    name: "High Contrast",
+    background: "#000000",
+    grid: "#6b7280",
+    garbage: "#d4d4d4",
+    texture: TEXTURES.FLAT,
+    pieces: {
+      I: "#00e5ff",
+      J: "#2979ff",
+      L: "#ff9100",
+      O: "#ffea00",
+      S: "#00e676",
+      T: "#e040fb",
+      Z: "#ff1744",
+    },
+  },
+  [THEMES.RETRO]: {
+    id: THEMES.RETRO,
+    name: "Retro",
+    background: "#000000",
+    grid: "#111111",
+    garbage: "#7c7c7c",
+    texture: TEXTURES.PIXEL,
+    pieces: {
+      I: "#3cbcfc",
+      J: "#0058f8",
+      L: "#f87858",
+      O: "#f8b800",
+      S: "#58d854",
+      T: "#d800cc",
+      Z: "#e40058",
+    },
+  },
+  [THEMES.NEON]: {
+    id: THEMES.NEON,
+    name: "Neon",
+    background: "#050510",
+    grid: "#1a1a2e",
+    garbage: "#64748b",
+    texture: TEXTURES.OUTLINE,
+    pieces: {
+      I: "#22d3ee",
+      J: "#818cf8",
+      L: "#fb923c",
+      O: "#facc15",
+      S: "#4ade80",
+      T: "#e879f9",
+      Z: "#f43f5e",
+    },
+  },
+};
+
+export const SKIN_VERSION = 1;
+const SKIN_ID_PREFIX = "skin:";
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Piece sets drawn in the theme's colors; other sets keep their own
+const THEMED_SETS = [PIECE_SETS.STANDARD, PIECE_SETS.BIG];
+
+/**
+ * Resolves the theme and overlay chosen in the settings.
+ * @param {string} id - A THEMES value or the id of an imported skin.
+ * @param {Array<object>} skins - The imported skins.
+ * @param {string} overlay - One of OVERLAYS.
+ * @returns {object} The theme with its `overlay`; unknown ids fall back to
+ *   the classic theme.
+ */
+export const resolveTheme = (id, skins, overlay) => ({
+  ...(BUILT_IN_THEMES[id] ??
+    skins.find((skin) => skin.id === id) ??
+    BUILT_IN_THEMES[THEMES.CLASSIC]),
+  overlay,
+});
+
+/**
+ * Looks up the color of a board cell or piece in a theme.
+ * @param {object} theme - A resolved theme.
+ * @param {object|undefined} pieceSet - The piece set of the game.
+ * @param {string} type - A piece id or cell value.
+ * @returns {string} The hex color.
+ */
+export const getThemeHex = (theme, pieceSet, type) => {
+  if (type === EMPTY_CELL) return theme.background;
+  if (type === GARBAGE_CELL) return theme.garbage;
+  const isThemed = THEMED_SETS.includes(pieceSet?.id ?? PIECE_SETS.STANDARD);
+  return (isThemed && theme.pieces[type]) || getPieceHex(pieceSet, type);
+};
+
+/**
+ * Picks the overlay pattern of a piece. Pieces outside the standard set
+ * take the patterns in turn by their place in the set.
+ * @param {object|undefined} pieceSet - The piece set of the game.
+ * @param {string} type - The piece id.
+ * @returns {string|null} One of PATTERNS, or null for garbage.
+ */
+export const getPiecePattern = (pieceSet, type) => {
+  if (type === GARBAGE_CELL) return null;
+  if ((pieceSet?.id ?? PIECE_SETS.STANDARD) === PIECE_SETS.STANDARD) {
+    return PIECE_PATTERNS[type] ?? null;
+  }
+  const index = (pieceSet.types ?? PIECE_TYPES).indexOf(type);
+  const patterns = Object.values(PATTERNS);
+  return index === -1 ? null : patterns[index % patterns.length];
+};
+
+const MARK = "rgba(0, 0, 0, 0.45)";
+
+/**
+ * Picks the color of the letters and patterns on a block.
+ * @param {object} theme - A resolved theme.
+ * @param {string} color - The block color.
+ * @returns {string} A CSS color; outlined blocks are dark inside, so their
+ *   marks take the block color.
+ */
+export const getMarkColor = (theme, color) =>
+  theme.texture === TEXTURES.OUTLINE ? color : MARK;
+
+/**
+ * Builds a centered bar as a CSS gradient.
+ * @param {string} direction - The gradient direction, e.g. "90deg".
+ * @param {string} mark - The bar color.
+ * @returns {string} The CSS background layer.
+ */
+const getBar = (direction, mark) =>
+  `linear-gradient(${direction}, transparent 40%, ${mark} 40% 60%, transparent 60%)`;
+
+// CSS backgrounds of the patterns for the DOM renderer, by mark color. The
+// bar of a gradient runs across its direction.
+const PATTERN_BACKGROUNDS = {
+  [PATTERNS.HORIZONTAL]: (mark) => getBar("180deg", mark),
+  [PATTERNS.VERTICAL]: (mark) => getBar("90deg", mark),
+  [PATTERNS.RISING]: (mark) => getBar("-45deg", mark),
+  [PATTERNS.FALLING]: (mark) => getBar("45deg", mark),
+  [PATTERNS.DOT]: (mark) =>
+    `radial-gradient(circle, ${mark} 22%, transparent 24%)`,
+  [PATTERNS.RING]: (mark) =>
+    `radial-gradient(circle, transparent 20%, ${mark} 22% 36%, transparent 38%)`,
+  [PATTERNS.CROSS]: (mark) =>
+    `${getBar("180deg", mark)}, ${getBar("90deg", mark)}`,
+  [PATTERNS.SQUARE]: (mark) =>
+    `linear-gradient(${mark}, ${mark}) center / 40% 40% no-repeat`,
+};
+
+/**
+ * Builds the inline style of a filled block for the DOM renderer.
+ * @param {object} theme - A resolved theme.
+ * @param {string} color - The block color.
+ * @param {string|null} [pattern] - One of PATTERNS to draw on the block.
+ * @returns {object} React style properties.
+ */
+export const getBlockStyle = (theme, color, pattern = null) => {
+  const background = pattern
+    ? PATTERN_BACKGROUNDS[pattern](getMarkColor(theme, color))
+    : null;
+  switch (theme.texture) {
+    case TEXTURES.FLAT:
+      return { background: background ? `${background}, ${color}` : color };
+    case TEXTURES.PIXEL:
+      return {
+        background: background ? `${background}, ${color}` : color,
+        boxShadow:
+          "inset 3px 3px 0 rgba(255, 255, 255, 0.45), inset -3px -3px 0 rgba(0, 0, 0, 0.35)",
+      };
+    case TEXTURES.OUTLINE:
+      return {
+        background: background
+          ? `${background}, ${color}26` // Hex alpha, about 15%
+          : `${color}26`,
+        boxShadow: `inset 0 0 0 2px ${color}`,
+      };
+    default:
+      return {
+        background: background ? `${background}, ${color}` : color,
+        boxShadow:
+          "inset 0 3px 0 rgba(255, 255, 255, 0.25), inset 0 -3px 0 rgba(0, 0, 0, 0.25)",
+      };
+  }
+};
+
+/**
+ * Reads a skin file: a theme as JSON, e.g. one saved by `downloadSkin`.
+ * Colors left out are taken from the classic theme.
+ * @param {string} text - The JSON text.
+ * @returns {object} The skin, ready to be stored with the settings.
+ * @throws {Error} If the text is not a usable skin.
+ */
+export const parseSkin = (text) => {
+  const data = parseJsonFile(text);
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("The file is not a skin.");
+  }
+  if ((data.version ?? SKIN_VERSION) > SKIN_VERSION) {
+    throw new Error(`Unsupported skin version ${data.version}.`);
+  }
+  if (typeof data.name !== "string" || data.name.trim() === "") {
+    throw new Error("The skin needs a name.");
+  }
+  const classic = BUILT_IN_THEMES[THEMES.CLASSIC];
+  const colors = {
+    background: data.background ?? classic.background,
+    grid: data.grid ?? classic.grid,
+    garbage: data.garbage ?? classic.garbage,
+  };
+  const pieces = { ...classic.pieces, ...data.pieces };
+  Object.entries({ ...colors, ...pieces }).forEach(([key, color]) => {
+    if (typeof color !== "string" || !HEX_COLOR.test(color)) {
+      throw new Error(`${key}: the color must look like #a855f7.`);
+    }
+  });
+  const texture = data.texture ?? classic.texture;
+  if (!Object.values(TEXTURES).includes(texture)) {
+    throw new Error(
+      `The texture must be one of ${Object.values(TEXTURES).join(", ")}.`
+    );
+  }
+  const name = data.name.trim().slice(0, 40);
+  return {
+    id: `${SKIN_ID_PREFIX}${name.toLowerCase()}`,
+    name,
+    ...colors,
+    texture,
+    pieces,
+  };
+};
+
+/**
+ * Offers a theme as a skin file download, e.g. to share it or as a
+ * starting point for a new skin.
+ * @param {object} theme - The theme.
+ */
+export const downloadSkin = (theme) => {
+  const { name, background, grid, garbage, texture, pieces } = theme;
+  const skin = {
+    version: SKIN_VERSION,
+    name,
+    background,
+    grid,
+    garbage,
+    texture,
+    pieces,
+  };
+  downloadJson(
+    `tetris-skin-${name.toLowerCase().replace(/\W+/g, "-")}.json`,
+    skin,
+    2
+  );
+};
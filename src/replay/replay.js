@@ -0,0 +1,254 @@
+// --- Replays ---
+// A replay is the seed and options of a game plus every input with the
+// frame it was applied on. The engine is deterministic, so playing the
+// inputs back on a fresh game reproduces it exactly.
+
+import { ACTIONS, createGame, step } from "../engine/index.js";
+import { downloadJson, parseJsonFile } from "../files.js";
+
+export const REPLAY_VERSION = 1;
+
+const STORAGE_KEY = "tetris.replays";
+const MAX_SAVED_REPLAYS = 10;
+const CHECKPOINT_FRAMES = 600; // Cached states for fast seeking
+
+/**
+ * Encodes inputs compactly as [frame, type] or [frame, type, 1], where the
+ * trailing 1 marks a move to the wall or a soft drop to the floor. Garbage
+ * is [frame, type, lines].
+ * @param {Array<[number, object]>} inputs - Recorded [frame, action] pairs.
+ * @returns {Array<Array>} The encoded inputs.
+ */
+export const encodeInputs = (inputs) =>
+  inputs.map(([frame, action]) => {
+    if (action.type === ACTIONS.GARBAGE) {
+      return [frame, action.type, action.lines];
+    }
+    return (action.type === ACTIONS.SOFT_DROP ? action.toFloor : action.toWall)
+      ? [frame, action.type, 1]
+      : [frame, action.type];
+  });
+
+/**
+ * Decodes inputs written by `encodeInputs`.
+ * @param {Array<Array>} encoded - The encoded inputs.
+ * @returns {Array<[number, object]>} [frame, action] pairs.
+ */
+export const decodeInputs = (encoded) =>
+  encoded.map(([frame, type, flag]) => {
+    if (type === ACTIONS.GARBAGE) return [frame, { type, lines: flag }];
+    if (!flag) return [frame, { type }];
+    return [
+      frame,
+      type === ACTIONS.SOFT_DROP
+        ? { type, toFloor: true }
+        : { type, toWall: true },
+    ];
+  });
+
+/**
+ * Builds a replay from a finished (or running) session.
+ * @param {object} session - The game session.
+ * @param {object} [handling] - The player's handling settings, kept for
+ *   reference; playback does not need them.
+ * @returns {object} The replay.
+ */
+export const createReplay = (session, handling = {}) => {
+  const state = session.getState();
+  const { seed, ...options } = session.options;
+  return {
+    version: REPLAY_VERSION,
+    date: new Date().toISOString(),
+    seed,
+    options,
+    handling,
+    inputs: encodeInputs(session.getInputs()),
+    frames: state.frame,
+    score: state.score,
+    lines: state.lines,
+    level: state.level,
+  };
+};
+
+const ACTION_TYPES = Object.values(ACTIONS);
+
+/**
+ * Checks one encoded input: a frame, a known action and a flag that fits it.
+ * @param {*} input - An entry of a replay's `inputs`.
+ * @returns {boolean} True if it can be decoded and played.
+ */
+const isValidInput = (input) => {
+  if (!Array.isArray(input) || input.length < 2 || input.length > 3) {
+    return false;
+  }
+  const [frame, type, flag] = input;
+  if (!Number.isInteger(frame) || frame < 0 || !ACTION_TYPES.includes(type)) {
+    return false;
+  }
+  return type === ACTIONS.GARBAGE
+    ? Number.isInteger(flag) && flag > 0
+    : flag === undefined || flag === 1;
+};
+
+/**
+ * Checks that a replay's options start a game.
+ * @param {*} options - The replay's `options`.
+ * @param {number} seed - The replay's seed.
+ * @returns {boolean} True if `createGame` accepts them.
+ */
+const isValidOptions = (options, seed) => {
+  if (!options || typeof options !== "object" || Array.isArray(options)) {
+    return false;
+  }
+  try {
+    createGame({ ...options, seed });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Parses and validates a replay from JSON.
+ * @param {string} text - The JSON text.
+ * @returns {object} The replay.
+ * @throws {Error} If the text is not a replay this version can play.
+ */
+export const parseReplay = (text) => {
+  const replay = parseJsonFile(text);
+  if (
+    !replay ||
+    typeof replay.seed !== "number" ||
+    !Array.isArray(replay.inputs) ||
+    typeof replay.frames !== "number"
+  ) {
+    throw new Error("The file is not a replay.");
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${replay.version}.`);
+  }
+  if (
+    !replay.inputs.every(isValidInput) ||
+    !isValidOptions(replay.options, replay.seed)
+  ) {
+    throw new Error("The file is not a replay.");
+  }
+  return replay;
+};
+
+/**
+ * Offers a replay as a JSON file download.
+ * @param {object} replay - The replay to export.
+ */
+export const downloadReplay = (replay) => {
+  downloadJson(
+    `tetris-replay-${replay.date.replace(/[:.]/g, "-")}.json`,
+    replay
+  );
+};
+
+/**
+ * Loads the most recent saved replays, newest first.
+ * @returns {Array<object>} The saved replays.
+ */
+export const loadReplays = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Saves a replay, keeping only the most recent ones.
+ * @param {object} replay - The replay to save.
+ * @returns {Array<object>} The saved replays after the change.
+ */
+export const saveReplay = (replay) => {
+  const replays = [replay, ...loadReplays()].slice(0, MAX_SAVED_REPLAYS);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(replays));
+  } catch {
+    // Storage unavailable or full, keep the replay for this session only
+  }
+  return replays;
+};
+
+/**
+ * Deletes a saved replay.
+ * @param {string} date - The `date` of the replay to delete.
+ * @returns {Array<object>} The saved replays after the change.
+ */
+export const deleteReplay = (date) => {
+  const replays = loadReplays().filter((replay) => replay.date !== date);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(replays));
+  } catch {
+    // Storage unavailable, nothing to delete
+  }
+  return replays;
+};
+
+/**
+ * Creates a player that can reconstruct the game state at any frame.
+ * @param {object} replay - The replay to play.
+ * @returns {object} The player (frames, getStateAt).
+ */
+export const createReplayPlayer = (replay) => {
+  const inputs = decodeInputs(replay.inputs);
+  const initial = {
+    state: createGame({ ...replay.options, seed: replay.seed }),
+    inputIndex: 0,
+  };
+  const checkpoints = [initial];
+  let cursor = initial;
+
+  /**
+   * Runs the game forward from the cursor to a frame.
+   * @param {number} frame - The target frame.
+   */
+  const advanceTo = (frame) => {
+    let { state, inputIndex } = cursor;
+    while (state.frame < frame && !state.gameOver) {
+      while (
+        inputIndex < inputs.length &&
+        inputs[inputIndex][0] <= state.frame
+      ) {
+        state = step(state, inputs[inputIndex][1]);
+        inputIndex++;
+      }
+      state = step(state, { type: ACTIONS.TICK });
+      if (state.frame % CHECKPOINT_FRAMES === 0) {
+        checkpoints[state.frame / CHECKPOINT_FRAMES] = { state, inputIndex };
+      }
+    }
+    // The final inputs (e.g. the hard drop that topped out) come after the
+    // last tick
+    if (frame >= replay.frames) {
+      while (inputIndex < inputs.length) {
+        state = step(state, inputs[inputIndex][1]);
+        inputIndex++;
+      }
+    }
+    cursor = { state, inputIndex };
+  };
+
+  /**
+   * Returns the game state at a frame.
+   * @param {number} frame - A frame between 0 and `frames`.
+   * @returns {object} The engine state.
+   */
+  const getStateAt = (frame) => {
+    const target = Math.max(0, Math.min(replay.frames, Math.floor(frame)));
+    if (target < cursor.state.frame) {
+      // Seeking backwards: start again from the closest earlier checkpoint
+      let index = Math.floor(target / CHECKPOINT_FRAMES);
+      while (!checkpoints[index]) index--;
+      cursor = checkpoints[index];
+    }
+    advanceTo(target);
+    return cursor.state;
+  };
+
+  return { frames: replay.frames, getStateAt };
+};
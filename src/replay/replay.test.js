@@ -0,0 +1,89 @@
+// --- Replay Tests ---
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { ACTIONS, MODES } from "../engine/index.js";
+import { createSession } from "../game/session.js";
+import {
+  createReplay,
+  createReplayPlayer,
+  decodeInputs,
+  encodeInputs,
+  parseReplay,
+} from "./replay.js";
+
+/**
+ * Plays 1500 frames of Zen with an input every few frames, some of them
+ * moves to the wall, soft drops to the floor and incoming garbage, then
+ * finishes the game.
+ * @returns {object} The session.
+ */
+const playSession = () => {
+  const session = createSession({ mode: MODES.ZEN, seed: 7 });
+  const inputs = [
+    { type: ACTIONS.ROTATE_CW },
+    { type: ACTIONS.MOVE_LEFT, toWall: true },
+    { type: ACTIONS.SOFT_DROP, toFloor: true },
+    { type: ACTIONS.MOVE_RIGHT },
+    { type: ACTIONS.HOLD },
+    { type: ACTIONS.MOVE_RIGHT, toWall: true },
+    { type: ACTIONS.HARD_DROP },
+  ];
+  for (let frame = 0; frame < 1500; frame++) {
+    if (frame % 5 === 0) session.dispatch(inputs[(frame / 5) % inputs.length]);
+    if (frame % 400 === 0)
+      session.dispatch({ type: ACTIONS.GARBAGE, lines: 2 });
+    session.dispatch({ type: ACTIONS.TICK });
+  }
+  session.dispatch({ type: ACTIONS.FINISH });
+  return session;
+};
+
+describe("replays", () => {
+  const session = playSession();
+  const replay = createReplay(session);
+
+  it("encodes and decodes every kind of input", () => {
+    const inputs = session.getInputs();
+    assert.deepEqual(decodeInputs(encodeInputs(inputs)), inputs);
+  });
+
+  it("plays back to the recorded game", () => {
+    const player = createReplayPlayer(replay);
+    assert.deepEqual(player.getStateAt(player.frames), session.getState());
+  });
+
+  it("plays back the same after a trip through a file", () => {
+    const parsed = parseReplay(JSON.stringify(replay));
+    const player = createReplayPlayer(parsed);
+    assert.deepEqual(player.getStateAt(player.frames), session.getState());
+  });
+
+  it("seeks backwards to the same states as playing forwards", () => {
+    const player = createReplayPlayer(replay);
+    player.getStateAt(player.frames);
+    const rewound = player.getStateAt(700);
+    assert.equal(rewound.frame, 700);
+    assert.deepEqual(rewound, createReplayPlayer(replay).getStateAt(700));
+  });
+
+  it("rejects files that are not replays", () => {
+    const broken = [
+      "{",
+      JSON.stringify({ ...replay, inputs: [[0, "teleport"]] }),
+      JSON.stringify({ ...replay, inputs: [[-1, ACTIONS.HOLD]] }),
+      JSON.stringify({ ...replay, options: "marathon" }),
+    ];
+    assert.throws(() => parseReplay(broken[0]), /not valid JSON/);
+    broken
+      .slice(1)
+      .forEach((text) =>
+        assert.throws(() => parseReplay(text), /not a replay/)
+      );
+  });
+
+  it("rejects other versions", () => {
+    const text = JSON.stringify({ ...replay, version: 99 });
+    assert.throws(() => parseReplay(text), /Unsupported replay version 99/);
+  });
+});
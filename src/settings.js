@@ -0,0 +1,183 @@
+// --- Player Settings ---
+// Settings are kept in localStorage so each player's handling survives
+// reloads. Unknown or missing keys fall back to DEFAULT_SETTINGS.
+
+import {
+  BOARD_SIZE_LIMITS,
+  DEFAULT_HEIGHT,
+  DEFAULT_WIDTH,
+  EXAMPLE_CUSTOM_PIECES,
+  HIDDEN_TOP_ROWS,
+  MODES,
+  PIECE_SETS,
+  RANDOMIZERS,
+  getPieceSet,
+} from "./engine/index.js";
+import {
+  DEFAULT_GAMEPAD_BINDINGS,
+  DEFAULT_KEY_BINDINGS,
+} from "./input/bindings.js";
+import { OVERLAYS, THEMES, resolveTheme } from "./render/themes.js";
+
+const STORAGE_KEY = "tetris.settings";
+
+export const RENDERERS = {
+  CANVAS: "canvas", // Scales with the window and draws effects
+  DOM: "dom", // One element per cell, a fallback for canvas problems
+};
+
+export const RENDERER_LABELS = {
+  [RENDERERS.CANVAS]: "Canvas",
+  [RENDERERS.DOM]: "DOM (fallback)",
+};
+
+// Soft drop factor at or above this value drops straight to the floor
+export const SOFT_DROP_INSTANT = 41;
+
+export const DEFAULT_SETTINGS = {
+  playerName: "Player", // Shown on the leaderboard
+  mode: MODES.MARATHON,
+  randomizer: RANDOMIZERS.BAG,
+  previewCount: 5,
+  boardWidth: DEFAULT_WIDTH,
+  boardHeight: DEFAULT_HEIGHT, // Visible rows
+  hiddenRows: HIDDEN_TOP_ROWS,
+  pieceSet: PIECE_SETS.STANDARD,
+  customPieces: EXAMPLE_CUSTOM_PIECES, // Shapes for PIECE_SETS.CUSTOM
+  renderer: RENDERERS.CANVAS,
+  theme: THEMES.CLASSIC, // A THEMES value or the id of an imported skin
+  pieceOverlay: OVERLAYS.NONE, // Letters or patterns on every block
+  skins: [], // Themes imported from skin files
+  showHint: false, // Outline the best placement found by the bot
+  musicVolume: 50, // Percent
+  effectsVolume: 80, // Percent
+  muted: false,
+  das: 167, // Delayed Auto Shift, ms before a held direction starts repeating
+  arr: 33, // Auto Repeat Rate, ms between repeated moves (0 = instant)
+  sdf: 20, // Soft Drop Factor, multiple of the gravity speed
+  dcd: 0, // DAS Cut Delay, ms auto-shift pauses after a rotate/drop/hold
+  touchGestures: true, // Swipe and tap on the board
+  touchPad: false, // On-screen buttons below the board
+  touchSensitivity: 24, // px of sideways drag per column
+  assist: false, // Slower gravity and a tone for the stack height
+  keyBindings: DEFAULT_KEY_BINDINGS, // Action to list of keys
+  gamepadBindings: DEFAULT_GAMEPAD_BINDINGS, // Action to list of buttons
+};
+
+// Slider ranges for the numeric handling settings
+export const HANDLING_LIMITS = {
+  das: { min: 0, max: 500, step: 1, unit: "ms" },
+  arr: { min: 0, max: 200, step: 1, unit: "ms" },
+  sdf: { min: 1, max: SOFT_DROP_INSTANT, step: 1, unit: "x" },
+  dcd: { min: 0, max: 200, step: 1, unit: "ms" },
+};
+
+// Gravity multiplier of assist mode
+export const ASSIST_GRAVITY_SCALE = 0.5;
+
+// Slider range for the touch drag distance
+export const TOUCH_LIMITS = { min: 8, max: 64, step: 1, unit: "px" };
+
+// Slider ranges for the board size settings
+export const BOARD_LIMITS = {
+  boardWidth: BOARD_SIZE_LIMITS.width,
+  boardHeight: BOARD_SIZE_LIMITS.height,
+  hiddenRows: BOARD_SIZE_LIMITS.hiddenRows,
+};
+
+/**
+ * Picks the settings that change the rules of a game, as options for
+ * `createGame`. The piece set is resolved here so the options describe the
+ * game completely, e.g. for replays and online rounds.
+ * @param {object} settings - The player's settings.
+ * @returns {object} The game options.
+ */
+export const getGameOptions = ({
+  mode,
+  randomizer,
+  previewCount,
+  boardWidth,
+  boardHeight,
+  hiddenRows,
+  pieceSet,
+  customPieces,
+}) => ({
+  mode,
+  randomizer,
+  previewCount,
+  width: boardWidth,
+  height: boardHeight,
+  hiddenRows,
+  pieceSet: getPieceSet(pieceSet, customPieces),
+});
+
+/**
+ * Picks the options assist mode adds to a solo game. Assisted games are
+ * not ranked.
+ * @param {object} settings - The player's settings.
+ * @returns {object} Options for `createGame`, none without assist.
+ */
+export const getAssistOptions = ({ assist }) =>
+  assist ? { gravityScale: ASSIST_GRAVITY_SCALE } : {};
+
+/**
+ * Picks the handling settings, e.g. to store them with a replay.
+ * @param {object} settings - The player's settings.
+ * @returns {object} The handling settings.
+ */
+export const getHandling = ({ das, arr, sdf, dcd }) => ({ das, arr, sdf, dcd });
+
+let cachedTheme = null; // The last lookup and its result
+
+/**
+ * Resolves the theme the board and pieces are drawn with. The last one is
+ * cached so renderers see the same object until the settings change.
+ * @param {object} settings - The player's settings.
+ * @returns {object} The theme, see render/themes.js.
+ */
+export const getTheme = ({ theme, skins, pieceOverlay }) => {
+  if (
+    cachedTheme?.theme !== theme ||
+    cachedTheme.skins !== skins ||
+    cachedTheme.pieceOverlay !== pieceOverlay
+  ) {
+    const resolved = resolveTheme(theme, skins, pieceOverlay);
+    cachedTheme = { theme, skins, pieceOverlay, resolved };
+  }
+  return cachedTheme.resolved;
+};
+
+/**
+ * Loads the saved settings, merged over the defaults.
+ * @returns {object} The player's settings.
+ */
+export const loadSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+    return {
+      ...DEFAULT_SETTINGS,
+      ...saved,
+      // Actions added since the bindings were saved get their defaults
+      keyBindings: { ...DEFAULT_KEY_BINDINGS, ...saved.keyBindings },
+      gamepadBindings: {
+        ...DEFAULT_GAMEPAD_BINDINGS,
+        ...saved.gamepadBindings,
+      },
+    };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Saves the settings. Failures (private mode, full quota) are ignored; the
+ * settings simply won't persist.
+ * @param {object} settings - The settings to save.
+ */
+export const saveSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage unavailable, keep the settings for this session only
+  }
+};